@@ -1,5 +1,10 @@
 const { supabaseAdmin } = require('../config/supabase');
 const { processTransaction } = require('./walletController');
+const { adminSettleMatch } = require('../services/iplSettlement');
+const { IPL_TEAMS } = require('../services/iplScraper');
+const aviatorChain = require('../services/aviatorChain');
+const aviatorAutoBet = require('../services/aviatorAutoBet');
+const pokerTables = require('../services/pokerTables');
 
 // @desc    Get all users (paginated)
 // @route   GET /api/admin/users
@@ -398,3 +403,295 @@ exports.bulkCredit = async (req, res) => {
         });
     }
 };
+
+// Shared by the IPL void / re-settle endpoints
+const overrideIplMatch = async (req, res, outcome) => {
+    const { matchId } = req.params;
+    const reason = (req.body.reason || '').trim();
+
+    if (!reason) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please provide a reason for the audit trail'
+        });
+    }
+
+    const { data: bets, error } = await supabaseAdmin
+        .from('ipl_bets')
+        .select('match_title')
+        .eq('match_id', matchId)
+        .limit(1);
+
+    if (error) throw error;
+
+    if (!bets || bets.length === 0) {
+        return res.status(404).json({
+            success: false,
+            message: 'No bets found for this match'
+        });
+    }
+
+    if (outcome !== 'void' && !bets[0].match_title.includes(IPL_TEAMS[outcome].name)) {
+        return res.status(400).json({
+            success: false,
+            message: `${outcome} did not play in ${bets[0].match_title}`
+        });
+    }
+
+    const result = await adminSettleMatch(matchId, outcome, req.user.id, reason, req.app.get('io'));
+
+    res.json({
+        success: true,
+        message: outcome === 'void'
+            ? `Voided ${bets[0].match_title}: ${result.bets_affected} bet(s) refunded or corrected`
+            : `Re-settled ${bets[0].match_title} with ${outcome} as winner: ${result.bets_affected} bet(s) changed`,
+        betsAffected: result.bets_affected,
+        totalCredited: result.total_credited,
+        totalDebited: result.total_debited
+    });
+};
+
+// @desc    Void an IPL match (refund stakes, reverse settled match winner bets)
+// @route   POST /api/admin/ipl/matches/:matchId/void
+exports.voidIplMatch = async (req, res) => {
+    try {
+        await overrideIplMatch(req, res, 'void');
+    } catch (error) {
+        console.error('Void IPL match error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to void match'
+        });
+    }
+};
+
+// @desc    Re-settle an IPL match with a corrected winner
+// @route   POST /api/admin/ipl/matches/:matchId/resettle
+exports.resettleIplMatch = async (req, res) => {
+    try {
+        const { winner } = req.body;
+
+        if (!IPL_TEAMS[winner]) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid winner team code'
+            });
+        }
+
+        await overrideIplMatch(req, res, winner);
+    } catch (error) {
+        console.error('Re-settle IPL match error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to re-settle match'
+        });
+    }
+};
+
+// @desc    IPL settlement audit trail (optionally for one match)
+// @route   GET /api/admin/ipl/audit
+exports.getIplAudit = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+
+        let query = supabaseAdmin
+            .from('ipl_settlement_audit')
+            .select('*, actor:users(username)', { count: 'exact' });
+
+        if (req.query.matchId) {
+            query = query.eq('match_id', req.query.matchId);
+        }
+
+        const { data: entries, error, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            entries,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get IPL audit error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get settlement audit'
+        });
+    }
+};
+
+// @desc    Generate a new Aviator hash chain (publish its terminating hash)
+// @route   POST /api/admin/aviator/chains
+exports.createAviatorChain = async (req, res) => {
+    try {
+        const length = req.body.length === undefined
+            ? aviatorChain.DEFAULT_CHAIN_LENGTH
+            : parseInt(req.body.length);
+        const saltSource = typeof req.body.saltSource === 'string' ? req.body.saltSource.trim() : '';
+
+        if (!Number.isInteger(length) || length < 1 || length > aviatorChain.MAX_CHAIN_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Length must be between 1 and ${aviatorChain.MAX_CHAIN_LENGTH}`
+            });
+        }
+
+        if (!saltSource) {
+            return res.status(400).json({
+                success: false,
+                message: 'Announce the salt source (e.g. a future Bitcoin block) with the chain'
+            });
+        }
+
+        const chain = await aviatorChain.createChain({ length, saltSource, createdBy: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Hash chain created. Publish the terminating hash, then set the salt once the event has happened.',
+            chain
+        });
+    } catch (error) {
+        console.error('Create Aviator chain error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create hash chain'
+        });
+    }
+};
+
+// @desc    Set a chain's salt and make it the active chain
+// @route   POST /api/admin/aviator/chains/:chainId/activate
+exports.activateAviatorChain = async (req, res) => {
+    try {
+        const salt = typeof req.body.salt === 'string' ? req.body.salt.trim() : '';
+
+        if (!salt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Salt is required'
+            });
+        }
+
+        const result = await aviatorChain.activateChain(req.params.chainId, salt);
+
+        if (!result?.success) {
+            return res.status(result?.error === 'Chain not found' ? 404 : 400).json({
+                success: false,
+                message: result?.error || 'Failed to activate hash chain'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Hash chain activated',
+            chain: result
+        });
+    } catch (error) {
+        console.error('Activate Aviator chain error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to activate hash chain'
+        });
+    }
+};
+
+// @desc    Kill switch: stop every running Aviator auto-bet
+// @route   POST /api/admin/aviator/autobets/stop
+exports.stopAviatorAutoBets = async (req, res) => {
+    try {
+        const reason = typeof req.body.reason === 'string' && req.body.reason.trim()
+            ? req.body.reason.trim()
+            : 'Stopped by operator';
+
+        const stopped = await aviatorAutoBet.stopAutoBets(null, null, reason);
+
+        const io = req.app.get('io');
+        if (io) {
+            stopped.forEach((row) => {
+                io.to(`user_${row.user_id}`).emit('autobet_update', aviatorAutoBet.formatAutoBet(row));
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Stopped ${stopped.length} auto-bet(s)`,
+            stopped: stopped.length
+        });
+    } catch (error) {
+        console.error('Stop Aviator auto-bets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to stop auto-bets'
+        });
+    }
+};
+
+// @desc    Add a poker table to the lobby
+// @route   POST /api/admin/poker/tables
+exports.createPokerTable = async (req, res) => {
+    try {
+        const { settings, error } = pokerTables.normalizeTableSettings(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const table = await pokerTables.createTable(settings, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            table
+        });
+    } catch (error) {
+        console.error('Create poker table error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create poker table'
+        });
+    }
+};
+
+// @desc    Open or close a poker table
+// @route   PUT /api/admin/poker/tables/:tableId/status
+exports.setPokerTableStatus = async (req, res) => {
+    try {
+        if (typeof req.body.isActive !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'isActive must be true or false'
+            });
+        }
+
+        const table = await pokerTables.setTableActive(req.params.tableId, req.body.isActive);
+
+        if (!table) {
+            return res.status(404).json({
+                success: false,
+                message: 'Table not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            table
+        });
+    } catch (error) {
+        console.error('Set poker table status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update poker table'
+        });
+    }
+};
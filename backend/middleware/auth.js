@@ -64,6 +64,64 @@ exports.protect = async (req, res, next) => {
     }
 };
 
+// Socket.io handshake middleware - same checks as protect, token comes from
+// socket.handshake.auth.token. Connections without a token are let through as
+// guests (socket.user = null) so they can still watch public broadcasts; any
+// event that moves money must check socket.user itself.
+exports.protectSocket = async (socket, next) => {
+    socket.user = null;
+
+    try {
+        const token = socket.handshake.auth && socket.handshake.auth.token;
+
+        if (!token) {
+            return next();
+        }
+
+        // Verify token with Supabase
+        const { data: { user }, error } = await supabase.auth.getUser(token);
+
+        if (error || !user) {
+            return next(new Error('Token is invalid or expired'));
+        }
+
+        // Get user profile from public.users table
+        const { data: profile, error: profileError } = await supabaseAdmin
+            .from('users')
+            .select('*')
+            .eq('id', user.id)
+            .single();
+
+        if (profileError || !profile) {
+            return next(new Error('User profile not found'));
+        }
+
+        if (!profile.is_active) {
+            return next(new Error('Account has been deactivated'));
+        }
+
+        // Attach user to socket
+        socket.user = {
+            id: user.id,
+            email: user.email,
+            ...profile
+        };
+
+        next();
+    } catch (error) {
+        console.error('Socket auth middleware error:', error);
+        next(new Error('Authentication failed'));
+    }
+};
+
+// Resolve the authenticated user for a socket event. Returns null when the
+// socket is a guest or the payload claims a different identity.
+exports.socketUserId = (socket, claimedUserId) => {
+    if (!socket.user) return null;
+    if (claimedUserId && claimedUserId !== socket.user.id) return null;
+    return socket.user.id;
+};
+
 // Admin only middleware
 exports.adminOnly = (req, res, next) => {
     if (!req.user.is_admin) {
@@ -1,6 +1,6 @@
 const fs = require('fs');
 const cheerio = require('cheerio');
-const html = fs.readFileSync('series.html', 'utf8');
+const html = fs.readFileSync('fixtures/ipl/gt-vs-dc/series.html', 'utf8');
 const $ = cheerio.load(html);
 
 const out = [];
@@ -8,7 +8,15 @@ const {
     toggleUserStatus,
     getStats,
     adjustCredit,
-    bulkCredit
+    bulkCredit,
+    voidIplMatch,
+    resettleIplMatch,
+    getIplAudit,
+    createAviatorChain,
+    activateAviatorChain,
+    stopAviatorAutoBets,
+    createPokerTable,
+    setPokerTableStatus
 } = require('../controllers/adminController');
 const { protect, adminOnly } = require('../middleware/auth');
 
@@ -29,4 +37,18 @@ router.post('/credit', adjustCredit);
 // Bulk credit adjustment (multiple users or all)
 router.post('/bulkcredit', bulkCredit);
 
+// IPL manual settlement overrides (audited)
+router.post('/ipl/matches/:matchId/void', voidIplMatch);
+router.post('/ipl/matches/:matchId/resettle', resettleIplMatch);
+router.get('/ipl/audit', getIplAudit);
+
+// Aviator provably fair hash chains
+router.post('/aviator/chains', createAviatorChain);
+router.post('/aviator/chains/:chainId/activate', activateAviatorChain);
+router.post('/aviator/autobets/stop', stopAviatorAutoBets);
+
+// Poker lobby tables
+router.post('/poker/tables', createPokerTable);
+router.put('/poker/tables/:tableId/status', setPokerTableStatus);
+
 module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../config/supabase');
+const { protect } = require('../middleware/auth');
+
+const PERIODS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+
+const num = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const intParam = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return Number.isInteger(n) ? n : fallback;
+};
+
+const periodStart = (period) => new Date(Date.now() - PERIODS[period]).toISOString();
+
+const formatRound = (round) => {
+    const bets = round.bets.map(b => ({
+        id: b.id,
+        username: b.username,
+        betNumber: b.bet_number,
+        amount: num(b.amount),
+        cashoutMultiplier: num(b.cashout_multiplier),
+        payout: num(b.payout),
+        profit: num(b.profit),
+        status: b.status,
+        exits: b.exits.map(e => ({
+            amount: num(e.amount),
+            multiplier: num(e.multiplier),
+            payout: num(e.payout)
+        }))
+    }));
+
+    return {
+        id: round.id,
+        crashPoint: num(round.crash_point),
+        hash: round.hash,
+        gameHash: round.server_seed,
+        salt: round.client_seed,
+        chainIndex: round.chain_index,
+        startTime: round.start_time,
+        endTime: round.end_time,
+        createdAt: round.created_at,
+        totalWagered: bets.reduce((sum, b) => sum + b.amount, 0),
+        totalPayout: bets.reduce((sum, b) => sum + b.payout, 0),
+        bets
+    };
+};
+
+const formatRun = (run) => (run ? { length: run.length, from: run.from, to: run.to } : null);
+
+// @desc    Paginated crashed rounds with all bets
+// @route   GET /api/games/aviator/rounds?page=1&limit=20
+router.get('/rounds', async (req, res) => {
+    try {
+        const { data, error } = await supabaseAdmin.rpc('fn_crash_round_explorer', {
+            p_page: intParam(req.query.page, 1),
+            p_page_size: intParam(req.query.limit, 20)
+        });
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            page: data.page,
+            limit: data.page_size,
+            total: data.total,
+            pages: Math.ceil(data.total / data.page_size),
+            rounds: data.rounds.map(formatRound)
+        });
+    } catch (error) {
+        console.error('Aviator rounds error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get rounds'
+        });
+    }
+});
+
+// @desc    Crash point distribution over recent rounds
+// @route   GET /api/games/aviator/stats/distribution?rounds=1000
+router.get('/stats/distribution', async (req, res) => {
+    try {
+        const { data, error } = await supabaseAdmin.rpc('fn_crash_distribution', {
+            p_rounds: intParam(req.query.rounds, 1000)
+        });
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            rounds: data.rounds,
+            average: num(data.average),
+            median: num(data.median),
+            buckets: data.buckets.map(b => ({
+                min: num(b.min),
+                max: num(b.max),
+                count: b.count
+            }))
+        });
+    } catch (error) {
+        console.error('Aviator distribution error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get distribution'
+        });
+    }
+});
+
+// @desc    Longest streaks below / above a multiplier
+// @route   GET /api/games/aviator/stats/streaks?threshold=2&rounds=1000
+router.get('/stats/streaks', async (req, res) => {
+    try {
+        const threshold = req.query.threshold === undefined ? 2 : parseFloat(req.query.threshold);
+
+        if (!Number.isFinite(threshold) || threshold <= 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Threshold must be above 1.00x'
+            });
+        }
+
+        const { data, error } = await supabaseAdmin.rpc('fn_crash_streaks', {
+            p_threshold: threshold,
+            p_rounds: intParam(req.query.rounds, 1000)
+        });
+
+        if (error) throw error;
+
+        if (!data.success) {
+            return res.status(400).json({
+                success: false,
+                message: data.error
+            });
+        }
+
+        res.json({
+            success: true,
+            threshold: num(data.threshold),
+            rounds: data.rounds,
+            below: formatRun(data.below),
+            above: formatRun(data.above),
+            current: data.current
+        });
+    } catch (error) {
+        console.error('Aviator streaks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get streaks'
+        });
+    }
+});
+
+// @desc    Current user's Aviator ROI
+// @route   GET /api/games/aviator/stats/me
+router.get('/stats/me', protect, async (req, res) => {
+    try {
+        const { data, error } = await supabaseAdmin.rpc('fn_crash_user_stats', {
+            p_user_id: req.user.id
+        });
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            stats: {
+                bets: data.bets,
+                rounds: data.rounds,
+                wins: data.wins,
+                losses: data.losses,
+                wagered: num(data.wagered),
+                payout: num(data.payout),
+                profit: num(data.profit),
+                roi: num(data.roi),
+                bestMultiplier: num(data.best_multiplier),
+                biggestWin: num(data.biggest_win)
+            }
+        });
+    } catch (error) {
+        console.error('Aviator user stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get stats'
+        });
+    }
+});
+
+// @desc    Players ranked by Aviator ROI
+// @route   GET /api/games/aviator/stats/roi?period=week&minBets=20
+router.get('/stats/roi', async (req, res) => {
+    try {
+        const period = req.query.period || 'all';
+
+        if (period !== 'all' && !PERIODS[period]) {
+            return res.status(400).json({
+                success: false,
+                message: 'Period must be day, week or all'
+            });
+        }
+
+        const { data, error } = await supabaseAdmin.rpc('fn_crash_roi_leaderboard', {
+            p_since: period === 'all' ? null : periodStart(period),
+            p_min_bets: Math.max(intParam(req.query.minBets, 20), 1),
+            p_limit: intParam(req.query.limit, 10)
+        });
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            period,
+            players: data.players.map(p => ({
+                username: p.username,
+                bets: p.bets,
+                wagered: num(p.wagered),
+                profit: num(p.profit),
+                roi: num(p.roi)
+            }))
+        });
+    } catch (error) {
+        console.error('Aviator ROI error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get ROI leaderboard'
+        });
+    }
+});
+
+// @desc    Biggest multiplier cash-outs of the day / week
+// @route   GET /api/games/aviator/stats/top-cashouts?period=day
+router.get('/stats/top-cashouts', async (req, res) => {
+    try {
+        const period = req.query.period || 'day';
+
+        if (!PERIODS[period]) {
+            return res.status(400).json({
+                success: false,
+                message: 'Period must be day or week'
+            });
+        }
+
+        const { data, error } = await supabaseAdmin.rpc('fn_crash_top_cashouts', {
+            p_since: periodStart(period),
+            p_limit: intParam(req.query.limit, 10)
+        });
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            period,
+            cashouts: data.cashouts.map(c => ({
+                roundId: c.round_id,
+                username: c.username,
+                amount: num(c.amount),
+                multiplier: num(c.multiplier),
+                payout: num(c.payout),
+                crashPoint: num(c.crash_point),
+                createdAt: c.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('Aviator top cashouts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get top cash-outs'
+        });
+    }
+});
+
+module.exports = router;
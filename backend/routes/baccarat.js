@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../config/supabase');
+const { protect } = require('../middleware/auth');
+const baccaratGame = require('../services/baccaratGame');
+
+const MIN_TOTAL_BET = 1;
+const MAX_TOTAL_BET = 10000;
+
+// Singleplayer: every user plays at their own table/shoe
+const tableIdFor = (userId) => `sp_${userId}`;
+
+// @desc    Deal a round of Baccarat and settle all bets
+// @route   POST /api/games/baccarat/deal
+router.post('/deal', protect, async (req, res) => {
+    try {
+        const { bets } = req.body;
+
+        if (!bets || typeof bets !== 'object') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please place at least one bet'
+            });
+        }
+
+        // Validate each zone
+        const cleanBets = {};
+        let totalBet = 0;
+        for (const [zone, rawAmount] of Object.entries(bets)) {
+            if (!baccaratGame.BET_ZONES.includes(zone)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid bet zone: ${zone}`
+                });
+            }
+
+            const amount = parseFloat(rawAmount) || 0;
+            if (amount < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Bet amount cannot be negative'
+                });
+            }
+
+            cleanBets[zone] = Math.round(amount * 100) / 100;
+            totalBet += cleanBets[zone];
+        }
+
+        if (totalBet < MIN_TOTAL_BET || totalBet > MAX_TOTAL_BET) {
+            return res.status(400).json({
+                success: false,
+                message: `Total bet must be between $${MIN_TOTAL_BET} and $${MAX_TOTAL_BET.toLocaleString()}`
+            });
+        }
+
+        // Deal from the server-side shoe and compute payouts
+        const tableId = tableIdFor(req.user.id);
+        const round = baccaratGame.dealRound(tableId);
+        const roundResult = baccaratGame.calculateRoundResult(cleanBets, round);
+
+        // Debit stake, credit payout and record the round atomically
+        const { data, error } = await supabaseAdmin.rpc('fn_baccarat_settle', {
+            p_user_id: req.user.id,
+            p_table_id: tableId,
+            p_bets: cleanBets,
+            p_round: round,
+            p_total_bet: roundResult.totalBet,
+            p_total_payout: roundResult.totalPayout
+        });
+
+        if (error) {
+            console.error('Baccarat settle error:', error);
+            return res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to settle round'
+            });
+        }
+
+        if (!data.success) {
+            return res.status(400).json({
+                success: false,
+                message: data.error || 'Deal failed'
+            });
+        }
+
+        res.json({
+            success: true,
+            roundId: data.roundId,
+            round,
+            result: roundResult,
+            newBalance: parseFloat(data.newBalance),
+            shoe: baccaratGame.getShoeInfo(tableId)
+        });
+    } catch (error) {
+        console.error('Baccarat error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Game error occurred'
+        });
+    }
+});
+
+// @desc    Get the current shoe status for the user's table
+// @route   GET /api/games/baccarat/shoe
+router.get('/shoe', protect, (req, res) => {
+    res.json({
+        success: true,
+        shoe: baccaratGame.getShoeInfo(tableIdFor(req.user.id))
+    });
+});
+
+// @desc    Get baccarat paytable
+// @route   GET /api/games/baccarat/paytable
+router.get('/paytable', (req, res) => {
+    res.json({
+        success: true,
+        payouts: baccaratGame.PAYOUTS,
+        minBet: MIN_TOTAL_BET,
+        maxBet: MAX_TOTAL_BET
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { createChallenge, acceptChallenge, cancelChallenge } = require('../services/coinflipChallenges');
+
+// @desc    Create a PvP challenge (stake goes into escrow)
+// @route   POST /api/games/coinflip/challenges
+router.post('/challenges', protect, async (req, res) => {
+    try {
+        const { amount, side, clientSeed, expiresIn } = req.body;
+
+        if (!['heads', 'tails'].includes(side)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Side must be heads or tails'
+            });
+        }
+
+        if (!amount || amount <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bet amount must be greater than 0'
+            });
+        }
+
+        const result = await createChallenge(req.user.id, { amount, side, clientSeed, expiresIn });
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            challenge: result.challenge,
+            newBalance: parseFloat(result.new_balance)
+        });
+    } catch (error) {
+        console.error('CoinFlip create challenge error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to create challenge'
+        });
+    }
+});
+
+// @desc    Accept a challenge; the coin is flipped immediately
+// @route   POST /api/games/coinflip/challenges/:id/accept
+router.post('/challenges/:id/accept', protect, async (req, res) => {
+    try {
+        const result = await acceptChallenge(req.user.id, req.params.id, req.body.clientSeed);
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            challenge: result.challenge,
+            won: result.won,
+            newBalance: parseFloat(result.new_balance)
+        });
+    } catch (error) {
+        console.error('CoinFlip accept challenge error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to accept challenge'
+        });
+    }
+});
+
+// @desc    Cancel your own open challenge and get the stake back
+// @route   POST /api/games/coinflip/challenges/:id/cancel
+router.post('/challenges/:id/cancel', protect, async (req, res) => {
+    try {
+        const result = await cancelChallenge(req.user.id, req.params.id);
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            refund: parseFloat(result.refund),
+            newBalance: parseFloat(result.new_balance)
+        });
+    } catch (error) {
+        console.error('CoinFlip cancel challenge error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to cancel challenge'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,325 @@
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../config/supabase');
+const { protect } = require('../middleware/auth');
+const fairness = require('../services/fairness');
+const aviatorChain = require('../services/aviatorChain');
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+// Mines/Tower outcomes stay hidden until the seed is revealed
+const HIDDEN_UNTIL_REVEALED = ['mines', 'tower'];
+
+/**
+ * Map revealed server seeds by hash for a user
+ */
+const getRevealedSeeds = async (userId, hashes) => {
+    if (hashes.length === 0) return {};
+
+    const { data, error } = await supabaseAdmin
+        .from('user_seeds')
+        .select('server_seed, server_seed_hash')
+        .eq('user_id', userId)
+        .eq('active', false)
+        .in('server_seed_hash', hashes);
+
+    if (error) throw error;
+
+    return Object.fromEntries(data.map((s) => [s.server_seed_hash, s.server_seed]));
+};
+
+const formatBet = (bet, serverSeed) => {
+    const revealed = Boolean(serverSeed);
+    return {
+        id: bet.id,
+        game: bet.game,
+        gameRef: bet.game_ref,
+        serverSeedHash: bet.server_seed_hash,
+        serverSeed: serverSeed || null,
+        clientSeed: bet.client_seed,
+        nonce: Number(bet.nonce),
+        params: bet.params,
+        outcome: revealed || !HIDDEN_UNTIL_REVEALED.includes(bet.game) ? bet.outcome : null,
+        createdAt: bet.created_at
+    };
+};
+
+const rotateSeed = async (userId, clientSeed) => {
+    const { data, error } = await supabaseAdmin.rpc('fn_fair_rotate_seed', {
+        p_user_id: userId,
+        p_client_seed: clientSeed
+    });
+
+    if (error) throw error;
+    return data;
+};
+
+// @desc    Get active seed pair (hashed) and previously revealed seeds
+// @route   GET /api/fairness/seeds
+router.get('/seeds', protect, async (req, res) => {
+    try {
+        const { data, error } = await supabaseAdmin.rpc('fn_fair_get_seeds', {
+            p_user_id: req.user.id
+        });
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            active: data.active,
+            revealed: data.revealed
+        });
+    } catch (error) {
+        console.error('Fairness seeds error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to load seeds'
+        });
+    }
+});
+
+// @desc    Set a new client seed (rotates the seed pair)
+// @route   POST /api/fairness/client-seed
+router.post('/client-seed', protect, async (req, res) => {
+    try {
+        const clientSeed = typeof req.body.clientSeed === 'string' ? req.body.clientSeed.trim() : '';
+
+        if (!clientSeed || clientSeed.length > MAX_CLIENT_SEED_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Client seed must be 1-${MAX_CLIENT_SEED_LENGTH} characters`
+            });
+        }
+
+        const data = await rotateSeed(req.user.id, clientSeed);
+
+        if (!data.success) {
+            return res.status(400).json({
+                success: false,
+                message: data.error || 'Failed to update client seed'
+            });
+        }
+
+        res.json({
+            success: true,
+            previous: data.previous,
+            active: data.active
+        });
+    } catch (error) {
+        console.error('Fairness client seed error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to update client seed'
+        });
+    }
+});
+
+// @desc    Reveal the current server seed and commit to a new one
+// @route   POST /api/fairness/rotate
+router.post('/rotate', protect, async (req, res) => {
+    try {
+        const data = await rotateSeed(req.user.id, null);
+
+        if (!data.success) {
+            return res.status(400).json({
+                success: false,
+                message: data.error || 'Failed to rotate seed'
+            });
+        }
+
+        res.json({
+            success: true,
+            previous: data.previous,
+            active: data.active
+        });
+    } catch (error) {
+        console.error('Fairness rotate error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to rotate seed'
+        });
+    }
+});
+
+// @desc    Get the user's recent provably fair bets
+// @route   GET /api/fairness/bets
+router.get('/bets', protect, async (req, res) => {
+    try {
+        const { game } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+
+        let query = supabaseAdmin
+            .from('fair_bets')
+            .select('*')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (game && fairness.GAMES.includes(game)) {
+            query = query.eq('game', game);
+        }
+
+        const { data: bets, error } = await query;
+        if (error) throw error;
+
+        const hashes = [...new Set(bets.map((b) => b.server_seed_hash))];
+        const revealed = await getRevealedSeeds(req.user.id, hashes);
+
+        res.json({
+            success: true,
+            bets: bets.map((b) => formatBet(b, revealed[b.server_seed_hash]))
+        });
+    } catch (error) {
+        console.error('Fairness bets error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to load bets'
+        });
+    }
+});
+
+// @desc    Verify a bet, either by id or from raw seeds
+// @route   POST /api/fairness/verify
+router.post('/verify', protect, async (req, res) => {
+    try {
+        const { betId } = req.body;
+
+        if (!betId) {
+            const { serverSeed, clientSeed, nonce, game, params } = req.body;
+
+            if (!fairness.GAMES.includes(game)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid game'
+                });
+            }
+
+            let outcome;
+            try {
+                outcome = fairness.computeOutcome({ serverSeed, clientSeed, nonce, game, params });
+            } catch (err) {
+                return res.status(400).json({ success: false, message: err.message });
+            }
+
+            return res.json({
+                success: true,
+                game,
+                serverSeedHash: fairness.hashServerSeed(serverSeed),
+                outcome
+            });
+        }
+
+        const { data: bet, error } = await supabaseAdmin
+            .from('fair_bets')
+            .select('*')
+            .eq('id', betId)
+            .eq('user_id', req.user.id)
+            .single();
+
+        if (error || !bet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bet not found'
+            });
+        }
+
+        const revealed = await getRevealedSeeds(req.user.id, [bet.server_seed_hash]);
+        const serverSeed = revealed[bet.server_seed_hash];
+
+        if (!serverSeed) {
+            return res.status(400).json({
+                success: false,
+                message: 'Server seed not revealed yet. Rotate your seed pair to verify this bet.'
+            });
+        }
+
+        const outcome = fairness.computeOutcome({
+            serverSeed,
+            clientSeed: bet.client_seed,
+            nonce: bet.nonce,
+            game: bet.game,
+            params: bet.params
+        });
+
+        const hashMatches = fairness.hashServerSeed(serverSeed) === bet.server_seed_hash;
+        const outcomeMatches = JSON.stringify(outcome) === JSON.stringify(normalizeOutcome(bet.game, bet.outcome));
+
+        res.json({
+            success: true,
+            bet: formatBet(bet, serverSeed),
+            outcome,
+            hashMatches,
+            outcomeMatches,
+            verified: hashMatches && outcomeMatches
+        });
+    } catch (error) {
+        console.error('Fairness verify error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Verification failed'
+        });
+    }
+});
+
+// @desc    Aviator hash chains (terminating hash, salt and progress)
+// @route   GET /api/fairness/aviator/chains
+router.get('/aviator/chains', async (req, res) => {
+    try {
+        const chains = await aviatorChain.listChains();
+
+        res.json({
+            success: true,
+            chains: chains.map((c) => ({
+                id: c.id,
+                terminatingHash: c.terminating_hash,
+                length: c.length,
+                roundsPlayed: c.next_index,
+                salt: c.salt,
+                saltSource: c.salt_source,
+                active: c.active,
+                createdAt: c.created_at,
+                activatedAt: c.activated_at
+            }))
+        });
+    } catch (error) {
+        console.error('Aviator chains error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to load hash chains'
+        });
+    }
+});
+
+// @desc    Verify a finished Aviator round against the hash chain
+// @route   GET /api/fairness/aviator/rounds/:roundId
+router.get('/aviator/rounds/:roundId', protect, async (req, res) => {
+    try {
+        const result = await aviatorChain.verifyRound(req.params.roundId);
+
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            ...result,
+            verified: result.hashMatches && result.crashPointMatches && result.chainVerified !== false
+        });
+    } catch (error) {
+        console.error('Aviator verify error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Verification failed'
+        });
+    }
+});
+
+// Postgres returns NUMERIC values as numbers with trailing precision
+function normalizeOutcome(game, outcome) {
+    if (game === 'dice') return { roll: parseFloat(outcome.roll) };
+    return outcome;
+}
+
+module.exports = router;
@@ -56,7 +56,8 @@ router.post('/slots/spin', protect, async (req, res) => {
                 betAmount: parseFloat(data.betAmount),
                 payout: parseFloat(data.winnings)
             },
-            newCash: parseFloat(data.newBalance)
+            newCash: parseFloat(data.newBalance),
+            fairness: data.fairness
         });
     } catch (error) {
         console.error('Slots error:', error);
@@ -1,7 +1,8 @@
 /**
  * IPL BETTING ROUTES
  * ==================
- * POST /api/bet/ipl          – Place an IPL bet
+ * POST /api/bet/ipl          – Place an IPL bet on any offered market
+ *                              (over/under bets also send the quoted line)
  * GET  /api/bet/ipl/active   – Get user's active bets
  * GET  /api/bet/ipl/history  – Get user's bet history
  * GET  /api/bet/ipl/matches  – Get current live/upcoming matches (HTTP fallback)
@@ -11,20 +12,40 @@ const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../config/supabase');
 const { protect } = require('../middleware/auth');
-const { getActiveMatches, IPL_TEAMS } = require('../services/iplScraper');
+const { getActiveMatches, getOddsQuote, IPL_TEAMS } = require('../services/iplScraper');
+
+// Quotes older than this are refreshed before pricing a bet
+const MAX_QUOTE_AGE_MS = 2 * 60 * 1000;
+// Max difference between the odds the user saw and the server price
+const ODDS_TOLERANCE = 0.02;
+
+/**
+ * Get a fresh server-side quote for a match
+ */
+async function getFreshQuote(matchId) {
+    let quote = getOddsQuote(matchId);
+    if (!quote || Date.now() - new Date(quote.quotedAt).getTime() > MAX_QUOTE_AGE_MS) {
+        await getActiveMatches();
+        quote = getOddsQuote(matchId);
+    }
+    return quote;
+}
 
 // ============================================
 // POST /api/bet/ipl  –  Place a Bet
 // ============================================
 router.post('/ipl', protect, async (req, res) => {
     try {
-        const { matchId, matchTitle, selectedTeam, betAmount, currentOdds } = req.body;
+        const { matchId, betAmount, currentOdds } = req.body;
+        const marketId = req.body.marketId || 'match_winner';
+        // selectedTeam is still accepted for match winner bets
+        const selection = req.body.selection || req.body.selectedTeam;
 
         // --- Validation ---
-        if (!matchId || !selectedTeam || !betAmount || !currentOdds) {
+        if (!matchId || !selection || !betAmount || !currentOdds) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: matchId, selectedTeam, betAmount, currentOdds'
+                message: 'Missing required fields: matchId, selection, betAmount, currentOdds'
             });
         }
 
@@ -36,34 +57,85 @@ router.post('/ipl', protect, async (req, res) => {
             });
         }
 
-        const odds = parseFloat(currentOdds);
-        if (isNaN(odds) || odds < 1.10 || odds > 6.50) {
+        // Odds the user saw when placing the bet
+        const quotedOdds = parseFloat(currentOdds);
+        if (isNaN(quotedOdds)) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid odds value'
             });
         }
 
-        // Validate team code
-        if (!IPL_TEAMS[selectedTeam]) {
+        // --- Price the bet from the server-side odds snapshot ---
+        const quote = await getFreshQuote(matchId);
+        if (!quote) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match is not available for betting'
+            });
+        }
+
+        const market = (quote.markets || []).find(m => m.id === marketId);
+        if (!quote.isBettingOpen || !market || !market.open) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid team selection'
+                message: market || marketId === 'match_winner'
+                    ? 'Betting is closed for this market'
+                    : 'Market is no longer available'
             });
         }
 
-        // --- Check betting is still open ---
-        // (We trust the client state here but the frontend also enforces this)
-        // In a production system you'd re-check the live match status server-side
+        const option = market.selections.find(s => s.key === selection);
+        if (!option) {
+            return res.status(400).json({
+                success: false,
+                message: market.type === 'match_winner'
+                    ? 'Selected team is not playing in this match'
+                    : 'Invalid selection for this market'
+            });
+        }
+
+        const odds = option.odds;
+        // Team-based markets also record the team for existing reports
+        const selectedTeam = IPL_TEAMS[selection] ? selection : null;
+
+        // Over/under markets keep fixed odds and move the line instead
+        const line = market.params?.line ?? null;
+        const quotedLine = req.body.line === undefined || req.body.line === null ? null : parseFloat(req.body.line);
+        const lineChanged = line !== null && quotedLine !== line;
+
+        // Price moved since the user's quote: ask them to accept the new odds
+        if (Math.abs(odds - quotedOdds) > ODDS_TOLERANCE || lineChanged) {
+            return res.status(409).json({
+                success: false,
+                oddsChanged: true,
+                message: lineChanged
+                    ? `Line changed from ${quotedLine ?? '?'} to ${line}`
+                    : `Odds changed from ×${quotedOdds.toFixed(2)} to ×${odds.toFixed(2)}`,
+                marketId,
+                selection,
+                selectedTeam: option.label,
+                quotedOdds,
+                newOdds: odds,
+                quotedLine,
+                newLine: line,
+                quotedAt: quote.quotedAt
+            });
+        }
 
         // --- Place bet atomically via RPC ---
         const { data, error } = await supabaseAdmin.rpc('place_ipl_bet', {
             p_user_id: req.user.id,
             p_match_id: matchId,
-            p_match_title: matchTitle || `${selectedTeam} match`,
+            p_match_title: quote.title,
             p_selected_team: selectedTeam,
             p_bet_amount: amount,
-            p_odds: odds
+            p_odds: odds,
+            p_quoted_at: quote.quotedAt,
+            p_market: market.type,
+            p_market_label: market.label,
+            p_selection: selection,
+            p_market_params: market.params
         });
 
         if (error) {
@@ -81,16 +153,21 @@ router.post('/ipl', protect, async (req, res) => {
             });
         }
 
-        console.log(`🏏 [IPL Bet] User ${req.user.id} bet $${amount} on ${selectedTeam} at ${odds}x`);
+        console.log(`🏏 [IPL Bet] User ${req.user.id} bet $${amount} on ${market.label}: ${option.label} at ${odds}x (quoted ${quote.quotedAt})`);
 
         res.json({
             success: true,
             bet: {
                 id: data.bet_id,
                 matchId,
+                market: market.type,
+                marketLabel: market.label,
+                selection,
+                selectionLabel: option.label,
                 selectedTeam,
                 betAmount: amount,
                 odds,
+                quotedAt: quote.quotedAt,
                 potentialPayout: data.potential_payout
             },
             newBalance: data.new_balance
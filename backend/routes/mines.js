@@ -67,7 +67,8 @@ router.post('/start', protect, async (req, res) => {
             minesCount: data.minesCount,
             newBalance: parseFloat(data.newBalance),
             currentMultiplier: parseFloat(data.currentMultiplier),
-            nextMultiplier: parseFloat(data.nextMultiplier)
+            nextMultiplier: parseFloat(data.nextMultiplier),
+            fairness: data.fairness
         });
 
     } catch (error) {
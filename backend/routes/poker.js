@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const { listTables, getTable } = require('../services/pokerTables');
+const { getOccupancy } = require('../socket/poker');
+
+const withOccupancy = (table) => {
+    const { seated, inPlay } = getOccupancy(table.id);
+    return { ...table, seated, openSeats: Math.max(0, table.maxSeats - seated), inPlay };
+};
+
+// @desc    Poker lobby: every open table with live seat occupancy
+// @route   GET /api/games/poker/tables
+router.get('/tables', async (req, res) => {
+    try {
+        const tables = await listTables();
+
+        res.json({
+            success: true,
+            tables: tables.map(withOccupancy)
+        });
+    } catch (error) {
+        console.error('Poker lobby error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load poker tables'
+        });
+    }
+});
+
+// @desc    Single table with live seat occupancy
+// @route   GET /api/games/poker/tables/:tableId
+router.get('/tables/:tableId', async (req, res) => {
+    try {
+        const table = await getTable(req.params.tableId);
+
+        if (!table || !table.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Table not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            table: withOccupancy(table)
+        });
+    } catch (error) {
+        console.error('Poker table error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load poker table'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { listHandsForUser, getHandForUser, toPokerStarsText } = require('../services/pokerHands');
+
+const isHandId = (value) => /^\d+$/.test(value);
+
+// @desc    Hands the current player was dealt into, newest first
+// @route   GET /api/poker/hands?limit=25&before=<handId>
+router.get('/', protect, async (req, res) => {
+    try {
+        const { limit, before } = req.query;
+        if (before !== undefined && !isHandId(before)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid hand id'
+            });
+        }
+
+        const hands = await listHandsForUser(req.user.id, { limit, before });
+
+        res.json({
+            success: true,
+            hands
+        });
+    } catch (error) {
+        console.error('Poker hand history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load hand history'
+        });
+    }
+});
+
+// @desc    Full hand for the replayer
+// @route   GET /api/poker/hands/:handId
+router.get('/:handId', protect, async (req, res) => {
+    try {
+        const hand = isHandId(req.params.handId)
+            ? await getHandForUser(req.params.handId, req.user.id)
+            : null;
+
+        if (!hand) {
+            return res.status(404).json({
+                success: false,
+                message: 'Hand not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            hand
+        });
+    } catch (error) {
+        console.error('Poker hand error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load hand'
+        });
+    }
+});
+
+// @desc    Hand history text in PokerStars format
+// @route   GET /api/poker/hands/:handId/export
+router.get('/:handId/export', protect, async (req, res) => {
+    try {
+        const hand = isHandId(req.params.handId)
+            ? await getHandForUser(req.params.handId, req.user.id)
+            : null;
+
+        if (!hand) {
+            return res.status(404).json({
+                success: false,
+                message: 'Hand not found'
+            });
+        }
+
+        res.set('Content-Disposition', `attachment; filename="hand-${hand.id}.txt"`);
+        res.type('text/plain').send(toPokerStarsText(hand, req.user.id));
+    } catch (error) {
+        console.error('Poker hand export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export hand'
+        });
+    }
+});
+
+module.exports = router;
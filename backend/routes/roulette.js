@@ -93,7 +93,8 @@ router.post('/spin', protect, async (req, res) => {
             totalBet: parseFloat(data.totalBet),
             totalWin: parseFloat(data.totalWin),
             netResult: parseFloat(data.netResult),
-            newBalance: parseFloat(data.newBalance)
+            newBalance: parseFloat(data.newBalance),
+            fairness: data.fairness
         });
 
     } catch (error) {
@@ -68,7 +68,8 @@ router.post('/start', protect, async (req, res) => {
             currentRow: data.currentRow,
             currentMultiplier: parseFloat(data.currentMultiplier),
             nextMultiplier: parseFloat(data.nextMultiplier),
-            newBalance: parseFloat(data.newBalance)
+            newBalance: parseFloat(data.newBalance),
+            fairness: data.fairness
         });
 
     } catch (error) {
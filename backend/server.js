@@ -16,6 +16,12 @@ const rouletteRoutes = require('./routes/roulette');
 const minesRoutes = require('./routes/mines');
 const towerRoutes = require('./routes/tower');
 const iplRoutes = require('./routes/ipl');
+const baccaratRoutes = require('./routes/baccarat');
+const aviatorRoutes = require('./routes/aviator');
+const coinflipRoutes = require('./routes/coinflip');
+const pokerRoutes = require('./routes/poker');
+const pokerHandRoutes = require('./routes/pokerHands');
+const fairnessRoutes = require('./routes/fairness');
 
 const app = express();
 const server = http.createServer(app);
@@ -92,7 +98,13 @@ app.use('/api/games', gameRoutes);
 app.use('/api/games/roulette', rouletteRoutes);
 app.use('/api/games/mines', minesRoutes);
 app.use('/api/games/tower', towerRoutes);
+app.use('/api/games/baccarat', baccaratRoutes);
+app.use('/api/games/aviator', aviatorRoutes);
+app.use('/api/games/coinflip', coinflipRoutes);
+app.use('/api/games/poker', pokerRoutes);
+app.use('/api/poker/hands', pokerHandRoutes);
 app.use('/api/bet', iplRoutes);
+app.use('/api/fairness', fairnessRoutes);
 
 // Test route
 app.get('/api/test', (req, res) => {
@@ -129,11 +141,18 @@ app.use((err, req, res, next) => {
 });
 
 // Socket.io connection handling
+// Default namespace: bind the Supabase user to the socket at handshake time
+const { protectSocket } = require('./middleware/auth');
+io.use(protectSocket);
+
 require('./socket/poker')(io);
 require('./socket/coinflip')(io);
 require('./socket/crashLoop')(io);
 require('./socket/iplLive')(io);
-// UNO game logic moved to Supabase SQL (uno_split_state.sql)
+require('./services/coinflipChallenges').startExpirySweep();
+// UNO game logic moved to Supabase SQL (uno_rebuild.sql); the server only times out turns
+require('./services/unoTurnTimer').startTurnSweep();
+require('./services/unoBots').startBotRunner();
 
 const PORT = process.env.PORT || 5000;
 const HOST = '0.0.0.0';
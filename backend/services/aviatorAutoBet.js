@@ -0,0 +1,261 @@
+/**
+ * AVIATOR AUTO-BET
+ * ================
+ * Server-run auto-bet strategies per bet slot.  Settings and progress
+ * live in crash_autobets; socket/crashLoop.js places a bet for every
+ * running row each round and reports the outcome back here.
+ *
+ * After each round the stake either resets to the base bet or grows by
+ * a percentage, separately on win and on loss:
+ *   fixed               – always the base bet
+ *   martingale          – +100% after a loss, reset after a win
+ *   reverse_martingale  – +100% after a win, reset after a loss
+ *   custom              – any reset/increase combination
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { MAX_MULTIPLIER } = require('./aviatorChain');
+
+const MAX_ROUNDS = 10000;
+const MAX_INCREASE_PERCENT = 1000;
+
+const STRATEGIES = {
+    fixed: { onWin: 'reset', onWinPercent: 0, onLoss: 'reset', onLossPercent: 0 },
+    martingale: { onWin: 'reset', onWinPercent: 0, onLoss: 'increase', onLossPercent: 100 },
+    reverse_martingale: { onWin: 'increase', onWinPercent: 100, onLoss: 'reset', onLossPercent: 0 }
+};
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+const optionalPositive = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n > 0 ? r2(n) : NaN;
+};
+
+/**
+ * Validate auto-bet settings from the client.
+ * Returns { settings } or { error }.
+ */
+function normalizeSettings(input = {}) {
+    const strategy = input.strategy || 'fixed';
+    if (strategy !== 'custom' && !STRATEGIES[strategy]) {
+        return { error: 'Unknown strategy' };
+    }
+
+    const rounds = parseInt(input.rounds, 10);
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+        return { error: `Rounds must be between 1 and ${MAX_ROUNDS}` };
+    }
+
+    const baseBet = r2(parseFloat(input.baseBet));
+    if (!Number.isFinite(baseBet) || baseBet <= 0) {
+        return { error: 'Base bet must be greater than 0' };
+    }
+
+    const autoCashout = r2(parseFloat(input.autoCashout));
+    if (!Number.isFinite(autoCashout) || autoCashout < 1.01 || autoCashout > MAX_MULTIPLIER) {
+        return { error: `Auto cashout must be between 1.01x and ${MAX_MULTIPLIER}x` };
+    }
+
+    const maxStake = optionalPositive(input.maxStake);
+    const stopOnProfit = optionalPositive(input.stopOnProfit);
+    const stopOnLoss = optionalPositive(input.stopOnLoss);
+
+    if (Number.isNaN(maxStake) || Number.isNaN(stopOnProfit) || Number.isNaN(stopOnLoss)) {
+        return { error: 'Max stake and stop limits must be positive amounts' };
+    }
+
+    if (maxStake !== null && maxStake < baseBet) {
+        return { error: 'Max stake must be at least the base bet' };
+    }
+
+    const rules = strategy === 'custom' ? {
+        onWin: input.onWin === 'increase' ? 'increase' : 'reset',
+        onWinPercent: parseFloat(input.onWinPercent) || 0,
+        onLoss: input.onLoss === 'increase' ? 'increase' : 'reset',
+        onLossPercent: parseFloat(input.onLossPercent) || 0
+    } : STRATEGIES[strategy];
+
+    for (const key of ['onWinPercent', 'onLossPercent']) {
+        if (rules[key] < 0 || rules[key] > MAX_INCREASE_PERCENT) {
+            return { error: `Increase must be between 0% and ${MAX_INCREASE_PERCENT}%` };
+        }
+    }
+
+    return {
+        settings: {
+            strategy,
+            rounds,
+            baseBet,
+            autoCashout,
+            maxStake,
+            stopOnProfit,
+            stopOnLoss,
+            ...rules
+        }
+    };
+}
+
+/**
+ * Stake for the next round after a win or a loss
+ */
+function nextStake(settings, currentStake, won) {
+    const action = won ? settings.onWin : settings.onLoss;
+    const percent = won ? settings.onWinPercent : settings.onLossPercent;
+
+    let stake = action === 'increase'
+        ? r2(currentStake * (1 + percent / 100))
+        : settings.baseBet;
+
+    if (settings.maxStake !== null && stake > settings.maxStake) stake = settings.maxStake;
+    return stake;
+}
+
+/**
+ * Why an auto-bet should stop after this round, if it should
+ */
+function stopReason(settings, state) {
+    if (state.rounds_played >= settings.rounds) return `Completed ${settings.rounds} rounds`;
+    if (settings.stopOnProfit !== null && state.net_profit >= settings.stopOnProfit) return 'Profit target reached';
+    if (settings.stopOnLoss !== null && -state.net_profit >= settings.stopOnLoss) return 'Loss limit reached';
+    return null;
+}
+
+/**
+ * Shape sent to the client
+ */
+function formatAutoBet(row) {
+    return {
+        betNumber: row.bet_number,
+        status: row.status,
+        settings: row.settings,
+        currentStake: parseFloat(row.current_stake),
+        roundsPlayed: row.rounds_played,
+        wins: row.wins,
+        losses: row.losses,
+        wagered: parseFloat(row.wagered),
+        netProfit: parseFloat(row.net_profit),
+        stopReason: row.stop_reason,
+        startedAt: row.started_at
+    };
+}
+
+async function startAutoBet(userId, betNumber, input) {
+    if (![1, 2].includes(betNumber)) return { success: false, error: 'Invalid bet slot' };
+
+    const { settings, error: invalid } = normalizeSettings(input);
+    if (invalid) return { success: false, error: invalid };
+
+    const { data, error } = await supabaseAdmin
+        .from('crash_autobets')
+        .upsert({
+            user_id: userId,
+            bet_number: betNumber,
+            settings,
+            status: 'running',
+            current_stake: settings.baseBet,
+            rounds_played: 0,
+            wins: 0,
+            losses: 0,
+            wagered: 0,
+            net_profit: 0,
+            stop_reason: null,
+            last_round_id: null,
+            started_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+    if (error) return { success: false, error: error.message };
+    return { success: true, autobet: data };
+}
+
+/**
+ * Stop a user's auto-bets (one slot, or both when betNumber is null)
+ */
+async function stopAutoBets(userId, betNumber, reason) {
+    let query = supabaseAdmin
+        .from('crash_autobets')
+        .update({ status: 'stopped', stop_reason: reason, updated_at: new Date().toISOString() })
+        .eq('status', 'running');
+
+    if (userId) query = query.eq('user_id', userId);
+    if (betNumber) query = query.eq('bet_number', betNumber);
+
+    const { data, error } = await query.select();
+    if (error) throw new Error(error.message);
+    return data || [];
+}
+
+async function getRunningAutoBets() {
+    const { data, error } = await supabaseAdmin
+        .from('crash_autobets')
+        .select('*')
+        .eq('status', 'running');
+
+    if (error) throw new Error(error.message);
+    return data || [];
+}
+
+async function getUserAutoBets(userId) {
+    const { data, error } = await supabaseAdmin
+        .from('crash_autobets')
+        .select('*')
+        .eq('user_id', userId)
+        .order('bet_number');
+
+    if (error) throw new Error(error.message);
+    return data || [];
+}
+
+/**
+ * Record a finished round for an auto-bet and work out the next stake.
+ * Status is only written when a stop condition hits, so a stop issued
+ * mid-round is never overwritten.  Only the run that placed the bet is
+ * updated: returns null if the slot was restarted in the meantime.
+ */
+async function recordRound(autobet, { roundId, stake, profit }) {
+    const won = profit > 0;
+    const state = {
+        rounds_played: autobet.rounds_played + 1,
+        wins: autobet.wins + (won ? 1 : 0),
+        losses: autobet.losses + (won ? 0 : 1),
+        wagered: r2(parseFloat(autobet.wagered) + stake),
+        net_profit: r2(parseFloat(autobet.net_profit) + profit),
+        current_stake: nextStake(autobet.settings, stake, won),
+        last_round_id: roundId,
+        updated_at: new Date().toISOString()
+    };
+
+    const reason = stopReason(autobet.settings, state);
+    if (reason) {
+        state.status = 'stopped';
+        state.stop_reason = reason;
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('crash_autobets')
+        .update(state)
+        .eq('user_id', autobet.user_id)
+        .eq('bet_number', autobet.bet_number)
+        .eq('started_at', autobet.started_at)
+        .select()
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+module.exports = {
+    STRATEGIES,
+    normalizeSettings,
+    nextStake,
+    formatAutoBet,
+    startAutoBet,
+    stopAutoBets,
+    getRunningAutoBets,
+    getUserAutoBets,
+    recordRound
+};
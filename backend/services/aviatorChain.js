@@ -0,0 +1,299 @@
+/**
+ * AVIATOR HASH CHAIN
+ * ==================
+ * Bustabit-style pre-committed crash points.
+ *
+ * A chain is generated up front from a secret seed:
+ *   hash[0] = seed, hash[k] = SHA256(hash[k - 1]), k = 1 … length
+ * hash[length] is the terminating hash and is published before any round
+ * is played.  Round n of the chain uses game hash hash[length - n], so
+ * SHA256(game hash of round n) is the game hash of round n - 1 and
+ * hashing round n's game hash n times lands on the terminating hash.
+ * The server can't pick outcomes: every game hash is fixed by the seed.
+ *
+ * The salt is a public value that didn't exist when the chain was
+ * committed (e.g. a Bitcoin block hash announced with the terminating
+ * hash), so the server couldn't have searched for a favourable seed:
+ *   crash point = f(HMAC_SHA256(key = game hash, msg = salt))
+ *
+ * Rounds store the game hash as server_seed (sealed until the round ends),
+ * the salt as client_seed and SHA256(game hash) as hash, so chain and
+ * legacy rounds verify the same way.
+ * Mirrored in frontend/src/lib/fairness.js
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { supabaseAdmin } = require('../config/supabase');
+
+const HOUSE_EDGE = 0.04;         // 4% house edge
+const MAX_MULTIPLIER = 1000;     // Maximum crash point
+const DEFAULT_CHAIN_LENGTH = 1000000;
+const MAX_CHAIN_LENGTH = 10000000;
+const CHECKPOINT_EVERY = 1000;   // Cached hashes per chain, bounds lookups to 1000 hashes
+const VERIFY_WALK_LIMIT = 100000;
+
+// chainId -> Promise of [hash[0], hash[1000], …]
+const checkpointCache = new Map();
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Crash point for a game hash + salt (2 decimals, as stored)
+ */
+function crashPointFromHash(gameHash, salt) {
+    const hash = crypto.createHmac('sha256', gameHash)
+        .update(salt)
+        .digest('hex');
+
+    // Using first 8 characters (32 bits) of hash
+    const h = parseInt(hash.substring(0, 8), 16);
+
+    // Formula: 99 / (1 - h / 2^32) with house edge
+    const e = Math.pow(2, 32);
+    const crashPoint = Math.max(1.00, (100 * e - h) / (e - h) * (1 - HOUSE_EDGE) / 100);
+
+    return parseFloat(Math.min(crashPoint, MAX_MULTIPLIER).toFixed(2));
+}
+
+/**
+ * Hash `value` `times` times
+ */
+function walk(value, times) {
+    let hash = value;
+    for (let i = 0; i < times; i++) hash = sha256(hash);
+    return hash;
+}
+
+/**
+ * Walk the whole chain once on a worker thread, keeping every
+ * CHECKPOINT_EVERY-th hash
+ */
+function buildCheckpoints(seed, length) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'aviatorChainWorker.js'), {
+            workerData: { seed, length, every: CHECKPOINT_EVERY }
+        });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if (code !== 0) reject(new Error(`Hash chain worker exited with code ${code}`));
+        });
+    });
+}
+
+/**
+ * Checkpoints of a chain, built once per process.  The seed never leaves
+ * the database through an RPC; it is read here with the service role.
+ */
+function loadCheckpoints(chain) {
+    let pending = checkpointCache.get(chain.id);
+    if (pending) return pending;
+
+    pending = (async () => {
+        const { data, error } = await supabaseAdmin
+            .from('crash_hash_chains')
+            .select('seed')
+            .eq('id', chain.id)
+            .single();
+
+        if (error) throw new Error(error.message);
+
+        const built = await buildCheckpoints(data.seed, chain.length);
+        if (built.terminatingHash !== chain.terminating_hash) {
+            throw new Error(`Hash chain ${chain.id} does not match its terminating hash`);
+        }
+        return built.checkpoints;
+    })();
+
+    // Let a failed build be retried on the next lookup
+    pending.catch(() => checkpointCache.delete(chain.id));
+    checkpointCache.set(chain.id, pending);
+    return pending;
+}
+
+/**
+ * Start building the active chain's checkpoints ahead of its first round
+ * (on activation and at engine startup)
+ */
+async function warmActiveChain() {
+    const { data: chain, error } = await supabaseAdmin
+        .from('crash_hash_chains')
+        .select('id, length, terminating_hash')
+        .eq('active', true)
+        .not('salt', 'is', null)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!chain) return;
+
+    await loadCheckpoints(chain);
+    console.log(`🔗 [Aviator] Hash chain ${chain.id} ready (${chain.length} rounds)`);
+}
+
+/**
+ * Game hash for round `index` (1-based) of a chain
+ */
+async function gameHashAt(chain, index) {
+    const checkpoints = await loadCheckpoints(chain);
+
+    const k = chain.length - index;
+    const checkpoint = Math.floor(k / CHECKPOINT_EVERY);
+    return walk(checkpoints[checkpoint], k - checkpoint * CHECKPOINT_EVERY);
+}
+
+/**
+ * Generate and store a new chain.  Only the terminating hash is public;
+ * the salt is set later once the announced event has happened.
+ */
+async function createChain({ length = DEFAULT_CHAIN_LENGTH, saltSource, createdBy }) {
+    const seed = crypto.randomBytes(32).toString('hex');
+    const { checkpoints, terminatingHash } = await buildCheckpoints(seed, length);
+
+    const { data, error } = await supabaseAdmin
+        .from('crash_hash_chains')
+        .insert({
+            seed,
+            terminating_hash: terminatingHash,
+            length,
+            salt_source: saltSource,
+            created_by: createdBy || null
+        })
+        .select('id, terminating_hash, length, salt_source, created_at')
+        .single();
+
+    if (error) throw new Error(error.message);
+
+    checkpointCache.set(data.id, Promise.resolve(checkpoints));
+    return data;
+}
+
+/**
+ * Set a chain's salt and make it the active chain
+ */
+async function activateChain(chainId, salt) {
+    const { data, error } = await supabaseAdmin.rpc('fn_activate_crash_chain', {
+        p_chain_id: chainId,
+        p_salt: salt
+    });
+
+    if (error) throw new Error(error.message);
+
+    if (data?.success) {
+        warmActiveChain().catch(err => {
+            console.error('[Aviator] Hash chain warm-up failed:', err.message);
+        });
+    }
+    return data;
+}
+
+/**
+ * Seed for the next round: the next game hash of the active chain, or a
+ * one-off random seed while no salted chain is active.
+ */
+async function nextRoundSeed() {
+    const { data, error } = await supabaseAdmin.rpc('fn_claim_crash_chain_index');
+
+    if (error || !data?.success) {
+        console.warn('⚠️ [Aviator] No active hash chain, using a one-off seed:', error?.message || data?.error);
+        return {
+            serverSeed: crypto.randomBytes(32).toString('hex'),
+            clientSeed: 'stakex_public_seed',
+            chainId: null,
+            chainIndex: null
+        };
+    }
+
+    const chain = data.chain;
+    return {
+        serverSeed: await gameHashAt(chain, data.index),
+        clientSeed: chain.salt,
+        chainId: chain.id,
+        chainIndex: data.index
+    };
+}
+
+/**
+ * Public chain details (never the seed)
+ */
+async function listChains(limit = 5) {
+    const { data, error } = await supabaseAdmin
+        .from('crash_hash_chains')
+        .select('id, terminating_hash, length, next_index, salt, salt_source, active, created_at, activated_at')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+/**
+ * Recompute a finished round from its revealed game hash
+ */
+async function verifyRound(roundId) {
+    const { data: round, error } = await supabaseAdmin
+        .from('crash_rounds')
+        .select('id, status, crash_point, hash, server_seed, client_seed, chain_id, chain_index, created_at')
+        .eq('id', roundId)
+        .single();
+
+    if (error || !round) return { success: false, status: 404, error: 'Round not found' };
+
+    if (!['crashed', 'cancelled'].includes(round.status)) {
+        return { success: false, status: 400, error: 'Round is still in progress' };
+    }
+
+    const result = {
+        success: true,
+        round: {
+            id: round.id,
+            status: round.status,
+            crashPoint: parseFloat(round.crash_point),
+            hash: round.hash,
+            gameHash: round.server_seed,
+            salt: round.client_seed,
+            chainId: round.chain_id,
+            chainIndex: round.chain_index,
+            createdAt: round.created_at
+        },
+        computedCrashPoint: crashPointFromHash(round.server_seed, round.client_seed),
+        hashMatches: sha256(round.server_seed) === round.hash,
+        chain: null,
+        chainVerified: null
+    };
+
+    result.crashPointMatches = result.computedCrashPoint === result.round.crashPoint;
+
+    if (round.chain_id) {
+        const { data: chain } = await supabaseAdmin
+            .from('crash_hash_chains')
+            .select('id, terminating_hash, length, salt, salt_source')
+            .eq('id', round.chain_id)
+            .single();
+
+        result.chain = chain || null;
+
+        // Walking the full chain is left to the client for late rounds
+        if (chain && round.chain_index <= VERIFY_WALK_LIMIT) {
+            result.chainVerified = walk(round.server_seed, round.chain_index) === chain.terminating_hash
+                && chain.salt === round.client_seed;
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    HOUSE_EDGE,
+    MAX_MULTIPLIER,
+    DEFAULT_CHAIN_LENGTH,
+    MAX_CHAIN_LENGTH,
+    crashPointFromHash,
+    createChain,
+    activateChain,
+    nextRoundSeed,
+    warmActiveChain,
+    listChains,
+    verifyRound
+};
@@ -0,0 +1,24 @@
+/**
+ * AVIATOR HASH CHAIN WORKER
+ * =========================
+ * Walks a whole hash chain (up to millions of SHA256 calls) on a worker
+ * thread so the crash engine and sockets keep running meanwhile.
+ * Started by buildCheckpoints() in aviatorChain.js.
+ *
+ * workerData: { seed, length, every }
+ * posts:      { checkpoints: [hash[0], hash[every], …], terminatingHash }
+ */
+
+const crypto = require('crypto');
+const { parentPort, workerData } = require('worker_threads');
+
+const { seed, length, every } = workerData;
+
+const checkpoints = [seed];
+let hash = seed;
+for (let k = 1; k <= length; k++) {
+    hash = crypto.createHash('sha256').update(hash).digest('hex');
+    if (k % every === 0) checkpoints.push(hash);
+}
+
+parentPort.postMessage({ checkpoints, terminatingHash: hash });
@@ -0,0 +1,224 @@
+/**
+ * BACCARAT (PUNTO BANCO) GAME SERVICE
+ * ====================================
+ * Server-authoritative dealing. Each table owns an 8-deck shoe that is
+ * shuffled with a CSPRNG and reshuffled once the cut card is reached.
+ *
+ * Standard Rules:
+ * - Card values: 2-9 = face, 10/J/Q/K = 0, A = 1
+ * - Score = sum of cards mod 10
+ * - Natural: 8 or 9 on first two cards
+ */
+
+const crypto = require('crypto');
+
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+const DECKS_PER_SHOE = 8;
+const CUT_CARD_POSITION = 16; // Reshuffle when this many cards remain
+
+// Bet zones and their total return multipliers (stake included)
+const PAYOUTS = {
+    player: 2,        // 1:1
+    banker: 1.95,     // 0.95:1 (5% commission)
+    tie: 9,           // 8:1
+    playerPair: 12,   // 11:1
+    bankerPair: 12    // 11:1
+};
+
+const BET_ZONES = Object.keys(PAYOUTS);
+
+// Shoes keyed by table id
+const shoes = new Map();
+
+/**
+ * Create a shuffled 8-deck shoe
+ */
+const createShoe = () => {
+    const cards = [];
+    for (let d = 0; d < DECKS_PER_SHOE; d++) {
+        for (const suit of SUITS) {
+            for (const rank of RANKS) {
+                cards.push({ suit, rank });
+            }
+        }
+    }
+
+    // Fisher-Yates with crypto RNG
+    for (let i = cards.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+
+    return { id: crypto.randomUUID(), cards, handsDealt: 0 };
+};
+
+/**
+ * Get the shoe for a table, replacing it once the cut card is reached
+ */
+const getShoe = (tableId) => {
+    let shoe = shoes.get(tableId);
+    if (!shoe || shoe.cards.length <= CUT_CARD_POSITION) {
+        shoe = createShoe();
+        shoes.set(tableId, shoe);
+    }
+    return shoe;
+};
+
+const getShoeInfo = (tableId) => {
+    const shoe = getShoe(tableId);
+    return {
+        shoeId: shoe.id,
+        cardsRemaining: shoe.cards.length,
+        handsDealt: shoe.handsDealt
+    };
+};
+
+const getCardValue = (card) => {
+    if (card.rank === 'A') return 1;
+    if (['10', 'J', 'Q', 'K'].includes(card.rank)) return 0;
+    return parseInt(card.rank, 10);
+};
+
+const calculateScore = (cards) => cards.reduce((sum, card) => sum + getCardValue(card), 0) % 10;
+
+const isNatural = (cards) => cards.length === 2 && calculateScore(cards) >= 8;
+
+const isPair = (cards) => cards[0].rank === cards[1].rank;
+
+// Player draws on 0-5, stands on 6-7
+const shouldPlayerDraw = (playerScore) => playerScore <= 5;
+
+/**
+ * Banker third-card rule, depends on whether the Player drew
+ * and the value of the Player's third card
+ */
+const shouldBankerDraw = (bankerScore, playerDrew, p3) => {
+    if (bankerScore === 7) return false;
+    if (bankerScore <= 2) return true;
+    if (!playerDrew) return bankerScore <= 5;
+
+    switch (bankerScore) {
+        case 3: return p3 !== 8;
+        case 4: return p3 >= 2 && p3 <= 7;
+        case 5: return p3 >= 4 && p3 <= 7;
+        case 6: return p3 === 6 || p3 === 7;
+        default: return false;
+    }
+};
+
+const determineWinner = (playerScore, bankerScore) => {
+    if (playerScore > bankerScore) return 'player';
+    if (bankerScore > playerScore) return 'banker';
+    return 'tie';
+};
+
+/**
+ * Deal a complete round from the table's shoe
+ */
+const dealRound = (tableId) => {
+    const shoe = getShoe(tableId);
+    const draw = () => shoe.cards.shift();
+
+    // Initial deal: Player, Banker, Player, Banker
+    const playerCards = [draw()];
+    const bankerCards = [draw()];
+    playerCards.push(draw());
+    bankerCards.push(draw());
+
+    const playerNatural = isNatural(playerCards);
+    const bankerNatural = isNatural(bankerCards);
+
+    if (!playerNatural && !bankerNatural) {
+        let playerDrew = false;
+        let playerThirdCardValue = null;
+
+        if (shouldPlayerDraw(calculateScore(playerCards))) {
+            const third = draw();
+            playerCards.push(third);
+            playerDrew = true;
+            playerThirdCardValue = getCardValue(third);
+        }
+
+        if (shouldBankerDraw(calculateScore(bankerCards), playerDrew, playerThirdCardValue)) {
+            bankerCards.push(draw());
+        }
+    }
+
+    shoe.handsDealt++;
+
+    const playerScore = calculateScore(playerCards);
+    const bankerScore = calculateScore(bankerCards);
+
+    return {
+        shoeId: shoe.id,
+        handNumber: shoe.handsDealt,
+        playerCards,
+        bankerCards,
+        playerScore,
+        bankerScore,
+        winner: determineWinner(playerScore, bankerScore),
+        playerNatural,
+        bankerNatural,
+        playerPair: isPair(playerCards),
+        bankerPair: isPair(bankerCards)
+    };
+};
+
+/**
+ * Settle a single bet zone against a dealt round
+ */
+const settleZone = (zone, amount, round) => {
+    if (!amount) return { won: false, payout: 0, profit: 0 };
+
+    let won;
+    if (zone === 'playerPair') won = round.playerPair;
+    else if (zone === 'bankerPair') won = round.bankerPair;
+    else won = zone === round.winner;
+
+    if (won) {
+        const payout = r2(amount * PAYOUTS[zone]);
+        return { won: true, payout, profit: r2(payout - amount) };
+    }
+
+    // Tie pushes Player/Banker bets
+    if (round.winner === 'tie' && (zone === 'player' || zone === 'banker')) {
+        return { won: false, payout: amount, profit: 0, push: true };
+    }
+
+    return { won: false, payout: 0, profit: -amount };
+};
+
+/**
+ * Calculate payouts for all bet zones
+ */
+const calculateRoundResult = (bets, round) => {
+    const results = {};
+    let totalBet = 0;
+    let totalPayout = 0;
+
+    for (const zone of BET_ZONES) {
+        const amount = bets[zone] || 0;
+        results[zone] = settleZone(zone, amount, round);
+        totalBet += amount;
+        totalPayout += results[zone].payout;
+    }
+
+    return {
+        results,
+        totalBet: r2(totalBet),
+        totalPayout: r2(totalPayout),
+        totalProfit: r2(totalPayout - totalBet)
+    };
+};
+
+function r2(n) { return Math.round(n * 100) / 100; }
+
+module.exports = {
+    dealRound,
+    calculateRoundResult,
+    getShoeInfo,
+    PAYOUTS,
+    BET_ZONES
+};
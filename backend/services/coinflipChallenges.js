@@ -0,0 +1,102 @@
+/**
+ * COINFLIP CHALLENGES
+ * ===================
+ * Player-vs-player flips.  Stakes are held in escrow on the challenge
+ * row by the RPCs in supabase/coinflip.sql; this module wraps them and
+ * sweeps challenges nobody accepted back to their creators.
+ *
+ *   open → finished (accepted and flipped)
+ *        → cancelled (creator pulled it)
+ *        → expired (nobody accepted in time)
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const DEFAULT_EXPIRY_SECONDS = 600;
+const MAX_EXPIRY_SECONDS = 24 * 60 * 60;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+let sweepTimer = null;
+
+async function createChallenge(userId, { amount, side, clientSeed, expiresIn }) {
+    const seconds = Math.min(parseInt(expiresIn, 10) || DEFAULT_EXPIRY_SECONDS, MAX_EXPIRY_SECONDS);
+
+    const { data, error } = await supabaseAdmin.rpc('fn_coinflip_create_challenge', {
+        p_user_id: userId,
+        p_amount: amount,
+        p_side: side,
+        p_client_seed: clientSeed || null,
+        p_expires_in: seconds
+    });
+
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+async function acceptChallenge(userId, challengeId, clientSeed) {
+    const { data, error } = await supabaseAdmin.rpc('fn_coinflip_accept_challenge', {
+        p_challenge_id: challengeId,
+        p_user_id: userId,
+        p_client_seed: clientSeed || null
+    });
+
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+async function cancelChallenge(userId, challengeId) {
+    const { data, error } = await supabaseAdmin.rpc('fn_coinflip_refund_challenge', {
+        p_challenge_id: challengeId,
+        p_user_id: userId
+    });
+
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+/**
+ * Refund every open challenge past its expiry
+ */
+async function expireChallenges() {
+    const { data: expired, error } = await supabaseAdmin
+        .from('coinflip_challenges')
+        .select('id')
+        .eq('status', 'open')
+        .lte('expires_at', new Date().toISOString());
+
+    if (error) throw new Error(error.message);
+
+    let refunded = 0;
+    for (const challenge of expired) {
+        const { data, error: refundError } = await supabaseAdmin.rpc('fn_coinflip_refund_challenge', {
+            p_challenge_id: challenge.id,
+            p_user_id: null
+        });
+
+        // Accepted in the meantime: the RPC refuses, nothing to do
+        if (refundError) {
+            console.error(`Failed to expire coinflip challenge ${challenge.id}:`, refundError.message);
+        } else if (data.success) {
+            refunded++;
+        }
+    }
+
+    if (refunded) console.log(`🪙 Expired ${refunded} coinflip challenge(s)`);
+    return refunded;
+}
+
+function startExpirySweep() {
+    if (sweepTimer) return;
+
+    const run = () => expireChallenges().catch(err => console.error('CoinFlip expiry sweep error:', err.message));
+    run();
+    sweepTimer = setInterval(run, SWEEP_INTERVAL_MS);
+}
+
+module.exports = {
+    createChallenge,
+    acceptChallenge,
+    cancelChallenge,
+    expireChallenges,
+    startExpirySweep
+};
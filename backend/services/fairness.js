@@ -0,0 +1,156 @@
+/**
+ * PROVABLY FAIR SERVICE
+ * =====================
+ * Recomputes single-player outcomes from a seed pair + nonce.
+ * Must stay in sync with supabase/fairness.sql and the game RPCs.
+ *
+ * Each bet hashes HMAC_SHA256(serverSeed, `${clientSeed}:${nonce}:${cursor}`)
+ * for cursor = 0, 1, ... and reads 4 bytes per float, so one digest yields
+ * 8 floats in [0, 1). Integers are kept as uint32 so JS and Postgres agree.
+ */
+
+const crypto = require('crypto');
+
+const GAMES = ['dice', 'slots', 'roulette', 'mines', 'tower'];
+
+// Same order and weights as slots_spin
+const SLOT_SYMBOLS = ['🍒', '🍋', '🍊', '🍇', '🔔', '💎', '7️⃣'];
+const SLOT_WEIGHTS = [28, 22, 18, 15, 10, 5, 2];
+const SLOT_TOTAL_WEIGHT = 100;
+
+const TOWER_ROWS = 10;
+const TOWER_COLUMNS = 5;
+const TOWER_MINES = { easy: 1, medium: 2, hard: 3 };
+
+const MINES_TILES = 25;
+
+const TWO_POW_32 = 4294967296;
+
+const hashServerSeed = (serverSeed) =>
+    crypto.createHash('sha256').update(serverSeed).digest('hex');
+
+/**
+ * Generate `count` uint32 values for a bet
+ */
+const generateInts = (serverSeed, clientSeed, nonce, count) => {
+    const ints = [];
+    let cursor = 0;
+
+    while (ints.length < count) {
+        const digest = crypto
+            .createHmac('sha256', serverSeed)
+            .update(`${clientSeed}:${nonce}:${cursor}`)
+            .digest();
+
+        for (let offset = 0; offset < 32 && ints.length < count; offset += 4) {
+            ints.push(digest.readUInt32BE(offset));
+        }
+        cursor++;
+    }
+
+    return ints;
+};
+
+// floor(float * n) without floating point drift
+const scale = (int, n) => Math.floor((int * n) / TWO_POW_32);
+
+const deriveDice = (ints) => ({ roll: scale(ints[0], 10000) / 100 });
+
+const deriveRoulette = (ints) => ({ result: scale(ints[0], 37) });
+
+const deriveSlots = (ints) => ({
+    symbols: ints.slice(0, 3).map((int) => {
+        const r = scale(int, SLOT_TOTAL_WEIGHT);
+        let cumulative = 0;
+        for (let i = 0; i < SLOT_WEIGHTS.length; i++) {
+            cumulative += SLOT_WEIGHTS[i];
+            if (r < cumulative) return SLOT_SYMBOLS[i];
+        }
+        return SLOT_SYMBOLS[SLOT_SYMBOLS.length - 1];
+    })
+});
+
+const deriveMines = (ints, minesCount) => {
+    const tiles = Array.from({ length: MINES_TILES }, (_, i) => i);
+    for (let i = 0; i < MINES_TILES - 1; i++) {
+        const j = i + scale(ints[i], MINES_TILES - i);
+        [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+    }
+    return { minePositions: tiles.slice(0, minesCount) };
+};
+
+const deriveTower = (ints, mineCount) => {
+    const grid = [];
+    let idx = 0;
+
+    for (let row = 0; row < TOWER_ROWS; row++) {
+        const columns = [0, 1, 2, 3, 4];
+        for (let k = 0; k < mineCount; k++) {
+            const j = k + scale(ints[idx++], TOWER_COLUMNS - k);
+            [columns[k], columns[j]] = [columns[j], columns[k]];
+        }
+
+        const cells = new Array(TOWER_COLUMNS).fill(0);
+        columns.slice(0, mineCount).forEach((col) => { cells[col] = 1; });
+        grid.push(cells);
+    }
+
+    return { grid };
+};
+
+/**
+ * Validate game params and return how many floats the game consumes
+ */
+const floatsNeeded = (game, params = {}) => {
+    switch (game) {
+        case 'dice':
+        case 'roulette':
+            return 1;
+        case 'slots':
+            return 3;
+        case 'mines': {
+            const minesCount = parseInt(params.minesCount, 10);
+            if (!minesCount || minesCount < 1 || minesCount > 24) {
+                throw new Error('Mines count must be between 1 and 24');
+            }
+            return MINES_TILES - 1;
+        }
+        case 'tower': {
+            if (!TOWER_MINES[params.difficulty]) {
+                throw new Error('Invalid difficulty');
+            }
+            return TOWER_ROWS * TOWER_MINES[params.difficulty];
+        }
+        default:
+            throw new Error(`Unsupported game: ${game}`);
+    }
+};
+
+/**
+ * Recompute the outcome of a bet
+ */
+const computeOutcome = ({ serverSeed, clientSeed, nonce, game, params = {} }) => {
+    if (!serverSeed || typeof serverSeed !== 'string') throw new Error('Server seed is required');
+    if (!clientSeed || typeof clientSeed !== 'string') throw new Error('Client seed is required');
+
+    const n = Number(nonce);
+    if (!Number.isInteger(n) || n < 0) throw new Error('Nonce must be a non-negative integer');
+
+    const ints = generateInts(serverSeed, clientSeed, n, floatsNeeded(game, params));
+
+    switch (game) {
+        case 'dice': return deriveDice(ints);
+        case 'roulette': return deriveRoulette(ints);
+        case 'slots': return deriveSlots(ints);
+        case 'mines': return deriveMines(ints, parseInt(params.minesCount, 10));
+        case 'tower': return deriveTower(ints, TOWER_MINES[params.difficulty]);
+        default: throw new Error(`Unsupported game: ${game}`);
+    }
+};
+
+module.exports = {
+    GAMES,
+    hashServerSeed,
+    generateInts,
+    computeOutcome
+};
@@ -0,0 +1,122 @@
+/**
+ * IPL FIXTURE DATA SOURCE  –  OFFLINE REPLAY
+ * ===========================================
+ * Stands in for cricbuzz.com by serving pages captured from it, so the
+ * scraper's real parsing paths can be exercised without network access.
+ *
+ * A fixture is a directory of captured pages plus a manifest.json that
+ * says which capture was current when:
+ *
+ *   {
+ *     "name": "GT vs DC, 14th Match (captured)",
+ *     "frames": [
+ *       { "at": 0, "seriesFile": "live.html", "matches": { "149757": { "page": "cric.html" } } },
+ *       { "at": 3600, "seriesFile": "series.html" }
+ *     ]
+ *   }
+ *
+ * `at` is seconds of simulated time.  The simulated clock starts when the
+ * source is created and runs `speed` times faster than real time; every
+ * fetch returns the latest frame at or before "now", so the final frame
+ * stays up once the replay ends.
+ *
+ * Each frame only lists what changed: `seriesFile` and each match entry
+ * carry over from the previous frame.  Per match:
+ *   page        – Captured match page (live-cricket-scores/<id>)
+ *   scorecard   – Captured scorecard page (live-cricket-scorecard/<id>)
+ * Pages are served byte-for-byte as recorded.  Fetching a page that was
+ * never captured fails the same way a network error would.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'ipl', 'gt-vs-dc');
+
+/**
+ * Create a data source that replays a fixture directory.
+ *
+ * @param {object} options
+ * @param {string} [options.dir]   – Fixture directory (defaults to the bundled GT vs DC replay)
+ * @param {number} [options.speed] – Simulated seconds per real second
+ * @param {function} [options.now] – Clock override, returns ms (for tests)
+ */
+function createFixtureSource({ dir, speed = 1, now = Date.now } = {}) {
+    const fixtureDir = path.resolve(dir || DEFAULT_FIXTURE_DIR);
+    const manifest = JSON.parse(fs.readFileSync(path.join(fixtureDir, 'manifest.json'), 'utf8'));
+    const frames = [...(manifest.frames || [])].sort((a, b) => a.at - b.at);
+
+    if (frames.length === 0) {
+        throw new Error(`IPL fixture ${fixtureDir} has no frames`);
+    }
+
+    // Resolve merged per-frame state once, up front
+    let previous = { matches: {}, seriesFile: null };
+    const resolved = frames.map(frame => {
+        const matches = { ...previous.matches };
+        for (const [id, entry] of Object.entries(frame.matches || {})) {
+            matches[id] = { ...matches[id], ...entry };
+        }
+        previous = {
+            at: frame.at,
+            matches,
+            seriesFile: frame.seriesFile !== undefined ? frame.seriesFile : previous.seriesFile
+        };
+        return previous;
+    });
+
+    let startedAt = now();
+
+    const readFile = (name) => fs.readFileSync(path.join(fixtureDir, name), 'utf8');
+
+    /** Simulated seconds since the replay started */
+    const clock = () => ((now() - startedAt) / 1000) * speed;
+
+    const currentFrame = () => {
+        const t = clock();
+        let frame = resolved[0];
+        for (const f of resolved) {
+            if (f.at <= t) frame = f;
+            else break;
+        }
+        return frame;
+    };
+
+    const capturedPage = (cricbuzzId, kind) => {
+        const name = (currentFrame().matches[cricbuzzId] || {})[kind];
+        if (!name) throw new Error(`Fixture has no captured ${kind} for match ${cricbuzzId}`);
+        return readFile(name);
+    };
+
+    console.log(`🏏 [IPL Fixture] Replaying "${manifest.name || fixtureDir}" at ${speed}x (${frames.length} frames)`);
+
+    return {
+        name: `fixture:${manifest.name || path.basename(fixtureDir)}`,
+        scheduleTtl: 0,     // Local reads are cheap, always see the current frame
+        alwaysOn: true,
+
+        async fetchSeriesPage() {
+            const { seriesFile } = currentFrame();
+            if (!seriesFile) throw new Error('Fixture has no captured series page');
+            return readFile(seriesFile);
+        },
+
+        async fetchMatchPage(cricbuzzId) {
+            return capturedPage(cricbuzzId, 'page');
+        },
+
+        async fetchScorecardPage(cricbuzzId) {
+            return capturedPage(cricbuzzId, 'scorecard');
+        },
+
+        /** Simulated seconds since the replay (re)started */
+        clock,
+
+        /** Restart the replay from the first frame */
+        reset() {
+            startedAt = now();
+        }
+    };
+}
+
+module.exports = { createFixtureSource };
@@ -0,0 +1,148 @@
+/**
+ * IPL MATCH LEDGER
+ * =================
+ * Persists match lifecycle in the ipl_matches table and runs settlement
+ * as claimable jobs, so a restart or a crash mid-settlement simply
+ * resumes and two backend instances never settle the same match.
+ *
+ *   scheduled → live → betting_closed → completed → settled
+ *
+ * Settlement itself is idempotent per bet (the RPCs only touch pending
+ * bets), a match is only marked settled once none of its bets are left.
+ */
+
+const os = require('os');
+const { supabaseAdmin } = require('../config/supabase');
+const { IPL_TEAMS, VOID_RESULTS } = require('./iplScraper');
+const { settleMatch, voidMatch } = require('./iplSettlement');
+
+// Identifies this backend instance on settlement claims
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const LEASE_SECONDS = 300;
+const MAX_JOBS_PER_RUN = 5;
+
+/**
+ * Map scraped match state onto the ledger lifecycle
+ */
+function ledgerStatus(match) {
+    if (match.status === 'completed') return 'completed';
+    if (match.status === 'live') return match.is_betting_open ? 'live' : 'betting_closed';
+    return 'scheduled';
+}
+
+/**
+ * Record the latest scrape (live, completed and upcoming) in the ledger
+ */
+async function syncMatches(data) {
+    const matches = [...(data.live || []), ...(data.completed || []), ...(data.upcoming || [])];
+    if (matches.length === 0) return;
+
+    const rows = matches.map(m => ({
+        match_id: m.id,
+        cricbuzz_id: m.cricbuzzId || null,
+        title: `${m.team1Name} vs ${m.team2Name}`,
+        team1: m.team1,
+        team2: m.team2,
+        status: ledgerStatus(m),
+        result: m.result || null,
+        winner: m.winner || null
+    }));
+
+    const { data: result, error } = await supabaseAdmin.rpc('sync_ipl_matches', { p_matches: rows });
+    if (error || !result?.success) {
+        console.error('[IPL Ledger] Sync error:', error?.message || result?.error);
+    }
+}
+
+async function countPendingBets(matchId, market) {
+    let query = supabaseAdmin
+        .from('ipl_bets')
+        .select('id', { count: 'exact', head: true })
+        .eq('match_id', matchId)
+        .eq('status', 'pending');
+
+    if (market) query = query.eq('market', market);
+
+    const { count, error } = await query;
+    if (error) throw new Error(error.message);
+    return count || 0;
+}
+
+async function finishJob(matchId, errorMessage = null) {
+    const { data, error } = await supabaseAdmin.rpc('finish_ipl_settlement', {
+        p_match_id: matchId,
+        p_worker: WORKER_ID,
+        p_error: errorMessage
+    });
+
+    if (error || !data?.success) {
+        console.error(`[IPL Ledger] Could not finish settlement of ${matchId}:`, error?.message || data?.error);
+    }
+}
+
+/**
+ * Settle one claimed match.  Throws if anything is left pending so the
+ * claim is released and the job retried.
+ */
+async function settleClaimedMatch(match, io) {
+    const isVoid = !match.winner && VOID_RESULTS.includes(match.result);
+
+    if (isVoid) {
+        console.log(`🏏 [IPL Ledger] Voiding ${match.match_id} (${match.result}), attempt ${match.attempt}`);
+        const result = await voidMatch(match.match_id, match.result.replace('_', ' '), io);
+        if (!result.success) throw new Error(result.error || 'Void failed');
+
+        const remaining = await countPendingBets(match.match_id);
+        if (remaining > 0) throw new Error(`${remaining} bet(s) still pending after void`);
+        return;
+    }
+
+    console.log(`🏏 [IPL Ledger] Settling ${match.match_id} → Winner: ${match.winner}, attempt ${match.attempt}`);
+
+    if (io && match.attempt === 1) {
+        io.to('ipl').emit('ipl-match-ended', {
+            matchId: match.match_id,
+            winner: match.winner,
+            winnerName: IPL_TEAMS[match.winner]?.name || match.winner,
+            statusText: match.title
+        });
+    }
+
+    const result = await settleMatch(match.match_id, match.winner, io);
+    if (!result.success) throw new Error(result.error || 'Settlement failed');
+
+    const remaining = await countPendingBets(match.match_id, 'match_winner');
+    if (remaining > 0) throw new Error(`${remaining} match winner bet(s) still pending`);
+}
+
+/**
+ * Claim and run pending settlement jobs.  Safe to call from several
+ * places and several instances at once.
+ */
+async function runSettlementJobs(io) {
+    for (let i = 0; i < MAX_JOBS_PER_RUN; i++) {
+        const { data, error } = await supabaseAdmin.rpc('claim_ipl_settlement', {
+            p_worker: WORKER_ID,
+            p_lease_seconds: LEASE_SECONDS
+        });
+
+        if (error || !data?.success) {
+            console.error('[IPL Ledger] Claim error:', error?.message || data?.error);
+            return;
+        }
+
+        const match = data.match;
+        if (!match) return;
+
+        try {
+            await settleClaimedMatch(match, io);
+            await finishJob(match.match_id);
+            console.log(`🏏 [IPL Ledger] ${match.match_id} settled`);
+        } catch (err) {
+            console.error(`[IPL Ledger] Settlement of ${match.match_id} failed:`, err.message);
+            await finishJob(match.match_id, err.message);
+        }
+    }
+}
+
+module.exports = { syncMatches, runSettlementJobs };
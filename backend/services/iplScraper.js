@@ -53,6 +53,60 @@ const HEADERS = {
     'Accept-Language': 'en-US,en;q=0.9'
 };
 
+// ============================================
+// DATA SOURCE
+// ============================================
+
+/**
+ * Where scraped HTML comes from.  The default hits cricbuzz.com; set
+ * IPL_DATA_SOURCE=fixture to replay a recorded match from local
+ * snapshots instead (see services/iplFixtureSource.js), or plug in any
+ * object with the same methods via setDataSource().
+ */
+const cricbuzzSource = {
+    name: 'cricbuzz',
+    scheduleTtl: null,      // null = use SCHEDULE_TTL
+    alwaysOn: false,        // false = only scrape during match hours
+
+    async fetchSeriesPage() {
+        const { data } = await axios.get(IPL_SERIES_URL, { headers: HEADERS, timeout: 15000 });
+        return data;
+    },
+
+    async fetchMatchPage(cricbuzzId) {
+        const url = `${CRICBUZZ_BASE}/live-cricket-scores/${cricbuzzId}`;
+        const { data } = await axios.get(url, { headers: HEADERS, timeout: 12000 });
+        return data;
+    },
+
+    async fetchScorecardPage(cricbuzzId) {
+        const url = `${CRICBUZZ_BASE}/live-cricket-scorecard/${cricbuzzId}`;
+        const { data } = await axios.get(url, { headers: HEADERS, timeout: 12000 });
+        return data;
+    }
+};
+
+let dataSource = cricbuzzSource;
+
+if (process.env.IPL_DATA_SOURCE === 'fixture') {
+    const { createFixtureSource } = require('./iplFixtureSource');
+    dataSource = createFixtureSource({
+        dir: process.env.IPL_FIXTURE_DIR,
+        speed: parseFloat(process.env.IPL_FIXTURE_SPEED) || 1
+    });
+}
+
+/**
+ * Swap the HTML source (e.g. a fixture replay in tests)
+ */
+function setDataSource(source) {
+    dataSource = source || cricbuzzSource;
+    cachedSchedule = [];
+    scheduleLastFetched = 0;
+    oddsSnapshot.clear();
+    console.log(`[IPL Scraper] Data source: ${dataSource.name}`);
+}
+
 // ============================================
 // CACHED SCHEDULE (refreshed every 30 min)
 // ============================================
@@ -60,6 +114,12 @@ let cachedSchedule = [];
 let scheduleLastFetched = 0;
 const SCHEDULE_TTL = 5 * 60 * 1000;  // 5 minutes – faster live transition detection
 
+// Status text of a finished match, including washed out / no result games
+const MATCH_OVER_PATTERN = /won|tied|match ended|no result|abandon|washed out|called off/i;
+
+// Results that void the match winner market
+const VOID_RESULTS = ['no_result', 'abandoned'];
+
 // ============================================
 // ODDS CALCULATION ENGINE
 // ============================================
@@ -152,6 +212,267 @@ function calculateOdds(matchData) {
     return { team1Odds: r2(clampOddsDB(team1Odds)), team2Odds: r2(clampOddsDB(team2Odds)) };
 }
 
+// ============================================
+// ADDITIONAL MARKETS
+// ============================================
+
+const TOTAL_BALLS = 120;
+const POWERPLAY_BALLS = 36;
+const PAR_SCORE = 170;
+const POWERPLAY_PAR = 50;
+const OVER_UNDER_ODDS = 1.90;          // ~5% house edge on a 50/50 line
+const MARKET_CUTOFF_BALLS = 90;        // Innings runs markets close after 15 overs
+
+// Historical share of T20 dismissals, used to price the first wicket
+const FIRST_WICKET_PROBS = {
+    caught: 0.60,
+    bowled: 0.17,
+    lbw: 0.11,
+    run_out: 0.07,
+    stumped: 0.04,
+    other: 0.01
+};
+
+const DISMISSAL_LABELS = {
+    caught: 'Caught',
+    bowled: 'Bowled',
+    lbw: 'LBW',
+    run_out: 'Run Out',
+    stumped: 'Stumped',
+    other: 'Other'
+};
+
+/**
+ * Convert cricket overs notation (12.3 = 12 overs 3 balls) to balls
+ */
+function oversToBalls(overs) {
+    const ov = parseFloat(overs) || 0;
+    const whole = Math.floor(ov);
+    return whole * 6 + Math.round((ov - whole) * 10);
+}
+
+/**
+ * Score for the 1st or 2nd innings of a match, by batting order rather
+ * than team1/team2.  Returns null when that innings hasn't started.
+ *
+ * `complete` is only set when the innings ended naturally (20 overs,
+ * all out or target reached) so shortened/abandoned innings can be voided.
+ */
+function getInnings(md, n) {
+    let firstSide = null;
+    if (md.innings === 2 && md.chasingTeam) firstSide = md.chasingTeam === 1 ? 2 : 1;
+    else if (md.team1Overs > 0 || md.team1Score > 0) firstSide = 1;
+    else if (md.team2Overs > 0 || md.team2Score > 0) firstSide = 2;
+
+    if (!firstSide || (n === 2 && md.innings !== 2)) return null;
+
+    const side = n === 1 ? firstSide : (firstSide === 1 ? 2 : 1);
+    const p = side === 1 ? 'team1' : 'team2';
+    const runs = md[`${p}Score`] || 0;
+    const wickets = md[`${p}Wickets`] || 0;
+    const balls = oversToBalls(md[`${p}Overs`]);
+
+    let complete;
+    if (n === 1) {
+        complete = md.innings === 2 || (md.status === 'completed' && (balls >= TOTAL_BALLS || wickets >= 10));
+    } else {
+        complete = md.status === 'completed' &&
+            (balls >= TOTAL_BALLS || wickets >= 10 || (md.target > 0 && runs >= md.target));
+    }
+
+    return { number: n, side, team: md[p], runs, wickets, balls, complete };
+}
+
+function clampMarketOdds(v) { return Math.max(1.10, Math.min(25.00, v)); }
+
+/**
+ * Match winner, re-expressed as a market so every bet is priced the same way
+ */
+function matchWinnerMarket(md) {
+    return {
+        id: 'match_winner',
+        type: 'match_winner',
+        label: 'Match Winner',
+        params: {},
+        open: md.is_betting_open === true,
+        selections: [
+            { key: md.team1, label: md.team1, odds: md.team1Odds },
+            { key: md.team2, label: md.team2, odds: md.team2Odds }
+        ]
+    };
+}
+
+/**
+ * Total runs over/under for an innings.
+ * Line = projected total from the current run rate, discounted for wickets.
+ */
+function inningsRunsMarket(md, n) {
+    const inn = getInnings(md, n);
+    if (n === 2 && !inn) return null;
+    if (inn && (inn.complete || inn.balls >= MARKET_CUTOFF_BALLS)) return null;
+
+    let projected = PAR_SCORE;
+    if (inn && inn.balls >= 6) {
+        const resources = Math.max(0.3, 1 - inn.wickets * 0.07);
+        projected = inn.runs + (inn.runs / inn.balls) * (TOTAL_BALLS - inn.balls) * resources;
+    } else if (n === 2 && md.target > 0) {
+        projected = md.target - 10;
+    }
+    if (n === 2 && md.target > 0) projected = Math.min(projected, md.target);
+
+    const line = Math.floor(projected) + 0.5;
+    const who = inn ? inn.team : (n === 1 ? '1st' : '2nd');
+
+    return {
+        id: `innings_runs_${n}`,
+        type: 'innings_runs',
+        label: `${who} innings runs`,
+        params: { innings: n, line },
+        open: md.is_betting_open === true,
+        selections: [
+            { key: 'over', label: `Over ${line}`, odds: OVER_UNDER_ODDS },
+            { key: 'under', label: `Under ${line}`, odds: OVER_UNDER_ODDS }
+        ]
+    };
+}
+
+/**
+ * Which team scores more in its powerplay (overs 1-6).
+ * Offered until the first powerplay ends; a tie voids the market.
+ */
+function powerplayMarket(md) {
+    const first = getInnings(md, 1);
+    if (md.innings === 2 || (first && first.balls >= POWERPLAY_BALLS)) return null;
+
+    let pFirst = 0.5;
+    if (first && first.balls >= 6) {
+        const projected = (first.runs / first.balls) * POWERPLAY_BALLS - first.wickets * 5;
+        pFirst = Math.max(0.1, Math.min(0.9, 0.5 + (projected - POWERPLAY_PAR) / 40));
+    }
+
+    const firstTeam = first ? first.team : null;
+    const probFor = (team) => firstTeam ? (team === firstTeam ? pFirst : 1 - pFirst) : 0.5;
+
+    return {
+        id: 'powerplay_top',
+        type: 'powerplay_top',
+        label: 'Top powerplay score',
+        params: {},
+        open: md.is_betting_open === true,
+        selections: [md.team1, md.team2].map(team => ({
+            key: team,
+            label: team,
+            odds: r2(clampMarketOdds(0.95 / probFor(team)))
+        }))
+    };
+}
+
+/**
+ * Runs scored in the over after the one being bowled, over/under a line
+ * set from the current run rate.  Live only.
+ */
+function nextOverMarket(md) {
+    if (md.status !== 'live') return null;
+
+    const inn = getInnings(md, md.innings);
+    if (!inn || inn.complete || inn.wickets >= 10) return null;
+
+    const over = Math.floor(inn.balls / 6) + 2;
+    if (over > 20) return null;
+
+    const expected = inn.balls >= 6 ? (inn.runs / inn.balls) * 6 : 8;
+    const line = Math.floor(expected) + 0.5;
+
+    return {
+        id: `next_over_${inn.number}_${over}`,
+        type: 'next_over_runs',
+        label: `${inn.team} over ${over} runs`,
+        params: { innings: inn.number, over, line },
+        open: md.is_betting_open === true,
+        selections: [
+            { key: 'over', label: `Over ${line}`, odds: OVER_UNDER_ODDS },
+            { key: 'under', label: `Under ${line}`, odds: OVER_UNDER_ODDS }
+        ]
+    };
+}
+
+/**
+ * How the first wicket of the match falls.  Offered until it does.
+ */
+function firstWicketMarket(md) {
+    const first = getInnings(md, 1);
+    if (md.innings === 2 || (first && (first.wickets > 0 || first.balls >= MARKET_CUTOFF_BALLS))) return null;
+
+    return {
+        id: 'first_wicket',
+        type: 'first_wicket',
+        label: 'Method of first wicket',
+        params: {},
+        open: md.is_betting_open === true,
+        selections: Object.entries(FIRST_WICKET_PROBS).map(([key, p]) => ({
+            key,
+            label: DISMISSAL_LABELS[key],
+            odds: r2(clampMarketOdds(0.95 / p))
+        }))
+    };
+}
+
+/**
+ * All markets offered for a live or pre-match fixture
+ */
+function calculateMarkets(md) {
+    return [
+        matchWinnerMarket(md),
+        inningsRunsMarket(md, 1),
+        inningsRunsMarket(md, 2),
+        powerplayMarket(md),
+        nextOverMarket(md),
+        firstWicketMarket(md)
+    ].filter(Boolean);
+}
+
+// ============================================
+// ODDS SNAPSHOT
+// ============================================
+
+// Last odds served to clients, keyed by match id. Bets are priced
+// against this snapshot, never against odds sent by the client.
+const oddsSnapshot = new Map();
+
+function recordOddsSnapshot(liveMatches) {
+    const quotedAt = new Date().toISOString();
+    const seen = new Set();
+
+    for (const m of liveMatches) {
+        m.oddsQuotedAt = quotedAt;
+        m.markets = calculateMarkets(m);
+        seen.add(m.id);
+        oddsSnapshot.set(m.id, {
+            matchId: m.id,
+            title: `${m.team1Name} vs ${m.team2Name}`,
+            team1: m.team1,
+            team2: m.team2,
+            team1Odds: m.team1Odds,
+            team2Odds: m.team2Odds,
+            markets: m.markets,
+            isBettingOpen: m.is_betting_open === true,
+            quotedAt
+        });
+    }
+
+    // Drop matches that are no longer live/open for betting
+    for (const id of oddsSnapshot.keys()) {
+        if (!seen.has(id)) oddsSnapshot.delete(id);
+    }
+}
+
+/**
+ * Current server quote for a match, or null if it isn't offered
+ */
+function getOddsQuote(matchId) {
+    return oddsSnapshot.get(matchId) || null;
+}
+
 function clampOddsDB(v) { return Math.max(1.10, Math.min(6.50, v)); }
 function clampOdds(v) { return Math.max(1.20, Math.min(6.00, v)); }
 function r2(n) { return Math.round(n * 100) / 100; }
@@ -166,14 +487,15 @@ function r2(n) { return Math.round(n * 100) / 100; }
  */
 async function fetchIPLSchedule() {
     const now = Date.now();
-    if (cachedSchedule.length > 0 && now - scheduleLastFetched < SCHEDULE_TTL) {
+    const ttl = dataSource.scheduleTtl ?? SCHEDULE_TTL;
+    if (cachedSchedule.length > 0 && now - scheduleLastFetched < ttl) {
         return cachedSchedule;
     }
 
-    console.log('[IPL Scraper] Fetching IPL 2026 schedule from Cricbuzz …');
+    console.log(`[IPL Scraper] Fetching IPL 2026 schedule from ${dataSource.name} …`);
 
     try {
-        const { data: html } = await axios.get(IPL_SERIES_URL, { headers: HEADERS, timeout: 15000 });
+        const html = await dataSource.fetchSeriesPage();
         const $ = cheerio.load(html);
         const matches = [];
 
@@ -206,7 +528,7 @@ async function fetchIPLSchedule() {
             // Determine status from link text
             let status = 'upcoming';
             if (/live/i.test(text))       status = 'live';
-            else if (/won|tied/i.test(text))  status = 'completed';
+            else if (MATCH_OVER_PATTERN.test(text))  status = 'completed';
             else if (/preview|upcoming/i.test(text) || !/won|live|tied/i.test(text)) status = 'upcoming';
 
             // Avoid duplicates but merge info
@@ -254,8 +576,7 @@ async function fetchIPLSchedule() {
  */
 async function scrapeMatchDetail(cricbuzzId, forceCompleted = false) {
     try {
-        const url = `${CRICBUZZ_BASE}/live-cricket-scores/${cricbuzzId}`;
-        const { data: html } = await axios.get(url, { headers: HEADERS, timeout: 12000 });
+        const html = await dataSource.fetchMatchPage(cricbuzzId);
         const $ = cheerio.load(html);
 
         // --- 1. Parse OG description (most reliable) ---
@@ -344,11 +665,14 @@ async function scrapeMatchDetail(cricbuzzId, forceCompleted = false) {
             }
         }
 
-        let isDone = forceCompleted || /won|tied|match ended|no result/i.test(statusTxt);
+        let isDone = forceCompleted || MATCH_OVER_PATTERN.test(statusTxt);
         // A match is live if ANY team has scored OR status/description text indicates active play
         const hasAnyScores = s1.runs > 0 || s2.runs > 0;
         const liveTextPattern = /need|require|batting|live|opt to|elected|trail|lead|follow|crr|rrr|target|over|bowl|chose|won the toss|innings break/i;
-        const isLive = !isDone && (hasAnyScores || liveTextPattern.test(statusTxt) || liveTextPattern.test(ogDesc));
+        // Before a ball is bowled og:description is Cricbuzz's stock
+        // "Follow … with live Cricket score …" blurb, which says nothing about play
+        const ogIsBlurb = /^follow\b.*\bwith live cricket score/i.test(ogDesc);
+        const isLive = !isDone && (hasAnyScores || liveTextPattern.test(statusTxt) || (!ogIsBlurb && liveTextPattern.test(ogDesc)));
 
         let innings = 1, tgt = 0;
         let chasingTeam = null; // 1 or 2
@@ -443,8 +767,11 @@ async function scrapeMatchDetail(cricbuzzId, forceCompleted = false) {
             status: isDone ? 'completed' : isLive ? 'live' : 'upcoming',
             statusText: statusTxt || ogDesc.substring(0, 80),
             is_betting_open: isLive && currentOvers <= 18.5,
+            // Runs per completed over from the "Recent" strip (next-over settlement)
+            overRuns: parseRecentOvers($('.cb-min-rcnt').first().text(), innings, currentOvers),
             venue: venueEl || '',
             winner: null,
+            result: null,
             date: new Date().toISOString()
         };
 
@@ -453,30 +780,25 @@ async function scrapeMatchDetail(cricbuzzId, forceCompleted = false) {
         md.team1Odds = odds.team1Odds;
         md.team2Odds = odds.team2Odds;
 
-        // Determine winner
+        // Determine result / winner
         if (isDone) {
-            const stl = statusTxt.toLowerCase();
-            for (const [code, team] of Object.entries(IPL_TEAMS)) {
-                if (stl.includes(team.name.toLowerCase()) || stl.includes(code.toLowerCase())) {
-                    // Check if status says this team "won"
-                    if (stl.includes('won')) {
-                        md.winner = code;
-                        break;
-                    }
-                }
-            }
+            const outcome = parseMatchOutcome(statusTxt, t1Code, t2Code);
+            md.result = outcome.result;
+            md.winner = outcome.winner;
 
-            // Math fallback if text doesn't identify winner
-            if (!md.winner && md.innings === 2) {
+            // Math fallback if text doesn't identify the result
+            if (!md.result && md.innings === 2) {
                 const isT1Chasing = md.chasingTeam === 1;
                 const chasingRuns = isT1Chasing ? md.team1Score : md.team2Score;
-                
+
                 if (chasingRuns >= md.target) {
                     md.winner = isT1Chasing ? md.team1 : md.team2;
+                    md.result = 'win';
                 } else if (chasingRuns < md.target - 1) { // Fell short
                     md.winner = isT1Chasing ? md.team2 : md.team1;
+                    md.result = 'win';
                 } else {
-                    md.winner = 'TIED'; // Same score
+                    md.result = 'tie'; // Same score – super over decides
                 }
             }
         }
@@ -488,6 +810,146 @@ async function scrapeMatchDetail(cricbuzzId, forceCompleted = false) {
     }
 }
 
+/**
+ * Scrape the full scorecard for a match: powerplay runs, fall of
+ * wickets and dismissal text per innings.  Used to settle markets
+ * that the live score page doesn't carry.
+ */
+async function scrapeScorecard(cricbuzzId) {
+    try {
+        const html = await dataSource.fetchScorecardPage(cricbuzzId);
+        const $ = cheerio.load(html);
+        const innings = [];
+
+        $('div[id^="innings_"]').each((_, el) => {
+            const block = $(el);
+            const header = block.find('.cb-scrd-hdr-rw').first().text().trim();
+            const text = block.text().replace(/\s+/g, ' ');
+
+            // Batter rows: "Rohit Sharma (c) | c Kohli b Siraj | 23 ..."
+            const dismissals = [];
+            block.find('.cb-scrd-itms').each((__, row) => {
+                const cols = $(row).children();
+                if (!cols.eq(0).find('a[href*="/profiles/"]').length) return;
+                dismissals.push({
+                    batter: cleanPlayerName(cols.eq(0).text()),
+                    dismissal: cols.eq(1).text().trim()
+                });
+            });
+
+            // "23-1 (Rohit Sharma, 3.2 ov), 45-2 (...)"
+            const fallOfWickets = [];
+            const fowText = text.split(/Fall of Wickets/i)[1] || '';
+            const fowRegex = /(\d+)-(\d+)\s*\(([^,()]+),\s*(\d+\.?\d*)\s*(?:ov)?\)/g;
+            let m;
+            while ((m = fowRegex.exec(fowText)) !== null) {
+                fallOfWickets.push({
+                    runs: parseInt(m[1]),
+                    wicket: parseInt(m[2]),
+                    batter: cleanPlayerName(m[3]),
+                    over: parseFloat(m[4])
+                });
+            }
+
+            // "Powerplays Overs Runs Mandatory 0.1-6 54"
+            const ppMatch = text.match(/Mandatory\s+\d+(?:\.\d+)?\s*-\s*\d+(?:\.\d+)?\s+(\d+)/i);
+
+            innings.push({
+                team: identifyTeam(header.split(/innings/i)[0]),
+                powerplayRuns: ppMatch ? parseInt(ppMatch[1]) : null,
+                fallOfWickets,
+                dismissals
+            });
+        });
+
+        return { innings };
+    } catch (err) {
+        console.error(`[IPL Scraper] Error scraping scorecard ${cricbuzzId}:`, err.message);
+        return null;
+    }
+}
+
+function cleanPlayerName(name) {
+    return (name || '').replace(/\((c|wk|c\s*&\s*wk)\)/gi, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Classify Cricbuzz dismissal text ("c Kohli b Siraj", "lbw b Bumrah" …)
+ */
+function classifyDismissal(text) {
+    const t = (text || '').trim().toLowerCase();
+    if (!t || /^(not out|batting|retired)/.test(t)) return null;
+    if (t.startsWith('run out')) return 'run_out';
+    if (/^st\s/.test(t)) return 'stumped';
+    if (t.startsWith('lbw')) return 'lbw';
+    if (/^c\s|^c&b|^c\s*&\s*b/.test(t)) return 'caught';
+    if (/^b\s/.test(t)) return 'bowled';
+    return 'other';
+}
+
+/**
+ * Parse the "Recent" balls strip ("1 4 0 W 0 1 | 2 6 …") into runs per
+ * completed over of the current innings.  Only overs with six legal
+ * deliveries are trusted, so a truncated first segment is ignored.
+ */
+function parseRecentOvers(text, innings, currentOvers) {
+    const overs = {};
+    const segments = (text || '').replace(/^\s*Recent\s*:?/i, '').split('|')
+        .map(s => s.trim())
+        .filter(Boolean);
+
+    const balls = oversToBalls(currentOvers);
+    let overNo = Math.floor(balls / 6);
+    // Newest segment is the over in progress unless we're at an over boundary
+    if (balls % 6 !== 0) segments.pop();
+
+    for (let i = segments.length - 1; i >= 0 && overNo >= 1; i--, overNo--) {
+        let runs = 0;
+        let legal = 0;
+        for (const token of segments[i].split(/\s+/)) {
+            const ball = parseBallRuns(token);
+            runs += ball.runs;
+            if (ball.legal) legal++;
+        }
+        if (legal === 6) overs[overNo] = runs;
+    }
+
+    return { innings, overs };
+}
+
+function parseBallRuns(token) {
+    const m = token.match(/^(\d*)([A-Za-z]*)$/);
+    if (!m) return { runs: 0, legal: true };
+    const n = m[1] ? parseInt(m[1]) : 0;
+    const kind = m[2].toLowerCase();
+    if (kind === 'wd') return { runs: n || 1, legal: false };
+    if (kind === 'nb' || kind === 'n') return { runs: n + 1, legal: false };
+    return { runs: n, legal: true }; // dots, runs, W, byes, leg byes
+}
+
+/**
+ * Read the final result from Cricbuzz status text:
+ *   "Mumbai Indians won by 5 wkts"            → win
+ *   "Match tied (MI won the Super Over)"      → super_over
+ *   "Match tied"                              → tie (super over still to come)
+ *   "No result" / "Match abandoned due to rain" → no_result / abandoned
+ */
+function parseMatchOutcome(statusTxt, t1Code, t2Code) {
+    const txt = statusTxt || '';
+
+    if (/abandon|washed out|called off/i.test(txt)) return { result: 'abandoned', winner: null };
+    if (/no result/i.test(txt)) return { result: 'no_result', winner: null };
+
+    const wonMatch = txt.match(/(?:^|\()\s*([A-Za-z][A-Za-z ]*?)\s+won\b/i);
+    const winner = wonMatch ? identifyTeam(wonMatch[1]) : null;
+    if (winner && (winner === t1Code || winner === t2Code)) {
+        return { result: /super over|tied/i.test(txt) ? 'super_over' : 'win', winner };
+    }
+
+    if (/tied/i.test(txt)) return { result: 'tie', winner: null };
+    return { result: null, winner: null };
+}
+
 function parseScoreText(txt) {
     const m = txt.match(/(\d+)\/(\d+)\s*\((\d+\.?\d*)\)/);
     if (m) return { runs: +m[1], wickets: +m[2], overs: +m[3] };
@@ -673,6 +1135,8 @@ async function getActiveMatches() {
             }
         }
 
+        recordOddsSnapshot(liveDetailed);
+
         return {
             live: liveDetailed,
             completed,
@@ -687,9 +1151,12 @@ async function getActiveMatches() {
 
 /**
  * Should the scraper be running right now?
- * Only during IPL match time windows: 2:00 PM – 11:59 PM IST.
+ * Only during IPL match time windows: 2:00 PM – 11:59 PM IST,
+ * or always when replaying fixtures.
  */
 function shouldScrapeNow() {
+    if (dataSource.alwaysOn) return true;
+
     const now = new Date();
     const utcH = now.getUTCHours();
     const utcM = now.getUTCMinutes();
@@ -703,6 +1170,14 @@ module.exports = {
     TEAM_KEYS,
     getActiveMatches,
     calculateOdds,
+    calculateMarkets,
+    getInnings,
+    getOddsQuote,
+    scrapeScorecard,
+    classifyDismissal,
+    DISMISSAL_LABELS,
     shouldScrapeNow,
-    fetchIPLSchedule
+    fetchIPLSchedule,
+    setDataSource,
+    VOID_RESULTS
 };
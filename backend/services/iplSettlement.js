@@ -1,13 +1,18 @@
 /**
  * IPL AUTO-SETTLEMENT SERVICE
  * ============================
- * When a match ends, settles all pending bets:
+ * When a match ends, settles all pending match winner bets:
  *   - Winners get: betAmount × odds_at_placement
  *   - Losers get marked as 'lost'
- * Uses the atomic settle_ipl_bet RPC in Supabase.
+ * Other markets (innings runs, powerplay, next over, first wicket) are
+ * settled as soon as the scraped score/scorecard decides them.
+ * Abandoned / no result matches are voided and every pending stake refunded.
+ * Uses the atomic settle_ipl_bet / void_ipl_bet RPCs in Supabase and
+ * records each settlement in ipl_settlement_audit.
  */
 
 const { supabaseAdmin } = require('../config/supabase');
+const { getInnings, scrapeScorecard, classifyDismissal, DISMISSAL_LABELS } = require('./iplScraper');
 
 /**
  * Settle all pending bets for a completed match.
@@ -21,11 +26,12 @@ async function settleMatch(matchId, winnerTeam, io) {
     console.log(`🏏 [IPL Settlement] Settling match ${matchId} | Winner: ${winnerTeam}`);
 
     try {
-        // 1. Get all pending bets for this match
+        // 1. Get all pending match winner bets for this match
         const { data: bets, error } = await supabaseAdmin
             .from('ipl_bets')
             .select('*')
             .eq('match_id', matchId)
+            .eq('market', 'match_winner')
             .eq('status', 'pending');
 
         if (error) {
@@ -64,6 +70,7 @@ async function settleMatch(matchId, winnerTeam, io) {
                     if (isWinner) {
                         winners++;
                         settledUsers.push({
+                            betId: bet.id,
                             userId: bet.user_id,
                             won: true,
                             payout: bet.potential_payout,
@@ -79,6 +86,7 @@ async function settleMatch(matchId, winnerTeam, io) {
                     } else {
                         losers++;
                         settledUsers.push({
+                            betId: bet.id,
                             userId: bet.user_id,
                             won: false,
                             payout: 0,
@@ -96,7 +104,24 @@ async function settleMatch(matchId, winnerTeam, io) {
             }
         }
 
-        // 3. Broadcast settlement to connected clients
+        // 3. Audit trail
+        await recordAudit({
+            match_id: matchId,
+            action: 'auto_settle',
+            outcome: winnerTeam,
+            bets_affected: settledUsers.length,
+            total_credited: settledUsers.reduce((sum, u) => sum + (u.won ? parseFloat(u.payout) : 0), 0),
+            details: settledUsers.map(u => ({
+                bet_id: u.betId,
+                user_id: u.userId,
+                market: 'match_winner',
+                from: 'pending',
+                to: u.won ? 'won' : 'lost',
+                amount: u.won ? u.payout : 0
+            }))
+        });
+
+        // 4. Broadcast settlement to connected clients
         if (io) {
             // Global settlement event
             io.to('ipl').emit('ipl-match-settled', {
@@ -132,11 +157,200 @@ async function settleMatch(matchId, winnerTeam, io) {
     }
 }
 
+// ============================================
+// ADDITIONAL MARKETS
+// ============================================
+
+// Resolution outcomes: { won: true|false } or { void: reason }; null = undecided
+const won = (value) => ({ won: value });
+const voided = (reason) => ({ void: reason });
+
+function resolveInningsRuns(bet, match) {
+    const { innings, line } = bet.market_params || {};
+    const inn = getInnings(match, innings);
+
+    if (inn && inn.complete) return won((bet.selection === 'over') === (inn.runs > line));
+    if (match.status === 'completed') return voided('Innings not completed');
+    return null;
+}
+
+async function resolvePowerplay(bet, match, getScorecard) {
+    const first = getInnings(match, 1);
+    const second = getInnings(match, 2);
+    const ppDone = (inn) => inn && (inn.complete || inn.balls >= 36 || inn.wickets >= 10);
+
+    if (!ppDone(first) || !ppDone(second)) {
+        return match.status === 'completed' ? voided('Powerplay not completed') : null;
+    }
+
+    const card = await getScorecard();
+    const ppRuns = (inn, idx) => {
+        const fromCard = card?.innings?.[idx]?.powerplayRuns;
+        if (fromCard !== null && fromCard !== undefined) return fromCard;
+        // Innings that ended inside the powerplay: the total is the powerplay score
+        return inn.balls <= 36 ? inn.runs : null;
+    };
+
+    const firstRuns = ppRuns(first, 0);
+    const secondRuns = ppRuns(second, 1);
+    if (firstRuns === null || secondRuns === null) {
+        return match.status === 'completed' ? voided('Powerplay data unavailable') : null;
+    }
+    if (firstRuns === secondRuns) return voided('Powerplay scores tied');
+
+    const topTeam = firstRuns > secondRuns ? first.team : second.team;
+    return won(bet.selection === topTeam);
+}
+
+function resolveNextOver(bet, match) {
+    const { innings, over, line } = bet.market_params || {};
+    const inn = getInnings(match, innings);
+    const overRuns = match.overRuns?.innings === innings ? match.overRuns.overs?.[over] : undefined;
+
+    if (overRuns !== undefined) return won((bet.selection === 'over') === (overRuns > line));
+
+    // Innings finished before the over was completed
+    const inningsOver = match.status === 'completed' || (inn && inn.complete) || match.innings > innings;
+    if (inningsOver) return voided('Over not completed');
+
+    // The over has scrolled off the recent balls strip without being seen
+    if (inn && Math.floor(inn.balls / 6) > over + 2) return voided('Over data unavailable');
+    return null;
+}
+
+async function resolveFirstWicket(bet, match, getScorecard) {
+    const innings = [getInnings(match, 1), getInnings(match, 2)];
+    const idx = innings.findIndex(inn => inn && inn.wickets > 0);
+
+    if (idx === -1) {
+        const noWicketYet = match.status !== 'completed' && !(innings[1] && innings[1].complete);
+        return noWicketYet ? null : voided('No wicket fell');
+    }
+
+    const card = await getScorecard();
+    const inningsCard = card?.innings?.[idx];
+    const fow = inningsCard?.fallOfWickets?.find(f => f.wicket === 1);
+    const batter = fow && inningsCard.dismissals.find(d =>
+        d.batter.toLowerCase() === fow.batter.toLowerCase() ||
+        d.batter.toLowerCase().endsWith(fow.batter.toLowerCase().split(' ').pop())
+    );
+    const method = batter ? classifyDismissal(batter.dismissal) : null;
+
+    if (!method) return match.status === 'completed' ? voided('Dismissal data unavailable') : null;
+    return won(bet.selection === method);
+}
+
+async function resolveMarketBet(bet, match, getScorecard) {
+    switch (bet.market) {
+        case 'innings_runs': return resolveInningsRuns(bet, match);
+        case 'powerplay_top': return resolvePowerplay(bet, match, getScorecard);
+        case 'next_over_runs': return resolveNextOver(bet, match);
+        case 'first_wicket': return resolveFirstWicket(bet, match, getScorecard);
+        default: return null;
+    }
+}
+
+function selectionLabel(bet) {
+    return bet.market === 'first_wicket'
+        ? DISMISSAL_LABELS[bet.selection] || bet.selection
+        : bet.selection;
+}
+
+/**
+ * Settle every pending non-winner market bet that the latest scrape
+ * decides.  Safe to call on every scrape: undecided bets stay pending
+ * and the RPCs ignore bets that are already settled.
+ *
+ * @param {Array}  matches – Live + completed match data from getActiveMatches
+ * @param {object} io      – Socket.io instance for notifications
+ */
+async function settleMarkets(matches, io) {
+    const byId = new Map(matches.map(m => [m.id, m]));
+    if (byId.size === 0) return { success: true, settled: 0 };
+
+    try {
+        const { data: bets, error } = await supabaseAdmin
+            .from('ipl_bets')
+            .select('*')
+            .in('match_id', [...byId.keys()])
+            .neq('market', 'match_winner')
+            .eq('status', 'pending');
+
+        if (error) {
+            console.error('[IPL Settlement] DB error fetching market bets:', error);
+            return { success: false, error: error.message };
+        }
+
+        // Scorecards are only fetched when a pending bet needs one
+        const scorecards = new Map();
+        const scorecardFor = (match) => () => {
+            if (!scorecards.has(match.id)) scorecards.set(match.id, scrapeScorecard(match.cricbuzzId));
+            return scorecards.get(match.id);
+        };
+
+        let settled = 0;
+        for (const bet of bets || []) {
+            const match = byId.get(bet.match_id);
+
+            try {
+                const outcome = await resolveMarketBet(bet, match, scorecardFor(match));
+                if (!outcome) continue;
+
+                const { data: result, error: rpcError } = outcome.void
+                    ? await supabaseAdmin.rpc('void_ipl_bet', { p_bet_id: bet.id, p_reason: outcome.void })
+                    : await supabaseAdmin.rpc('settle_ipl_bet', { p_bet_id: bet.id, p_won: outcome.won });
+
+                if (rpcError || !result || !result.success) {
+                    console.error(`[IPL Settlement] Error settling market bet ${bet.id}:`, rpcError || result);
+                    continue;
+                }
+
+                settled++;
+                console.log(
+                    `  ${outcome.void ? '↩️ Void' : outcome.won ? '✅ Won' : '❌ Lost'}: ` +
+                    `user=${bet.user_id} ${bet.market_label} → ${selectionLabel(bet)}` +
+                    (outcome.void ? ` (${outcome.void})` : '')
+                );
+
+                if (io) {
+                    io.to(`user_${bet.user_id}`).emit('ipl-bet-settled', {
+                        matchId: bet.match_id,
+                        market: bet.market,
+                        marketLabel: bet.market_label,
+                        selection: selectionLabel(bet),
+                        won: outcome.won === true,
+                        refunded: Boolean(outcome.void),
+                        reason: outcome.void || null,
+                        payout: outcome.void ? bet.bet_amount : outcome.won ? bet.potential_payout : 0,
+                        team: bet.selected_team,
+                        betAmount: bet.bet_amount,
+                        newBalance: outcome.won === false ? null : result.new_balance
+                    });
+                }
+            } catch (betErr) {
+                console.error(`[IPL Settlement] Exception settling market bet ${bet.id}:`, betErr.message);
+            }
+        }
+
+        return { success: true, settled };
+    } catch (err) {
+        console.error('[IPL Settlement] Market settlement error:', err);
+        return { success: false, error: err.message };
+    }
+}
+
 /**
- * Refund all pending bets for a match (e.g. match abandoned).
+ * Void a match that ended without a result (abandoned / no result):
+ * every pending bet, in any market, gets its stake back.
+ * Markets that were already decided before the wash-out stand.
+ *
+ * @param {string} matchId – The match identifier
+ * @param {string} reason  – Why the match was voided (e.g. "abandoned")
+ * @param {object} io      – Socket.io instance for broadcasting
+ * @returns {object} – { success, refunded }
  */
-async function refundMatch(matchId, io) {
-    console.log(`🏏 [IPL Settlement] Refunding all bets for match ${matchId}`);
+async function voidMatch(matchId, reason, io) {
+    console.log(`🏏 [IPL Settlement] Voiding match ${matchId} | Reason: ${reason}`);
 
     try {
         const { data: bets, error } = await supabaseAdmin
@@ -145,50 +359,133 @@ async function refundMatch(matchId, io) {
             .eq('match_id', matchId)
             .eq('status', 'pending');
 
-        if (error || !bets || bets.length === 0) {
-            return { success: true, refunded: 0 };
+        if (error) {
+            console.error('[IPL Settlement] DB error fetching bets to void:', error);
+            return { success: false, error: error.message };
         }
 
         let refunded = 0;
+        let totalRefunded = 0;
+        const details = [];
 
-        for (const bet of bets) {
+        for (const bet of bets || []) {
             try {
-                // Credit back the bet amount
-                await supabaseAdmin
-                    .from('users')
-                    .update({ cash: supabaseAdmin.rpc ? undefined : 0 })
-                    .eq('id', bet.user_id);
-
-                // Use raw SQL via RPC if available, otherwise manual update
-                const { error: refErr } = await supabaseAdmin.rpc('process_transaction', {
-                    p_user_id: bet.user_id,
-                    p_type: 'refund',
-                    p_amount: parseFloat(bet.bet_amount),
-                    p_description: `IPL Refund: ${bet.match_title}`,
-                    p_metadata: { game: 'ipl', match_id: matchId }
-                });
+                const { data: result, error: voidError } = await supabaseAdmin
+                    .rpc('void_ipl_bet', { p_bet_id: bet.id, p_reason: reason });
+
+                if (voidError || !result || !result.success) {
+                    console.error(`[IPL Settlement] Error voiding bet ${bet.id}:`, voidError || result);
+                    continue;
+                }
+
+                refunded++;
+                totalRefunded += parseFloat(bet.bet_amount);
+                details.push({ bet_id: bet.id, user_id: bet.user_id, market: bet.market, from: 'pending', to: 'refunded', amount: bet.bet_amount });
 
-                if (!refErr) {
-                    await supabaseAdmin
-                        .from('ipl_bets')
-                        .update({ status: 'refunded', settled_at: new Date().toISOString() })
-                        .eq('id', bet.id);
-                    refunded++;
+                if (io) {
+                    io.to(`user_${bet.user_id}`).emit('ipl-bet-settled', {
+                        matchId,
+                        market: bet.market,
+                        marketLabel: bet.market_label || 'Match Winner',
+                        won: false,
+                        refunded: true,
+                        reason,
+                        payout: bet.bet_amount,
+                        team: bet.selected_team,
+                        betAmount: bet.bet_amount,
+                        newBalance: result.new_balance
+                    });
                 }
-            } catch (e) {
-                console.error(`[IPL Settlement] Refund error for bet ${bet.id}:`, e.message);
+            } catch (betErr) {
+                console.error(`[IPL Settlement] Exception voiding bet ${bet.id}:`, betErr.message);
             }
         }
 
+        if (refunded > 0) {
+            await recordAudit({
+                match_id: matchId,
+                action: 'auto_void',
+                reason,
+                bets_affected: refunded,
+                total_credited: totalRefunded,
+                details
+            });
+        }
+
         if (io) {
-            io.to('ipl').emit('ipl-match-refunded', { matchId, refunded });
+            io.to('ipl').emit('ipl-match-voided', { matchId, reason, refunded });
         }
 
+        console.log(`🏏 [IPL Settlement] Voided: ${refunded} bet(s) refunded`);
         return { success: true, refunded };
     } catch (err) {
-        console.error('[IPL Settlement] Refund fatal error:', err);
+        console.error('[IPL Settlement] Void fatal error:', err);
         return { success: false, error: err.message };
     }
 }
 
-module.exports = { settleMatch, refundMatch };
+/**
+ * Admin override: void a match or re-grade its match winner bets,
+ * correcting bets that were already settled.  Runs atomically in the
+ * admin_settle_ipl_match RPC, which also writes the audit row.
+ *
+ * @param {string} matchId – The match identifier
+ * @param {string} outcome – 'void' or the winning team code
+ * @param {string} adminId – Admin user performing the action
+ * @param {string} reason  – Free-text justification for the audit trail
+ * @param {object} io      – Socket.io instance for broadcasting
+ */
+async function adminSettleMatch(matchId, outcome, adminId, reason, io) {
+    const { data, error } = await supabaseAdmin.rpc('admin_settle_ipl_match', {
+        p_match_id: matchId,
+        p_outcome: outcome,
+        p_admin_id: adminId,
+        p_reason: reason
+    });
+
+    if (error) throw new Error(error.message);
+    if (!data || !data.success) throw new Error((data && data.error) || 'Settlement failed');
+
+    console.log(
+        `🏏 [IPL Settlement] Admin ${adminId} ${outcome === 'void' ? 'voided' : `re-settled (${outcome})`} ` +
+        `match ${matchId}: ${data.bets_affected} bet(s) changed`
+    );
+
+    if (io) {
+        for (const change of data.details || []) {
+            io.to(`user_${change.user_id}`).emit('ipl-bet-settled', {
+                matchId,
+                market: change.market,
+                marketLabel: 'Admin correction',
+                won: change.to === 'won',
+                refunded: change.to === 'refunded',
+                reason,
+                payout: Math.max(0, change.amount),
+                betAmount: 0,
+                newBalance: null
+            });
+        }
+        io.to('ipl').emit(outcome === 'void' ? 'ipl-match-voided' : 'ipl-match-resettled', {
+            matchId,
+            outcome,
+            reason
+        });
+    }
+
+    return data;
+}
+
+/**
+ * Append a row to the settlement audit trail.  Failures are logged
+ * but never block settlement itself.
+ */
+async function recordAudit(entry) {
+    try {
+        const { error } = await supabaseAdmin.from('ipl_settlement_audit').insert(entry);
+        if (error) console.error('[IPL Settlement] Audit insert error:', error.message);
+    } catch (err) {
+        console.error('[IPL Settlement] Audit insert exception:', err.message);
+    }
+}
+
+module.exports = { settleMatch, settleMarkets, voidMatch, adminSettleMatch };
@@ -0,0 +1,277 @@
+/**
+ * POKER HAND HISTORY
+ * ==================
+ * Every hand dealt by socket/poker.js is saved to poker_hands
+ * (supabase/poker.sql) when it ends.  Players read back the hands they were
+ * dealt into, with other players' hole cards hidden unless they were shown
+ * down, and can export them in PokerStars text format for tracking tools.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const STREETS = ['preflop', 'flop', 'turn', 'river'];
+const STREET_NAMES = { preflop: 'Preflop', flop: 'Flop', turn: 'Turn', river: 'River' };
+const BOARD_SIZE = { flop: 3, turn: 4, river: 5 };
+const SUIT_LETTERS = { '♠': 's', '♥': 'h', '♦': 'd', '♣': 'c' };
+
+const formatHand = (row) => ({
+    id: row.id,
+    tableId: row.table_id,
+    tableName: row.table_name,
+    tableType: row.table_type,
+    smallBlind: row.small_blind,
+    bigBlind: row.big_blind,
+    maxSeats: row.max_seats,
+    buttonSeat: row.button_seat,
+    seats: row.seats,
+    actions: row.actions,
+    board: row.board,
+    pots: row.pots,
+    startedAt: row.started_at,
+    endedAt: row.ended_at
+});
+
+// A player sees their own cards and any shown at showdown
+const hideCards = (hand, userId) => ({
+    ...hand,
+    seats: hand.seats.map(seat => ({
+        ...seat,
+        cards: seat.userId === userId || seat.shown ? seat.cards : null
+    }))
+});
+
+/**
+ * Save a finished hand log from socket/poker.js
+ */
+async function recordHand(log) {
+    const { data, error } = await supabaseAdmin
+        .from('poker_hands')
+        .insert({
+            table_id: log.tableId,
+            table_name: log.tableName,
+            table_type: log.tableType,
+            small_blind: log.smallBlind,
+            big_blind: log.bigBlind,
+            max_seats: log.maxSeats,
+            button_seat: log.buttonSeat,
+            seats: log.seats,
+            actions: log.actions,
+            board: log.board,
+            pots: log.pots,
+            player_ids: log.seats.map(seat => seat.userId),
+            started_at: log.startedAt
+        })
+        .select('id')
+        .single();
+
+    if (error) throw new Error(error.message);
+    return data.id;
+}
+
+/**
+ * A player's most recent hands, newest first. Pass `before` (a hand id)
+ * to page further back.
+ */
+async function listHandsForUser(userId, { limit, before } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    let query = supabaseAdmin
+        .from('poker_hands')
+        .select('id, table_id, table_name, table_type, small_blind, big_blind, max_seats, button_seat, seats, board, pots, started_at, ended_at')
+        .contains('player_ids', [userId])
+        .order('id', { ascending: false })
+        .limit(pageSize);
+
+    if (before) query = query.lt('id', before);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+
+    return data.map(row => {
+        const hand = formatHand(row);
+        const seat = hand.seats.find(s => s.userId === userId);
+        return {
+            id: hand.id,
+            tableName: hand.tableName,
+            tableType: hand.tableType,
+            smallBlind: hand.smallBlind,
+            bigBlind: hand.bigBlind,
+            startedAt: hand.startedAt,
+            board: hand.board,
+            cards: seat ? seat.cards : [],
+            net: seat ? seat.won - seat.invested : 0,
+            potTotal: hand.pots.reduce((sum, pot) => sum + pot.amount, 0),
+            winners: [...new Set(hand.pots.flatMap(pot => pot.winners.map(w => w.username)))]
+        };
+    });
+}
+
+/**
+ * Full hand for replay, or null if it doesn't exist or the player wasn't
+ * dealt in
+ */
+async function getHandForUser(handId, userId) {
+    const { data, error } = await supabaseAdmin
+        .from('poker_hands')
+        .select('*')
+        .eq('id', handId)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!data || !data.player_ids.includes(userId)) return null;
+
+    return hideCards(formatHand(data), userId);
+}
+
+// --- POKERSTARS EXPORT ---
+const cardText = (card) => `${card.value === '10' ? 'T' : card.value}${SUIT_LETTERS[card.suit]}`;
+const cardsText = (cards) => `[${cards.map(cardText).join(' ')}]`;
+
+const pad = (n) => String(n).padStart(2, '0');
+const dateText = (iso) => {
+    const d = new Date(iso);
+    return `${d.getUTCFullYear()}/${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())} `
+        + `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} UTC`;
+};
+
+// *** FLOP *** [Ah Kd 2c], then *** TURN *** [Ah Kd 2c] [7s]
+const streetHeader = (street, board) => {
+    const size = BOARD_SIZE[street];
+    const title = `*** ${street.toUpperCase()} ***`;
+    if (street === 'flop') return `${title} ${cardsText(board.slice(0, 3))}`;
+    return `${title} ${cardsText(board.slice(0, size - 1))} ${cardsText([board[size - 1]])}`;
+};
+
+const actionText = (a, money) => {
+    const allIn = a.allIn ? ' and is all-in' : '';
+    switch (a.action) {
+        case 'post_sb': return `${a.username}: posts small blind ${money(a.amount)}${allIn}`;
+        case 'post_bb': return `${a.username}: posts big blind ${money(a.amount)}${allIn}`;
+        case 'fold': return a.left ? `${a.username} leaves the table` : `${a.username}: folds`;
+        case 'check': return `${a.username}: checks`;
+        case 'call': return `${a.username}: calls ${money(a.amount)}${allIn}`;
+        case 'bet': return `${a.username}: bets ${money(a.amount)}${allIn}`;
+        case 'raise': return `${a.username}: raises ${money(a.by)} to ${money(a.to)}${allIn}`;
+        default: return `${a.username}: ${a.action}`;
+    }
+};
+
+/**
+ * Hand history text in the PokerStars layout, as seen by `userId`
+ * (pass a hand from getHandForUser so hidden cards stay hidden)
+ */
+function toPokerStarsText(hand, userId) {
+    const money = (n) => (hand.tableType === 'cash' ? `$${n}` : `${n}`);
+    const lines = [];
+    const board = hand.board || [];
+    const bySeat = new Map(hand.seats.map(seat => [seat.userId, seat]));
+
+    const stakes = `${money(hand.smallBlind)}/${money(hand.bigBlind)}${hand.tableType === 'cash' ? ' USD' : ''}`;
+    lines.push(`PokerStars Hand #${hand.id}: Hold'em No Limit (${stakes}) - ${dateText(hand.startedAt)}`);
+    lines.push(`Table '${hand.tableName}' ${hand.maxSeats}-max Seat #${hand.buttonSeat} is the button`);
+    hand.seats.forEach(seat => {
+        lines.push(`Seat ${seat.seat}: ${seat.username} (${money(seat.stack)} in chips)`);
+    });
+
+    const blinds = hand.actions.filter(a => a.action === 'post_sb' || a.action === 'post_bb');
+    blinds.forEach(a => lines.push(actionText(a, money)));
+
+    lines.push('*** HOLE CARDS ***');
+    const hero = bySeat.get(userId);
+    if (hero && hero.cards) lines.push(`Dealt to ${hero.username} ${cardsText(hero.cards)}`);
+
+    // Deal each street before its first action, and run out any board
+    // dealt with nobody left to act
+    let dealt = 0;
+    const dealTo = (target) => {
+        while (dealt < target && board.length >= BOARD_SIZE[STREETS[dealt + 1]]) {
+            dealt++;
+            lines.push(streetHeader(STREETS[dealt], board));
+        }
+    };
+
+    hand.actions.filter(a => !blinds.includes(a)).forEach(a => {
+        dealTo(STREETS.indexOf(a.street));
+        lines.push(actionText(a, money));
+    });
+    dealTo(STREETS.length - 1);
+
+    // Chips nobody matched go back rather than into the pot
+    const invested = [...hand.seats].sort((a, b) => b.invested - a.invested);
+    const folded = (seat) => hand.actions.some(a => a.userId === seat.userId && a.action === 'fold');
+    const uncalled = invested.length > 1 && !folded(invested[0])
+        ? invested[0].invested - invested[1].invested
+        : 0;
+    if (uncalled > 0) {
+        lines.push(`Uncalled bet (${money(uncalled)}) returned to ${invested[0].username}`);
+    }
+
+    const shown = hand.seats.filter(seat => seat.shown && seat.cards);
+    if (shown.length > 0) {
+        lines.push('*** SHOW DOWN ***');
+        shown.forEach(seat => lines.push(`${seat.username}: shows ${cardsText(seat.cards)} (${seat.handName})`));
+    }
+
+    // The uncalled chips sit in the last pot built
+    let toReturn = uncalled;
+    const collected = [...hand.pots].reverse().map(pot => ({
+        ...pot,
+        winners: pot.winners.map(w => {
+            const back = w.id === invested[0]?.userId ? Math.min(toReturn, w.amount) : 0;
+            toReturn -= back;
+            return { ...w, amount: w.amount - back };
+        }).filter(w => w.amount > 0)
+    })).reverse().filter(pot => pot.winners.length > 0);
+
+    collected.forEach((pot, index) => {
+        const from = collected.length === 1 ? 'pot' : index === 0 ? 'main pot' : `side pot-${index}`;
+        pot.winners.forEach(w => lines.push(`${w.username} collected ${money(w.amount)} from ${from}`));
+    });
+
+    const total = hand.pots.reduce((sum, pot) => sum + pot.amount, 0) - uncalled;
+    lines.push('*** SUMMARY ***');
+    lines.push(`Total pot ${money(total)} | Rake ${money(0)}`);
+    if (board.length > 0) lines.push(`Board ${cardsText(board)}`);
+
+    const smallBlind = hand.actions.find(a => a.action === 'post_sb');
+    const bigBlind = hand.actions.find(a => a.action === 'post_bb');
+    const wonBy = new Map();
+    collected.forEach(pot => pot.winners.forEach(w => wonBy.set(w.id, (wonBy.get(w.id) || 0) + w.amount)));
+
+    hand.seats.forEach(seat => {
+        let position = '';
+        if (seat.seat === hand.buttonSeat) position += ' (button)';
+        if (smallBlind && smallBlind.userId === seat.userId) position += ' (small blind)';
+        if (bigBlind && bigBlind.userId === seat.userId) position += ' (big blind)';
+
+        const fold = hand.actions.find(a => a.userId === seat.userId && a.action === 'fold');
+        const won = wonBy.get(seat.userId) || 0;
+        let result;
+        if (fold) {
+            result = fold.street === 'preflop'
+                ? `folded before Flop${seat.invested === 0 ? " (didn't bet)" : ''}`
+                : `folded on the ${STREET_NAMES[fold.street]}`;
+        } else if (seat.shown && seat.cards) {
+            result = won > 0
+                ? `showed ${cardsText(seat.cards)} and won (${money(won)}) with ${seat.handName}`
+                : `showed ${cardsText(seat.cards)} and lost with ${seat.handName}`;
+        } else if (won > 0) {
+            result = `collected (${money(won)})`;
+        } else {
+            result = 'mucked';
+        }
+        lines.push(`Seat ${seat.seat}: ${seat.username}${position} ${result}`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    recordHand,
+    listHandsForUser,
+    getHandForUser,
+    toPokerStarsText
+};
@@ -0,0 +1,128 @@
+/**
+ * POKER TABLES
+ * ============
+ * Registry of configured poker tables (supabase/poker.sql).  Hands are
+ * played in memory by socket/poker.js; this module only reads and writes
+ * table settings.
+ *
+ *   cash - buy in anywhere in [minBuyIn, maxBuyIn], cash out on leaving
+ *   sng  - sit & go: fixed buy-in, starts when every seat is taken and
+ *          runs until one player holds all the chips
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const TABLE_TYPES = ['cash', 'sng'];
+const MIN_SEATS = 2;
+const MAX_SEATS = 6;
+
+const formatTable = (row) => ({
+    id: row.id,
+    name: row.name,
+    tableType: row.table_type,
+    smallBlind: row.small_blind,
+    bigBlind: row.big_blind,
+    minBuyIn: row.min_buy_in,
+    maxBuyIn: row.max_buy_in,
+    maxSeats: row.max_seats,
+    isActive: row.is_active,
+    createdAt: row.created_at
+});
+
+async function listTables() {
+    const { data, error } = await supabaseAdmin
+        .from('poker_tables')
+        .select('*')
+        .eq('is_active', true)
+        .order('big_blind', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return data.map(formatTable);
+}
+
+/**
+ * Single table by id, or null if it doesn't exist
+ */
+async function getTable(tableId) {
+    const { data, error } = await supabaseAdmin
+        .from('poker_tables')
+        .select('*')
+        .eq('id', tableId)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data ? formatTable(data) : null;
+}
+
+/**
+ * Validate table settings from the admin API.
+ * Returns { settings } or { error }
+ */
+function normalizeTableSettings(input) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const tableType = input.tableType || 'cash';
+    const smallBlind = parseInt(input.smallBlind, 10);
+    const bigBlind = parseInt(input.bigBlind, 10);
+    const maxSeats = input.maxSeats === undefined ? MAX_SEATS : parseInt(input.maxSeats, 10);
+    const minBuyIn = parseInt(input.minBuyIn, 10);
+    // Sit & go stacks are all the same size
+    const maxBuyIn = tableType === 'sng' ? minBuyIn : parseInt(input.maxBuyIn, 10);
+
+    if (!name || name.length > 40) return { error: 'Name must be 1-40 characters' };
+    if (!TABLE_TYPES.includes(tableType)) return { error: 'Table type must be cash or sng' };
+    if (!(smallBlind > 0) || !(bigBlind >= smallBlind)) {
+        return { error: 'Big blind must be at least the small blind, and both above 0' };
+    }
+    if (!(maxSeats >= MIN_SEATS && maxSeats <= MAX_SEATS)) {
+        return { error: `Seats must be between ${MIN_SEATS} and ${MAX_SEATS}` };
+    }
+    if (!(minBuyIn >= bigBlind * 2)) return { error: 'Minimum buy-in must cover at least two big blinds' };
+    if (!(maxBuyIn >= minBuyIn)) return { error: 'Maximum buy-in must be at least the minimum' };
+
+    return { settings: { name, tableType, smallBlind, bigBlind, minBuyIn, maxBuyIn, maxSeats } };
+}
+
+async function createTable(settings, createdBy) {
+    const { data, error } = await supabaseAdmin
+        .from('poker_tables')
+        .insert({
+            name: settings.name,
+            table_type: settings.tableType,
+            small_blind: settings.smallBlind,
+            big_blind: settings.bigBlind,
+            min_buy_in: settings.minBuyIn,
+            max_buy_in: settings.maxBuyIn,
+            max_seats: settings.maxSeats,
+            created_by: createdBy
+        })
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return formatTable(data);
+}
+
+/**
+ * Open or close a table. Closed tables leave the lobby and refuse new
+ * players; anyone already seated plays on until they leave.
+ */
+async function setTableActive(tableId, isActive) {
+    const { data, error } = await supabaseAdmin
+        .from('poker_tables')
+        .update({ is_active: isActive })
+        .eq('id', tableId)
+        .select()
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data ? formatTable(data) : null;
+}
+
+module.exports = {
+    TABLE_TYPES,
+    listTables,
+    getTable,
+    normalizeTableSettings,
+    createTable,
+    setTableActive
+};
@@ -0,0 +1,233 @@
+/**
+ * UNO BOTS
+ * ========
+ * Plays the turns of bot seats added by a room's host (fn_add_uno_bot in
+ * supabase/uno_rebuild.sql).  Bots go through the same fn_play_card /
+ * fn_draw_card RPCs as people, using the service role, and never pay in:
+ * if a bot wins, uno_pay_out shares the pot back out among the humans.
+ *
+ *   easy   - any playable card, random colour, often forgets to call UNO
+ *   medium - keeps wilds for last, names its strongest colour
+ *   hard   - saves action cards for when the next player is close to
+ *            going out, avoids illegal +4s, catches missed UNO calls
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const COLORS = ['red', 'blue', 'green', 'yellow'];
+const ACTION_VALUES = ['skip', 'reverse', '+2'];
+const BOT_THINK_MS = 1500;
+const SWEEP_INTERVAL_MS = 1000;
+
+// Chance a bot skips calling UNO on its second-to-last card
+const FORGET_UNO = { easy: 0.3, medium: 0.1, hard: 0 };
+
+let sweepTimer = null;
+let sweeping = false;
+
+const pickRandom = (items) => items[Math.floor(Math.random() * items.length)];
+
+/**
+ * Mirrors the checks in fn_play_card
+ */
+function isPlayable(card, room, topCard) {
+    if (room.pending_draw > 0) {
+        return Boolean(room.rules?.stacking)
+            && (card.value === '+4' || (card.value === '+2' && topCard.value === '+2'));
+    }
+    if (card.type === 'wild') return true;
+    return card.color === room.current_color || card.value === topCard.value;
+}
+
+/**
+ * Colour the bot holds most of, ignoring the card being played
+ */
+function strongestColor(hand, skipIndex) {
+    const counts = Object.fromEntries(COLORS.map(color => [color, 0]));
+    hand.forEach((card, i) => {
+        if (i !== skipIndex && card.color) counts[card.color]++;
+    });
+    return COLORS.reduce((best, color) => (counts[color] > counts[best] ? color : best), pickRandom(COLORS));
+}
+
+/**
+ * Lower rank is played first
+ */
+function cardRank(card, level, { threatened, holdsCurrentColor }) {
+    const isAction = ACTION_VALUES.includes(card.value);
+
+    if (level === 'medium') {
+        if (card.type === 'wild') return 2;
+        return 0;
+    }
+
+    // hard
+    if (threatened) {
+        if (card.value === '+2' || (card.value === '+4' && !holdsCurrentColor)) return 0;
+        if (isAction) return 1;
+        if (card.type === 'wild') return 3;
+        return 2;
+    }
+    if (card.value === '+4') return holdsCurrentColor ? 5 : 4;
+    if (card.type === 'wild') return 3;
+    if (isAction) return 2;
+    // Shed high numbers first
+    return 1 - Number(card.value) / 10;
+}
+
+/**
+ * Decide a bot's move.
+ * Returns { action: 'draw' } or { action: 'play', cardIndex, wildColor, targetUserId }
+ */
+function chooseMove(level, hand, room, botIndex) {
+    const topCard = room.discard_pile[room.discard_pile.length - 1];
+    const playable = hand
+        .map((card, index) => ({ card, index }))
+        .filter(({ card }) => isPlayable(card, room, topCard));
+
+    if (playable.length === 0) return { action: 'draw' };
+
+    const players = room.players;
+    const nextIndex = ((botIndex + room.direction) % players.length + players.length) % players.length;
+    const context = {
+        threatened: (players[nextIndex]?.hand_count ?? 7) <= 2,
+        holdsCurrentColor: hand.some(card => card.color === room.current_color)
+    };
+
+    let choice;
+    if (level === 'easy') {
+        choice = pickRandom(playable);
+    } else {
+        choice = playable.reduce((best, option) => (
+            cardRank(option.card, level, context) < cardRank(best.card, level, context) ? option : best
+        ));
+    }
+
+    const move = { action: 'play', cardIndex: choice.index, wildColor: null, targetUserId: null };
+
+    if (choice.card.type === 'wild') {
+        move.wildColor = level === 'easy' ? pickRandom(COLORS) : strongestColor(hand, choice.index);
+    }
+
+    // 7-0: swap with someone (the shortest hand, unless easy)
+    if (room.rules?.seven_zero && choice.card.value === '7' && hand.length > 1) {
+        const others = players.filter((_, i) => i !== botIndex);
+        move.targetUserId = (level === 'easy'
+            ? pickRandom(others)
+            : others.reduce((best, p) => (p.hand_count < best.hand_count ? p : best))
+        ).user_id;
+    }
+
+    return move;
+}
+
+async function rpc(name, params) {
+    const { data, error } = await supabaseAdmin.rpc(name, params);
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+async function playBotTurn(room, bot, botIndex) {
+    const { data: handRow, error } = await supabaseAdmin
+        .from('uno_hands')
+        .select('hand')
+        .eq('room_id', room.id)
+        .eq('user_id', bot.user_id)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    const hand = handRow?.hand ?? [];
+    const level = bot.bot_level || 'medium';
+    const move = chooseMove(level, hand, room, botIndex);
+
+    if (move.action === 'draw') {
+        return rpc('fn_draw_card', { p_user_id: bot.user_id, p_room_id: room.id });
+    }
+
+    // Call UNO before the second-to-last card goes down
+    if (hand.length === 2 && !bot.uno_called && Math.random() >= FORGET_UNO[level]) {
+        await rpc('fn_uno_call', { p_user_id: bot.user_id, p_room_id: room.id });
+    }
+
+    return rpc('fn_play_card', {
+        p_user_id: bot.user_id,
+        p_room_id: room.id,
+        p_card_index: move.cardIndex,
+        p_wild_color: move.wildColor,
+        p_target_user_id: move.targetUserId
+    });
+}
+
+/**
+ * Hard bots pounce on anyone left on one card without calling UNO
+ */
+async function catchMissedCalls(room) {
+    if (!room.rules?.uno_call) return;
+
+    const catcher = room.players.find(p => p.is_bot && p.bot_level === 'hard');
+    if (!catcher) return;
+
+    for (const target of room.players) {
+        if (target.user_id === catcher.user_id || target.hand_count !== 1 || target.uno_called) continue;
+        await rpc('fn_uno_catch', {
+            p_user_id: catcher.user_id,
+            p_room_id: room.id,
+            p_target_user_id: target.user_id
+        });
+    }
+}
+
+/**
+ * Move every bot whose turn it is and has had time to "think"
+ */
+async function runBots() {
+    const { data: rooms, error } = await supabaseAdmin
+        .from('uno_rooms')
+        .select('id, players, rules, discard_pile, current_color, current_turn_index, direction, pending_draw, turn_started_at')
+        .eq('status', 'playing');
+
+    if (error) throw new Error(error.message);
+
+    for (const room of rooms) {
+        if (!room.players.some(p => p.is_bot)) continue;
+
+        try {
+            await catchMissedCalls(room);
+
+            const bot = room.players[room.current_turn_index];
+            const waited = Date.now() - new Date(room.turn_started_at).getTime();
+            if (!bot?.is_bot || waited < BOT_THINK_MS) continue;
+
+            const result = await playBotTurn(room, bot, room.current_turn_index);
+            // Someone jumped in or the turn moved on meanwhile: try again next sweep
+            if (!result.success) console.warn(`UNO bot ${bot.username} in room ${room.id}: ${result.error}`);
+        } catch (err) {
+            console.error(`UNO bot error in room ${room.id}:`, err.message);
+        }
+    }
+}
+
+function startBotRunner() {
+    if (sweepTimer) return;
+
+    // A slow sweep must not overlap the next one and move a bot twice
+    const run = async () => {
+        if (sweeping) return;
+        sweeping = true;
+        try {
+            await runBots();
+        } catch (err) {
+            console.error('UNO bot sweep error:', err.message);
+        } finally {
+            sweeping = false;
+        }
+    };
+    run();
+    sweepTimer = setInterval(run, SWEEP_INTERVAL_MS);
+}
+
+module.exports = {
+    chooseMove,
+    runBots,
+    startBotRunner
+};
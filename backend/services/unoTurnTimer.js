@@ -0,0 +1,84 @@
+/**
+ * UNO TURN TIMER
+ * ==============
+ * UNO is played entirely through the RPCs in supabase/uno_rebuild.sql, so
+ * nothing on the server sees a turn go by.  This sweep watches
+ * turn_started_at on rooms in play and, once a turn runs out, has
+ * fn_uno_timeout_turn draw a card for the stalled player.  After
+ * MAX_MISSED_TURNS timeouts in a row the player is removed from the game,
+ * and if that leaves one player they take the pot.
+ *
+ * Keep TURN_TIMEOUT_SECONDS in step with TURN_DURATION in
+ * frontend/src/hooks/useUnoGame.js.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const TURN_TIMEOUT_SECONDS = 20;
+const MAX_MISSED_TURNS = 3;
+const SWEEP_INTERVAL_MS = 2000;
+
+let sweepTimer = null;
+let sweeping = false;
+
+/**
+ * Time out every turn that has run past the limit
+ */
+async function timeoutStalledTurns() {
+    const cutoff = new Date(Date.now() - TURN_TIMEOUT_SECONDS * 1000).toISOString();
+
+    const { data: stalled, error } = await supabaseAdmin
+        .from('uno_rooms')
+        .select('id, turn_started_at')
+        .eq('status', 'playing')
+        .lte('turn_started_at', cutoff);
+
+    if (error) throw new Error(error.message);
+
+    let handled = 0;
+    for (const room of stalled) {
+        const { data, error: rpcError } = await supabaseAdmin.rpc('fn_uno_timeout_turn', {
+            p_room_id: room.id,
+            p_turn_started_at: room.turn_started_at,
+            p_max_missed: MAX_MISSED_TURNS
+        });
+
+        // Player moved in the meantime: the RPC refuses, nothing to do
+        if (rpcError) {
+            console.error(`Failed to time out UNO turn in room ${room.id}:`, rpcError.message);
+        } else if (data.success) {
+            handled++;
+            if (data.action === 'kicked') {
+                console.log(`🎴 Removed ${data.username} from UNO room ${room.id} after ${MAX_MISSED_TURNS} missed turns`);
+            }
+        }
+    }
+
+    return handled;
+}
+
+function startTurnSweep() {
+    if (sweepTimer) return;
+
+    // A slow sweep must not overlap the next one and time a turn out twice
+    const run = async () => {
+        if (sweeping) return;
+        sweeping = true;
+        try {
+            await timeoutStalledTurns();
+        } catch (err) {
+            console.error('UNO turn sweep error:', err.message);
+        } finally {
+            sweeping = false;
+        }
+    };
+    run();
+    sweepTimer = setInterval(run, SWEEP_INTERVAL_MS);
+}
+
+module.exports = {
+    TURN_TIMEOUT_SECONDS,
+    MAX_MISSED_TURNS,
+    timeoutStalledTurns,
+    startTurnSweep
+};
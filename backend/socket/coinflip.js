@@ -1,170 +1,471 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const { supabase, supabaseAdmin } = require('../config/supabase');
-const { processTransaction } = require('../controllers/walletController');
+const { supabaseAdmin } = require('../config/supabase');
+const { protectSocket, socketUserId } = require('../middleware/auth');
 
 // Constants
-const BETTING_TIME = 15; // seconds
 const FLIP_TIME = 5; // seconds
 const RESULT_TIME = 5; // seconds
+const DEFAULT_HOUSE_EDGE = 0.05; // 5% of the pot
+const MAX_OPEN_ROOMS_PER_USER = 2;
+const IDLE_ROUNDS_BEFORE_CLOSE = 20; // player rooms close after this many empty rounds
+const LOBBY = 'lobby';
+
+// roomId -> room (config from coinflip_pool_rooms + live round state).
+// Each room runs its own timer, so a slow settlement in one room never
+// holds up another.  Rounds, bets and payouts live in
+// coinflip_pool_rounds / coinflip_pool_bets; gameState is the broadcast copy.
+const poolRooms = new Map();
+
+let loopsStarted = false;
+
+const channel = (roomId) => `room:${roomId}`;
+
+const createRoom = (row) => ({
+    id: row.id,
+    name: row.name,
+    minBet: parseFloat(row.min_bet),
+    maxBet: parseFloat(row.max_bet),
+    bettingTime: row.betting_time,
+    houseEdge: parseFloat(row.house_edge),
+    isPrivate: row.is_private,
+    joinCode: row.join_code,
+    createdBy: row.created_by,
+    interval: null,
+    tickRunning: false,
+    idleRounds: 0,
+    gameState: {
+        roomId: row.id,
+        status: 'betting', // betting, flipping, result
+        roundId: null,
+        timeLeft: row.betting_time,
+        outcome: null, // 'heads' or 'tails'
+        refunded: false, // one-sided round, stakes returned
+        history: [], // Last 10 results
+        bets: [], // { userId, username, amount, side, avatar }
+        stats: { heads: 0, tails: 0, totalPot: 0 }
+    }
+});
+
+// Lobby entry (never includes the join code)
+const summarizeRoom = (room, namespace) => ({
+    id: room.id,
+    name: room.name,
+    minBet: room.minBet,
+    maxBet: room.maxBet,
+    bettingTime: room.bettingTime,
+    houseEdge: room.houseEdge,
+    isPrivate: room.isPrivate,
+    players: namespace.adapter.rooms.get(channel(room.id))?.size || 0,
+    status: room.gameState.status,
+    pot: room.gameState.stats.totalPot
+});
+
+const generateJoinCode = () => crypto.randomBytes(3).toString('hex').toUpperCase();
+
+/**
+ * Validate room settings from a player.  House edge can only be set by
+ * admins.  Returns { settings } or { error }.
+ */
+const normalizeRoomSettings = (input = {}, isAdmin) => {
+    const name = String(input.name || '').trim().slice(0, 40);
+    if (!name) return { error: 'Room name is required' };
+
+    const minBet = Math.round(parseFloat(input.minBet) * 100) / 100;
+    const maxBet = Math.round(parseFloat(input.maxBet) * 100) / 100;
+    if (!Number.isFinite(minBet) || minBet <= 0) return { error: 'Minimum bet must be greater than 0' };
+    if (!Number.isFinite(maxBet) || maxBet < minBet) return { error: 'Maximum bet must be at least the minimum bet' };
+
+    const bettingTime = parseInt(input.bettingTime, 10) || 15;
+    if (bettingTime < 5 || bettingTime > 120) return { error: 'Round length must be between 5 and 120 seconds' };
+
+    let houseEdge = DEFAULT_HOUSE_EDGE;
+    if (isAdmin && input.houseEdge !== undefined) {
+        houseEdge = parseFloat(input.houseEdge);
+        if (!Number.isFinite(houseEdge) || houseEdge < 0 || houseEdge >= 0.5) {
+            return { error: 'House edge must be between 0 and 0.5' };
+        }
+    }
 
-// Game State (Single Global Room for now)
-let gameState = {
-    status: 'betting', // betting, flipping, result
-    roundId: uuidv4(),
-    timeLeft: BETTING_TIME,
-    outcome: null, // 'heads' or 'tails'
-    history: [], // Last 10 results
-    bets: [], // { userId, username, amount, side, avatar }
-    stats: { heads: 0, tails: 0, totalPot: 0 }
+    return {
+        settings: {
+            name,
+            min_bet: minBet,
+            max_bet: maxBet,
+            betting_time: bettingTime,
+            house_edge: houseEdge,
+            is_private: Boolean(input.isPrivate)
+        }
+    };
 };
 
-let gameLoopInterval;
-
 module.exports = (io) => {
     const coinflipNamespace = io.of('/coinflip');
 
-    const broadcastState = () => {
-        coinflipNamespace.emit('gameState', gameState);
+    // Namespaces don't inherit io.use(), so authenticate here as well
+    coinflipNamespace.use(protectSocket);
+
+    const broadcastState = (room) => {
+        coinflipNamespace.to(channel(room.id)).emit('gameState', room.gameState);
     };
 
-    const startNewRound = () => {
+    const listRooms = () => [...poolRooms.values()]
+        .filter(room => !room.isPrivate)
+        .map(room => summarizeRoom(room, coinflipNamespace));
+
+    const broadcastLobby = () => {
+        coinflipNamespace.to(LOBBY).emit('roomList', listRooms());
+    };
+
+    const startNewRound = async (room) => {
+        const { gameState } = room;
         gameState.status = 'betting';
-        gameState.roundId = uuidv4();
-        gameState.timeLeft = BETTING_TIME;
+        gameState.roundId = null;
+        gameState.timeLeft = room.bettingTime;
         gameState.outcome = null;
+        gameState.refunded = false;
         gameState.bets = [];
         gameState.stats = { heads: 0, tails: 0, totalPot: 0 };
-        broadcastState();
+
+        const { data, error } = await supabaseAdmin
+            .from('coinflip_pool_rounds')
+            .insert({ room_id: room.id, house_edge: room.houseEdge })
+            .select('id')
+            .single();
+
+        // Without a round row bets are rejected; the next round tries again
+        if (error) {
+            console.error(`Failed to create coinflip round in ${room.name}:`, error);
+        } else {
+            gameState.roundId = data.id;
+        }
+
+        broadcastState(room);
     };
 
-    const processGameResult = async () => {
-        // 1. Determine Winner
-        const result = Math.random() < 0.5 ? 'heads' : 'tails';
-        gameState.outcome = result;
-        gameState.history.unshift(result);
-        if (gameState.history.length > 10) gameState.history.pop();
-
-        // 2. Distribute Winnings
-        const winningBets = gameState.bets.filter(b => b.side === result);
-        const losingBets = gameState.bets.filter(b => b.side !== result);
-
-        const totalWinningBetAmount = winningBets.reduce((sum, b) => sum + b.amount, 0);
-        const totalLosingBetAmount = losingBets.reduce((sum, b) => sum + b.amount, 0);
-
-        // Pool Style with House Edge
-        const HOUSE_EDGE_PERCENT = 0.05; // 5%
-        const totalPot = gameState.stats.totalPot;
-        const distributablePot = totalPot * (1 - HOUSE_EDGE_PERCENT);
-
-        // Process Winners
-        const winnerPayouts = [];
-        for (const bet of winningBets) {
-            let winAmount = 0;
-            if (totalWinningBetAmount > 0) {
-                const share = bet.amount / totalWinningBetAmount;
-                winAmount = share * distributablePot;
-            }
+    const processGameResult = async (room) => {
+        const { gameState } = room;
+        if (!gameState.roundId) return;
 
-            winAmount = Math.floor(winAmount * 100) / 100;
+        // Betting, flip and payouts are settled in one transaction
+        const { data: result, error } = await supabaseAdmin.rpc('fn_coinflip_pool_settle', {
+            p_round_id: gameState.roundId
+        });
 
-            if (winAmount > 0) {
-                try {
-                    await processTransaction(bet.userId, 'game_win', winAmount, `CoinFlip Win (${result})`, { gameType: 'coinflip' });
-                    winnerPayouts.push({ userId: bet.userId, amount: winAmount });
-                } catch (err) {
-                    console.error(`Failed to payout user ${bet.userId}:`, err);
-                }
+        if (error || !result?.success) {
+            console.error(`Failed to settle coinflip round in ${room.name}:`, error?.message || result?.error);
+
+            // Don't leave the stakes locked in a round that will never flip
+            const { data: refund } = await supabaseAdmin.rpc('fn_coinflip_pool_refund', {
+                p_round_id: gameState.roundId,
+                p_reason: 'Settlement failed'
+            });
+            if (refund?.success) {
+                gameState.refunded = true;
+                coinflipNamespace.to(channel(room.id)).emit('roundResult', { outcome: null, refunded: true, reason: refund.reason });
             }
+            return;
         }
 
-        // Emit payout event to all clients so winners can refresh their balance
-        coinflipNamespace.emit('roundResult', {
-            outcome: result,
-            winners: winnerPayouts
-        });
+        if (result.refunded) {
+            gameState.refunded = true;
 
-        // Save game session to database
-        try {
-            await supabaseAdmin.from('game_sessions').insert({
-                game_type: 'coinflip',
-                room_id: gameState.roundId,
-                players: gameState.bets.map(b => ({
-                    userId: b.userId,
-                    username: b.username,
-                    side: b.side,
-                    amount: b.amount
-                })),
-                status: 'completed',
-                result: { outcome: result, totalPot, winningBets: winningBets.length },
-                bets: gameState.bets,
-                ended_at: new Date().toISOString()
+            coinflipNamespace.to(channel(room.id)).emit('roundResult', {
+                outcome: null,
+                refunded: true,
+                reason: result.reason,
+                refunds: result.refunds.map(r => ({ userId: r.user_id, amount: parseFloat(r.amount) }))
+            });
+        } else {
+            gameState.outcome = result.outcome;
+            gameState.history.unshift(result.outcome);
+            if (gameState.history.length > 10) gameState.history.pop();
+
+            // Emit payout event to the room so winners can refresh their balance
+            coinflipNamespace.to(channel(room.id)).emit('roundResult', {
+                outcome: result.outcome,
+                refunded: false,
+                winners: result.winners.map(w => ({ userId: w.user_id, amount: parseFloat(w.amount) }))
             });
-        } catch (err) {
-            console.error('Failed to save coinflip session:', err);
         }
 
-        broadcastState();
+        broadcastState(room);
     };
 
-    // Game Loop
-    if (!gameLoopInterval) {
-        gameLoopInterval = setInterval(async () => {
+    const closeRoom = async (room, reason) => {
+        clearInterval(room.interval);
+        poolRooms.delete(room.id);
+
+        const { error } = await supabaseAdmin
+            .from('coinflip_pool_rooms')
+            .update({ status: 'closed', closed_at: new Date().toISOString() })
+            .eq('id', room.id);
+
+        if (error) console.error(`Failed to close coinflip room ${room.id}:`, error);
+
+        coinflipNamespace.to(channel(room.id)).emit('roomClosed', { roomId: room.id, reason });
+        coinflipNamespace.in(channel(room.id)).socketsLeave(channel(room.id));
+        broadcastLobby();
+    };
+
+    const tick = async (room) => {
+        // Settlement can outlast a tick; don't run two at once
+        if (room.tickRunning) return;
+        room.tickRunning = true;
+
+        const { gameState } = room;
+
+        try {
             gameState.timeLeft--;
 
             if (gameState.timeLeft <= 0) {
                 if (gameState.status === 'betting') {
+                    if (!gameState.roundId) {
+                        await startNewRound(room);
+                        return;
+                    }
+                    room.idleRounds = gameState.bets.length ? 0 : room.idleRounds + 1;
                     gameState.status = 'flipping';
                     gameState.timeLeft = FLIP_TIME;
-                    await processGameResult();
+                    await processGameResult(room);
+                    broadcastLobby();
                 } else if (gameState.status === 'flipping') {
                     gameState.status = 'result';
                     gameState.timeLeft = RESULT_TIME;
                 } else if (gameState.status === 'result') {
-                    startNewRound();
+                    // Player rooms nobody bets in are closed; the house room stays
+                    if (room.createdBy && room.idleRounds >= IDLE_ROUNDS_BEFORE_CLOSE) {
+                        await closeRoom(room, 'Closed after too many rounds without bets');
+                        return;
+                    }
+                    await startNewRound(room);
+                    broadcastLobby();
+                    return;
                 }
-                broadcastState();
+            }
+            broadcastState(room);
+        } catch (err) {
+            console.error(`CoinFlip loop error in ${room.name}:`, err);
+        } finally {
+            room.tickRunning = false;
+        }
+    };
+
+    const startRoom = async (row) => {
+        const room = createRoom(row);
+        poolRooms.set(room.id, room);
+        await startNewRound(room);
+        room.interval = setInterval(() => tick(room), 1000);
+        return room;
+    };
+
+    // Rounds left open by a restart never flipped: give the stakes back
+    const refundOpenRounds = async () => {
+        const { data: rounds, error } = await supabaseAdmin
+            .from('coinflip_pool_rounds')
+            .select('id')
+            .eq('status', 'betting');
+
+        if (error) {
+            console.error('Failed to load open coinflip rounds:', error);
+            return;
+        }
+
+        for (const round of rounds) {
+            const { data, error: refundError } = await supabaseAdmin.rpc('fn_coinflip_pool_refund', {
+                p_round_id: round.id,
+                p_reason: 'Server restarted'
+            });
+
+            if (refundError || !data?.success) {
+                console.error(`Failed to refund coinflip round ${round.id}:`, refundError?.message || data?.error);
             } else {
-                broadcastState();
+                console.log(`🪙 Refunded interrupted coinflip round ${round.id} (${data.refunds.length} bets)`);
             }
-        }, 1000);
+        }
+    };
+
+    const startOpenRooms = async () => {
+        const { data: rows, error } = await supabaseAdmin
+            .from('coinflip_pool_rooms')
+            .select('*')
+            .eq('status', 'open')
+            .order('created_at');
+
+        if (error) {
+            console.error('Failed to load coinflip rooms:', error);
+            return;
+        }
+
+        for (const row of rows) await startRoom(row);
+        console.log(`🪙 CoinFlip running ${rows.length} room(s)`);
+    };
+
+    if (!loopsStarted) {
+        loopsStarted = true;
+        refundOpenRounds()
+            .then(startOpenRooms)
+            .catch(err => console.error('CoinFlip startup error:', err));
     }
 
+    const joinRoom = (socket, room) => {
+        if (socket.data.roomId) socket.leave(channel(socket.data.roomId));
+        socket.leave(LOBBY);
+        socket.join(channel(room.id));
+        socket.data.roomId = room.id;
+
+        const details = summarizeRoom(room, coinflipNamespace);
+        // Creator gets the code back so they can share it
+        if (room.isPrivate && room.createdBy === socket.user?.id) details.joinCode = room.joinCode;
+
+        socket.emit('joinedRoom', details);
+        socket.emit('gameState', room.gameState);
+        broadcastLobby();
+    };
+
     coinflipNamespace.on('connection', (socket) => {
         console.log('🪙 User connected to CoinFlip:', socket.id);
 
-        // Send initial state
-        socket.emit('gameState', gameState);
+        socket.join(LOBBY);
+        socket.emit('roomList', listRooms());
 
-        socket.on('join_check', () => {
-            socket.emit('gameState', gameState);
+        socket.on('listRooms', () => {
+            socket.emit('roomList', listRooms());
         });
 
-        socket.on('placeBet', async ({ userId, amount, side, username }) => {
-            if (gameState.status !== 'betting') {
-                return socket.emit('error', { message: 'Betting is closed for this round' });
+        socket.on('joinRoom', ({ roomId, code } = {}) => {
+            const room = code
+                ? [...poolRooms.values()].find(r => r.joinCode && r.joinCode === String(code).trim().toUpperCase())
+                : poolRooms.get(roomId);
+
+            // Private rooms can only be joined with their code
+            if (!room || (room.isPrivate && !code)) {
+                return socket.emit('error', { message: code ? 'Invalid room code' : 'Room not found' });
             }
 
+            joinRoom(socket, room);
+        });
+
+        socket.on('leaveRoom', () => {
+            if (socket.data.roomId) socket.leave(channel(socket.data.roomId));
+            socket.data.roomId = null;
+            socket.join(LOBBY);
+            socket.emit('roomList', listRooms());
+            broadcastLobby();
+        });
+
+        socket.on('createRoom', async (input = {}) => {
+            const userId = socketUserId(socket);
             if (!userId) {
                 return socket.emit('error', { message: 'Authentication required' });
             }
 
-            if (amount <= 0) return socket.emit('error', { message: 'Invalid amount' });
+            const { settings, error: invalid } = normalizeRoomSettings(input, socket.user.is_admin);
+            if (invalid) return socket.emit('error', { message: invalid });
+
+            const owned = [...poolRooms.values()].filter(r => r.createdBy === userId).length;
+            if (owned >= MAX_OPEN_ROOMS_PER_USER) {
+                return socket.emit('error', { message: `You can have at most ${MAX_OPEN_ROOMS_PER_USER} open rooms` });
+            }
 
-            // Deduct balance immediately
             try {
-                await processTransaction(userId, 'game_loss', amount, `CoinFlip Bet (${side})`, { gameType: 'coinflip' });
+                const { data: row, error } = await supabaseAdmin
+                    .from('coinflip_pool_rooms')
+                    .insert({
+                        ...settings,
+                        join_code: settings.is_private ? generateJoinCode() : null,
+                        created_by: userId
+                    })
+                    .select('*')
+                    .single();
+
+                if (error) throw new Error(error.message);
+
+                const room = await startRoom(row);
+                joinRoom(socket, room);
+            } catch (error) {
+                console.error('Create coinflip room error:', error);
+                socket.emit('error', { message: 'Failed to create room' });
+            }
+        });
 
-                // Add to game state
-                gameState.bets.push({ userId, username, amount, side, avatar: 'default' });
+        socket.on('join_check', () => {
+            const room = poolRooms.get(socket.data.roomId);
+            if (room) socket.emit('gameState', room.gameState);
+        });
+
+        socket.on('placeBet', async ({ userId: claimedUserId, amount, side } = {}) => {
+            // Identity comes from the socket handshake, never from the payload
+            const userId = socketUserId(socket, claimedUserId);
+            if (!userId) {
+                return socket.emit('error', { message: 'Authentication required' });
+            }
+
+            const room = poolRooms.get(socket.data.roomId);
+            if (!room) {
+                return socket.emit('error', { message: 'Join a room first' });
+            }
+
+            const { gameState } = room;
+            if (gameState.status !== 'betting' || !gameState.roundId) {
+                return socket.emit('error', { message: 'Betting is closed for this round' });
+            }
 
-                // Update stats
-                gameState.stats[side] += amount;
-                gameState.stats.totalPot += amount;
+            const betAmount = parseFloat(amount);
+            if (!Number.isFinite(betAmount) || betAmount <= 0) {
+                return socket.emit('error', { message: 'Invalid amount' });
+            }
+
+            if (betAmount < room.minBet || betAmount > room.maxBet) {
+                return socket.emit('error', { message: `Bets in this room are $${room.minBet} – $${room.maxBet}` });
+            }
 
-                // Broadcast update
-                broadcastState();
+            if (!['heads', 'tails'].includes(side)) {
+                return socket.emit('error', { message: 'Side must be heads or tails' });
+            }
 
-                socket.emit('betConfirmed', { amount, side });
+            const roundId = gameState.roundId;
+
+            // The RPC re-checks the round is open (and the limits) under a row lock
+            try {
+                const { data: result, error } = await supabaseAdmin.rpc('fn_coinflip_pool_bet', {
+                    p_round_id: roundId,
+                    p_user_id: userId,
+                    p_side: side,
+                    p_amount: betAmount
+                });
+
+                if (error) throw new Error(error.message);
+                if (!result.success) {
+                    return socket.emit('error', { message: result.error });
+                }
+
+                // Round may have moved on while the RPC ran
+                if (gameState.roundId === roundId) {
+                    gameState.bets.push({
+                        userId,
+                        username: result.username,
+                        amount: parseFloat(result.amount),
+                        side,
+                        avatar: 'default'
+                    });
+
+                    gameState.stats = {
+                        heads: parseFloat(result.heads_total),
+                        tails: parseFloat(result.tails_total),
+                        totalPot: parseFloat(result.total_pot)
+                    };
+
+                    // Broadcast update
+                    broadcastState(room);
+                }
+
+                socket.emit('betConfirmed', {
+                    roomId: room.id,
+                    amount: parseFloat(result.amount),
+                    side,
+                    newBalance: parseFloat(result.new_balance)
+                });
 
             } catch (error) {
                 console.error('Bet error:', error);
@@ -172,18 +473,21 @@ module.exports = (io) => {
             }
         });
 
-        socket.on('chatMessage', ({ message, username }) => {
+        socket.on('chatMessage', ({ message } = {}) => {
+            if (!socket.data.roomId) return;
+
             const chatMsg = {
                 id: uuidv4(),
-                username: username || 'Anon',
+                username: socket.user?.username || 'Anon',
                 message,
                 timestamp: new Date()
             };
-            coinflipNamespace.emit('chatMessage', chatMsg);
+            coinflipNamespace.to(channel(socket.data.roomId)).emit('chatMessage', chatMsg);
         });
 
         socket.on('disconnect', () => {
-            // No cleanup needed for global room
+            // socket.io drops the socket from its rooms; refresh player counts
+            if (socket.data.roomId) broadcastLobby();
         });
     });
 };
@@ -4,14 +4,15 @@
  */
 
 const crypto = require('crypto');
-const { supabase } = require('../config/supabase');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { socketUserId } = require('../middleware/auth');
+const { crashPointFromHash, nextRoundSeed, warmActiveChain } = require('../services/aviatorChain');
+const autoBet = require('../services/aviatorAutoBet');
 
 // Game configuration
 const CONFIG = {
     WAITING_TIME: 5000,      // 5 seconds waiting phase
     TICK_INTERVAL: 100,      // 100ms tick rate
-    HOUSE_EDGE: 0.04,        // 4% house edge
-    MAX_MULTIPLIER: 1000,    // Maximum crash point
 };
 
 // Current game state
@@ -27,26 +28,8 @@ let io = null;
 // ============================================
 let roundBetsCache = new Map(); // key: `${userId}_${betNumber}` -> bet object
 
-/**
- * Generate provably fair crash point
- * Uses SHA256 hash of server seed
- */
-function generateCrashPoint(serverSeed, clientSeed = 'stakex_public_seed') {
-    const hash = crypto.createHmac('sha256', serverSeed)
-        .update(clientSeed)
-        .digest('hex');
-
-    // Convert hash to crash point
-    // Using first 8 characters (32 bits) of hash
-    const h = parseInt(hash.substring(0, 8), 16);
-
-    // Apply house edge and calculate crash point
-    // Formula: 99 / (1 - h / 2^32) with house edge
-    const e = Math.pow(2, 32);
-    const crashPoint = Math.max(1.00, (100 * e - h) / (e - h) * (1 - CONFIG.HOUSE_EDGE) / 100);
-
-    return Math.min(crashPoint, CONFIG.MAX_MULTIPLIER);
-}
+// Auto-bets that placed a bet this round, key as above -> crash_autobets row
+let roundAutoBets = new Map();
 
 /**
  * Calculate current multiplier based on elapsed time
@@ -57,24 +40,33 @@ function calculateMultiplier(elapsedMs) {
 }
 
 /**
- * Create a new round
+ * Create a new round from the next game hash of the hash chain
  */
 async function createRound() {
-    const serverSeed = crypto.randomBytes(32).toString('hex');
-    const clientSeed = 'stakex_public_seed';
-    const crashPoint = generateCrashPoint(serverSeed, clientSeed);
+    let seed;
+    try {
+        seed = await nextRoundSeed();
+    } catch (err) {
+        console.error('Error drawing round seed:', err.message);
+        return null;
+    }
+
+    const { serverSeed, clientSeed, chainId, chainIndex } = seed;
+    const crashPoint = crashPointFromHash(serverSeed, clientSeed);
 
-    // Hash the server seed (revealed after round ends)
+    // Hash the game hash (= previous game hash of the chain, revealed after round ends)
     const hash = crypto.createHash('sha256').update(serverSeed).digest('hex');
 
-    const { data, error } = await supabase
+    // The public row only carries the commitment; the game hash and crash
+    // point stay sealed in crash_round_seeds until the round ends
+    const { data, error } = await supabaseAdmin
         .from('crash_rounds')
         .insert({
-            crash_point: parseFloat(crashPoint.toFixed(2)),
             status: 'waiting',
             hash: hash,
-            server_seed: serverSeed, // Will be revealed after crash
-            client_seed: clientSeed
+            client_seed: clientSeed,
+            chain_id: chainId,
+            chain_index: chainIndex
         })
         .select()
         .single();
@@ -84,7 +76,34 @@ async function createRound() {
         return null;
     }
 
-    return data;
+    const { error: sealError } = await supabaseAdmin
+        .from('crash_round_seeds')
+        .insert({ round_id: data.id, server_seed: serverSeed, crash_point: crashPoint });
+
+    if (sealError) {
+        console.error('Error sealing crash round seed:', sealError);
+        await supabaseAdmin.from('crash_rounds').delete().eq('id', data.id);
+        return null;
+    }
+
+    return { ...data, server_seed: serverSeed, crash_point: crashPoint };
+}
+
+/**
+ * Mark a round crashed and reveal its game hash and crash point
+ */
+async function revealCrashedRound(round) {
+    const { error } = await supabaseAdmin
+        .from('crash_rounds')
+        .update({
+            status: 'crashed',
+            end_time: new Date().toISOString(),
+            crash_point: round.crash_point,
+            server_seed: round.server_seed
+        })
+        .eq('id', round.id);
+
+    if (error) console.error('Error revealing crash round:', error.message);
 }
 
 /**
@@ -93,6 +112,7 @@ async function createRound() {
 async function startWaitingPhase() {
     // Clear bet cache for new round
     roundBetsCache.clear();
+    roundAutoBets.clear();
 
     console.log('🎰 [Aviator] Starting new round...');
 
@@ -115,6 +135,10 @@ async function startWaitingPhase() {
 
     // After waiting, start flying
     setTimeout(startFlyingPhase, CONFIG.WAITING_TIME);
+
+    placeAutoBets(currentRound).catch(err => {
+        console.error('[Aviator] Auto-bet error:', err.message);
+    });
 }
 
 /**
@@ -124,7 +148,7 @@ async function startFlyingPhase() {
     if (!currentRound) return;
 
     // Update round status
-    await supabase
+    await supabaseAdmin
         .from('crash_rounds')
         .update({ status: 'flying', start_time: new Date().toISOString() })
         .eq('id', currentRound.id);
@@ -192,10 +216,11 @@ async function processAutoCashouts(currentMultiplier) {
             // Mark as processing to prevent duplicate cashouts
             bet.status = 'cashing_out';
 
+            // Auto cashout closes whatever is still riding
             const result = await cashOutBet(bet.userId, bet.betNumber, bet.autoCashout);
 
             if (result.success) {
-                bet.status = 'cashed_out';
+                recordCashout(bet, result);
             } else {
                 // If cashout failed, mark as active again for retry
                 bet.status = 'active';
@@ -205,16 +230,26 @@ async function processAutoCashouts(currentMultiplier) {
 }
 
 /**
- * Cash out a bet
+ * Track a (partial) cashout on a cached bet
  */
-async function cashOutBet(userId, betNumber, multiplier) {
-    if (!currentRound) return { success: false, error: 'No active round' };
+function recordCashout(bet, result) {
+    bet.payout = (bet.payout || 0) + parseFloat(result.payout);
+    bet.status = result.closed ? 'cashed_out' : 'active';
+}
 
-    const { data, error } = await supabase.rpc('fn_cash_out_crash', {
+/**
+ * Cash out a bet, or `fraction` of the stake still riding
+ * (in the current round unless a round id is given)
+ */
+async function cashOutBet(userId, betNumber, multiplier, roundId = currentRound?.id, fraction = 1) {
+    if (!roundId) return { success: false, error: 'No active round' };
+
+    const { data, error } = await supabaseAdmin.rpc('fn_cash_out_crash', {
         p_user_id: userId,
-        p_round_id: currentRound.id,
+        p_round_id: roundId,
         p_multiplier: parseFloat(multiplier.toFixed(2)),
-        p_bet_number: betNumber
+        p_bet_number: betNumber,
+        p_fraction: fraction
     });
 
     if (error) {
@@ -230,11 +265,16 @@ async function cashOutBet(userId, betNumber, multiplier) {
             .eq('id', userId)
             .single();
 
-        // Broadcast cashout
+        // Broadcast cashout (partial exits keep the rest of the bet riding)
         io.to('aviator').emit('player_cashout', {
             username: user?.username || 'Anonymous',
+            betNumber: Number(betNumber),
             multiplier: multiplier,
-            profit: data.profit
+            amount: data.amount,
+            profit: data.profit,
+            partial: data.partial,
+            closed: data.closed,
+            remaining: data.remaining
         });
     }
 
@@ -278,16 +318,10 @@ async function handleCrash(crashPoint) {
 
     // Update round status in DB
     try {
-        await supabase
-            .from('crash_rounds')
-            .update({
-                status: 'crashed',
-                end_time: new Date().toISOString()
-            })
-            .eq('id', round.id);
+        await revealCrashedRound(round);
 
         // Settle all remaining bets (mark as lost)
-        await supabase.rpc('fn_settle_crash_round', {
+        await supabaseAdmin.rpc('fn_settle_crash_round', {
             p_round_id: round.id
         });
 
@@ -299,6 +333,8 @@ async function handleCrash(crashPoint) {
         console.error('Error settling crash round:', err);
     }
 
+    await settleAutoBets(round.id);
+
     // Start new round after delay
     isCrashing = false;
     setTimeout(startWaitingPhase, 3000);
@@ -307,8 +343,16 @@ async function handleCrash(crashPoint) {
 /**
  * Handle player bet placement
  */
-async function handlePlaceBet(socket, data) {
-    const { userId, amount, betNumber = 1, autoCashout } = data;
+async function handlePlaceBet(socket, data = {}) {
+    const { amount, betNumber = 1, autoCashout } = data;
+
+    // Identity comes from the socket handshake, never from the payload
+    const userId = socketUserId(socket, data.userId);
+    if (!userId) {
+        socket.emit('bet_result', { success: false, error: 'Authentication required', betNumber: Number(betNumber) });
+        return;
+    }
+
     console.log('[Aviator] place_bet received:', { userId, amount, betNumber, autoCashout });
 
     if (!currentRound || currentRound.status !== 'waiting') {
@@ -317,9 +361,19 @@ async function handlePlaceBet(socket, data) {
         return;
     }
 
-    const { data: result, error } = await supabase.rpc('fn_place_crash_bet', {
+    const betResult = await placeBet(currentRound, userId, amount, betNumber, autoCashout);
+
+    console.log('[Aviator] Emitting bet_result:', betResult);
+    socket.emit('bet_result', betResult);
+}
+
+/**
+ * Place a bet in a waiting round, cache it and broadcast it
+ */
+async function placeBet(round, userId, amount, betNumber, autoCashout) {
+    const { data: result, error } = await supabaseAdmin.rpc('fn_place_crash_bet', {
         p_user_id: userId,
-        p_round_id: currentRound.id,
+        p_round_id: round.id,
         p_amount: amount,
         p_bet_number: betNumber,
         p_auto_cashout: autoCashout || null
@@ -328,21 +382,18 @@ async function handlePlaceBet(socket, data) {
     console.log('[Aviator] RPC result:', result, 'error:', error);
 
     if (error) {
-        socket.emit('bet_result', { success: false, error: error.message, betNumber: Number(betNumber) });
-        return;
+        return { success: false, error: error.message, betNumber: Number(betNumber) };
     }
 
     // Ensure proper structure
     const betResult = {
         success: result?.success || false,
+        error: result?.error,
         bet_id: result?.bet_id,
         new_balance: result?.new_balance,
         betNumber: Number(betNumber)
     };
 
-    console.log('[Aviator] Emitting bet_result:', betResult);
-    socket.emit('bet_result', betResult);
-
     if (result?.success) {
         // Add bet to in-memory cache for efficient auto-cashout processing
         const cacheKey = `${userId}_${betNumber}`;
@@ -370,13 +421,27 @@ async function handlePlaceBet(socket, data) {
             betNumber: Number(betNumber)
         });
     }
+
+    return betResult;
 }
 
 /**
  * Handle player cash out request
  */
-async function handleCashOut(socket, data) {
-    const { userId, betNumber = 1, clientMultiplier } = data;
+async function handleCashOut(socket, data = {}) {
+    const { betNumber = 1, clientMultiplier } = data;
+    const fraction = data.fraction === undefined ? 1 : Number(data.fraction);
+
+    const userId = socketUserId(socket, data.userId);
+    if (!userId) {
+        socket.emit('cashout_result', { success: false, error: 'Authentication required' });
+        return;
+    }
+
+    if (!(fraction > 0 && fraction <= 1)) {
+        socket.emit('cashout_result', { success: false, error: 'Invalid cash out fraction' });
+        return;
+    }
 
     if (!currentRound || !roundStartTime) {
         socket.emit('cashout_result', { success: false, error: 'No active round' });
@@ -403,18 +468,16 @@ async function handleCashOut(socket, data) {
         return;
     }
 
-    const result = await cashOutBet(userId, betNumber, finalMultiplier);
+    const result = await cashOutBet(userId, betNumber, finalMultiplier, currentRound.id, fraction);
 
-    // Mark bet as cashed out in cache
+    // Track the exit in cache; the bet stays active until fully cashed out
     if (result.success) {
         const cacheKey = `${userId}_${betNumber}`;
         const cachedBet = roundBetsCache.get(cacheKey);
-        if (cachedBet) {
-            cachedBet.status = 'cashed_out';
-        }
+        if (cachedBet) recordCashout(cachedBet, result);
     }
 
-    socket.emit('cashout_result', result);
+    socket.emit('cashout_result', { ...result, betNumber: Number(betNumber) });
 }
 
 /**
@@ -445,6 +508,282 @@ function getCurrentState() {
     };
 }
 
+// ============================================
+// AUTO-BET
+// Server-run strategies (see services/aviatorAutoBet.js).  Progress is
+// pushed to the player's personal room so it follows them across tabs.
+// ============================================
+
+function emitAutoBet(row) {
+    io.to(`user_${row.user_id}`).emit('autobet_update', autoBet.formatAutoBet(row));
+}
+
+/**
+ * Place this round's bet for every running auto-bet
+ */
+async function placeAutoBets(round) {
+    const running = await autoBet.getRunningAutoBets();
+
+    for (const row of running) {
+        const key = `${row.user_id}_${row.bet_number}`;
+        if (roundBetsCache.has(key)) continue; // Slot already taken by a manual bet
+
+        const stake = parseFloat(row.current_stake);
+        const result = await placeBet(round, row.user_id, stake, row.bet_number, row.settings.autoCashout);
+
+        io.to(`user_${row.user_id}`).emit('bet_result', { ...result, auto: true });
+
+        if (result.success) {
+            roundAutoBets.set(key, row);
+        } else if (result.error !== 'Round already started') {
+            const [stopped] = await autoBet.stopAutoBets(row.user_id, row.bet_number, result.error || 'Bet failed');
+            if (stopped) emitAutoBet(stopped);
+        }
+    }
+}
+
+/**
+ * Feed the round's outcome back into each auto-bet
+ */
+async function settleAutoBets(roundId) {
+    for (const [key, row] of roundAutoBets.entries()) {
+        const bet = roundBetsCache.get(key);
+        if (!bet) continue;
+
+        // Partial exits count towards the payout, whatever was still riding is lost
+        const stake = parseFloat(bet.amount);
+        const profit = Math.round(((bet.payout || 0) - stake) * 100) / 100;
+
+        try {
+            const updated = await autoBet.recordRound(row, { roundId, stake, profit });
+            // Restarted mid-round: the new run starts from its own settings
+            if (updated) emitAutoBet(updated);
+        } catch (err) {
+            console.error(`[Aviator] Auto-bet update failed for ${key}:`, err.message);
+        }
+    }
+    roundAutoBets.clear();
+}
+
+async function handleAutoBetStart(socket, data = {}) {
+    const userId = socketUserId(socket);
+    if (!userId) {
+        socket.emit('autobet_error', { error: 'Authentication required' });
+        return;
+    }
+
+    const betNumber = Number(data.betNumber);
+    const result = await autoBet.startAutoBet(userId, betNumber, data.settings);
+
+    if (!result.success) {
+        socket.emit('autobet_error', { betNumber, error: result.error });
+        return;
+    }
+
+    emitAutoBet(result.autobet);
+}
+
+/**
+ * Kill switch: stop one slot, or every auto-bet of the player
+ */
+async function handleAutoBetStop(socket, data = {}) {
+    const userId = socketUserId(socket);
+    if (!userId) return;
+
+    try {
+        const stopped = await autoBet.stopAutoBets(userId, Number(data.betNumber) || null, 'Stopped by player');
+        stopped.forEach(emitAutoBet);
+    } catch (err) {
+        socket.emit('autobet_error', { betNumber: data.betNumber, error: err.message });
+    }
+}
+
+// ============================================
+// STARTUP RECOVERY
+// Rounds left 'waiting' or 'flying' by a restart: the latest flying
+// round resumes from its start_time if it would still be in the air,
+// anything that would have crashed meanwhile is settled, and rounds
+// that never took off are cancelled with stakes refunded.
+// ============================================
+
+/**
+ * Load a round's open bets into the in-memory cache
+ */
+async function loadRoundBets(roundId) {
+    const { data: bets, error } = await supabase
+        .from('crash_bets')
+        .select('id, user_id, bet_number, amount, auto_cashout, payout')
+        .eq('round_id', roundId)
+        .eq('status', 'active');
+
+    if (error) throw new Error(error.message);
+
+    const cache = new Map();
+    for (const bet of bets || []) {
+        cache.set(`${bet.user_id}_${bet.bet_number}`, {
+            odbyId: bet.id,
+            userId: bet.user_id,
+            betNumber: bet.bet_number,
+            amount: parseFloat(bet.amount),
+            autoCashout: bet.auto_cashout ? parseFloat(bet.auto_cashout) : null,
+            payout: parseFloat(bet.payout) || 0,
+            status: 'active'
+        });
+    }
+    return cache;
+}
+
+/**
+ * Settle a round that crashed while the server was down.
+ * Auto cashouts strictly below the crash point would have fired
+ * (a tick at the crash point crashes before cashing out), everything
+ * else is lost.
+ */
+async function settleMissedRound(round) {
+    const crashPoint = parseFloat(round.crash_point);
+    const bets = await loadRoundBets(round.id);
+    let cashedOut = 0;
+
+    for (const bet of bets.values()) {
+        if (bet.autoCashout && bet.autoCashout < crashPoint) {
+            const result = await cashOutBet(bet.userId, bet.betNumber, bet.autoCashout, round.id);
+            if (result.success) cashedOut++;
+        }
+    }
+
+    await revealCrashedRound(round);
+
+    const { data: lost } = await supabaseAdmin.rpc('fn_settle_crash_round', { p_round_id: round.id });
+
+    console.log(`♻️ [Aviator] Round ${round.id} settled after restart (crashed at ${crashPoint}x, ${cashedOut} auto cashout(s), ${lost || 0} lost)`);
+}
+
+/**
+ * Cancel a round that never took off and refund its bets
+ */
+async function refundRound(round) {
+    const { data, error } = await supabaseAdmin.rpc('fn_refund_crash_round', {
+        p_round_id: round.id,
+        p_recovery: true
+    });
+
+    if (error || !data?.success) {
+        throw new Error(error?.message || data?.error || 'Refund failed');
+    }
+
+    console.log(`♻️ [Aviator] Round ${round.id} cancelled after restart (${data.refunded} bet(s) refunded)`);
+}
+
+/**
+ * Auto-bets that placed one of the loaded bets: a running slot whose stake
+ * and cashout target match the open bet and that hasn't recorded this round
+ */
+async function loadRoundAutoBets(round) {
+    const running = await autoBet.getRunningAutoBets();
+    const matched = new Map();
+
+    for (const row of running) {
+        const key = `${row.user_id}_${row.bet_number}`;
+        const bet = roundBetsCache.get(key);
+        if (!bet || row.last_round_id === round.id) continue;
+
+        if (bet.amount === parseFloat(row.current_stake) && bet.autoCashout === row.settings.autoCashout) {
+            matched.set(key, row);
+        }
+    }
+    return matched;
+}
+
+/**
+ * Pick up the in-flight round from its recorded start time
+ */
+async function resumeRound(round) {
+    roundBetsCache = await loadRoundBets(round.id);
+    roundAutoBets = await loadRoundAutoBets(round);
+    currentRound = { ...round, crash_point: parseFloat(round.crash_point) };
+    roundStartTime = new Date(round.start_time).getTime();
+
+    const elapsed = Date.now() - roundStartTime;
+    console.log(`♻️ [Aviator] Round ${round.id} resumed at ${calculateMultiplier(elapsed).toFixed(2)}x (${roundBetsCache.size} open bet(s), ${roundAutoBets.size} auto)`);
+
+    io.to('aviator').emit('game_state', {
+        phase: 'flying',
+        roundId: currentRound.id,
+        startTime: roundStartTime
+    });
+
+    // Auto cashouts already passed are paid at their target on the first tick
+    gameInterval = setInterval(gameTick, CONFIG.TICK_INTERVAL);
+}
+
+/**
+ * Attach each round's sealed game hash and crash point (rounds from before
+ * sealing still carry them on the row)
+ */
+async function unsealRounds(rounds) {
+    if (rounds.length === 0) return rounds;
+
+    const { data: seeds, error } = await supabaseAdmin
+        .from('crash_round_seeds')
+        .select('round_id, server_seed, crash_point')
+        .in('round_id', rounds.map(round => round.id));
+
+    if (error) throw new Error(error.message);
+
+    const byRound = new Map(seeds.map(seed => [seed.round_id, seed]));
+    return rounds.map(round => ({
+        ...round,
+        server_seed: byRound.get(round.id)?.server_seed ?? round.server_seed,
+        crash_point: byRound.get(round.id)?.crash_point ?? round.crash_point
+    }));
+}
+
+/**
+ * Recover unfinished rounds.  Returns true if a round was resumed
+ * (its crash starts the next round), false if a fresh round is needed.
+ */
+async function recoverUnfinishedRounds() {
+    let rounds;
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('crash_rounds')
+            .select('*')
+            .in('status', ['waiting', 'flying'])
+            .order('created_at', { ascending: false });
+
+        if (error) throw new Error(error.message);
+        rounds = await unsealRounds(data || []);
+    } catch (err) {
+        console.error('[Aviator] Recovery lookup failed:', err.message);
+        return false;
+    }
+
+    let resumed = false;
+
+    for (const [index, round] of rounds.entries()) {
+        try {
+            if (round.status === 'waiting' || !round.start_time) {
+                await refundRound(round);
+                continue;
+            }
+
+            const elapsed = Date.now() - new Date(round.start_time).getTime();
+            const stillFlying = calculateMultiplier(elapsed) < parseFloat(round.crash_point);
+
+            if (index === 0 && stillFlying) {
+                await resumeRound(round);
+                resumed = true;
+            } else {
+                await settleMissedRound(round);
+            }
+        } catch (err) {
+            console.error(`[Aviator] Recovery of round ${round.id} failed:`, err.message);
+        }
+    }
+
+    return resumed;
+}
+
 /**
  * Initialize the crash game with Socket.io
  */
@@ -456,6 +795,15 @@ function initCrashGame(socketIo) {
         socket.on('join_aviator', async () => {
             socket.join('aviator');
 
+            // Personal room for auto-bet progress and server-placed bets
+            const userId = socketUserId(socket);
+            if (userId) {
+                socket.join(`user_${userId}`);
+                autoBet.getUserAutoBets(userId)
+                    .then(rows => socket.emit('autobet_state', rows.map(autoBet.formatAutoBet)))
+                    .catch(err => console.error('[Aviator] Auto-bet state error:', err.message));
+            }
+
             // Send current state
             socket.emit('game_state', getCurrentState());
 
@@ -479,11 +827,20 @@ function initCrashGame(socketIo) {
 
         socket.on('place_bet', (data) => handlePlaceBet(socket, data));
         socket.on('cash_out', (data) => handleCashOut(socket, data));
+        socket.on('autobet_start', (data) => handleAutoBetStart(socket, data));
+        socket.on('autobet_stop', (data) => handleAutoBetStop(socket, data));
     });
 
-    // Start the game loop
+    // The first round of the active chain reuses these checkpoints
+    warmActiveChain().catch(err => {
+        console.error('[Aviator] Hash chain warm-up failed:', err.message);
+    });
+
+    // Recover rounds interrupted by a restart, then start the game loop
     console.log('🎰 [Aviator] Game engine initialized');
-    startWaitingPhase();
+    recoverUnfinishedRounds().then(resumed => {
+        if (!resumed) startWaitingPhase();
+    });
 }
 
 module.exports = initCrashGame;
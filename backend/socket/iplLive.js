@@ -7,19 +7,18 @@
  * Events emitted:
  *   'ipl-update'          – Live match data + odds (every 45s)
  *   'ipl-match-ended'     – Match completed, settlement triggered
+ *   'ipl-match-voided'    – Match abandoned / no result, stakes refunded
  *   'ipl-betting-closed'  – Overs > 18.5, no more bets
  */
 
 const {
     getActiveMatches,
-    shouldScrapeNow,
-    IPL_TEAMS
+    shouldScrapeNow
 } = require('../services/iplScraper');
 
-const { settleMatch } = require('../services/iplSettlement');
-
-// Track settled matches to prevent double-settlement
-const settledMatches = new Set();
+const { settleMarkets } = require('../services/iplSettlement');
+const { syncMatches, runSettlementJobs } = require('../services/iplLedger');
+const { socketUserId } = require('../middleware/auth');
 
 // Track previous betting status per match
 const prevBettingOpen = new Map();
@@ -52,9 +51,11 @@ function initIPLLive(io) {
             socket.leave('ipl');
         });
 
-        // Let users join a personal room for settlement notifications
+        // Let users join a personal room for settlement notifications.
+        // Only the authenticated owner may subscribe to their own room.
         socket.on('join_user_room', (userId) => {
-            if (userId) socket.join(`user_${userId}`);
+            const ownId = socketUserId(socket, userId);
+            if (ownId) socket.join(`user_${ownId}`);
         });
     });
 
@@ -68,25 +69,14 @@ function initIPLLive(io) {
             // Broadcast to all clients in the 'ipl' room
             io.to('ipl').emit('ipl-update', data);
 
-            // Check for match endings → trigger settlement
-            for (const match of data.completed || []) {
-                if (match.winner && !settledMatches.has(match.id)) {
-                    settledMatches.add(match.id);
+            // Record match lifecycle, then settle any completed matches.
+            // Jobs are claimed through the ledger so restarts resume and
+            // multiple instances never settle the same match twice.
+            await syncMatches(data);
+            await runSettlementJobs(io);
 
-                    console.log(`🏏 [IPL Live] Match ended: ${match.id} → Winner: ${match.winner}`);
-
-                    io.to('ipl').emit('ipl-match-ended', {
-                        matchId: match.id,
-                        winner: match.winner,
-                        winnerName: IPL_TEAMS[match.winner]?.name || match.winner,
-                        statusText: match.statusText
-                    });
-
-                    // Trigger auto-settlement
-                    const result = await settleMatch(match.id, match.winner, io);
-                    console.log('[IPL Live] Settlement result:', result);
-                }
-            }
+            // Settle innings runs / powerplay / next over / first wicket markets
+            await settleMarkets([...(data.live || []), ...(data.completed || [])], io);
 
             // Check for betting-closed transitions
             for (const match of data.live || []) {
@@ -129,6 +119,11 @@ function initIPLLive(io) {
         } else {
             stopScraping();
         }
+
+        // Retry/resume settlement even outside match hours
+        runSettlementJobs(io).catch(err => {
+            console.error('[IPL Live] Settlement job error:', err.message);
+        });
     }
 
     // Initial settlement check + loop scheduler
@@ -1,9 +1,18 @@
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const { processTransaction } = require('../controllers/walletController');
+const { getTable } = require('../services/pokerTables');
+const { recordHand } = require('../services/pokerHands');
 
-// Poker game rooms
+// Poker game rooms, keyed by poker_tables.id. Rooms stay in memory once
+// created so the lobby can report occupancy.
 const pokerRooms = new Map();
 
+// Turn clock
+const ACTION_TIME_MS = 20 * 1000;      // Per decision
+const TIME_BANK_MS = 30 * 1000;        // Extra time per seat, drawn once the action time is gone
+const AWAY_ACTION_MS = 1500;           // Sitting-out and disconnected players act almost at once
+const RECONNECT_GRACE_MS = 60 * 1000;  // Seats are held this long after a disconnect
+
 // Constants
 const SUITS = ['♠', '♥', '♦', '♣'];
 const VALUES = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
@@ -15,88 +24,144 @@ const VALUE_MAP = {
 // --- HAND EVALUATOR HELPERS ---
 const getCardValue = (card) => VALUE_MAP[card.value];
 
-const evaluateHand = (communityCards, playerHand) => {
-    const allCards = [...communityCards, ...playerHand];
-
-    // Sort by value descending
-    allCards.sort((a, b) => getCardValue(b) - getCardValue(a));
-
-    const flushSuit = getFlushSuit(allCards);
-    const straightHigh = getStraightHigh(allCards);
-
-    // Check Straight Flush
-    if (flushSuit && straightHigh) {
-        const flushCards = allCards.filter(c => c.suit === flushSuit);
-        const sfHigh = getStraightHigh(flushCards);
-        if (sfHigh) return { rank: 8, value: sfHigh, name: 'Straight Flush' };
-    }
-
-    const counts = getValueCounts(allCards);
-    const quads = Object.keys(counts).find(key => counts[key] === 4);
-    const trips = Object.keys(counts).filter(key => counts[key] === 3).sort((a, b) => b - a);
-    const pairs = Object.keys(counts).filter(key => counts[key] === 2).sort((a, b) => b - a);
-
-    if (quads) return { rank: 7, value: parseInt(quads), name: 'Four of a Kind' };
+const HAND_NAMES = [
+    'High Card', 'Pair', 'Two Pair', 'Three of a Kind', 'Straight',
+    'Flush', 'Full House', 'Four of a Kind', 'Straight Flush'
+];
+
+/**
+ * All k-card combinations of an array
+ */
+const combinations = (cards, k) => {
+    const result = [];
+    const pick = (start, combo) => {
+        if (combo.length === k) {
+            result.push(combo);
+            return;
+        }
+        for (let i = start; i <= cards.length - (k - combo.length); i++) {
+            pick(i + 1, [...combo, cards[i]]);
+        }
+    };
+    pick(0, []);
+    return result;
+};
 
-    // Full House
-    if (trips.length > 0 && (trips.length > 1 || pairs.length > 0)) {
-        const tripVal = parseInt(trips[0]);
-        const pairVal = trips.length > 1 ? parseInt(trips[1]) : parseInt(pairs[0]);
-        return { rank: 6, value: tripVal * 100 + pairVal, name: 'Full House' };
+/**
+ * Score exactly five cards.
+ * score = [rank, ...tiebreakers], compared element by element.
+ * cards are ordered by importance (e.g. trips first, then kickers).
+ */
+const evaluateFive = (five) => {
+    const sorted = [...five].sort((a, b) => getCardValue(b) - getCardValue(a));
+    const values = sorted.map(getCardValue);
+
+    const isFlush = sorted.every(c => c.suit === sorted[0].suit);
+
+    // Straight high card, the wheel (A-2-3-4-5) plays as a 5-high straight
+    const unique = [...new Set(values)];
+    let straightHigh = null;
+    if (unique.length === 5) {
+        if (unique[0] - unique[4] === 4) straightHigh = unique[0];
+        else if (unique.join(',') === '14,5,4,3,2') straightHigh = 5;
     }
 
-    if (flushSuit) {
-        const flushCards = allCards.filter(c => c.suit === flushSuit);
-        return { rank: 5, value: getCardValue(flushCards[0]), name: 'Flush' };
+    if (straightHigh) {
+        // Put the ace at the bottom of a wheel
+        const cards = straightHigh === 5 ? [...sorted.slice(1), sorted[0]] : sorted;
+        const rank = isFlush ? 8 : 4;
+        return { rank, score: [rank, straightHigh], cards };
     }
 
-    if (straightHigh) return { rank: 4, value: straightHigh, name: 'Straight' };
-
-    if (trips.length > 0) return { rank: 3, value: parseInt(trips[0]), name: 'Three of a Kind' };
-
-    if (pairs.length > 1) return { rank: 2, value: parseInt(pairs[0]), name: 'Two Pair' };
-
-    if (pairs.length > 0) return { rank: 1, value: parseInt(pairs[0]), name: 'Pair' };
-
-    return { rank: 0, value: getCardValue(allCards[0]), name: 'High Card' };
+    // Group by value: bigger groups first, then higher values
+    const groups = Object.values(sorted.reduce((acc, card) => {
+        const v = getCardValue(card);
+        (acc[v] = acc[v] || []).push(card);
+        return acc;
+    }, {})).sort((a, b) =>
+        b.length - a.length || getCardValue(b[0]) - getCardValue(a[0])
+    );
+
+    const shape = groups.map(g => g.length).join('');
+    const cards = groups.flat();
+    const groupValues = groups.map(g => getCardValue(g[0]));
+
+    let rank;
+    if (shape === '41') rank = 7;
+    else if (shape === '32') rank = 6;
+    else if (isFlush) rank = 5;
+    else if (shape === '311') rank = 3;
+    else if (shape === '221') rank = 2;
+    else if (shape === '2111') rank = 1;
+    else rank = 0;
+
+    return { rank, score: [rank, ...(rank === 5 ? values : groupValues)], cards };
 };
 
-const getFlushSuit = (cards) => {
-    const counts = {};
-    for (const c of cards) {
-        counts[c.suit] = (counts[c.suit] || 0) + 1;
-        if (counts[c.suit] >= 5) return c.suit;
+/**
+ * Compare two score arrays: > 0 if a wins, < 0 if b wins, 0 on a tie
+ */
+const compareScores = (a, b) => {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const diff = (a[i] || 0) - (b[i] || 0);
+        if (diff !== 0) return diff;
     }
-    return null;
+    return 0;
 };
 
-const getStraightHigh = (cards) => {
-    const uniqueValues = Array.from(new Set(cards.map(c => getCardValue(c)))).sort((a, b) => b - a);
-
-    // Handle Ace low straight (5,4,3,2,A)
-    if (uniqueValues.includes(14)) uniqueValues.push(1);
+/**
+ * Best 5-card hand out of hole cards + board
+ * Returns { rank, name, score, cards } where cards are the five used
+ */
+const evaluateHand = (communityCards, playerHand) => {
+    const allCards = [...communityCards, ...playerHand];
+    const candidates = allCards.length > 5 ? combinations(allCards, 5) : [allCards];
 
-    let streak = 0;
-    for (let i = 0; i < uniqueValues.length - 1; i++) {
-        if (uniqueValues[i] - uniqueValues[i + 1] === 1) {
-            streak++;
-            if (streak >= 4) return uniqueValues[i - 3];
-        } else {
-            streak = 0;
-        }
+    let best = null;
+    for (const five of candidates) {
+        const hand = evaluateFive(five);
+        if (!best || compareScores(hand.score, best.score) > 0) best = hand;
     }
-    return null;
+
+    const name = best.rank === 8 && best.score[1] === 14 ? 'Royal Flush' : HAND_NAMES[best.rank];
+    return { ...best, name };
 };
+// --- END EVALUATOR ---
 
-const getValueCounts = (cards) => {
-    const counts = {};
-    for (const c of cards) {
-        const val = getCardValue(c);
-        counts[val] = (counts[val] || 0) + 1;
+// Compare two evaluated hands: > 0 if a wins, < 0 if b wins, 0 on a tie
+const compareHands = (a, b) => compareScores(a.score, b.score);
+
+/**
+ * Build main and side pots from each player's total contribution.
+ * Every distinct all-in level of a live player closes a pot; folded
+ * players' chips count towards the pots but they can't win them.
+ */
+const buildPots = (contributions) => {
+    const levels = [...new Set(
+        contributions.filter(c => !c.folded && c.amount > 0).map(c => c.amount)
+    )].sort((a, b) => a - b);
+
+    const pots = [];
+    let previous = 0;
+
+    for (const level of levels) {
+        const amount = contributions.reduce(
+            (sum, c) => sum + Math.max(0, Math.min(c.amount, level) - previous), 0
+        );
+        const eligible = contributions
+            .filter(c => !c.folded && c.amount >= level)
+            .map(c => c.id);
+
+        if (amount > 0) pots.push({ amount, eligible });
+        previous = level;
     }
-    return counts;
+
+    // Dead chips above the last live level go to the last pot
+    const leftover = contributions.reduce((sum, c) => sum + Math.max(0, c.amount - previous), 0);
+    if (leftover > 0 && pots.length > 0) pots[pots.length - 1].amount += leftover;
+
+    return pots;
 };
-// --- END EVALUATOR ---
 
 const createDeck = () => {
     const deck = [];
@@ -117,8 +182,21 @@ const shuffleDeck = (deck) => {
     return shuffled;
 };
 
-const createRoom = (roomId, minBet) => ({
-    id: roomId,
+// Room fields that come from the poker_tables row
+const tableSettings = (table) => ({
+    name: table.name,
+    tableType: table.tableType,
+    smallBlind: table.smallBlind,
+    bigBlind: table.bigBlind,
+    minBuyIn: table.minBuyIn,
+    maxBuyIn: table.maxBuyIn,
+    maxPlayers: table.maxSeats
+});
+
+const createRoom = (table) => ({
+    id: table.id,
+    ...tableSettings(table),
+    tournamentRunning: false, // Sit & go in progress
     players: [],
     deck: [],
     communityCards: [],
@@ -127,11 +205,149 @@ const createRoom = (roomId, minBet) => ({
     dealerIndex: 0,
     currentPlayerIndex: 0,
     phase: 'waiting',
-    minBet: minBet,
-    maxPlayers: 6,
+    departedContributions: [], // Chips left in the pot by players who left mid-hand
+    handLog: null, // History of the hand in play, saved to poker_hands when it ends
     messages: []
 });
 
+const tableInfo = (room) => ({
+    id: room.id,
+    name: room.name,
+    tableType: room.tableType,
+    smallBlind: room.smallBlind,
+    bigBlind: room.bigBlind,
+    minBuyIn: room.minBuyIn,
+    maxBuyIn: room.maxBuyIn,
+    maxSeats: room.maxPlayers
+});
+
+/**
+ * Live seat counts for the lobby
+ */
+const getOccupancy = (tableId) => {
+    const room = pokerRooms.get(tableId);
+    if (!room) return { seated: 0, inPlay: false };
+    return {
+        seated: room.players.length,
+        inPlay: room.phase !== 'waiting' || room.tournamentRunning
+    };
+};
+
+// Player can still bet this hand
+const canAct = (p) => !p.folded && !p.allIn;
+
+// Not at the table right now: sat out or lost connection
+const isAway = (p) => p.sittingOut || p.disconnected;
+
+// Cash tables skip away players; a sit & go deals them in and blinds them out
+const isDealtIn = (room, p) => p.chips > 0 && (room.tableType === 'sng' || !isAway(p));
+
+/**
+ * Next seat after `from` that was dealt into the current hand
+ */
+const nextInHand = (room, from) => {
+    for (let i = 1; i <= room.players.length; i++) {
+        const index = (from + i) % room.players.length;
+        if (!room.players[index].folded) return index;
+    }
+    return from;
+};
+
+/**
+ * Move chips from a player's stack into the pot, capped at their stack
+ */
+const commitChips = (room, player, amount) => {
+    const actual = Math.max(0, Math.min(player.chips, amount));
+    player.chips -= actual;
+    player.bet += actual;
+    player.totalBet += actual;
+    room.pot += actual;
+    if (player.chips === 0) player.allIn = true;
+    return actual;
+};
+
+/**
+ * Start the hand history for poker_hands: every seat dealt in, with its
+ * stack before the blinds. Seats are numbered from 1 in table order.
+ */
+const newHandLog = (room) => ({
+    tableId: room.id,
+    tableName: room.name,
+    tableType: room.tableType,
+    smallBlind: room.smallBlind,
+    bigBlind: room.bigBlind,
+    maxSeats: room.maxPlayers,
+    buttonSeat: room.dealerIndex + 1,
+    startedAt: new Date().toISOString(),
+    seats: room.players
+        .map((p, index) => ({ seat: index + 1, player: p }))
+        .filter(({ player }) => !player.folded)
+        .map(({ seat, player }) => ({
+            seat,
+            userId: player.id,
+            username: player.username,
+            stack: player.chips,
+            cards: [...player.hand]
+        })),
+    actions: []
+});
+
+/**
+ * Record an action in the hand history. amount is the chips the action
+ * put in the pot; raises also carry the new bet (to) and the raise size (by).
+ */
+const logAction = (room, player, action, amount = 0, extra = {}) => {
+    if (!room.handLog) return;
+    room.handLog.actions.push({
+        street: room.phase,
+        userId: player.id,
+        username: player.username,
+        action,
+        amount,
+        ...extra,
+        allIn: player.allIn
+    });
+};
+
+/**
+ * Close the hand history with the board, pots and each seat's result.
+ * Returns the finished log, or null if no hand was being recorded.
+ */
+const finishHandLog = (room, pots, contributions, hands) => {
+    const log = room.handLog;
+    room.handLog = null;
+    if (!log) return null;
+
+    const won = new Map();
+    pots.forEach(pot => pot.winners.forEach(w => won.set(w.id, (won.get(w.id) || 0) + w.amount)));
+
+    log.seats.forEach(seat => {
+        seat.invested = contributions
+            .filter(c => c.id === seat.userId)
+            .reduce((sum, c) => sum + c.amount, 0);
+        seat.won = won.get(seat.userId) || 0;
+        // Only hands that reached showdown are shown
+        const hand = hands.get(seat.userId);
+        seat.shown = Boolean(hand);
+        seat.handName = hand ? hand.name : null;
+    });
+
+    log.board = [...room.communityCards];
+    log.pots = pots;
+    return log;
+};
+
+/**
+ * Betting round is over once everyone who can still act has acted
+ * and matched the current bet (a lone player facing no bet needn't act)
+ */
+const isRoundComplete = (room) => {
+    const actors = room.players.filter(canAct);
+    if (actors.length === 0) return true;
+    if (actors.length === 1 && actors[0].bet >= room.currentBet) return true;
+    return actors.every(p => p.hasActed && p.bet === room.currentBet);
+};
+
 const authenticateSocket = async (socket) => {
     try {
         const token = socket.handshake.auth.token;
@@ -165,26 +381,41 @@ module.exports = (io) => {
         if (user) {
             socket.user = user;
             console.log(`✅ ${user.username} joined poker namespace`);
+            restoreSeat(socket);
         }
 
-        socket.on('joinRoom', async ({ roomId, buyInAmount }) => {
+        socket.on('joinRoom', async ({ tableId, buyInAmount }) => {
             if (!socket.user) return socket.emit('error', { message: 'Auth required' });
+            if (socket.currentRoom) return socket.emit('error', { message: 'Already seated at a table' });
 
-            // Get fresh balance
-            const { data: currentUser } = await supabaseAdmin
-                .from('users')
-                .select('cash')
-                .eq('id', socket.user.id)
-                .single();
-
-            if (parseFloat(currentUser.cash) < buyInAmount) {
-                return socket.emit('error', { message: 'Insufficient funds for buy-in' });
+            let table;
+            try {
+                table = await getTable(tableId);
+            } catch (err) {
+                table = null;
+            }
+            if (!table || !table.isActive) {
+                return socket.emit('error', { message: 'Table not found' });
             }
 
-            let room = pokerRooms.get(roomId);
+            let room = pokerRooms.get(table.id);
             if (!room) {
-                room = createRoom(roomId, 50);
-                pokerRooms.set(roomId, room);
+                room = createRoom(table);
+                pokerRooms.set(table.id, room);
+            } else if (room.players.length === 0) {
+                // Pick up settings changed while the table was empty
+                Object.assign(room, tableSettings(table));
+            }
+
+            // Sit & go stacks are fixed
+            const buyIn = room.tableType === 'sng' ? room.minBuyIn : parseInt(buyInAmount);
+
+            if (!Number.isInteger(buyIn) || buyIn < room.minBuyIn || buyIn > room.maxBuyIn) {
+                return socket.emit('error', { message: `Buy-in must be between ${room.minBuyIn} and ${room.maxBuyIn}` });
+            }
+
+            if (room.tableType === 'sng' && room.tournamentRunning) {
+                return socket.emit('error', { message: 'This sit & go has already started' });
             }
 
             if (room.players.length >= room.maxPlayers) {
@@ -195,40 +426,66 @@ module.exports = (io) => {
                 return socket.emit('error', { message: 'Already in room' });
             }
 
+            // Get fresh balance
+            const { data: currentUser } = await supabaseAdmin
+                .from('users')
+                .select('cash')
+                .eq('id', socket.user.id)
+                .single();
+
+            if (parseFloat(currentUser.cash) < buyIn) {
+                return socket.emit('error', { message: 'Insufficient funds for buy-in' });
+            }
+
             // Deduct Buy-in
             try {
-                await processTransaction(socket.user.id, 'game_loss', buyInAmount, 'Poker Buy-in', { gameType: 'poker' });
+                await processTransaction(socket.user.id, 'game_loss', buyIn, 'Poker Buy-in', { gameType: 'poker', tableId: room.id });
             } catch (err) {
                 return socket.emit('error', { message: 'Transaction failed' });
             }
 
+            // The seat may have gone while the buy-in was processed
+            const seatGone = room.players.length >= room.maxPlayers
+                || room.players.some(p => p.id === socket.user.id)
+                || (room.tableType === 'sng' && room.tournamentRunning);
+            if (seatGone) {
+                await processTransaction(socket.user.id, 'credit', buyIn, 'Poker Buy-in refund', { gameType: 'poker', tableId: room.id, refund: true })
+                    .catch(e => console.error('Buy-in refund failed', e));
+                return socket.emit('error', { message: 'Room full' });
+            }
+
             const player = {
                 id: socket.user.id,
                 username: socket.user.username,
                 socketId: socket.id,
-                chips: parseInt(buyInAmount),
+                chips: buyIn,
                 hand: [],
                 bet: 0,
-                folded: false,
+                totalBet: 0,
+                allIn: false,
+                hasActed: false,
+                folded: room.phase !== 'waiting', // Sit out the hand in progress
+                timeBank: TIME_BANK_MS,
+                sittingOut: false,
+                disconnected: false,
                 isReady: false,
                 seatIndex: room.players.length
             };
 
             room.players.push(player);
-            socket.join(roomId);
-            socket.currentRoom = roomId;
+            socket.join(room.id);
+            socket.currentRoom = room.id;
 
             // Notify room
-            pokerNamespace.to(roomId).emit('roomUpdate', {
-                players: room.players.map(p => ({ ...p, hand: null })),
+            pokerNamespace.to(room.id).emit('roomUpdate', {
+                table: tableInfo(room),
+                players: publicPlayers(room),
                 pot: room.pot,
                 phase: room.phase,
                 communityCards: room.communityCards
             });
 
-            if (room.players.length >= 2 && room.phase === 'waiting') {
-                startGame(room);
-            }
+            maybeStart(room);
         });
 
         socket.on('playerAction', ({ action, amount }) => {
@@ -238,11 +495,13 @@ module.exports = (io) => {
             const player = room.players.find(p => p.socketId === socket.id);
             if (!player) return;
 
-            if (room.players[room.currentPlayerIndex].id !== player.id) {
+            const current = room.players[room.currentPlayerIndex];
+            if (room.phase === 'waiting' || !current || current.id !== player.id) {
                 return socket.emit('error', { message: 'Not your turn' });
             }
 
-            handleAction(room, player, action, amount);
+            const error = handleAction(room, player, action, amount);
+            if (error) socket.emit('error', { message: error });
         });
 
         socket.on('chatMessage', ({ message }) => {
@@ -257,8 +516,16 @@ module.exports = (io) => {
             });
         });
 
+        socket.on('sitOut', () => {
+            setSittingOut(socket, true);
+        });
+
+        socket.on('sitIn', () => {
+            setSittingOut(socket, false);
+        });
+
         socket.on('disconnect', () => {
-            handleLeave(socket);
+            handleDisconnect(socket);
         });
 
         socket.on('leaveRoom', () => {
@@ -266,51 +533,232 @@ module.exports = (io) => {
         });
     });
 
-    const handleLeave = async (socket) => {
-        if (!socket.currentRoom) return;
+    // Seats held for disconnected players, keyed by room and user
+    const graceTimers = new Map();
+    const graceKey = (room, player) => `${room.id}:${player.id}`;
+
+    const clearGraceTimer = (room, player) => {
+        const key = graceKey(room, player);
+        clearTimeout(graceTimers.get(key));
+        graceTimers.delete(key);
+    };
+
+    const publicPlayers = (room) => room.players.map(p => ({ ...p, hand: null }));
+
+    const maybeStart = (room) => {
+        if (room.phase !== 'waiting' || !canStart(room)) return;
+        if (room.tableType === 'sng') {
+            // From here a dropped stack stays in and is blinded out
+            room.tournamentRunning = true;
+            room.players.forEach(p => clearGraceTimer(room, p));
+        }
+        startGame(room);
+    };
+
+    /**
+     * Put a reconnecting player back in the seat they dropped from
+     */
+    const restoreSeat = (socket) => {
+        for (const room of pokerRooms.values()) {
+            const player = room.players.find(p => p.id === socket.user.id && p.disconnected);
+            if (!player) continue;
+
+            clearGraceTimer(room, player);
+            player.disconnected = false;
+            player.socketId = socket.id;
+            socket.join(room.id);
+            socket.currentRoom = room.id;
+
+            socket.emit('roomUpdate', {
+                table: tableInfo(room),
+                players: publicPlayers(room),
+                pot: room.pot,
+                phase: room.phase,
+                communityCards: room.communityCards
+            });
+
+            if (room.phase === 'waiting') maybeStart(room);
+            else broadcastState(room);
+            return;
+        }
+    };
+
+    /**
+     * Keep the seat and chips; the hand plays on without waiting for them
+     */
+    const handleDisconnect = (socket) => {
         const room = pokerRooms.get(socket.currentRoom);
+        const player = room && room.players.find(p => p.socketId === socket.id);
+        if (!player) return;
+
+        player.disconnected = true;
+        player.socketId = null;
+
+        // A running sit & go stack stays in and is blinded out; a registrant
+        // who drops before it fills loses the seat and gets the buy-in back
+        if (!room.tournamentRunning) {
+            graceTimers.set(graceKey(room, player), setTimeout(() => {
+                graceTimers.delete(graceKey(room, player));
+                if (player.disconnected) removePlayer(room, player);
+            }, RECONNECT_GRACE_MS));
+        }
+
+        pokerNamespace.to(room.id).emit('roomUpdate', {
+            players: publicPlayers(room)
+        });
+    };
+
+    // Takes effect from the next hand; a pending turn still runs its clock
+    const setSittingOut = (socket, sittingOut) => {
+        const room = pokerRooms.get(socket.currentRoom);
+        const player = room && room.players.find(p => p.socketId === socket.id);
+        if (!player) return;
+
+        player.sittingOut = sittingOut;
+
+        pokerNamespace.to(room.id).emit('roomUpdate', {
+            players: publicPlayers(room)
+        });
+
+        if (!sittingOut) maybeStart(room);
+    };
+
+    const handleLeave = async (socket) => {
+        const roomId = socket.currentRoom;
+        if (!roomId) return;
+        const room = pokerRooms.get(roomId);
         if (!room) return;
 
-        const playerIndex = room.players.findIndex(p => p.socketId === socket.id);
+        const player = room.players.find(p => p.socketId === socket.id);
+        if (!player) return;
+
+        socket.leave(roomId);
+        socket.currentRoom = null;
+        await removePlayer(room, player);
+    };
+
+    const removePlayer = async (room, player) => {
+        const playerIndex = room.players.indexOf(player);
         if (playerIndex === -1) return;
 
-        const player = room.players[playerIndex];
+        clearGraceTimer(room, player);
 
-        // Cash out
-        if (player.chips > 0) {
-            try {
-                await processTransaction(player.id, 'game_win', player.chips, 'Poker Cash-out', { gameType: 'poker' });
-            } catch (e) {
-                console.error("Cashout failed", e);
-            }
-        }
+        const inHand = room.phase !== 'waiting' && !room.handEnding;
+        const wasTurn = inHand && playerIndex === room.currentPlayerIndex;
+
+        // Leaving with live cards gives up the hand
+        if (inHand && !player.folded) logAction(room, player, 'fold', 0, { left: true });
 
         room.players.splice(playerIndex, 1);
 
+        // Keep the turn and the button on the same seats
+        const wrap = (index) => (room.players.length ? (index + room.players.length) % room.players.length : 0);
+        if (playerIndex <= room.currentPlayerIndex) room.currentPlayerIndex = wrap(room.currentPlayerIndex - 1);
+        if (playerIndex <= room.dealerIndex) room.dealerIndex = wrap(room.dealerIndex - 1);
+
+        if (room.tournamentRunning) {
+            // Leaving a sit & go forfeits the stack to the players still in,
+            // so the prize pool stays whole
+            const remaining = room.players.filter(p => p.chips > 0);
+            if (player.chips > 0 && remaining.length > 0) {
+                const share = Math.floor(player.chips / remaining.length);
+                let remainder = player.chips - share * remaining.length;
+                remaining.forEach(p => {
+                    p.chips += share + (remainder > 0 ? 1 : 0);
+                    if (remainder > 0) remainder--;
+                });
+            }
+        } else if (room.tableType === 'sng' && player.chips > 0) {
+            // Unregistering before the sit & go fills
+            processTransaction(player.id, 'credit', player.chips, 'Poker Buy-in refund', { gameType: 'poker', tableId: room.id, refund: true })
+                .catch(e => console.error('Buy-in refund failed', e));
+        } else if (player.chips > 0) {
+            // Cash out
+            processTransaction(player.id, 'game_win', player.chips, 'Poker Cash-out', { gameType: 'poker', tableId: room.id })
+                .catch(e => console.error("Cashout failed", e));
+        }
+
         // Handle active game interruption
         if (room.phase !== 'waiting') {
+            if (player.totalBet > 0) {
+                room.departedContributions.push({ id: player.id, amount: player.totalBet, folded: true });
+            }
             if (room.players.filter(p => !p.folded).length < 2) {
                 endHand(room, null);
+            } else if (wasTurn) {
+                clearTurnTimer(room);
+                nextTurn(room);
             }
         }
 
-        pokerNamespace.to(socket.currentRoom).emit('roomUpdate', {
-            players: room.players.map(p => ({ ...p, hand: null }))
+        pokerNamespace.to(room.id).emit('roomUpdate', {
+            players: publicPlayers(room)
         });
+    };
+
+    // Cash tables deal as soon as two players have chips; a sit & go
+    // waits for every seat
+    const canStart = (room) => {
+        if (room.tableType === 'sng') return room.players.length === room.maxPlayers;
+        return room.players.filter(p => isDealtIn(room, p)).length >= 2;
+    };
 
-        if (room.players.length === 0) {
-            pokerRooms.delete(socket.currentRoom);
+    const nextHand = (room) => {
+        if (room.tournamentRunning && room.players.filter(p => p.chips > 0).length <= 1) {
+            return finishTournament(room);
         }
+        startGame(room);
+    };
+
+    /**
+     * Pay the last player standing and clear the table for the next sit & go
+     */
+    const finishTournament = async (room) => {
+        const winner = room.players.find(p => p.chips > 0);
+        const prize = winner ? winner.chips : 0;
+
+        if (winner) {
+            try {
+                await processTransaction(winner.id, 'game_win', prize, 'Poker Sit & Go win', { gameType: 'poker', tableId: room.id });
+            } catch (e) {
+                console.error('Sit & go payout failed', e);
+            }
+        }
+
+        pokerNamespace.to(room.id).emit('tournamentEnded', {
+            winnerId: winner ? winner.id : null,
+            username: winner ? winner.username : null,
+            prize
+        });
+
+        clearTurnTimer(room);
+        room.players.forEach(p => {
+            clearGraceTimer(room, p);
+            const playerSocket = pokerNamespace.sockets.get(p.socketId);
+            if (playerSocket) {
+                playerSocket.leave(room.id);
+                playerSocket.currentRoom = null;
+            }
+        });
+
+        room.players = [];
+        room.tournamentRunning = false;
+        room.phase = 'waiting';
+        room.communityCards = [];
+        room.pot = 0;
+        room.dealerIndex = 0;
     };
 
     const startGame = (room) => {
+        room.handEnding = false;
         room.phase = 'preflop';
         room.deck = createDeck();
         room.communityCards = [];
         room.pot = 0;
-        room.currentBet = room.minBet;
+        room.currentBet = room.bigBlind;
+        room.departedContributions = [];
 
-        const activePlayers = room.players.filter(p => p.chips > 0);
+        const activePlayers = room.players.filter(p => isDealtIn(room, p));
         if (activePlayers.length < 2) {
             room.phase = 'waiting';
             return;
@@ -319,7 +767,10 @@ module.exports = (io) => {
         room.players.forEach(p => {
             p.hand = [];
             p.bet = 0;
-            p.folded = p.chips <= 0;
+            p.totalBet = 0;
+            p.allIn = false;
+            p.hasActed = false;
+            p.folded = !isDealtIn(room, p);
         });
 
         room.players.forEach(p => {
@@ -328,81 +779,167 @@ module.exports = (io) => {
             }
         });
 
-        room.dealerIndex = (room.dealerIndex + 1) % room.players.length;
-        let sbPos = (room.dealerIndex + 1) % room.players.length;
-        let bbPos = (room.dealerIndex + 2) % room.players.length;
+        // The button and blinds only move between seats dealt in
+        room.dealerIndex = nextInHand(room, room.dealerIndex);
+        const sbPos = nextInHand(room, room.dealerIndex);
+        const bbPos = nextInHand(room, sbPos);
 
         const sb = room.players[sbPos];
         const bb = room.players[bbPos];
 
-        if (sb) {
-            const amt = Math.min(sb.chips, room.minBet / 2);
-            sb.chips -= amt;
-            sb.bet = amt;
-            room.pot += amt;
-        }
-        if (bb) {
-            const amt = Math.min(bb.chips, room.minBet);
-            bb.chips -= amt;
-            bb.bet = amt;
-            room.pot += amt;
+        room.handLog = newHandLog(room);
+
+        if (sb) logAction(room, sb, 'post_sb', commitChips(room, sb, room.smallBlind));
+        if (bb) logAction(room, bb, 'post_bb', commitChips(room, bb, room.bigBlind));
+
+        // Blinds can put every live player all-in
+        if (isRoundComplete(room)) {
+            return nextPhase(room);
         }
 
-        room.currentPlayerIndex = (bbPos + 1) % room.players.length;
+        room.currentPlayerIndex = bbPos;
+        advanceToNextActor(room);
 
+        startTurnTimer(room);
         broadcastState(room);
     };
 
     const handleAction = (room, player, action, amount) => {
+        if (!canAct(player)) return 'You cannot act this hand';
+
         if (action === 'fold') {
             player.folded = true;
+            logAction(room, player, 'fold');
         } else if (action === 'call') {
-            const diff = room.currentBet - player.bet;
-            const actual = Math.min(player.chips, diff);
-            player.chips -= actual;
-            player.bet += actual;
-            room.pot += actual;
-        } else if (action === 'raise') {
-            const totalBet = amount;
-            const diff = totalBet - player.bet;
-            if (player.chips >= diff && totalBet >= room.currentBet * 2) {
-                player.chips -= diff;
-                player.bet = totalBet;
-                room.pot += diff;
-                room.currentBet = totalBet;
+            const paid = commitChips(room, player, room.currentBet - player.bet);
+            logAction(room, player, paid > 0 ? 'call' : 'check', paid);
+        } else if (action === 'raise' || action === 'allin') {
+            // Raise amount is the player's total bet for this round
+            const maxTotal = player.bet + player.chips;
+            const totalBet = action === 'allin' ? maxTotal : parseInt(amount);
+            const minRaise = Math.max(room.currentBet * 2, room.bigBlind);
+
+            if (!totalBet || totalBet > maxTotal) return 'Insufficient chips';
+            // Short raises are only allowed as an all-in
+            if (totalBet < minRaise && totalBet !== maxTotal) return `Minimum raise is ${minRaise}`;
+
+            const previousBet = room.currentBet;
+            const paid = commitChips(room, player, totalBet - player.bet);
+
+            if (player.bet > previousBet) {
+                logAction(room, player, previousBet === 0 ? 'bet' : 'raise', paid, {
+                    to: player.bet,
+                    by: player.bet - previousBet
+                });
+                room.currentBet = player.bet;
+                // Everyone else gets to respond to the raise
+                room.players.forEach(p => {
+                    if (p.id !== player.id) p.hasActed = false;
+                });
+            } else {
+                // All-in for no more than the current bet
+                logAction(room, player, 'call', paid);
             }
         } else if (action === 'check') {
-            if (player.bet < room.currentBet) return;
+            if (player.bet < room.currentBet) return 'Cannot check, there is a bet to call';
+            logAction(room, player, 'check');
+        } else {
+            return 'Invalid action';
         }
 
+        chargeTimeBank(room, player);
+        player.hasActed = true;
         nextTurn(room);
+        return null;
     };
 
-    const nextTurn = (room) => {
-        const active = room.players.filter(p => !p.folded && p.chips > 0);
-        if (room.players.filter(p => !p.folded).length === 1) {
-            return endHand(room);
+    const clearTurnTimer = (room) => {
+        clearTimeout(room.turnTimer);
+        room.turnTimer = null;
+        room.turnStartedAt = null;
+        room.turnDeadline = null;
+    };
+
+    /**
+     * Start the clock for the player to act: the action time plus
+     * whatever is left of their time bank. When it runs out they check
+     * (or fold facing a bet) and are sat out.
+     */
+    const startTurnTimer = (room) => {
+        clearTurnTimer(room);
+
+        const player = room.players[room.currentPlayerIndex];
+        if (!player || !canAct(player)) return;
+
+        if (isAway(player)) {
+            room.turnDeadline = Date.now() + AWAY_ACTION_MS;
+            room.turnTimer = setTimeout(() => autoAct(room, player, false), AWAY_ACTION_MS);
+            return;
+        }
+
+        room.turnStartedAt = Date.now();
+        room.turnDeadline = room.turnStartedAt + ACTION_TIME_MS + player.timeBank;
+        room.turnTimer = setTimeout(() => autoAct(room, player, true), ACTION_TIME_MS + player.timeBank);
+    };
+
+    // Time past the action timer comes out of the bank
+    const chargeTimeBank = (room, player) => {
+        if (room.turnStartedAt && room.players[room.currentPlayerIndex] === player) {
+            const overrun = Date.now() - room.turnStartedAt - ACTION_TIME_MS;
+            if (overrun > 0) player.timeBank = Math.max(0, player.timeBank - overrun);
+        }
+        clearTurnTimer(room);
+    };
+
+    const autoAct = (room, player, timedOut) => {
+        room.turnTimer = null;
+
+        // The hand moved on without this player
+        if (room.players[room.currentPlayerIndex] !== player || !canAct(player) || room.handEnding) return;
+
+        const action = player.bet >= room.currentBet ? 'check' : 'fold';
+
+        if (timedOut) {
+            player.timeBank = 0;
+            player.sittingOut = true;
+            pokerNamespace.to(room.id).emit('autoAction', {
+                playerId: player.id,
+                username: player.username,
+                action
+            });
         }
 
-        let loops = 0;
-        do {
+        handleAction(room, player, action);
+    };
+
+    // Move the turn to the next player who can still bet
+    const advanceToNextActor = (room) => {
+        for (let i = 0; i < room.players.length; i++) {
             room.currentPlayerIndex = (room.currentPlayerIndex + 1) % room.players.length;
-            loops++;
-        } while (room.players[room.currentPlayerIndex].folded && loops < 10);
+            if (canAct(room.players[room.currentPlayerIndex])) return;
+        }
+    };
 
-        const notAllIn = room.players.filter(p => !p.folded && p.chips > 0);
-        const betsMatched = notAllIn.every(p => p.bet === room.currentBet);
+    const nextTurn = (room) => {
+        if (room.players.filter(p => !p.folded).length === 1) {
+            return endHand(room);
+        }
 
-        if (betsMatched && room.players[room.currentPlayerIndex].bet === room.currentBet) {
-            nextPhase(room);
-        } else {
-            broadcastState(room);
+        if (isRoundComplete(room)) {
+            return nextPhase(room);
         }
+
+        advanceToNextActor(room);
+        startTurnTimer(room);
+        broadcastState(room);
     };
 
     const nextPhase = (room) => {
         room.currentBet = 0;
-        room.players.forEach(p => p.bet = 0);
+        room.players.forEach(p => {
+            p.bet = 0;
+            p.hasActed = false;
+        });
 
         if (room.phase === 'preflop') {
             room.phase = 'flop';
@@ -419,64 +956,141 @@ module.exports = (io) => {
             return;
         }
 
-        room.currentPlayerIndex = (room.dealerIndex + 1) % room.players.length;
-        while (room.players[room.currentPlayerIndex].folded) {
-            room.currentPlayerIndex = (room.currentPlayerIndex + 1) % room.players.length;
+        // Nobody left to bet against: run out the board
+        if (room.players.filter(canAct).length < 2) {
+            broadcastState(room);
+            return nextPhase(room);
         }
 
+        room.currentPlayerIndex = room.dealerIndex;
+        advanceToNextActor(room);
+
+        startTurnTimer(room);
         broadcastState(room);
     };
 
     const endHand = (room) => {
-        const active = room.players.filter(p => !p.folded);
-        let bestPlayer = active[0];
-        let bestHand = null;
-
-        if (active.length > 1) {
-            bestHand = evaluateHand(room.communityCards, active[0].hand);
-
-            for (let i = 1; i < active.length; i++) {
-                const hand = evaluateHand(room.communityCards, active[i].hand);
-                if (hand.rank > bestHand.rank || (hand.rank === bestHand.rank && hand.value > bestHand.value)) {
-                    bestPlayer = active[i];
-                    bestHand = hand;
-                }
+        // A leave during the showdown delay must not pay the pots twice
+        if (room.handEnding) return;
+        room.handEnding = true;
+        clearTurnTimer(room);
+
+        const live = room.players.filter(p => !p.folded);
+        const showdown = live.length > 1;
+
+        // Evaluate each live hand once
+        const hands = new Map();
+        if (showdown) {
+            live.forEach(p => hands.set(p.id, evaluateHand(room.communityCards, p.hand)));
+        }
+
+        const contributions = [
+            ...room.players.map(p => ({ id: p.id, amount: p.totalBet, folded: p.folded })),
+            ...room.departedContributions
+        ];
+
+        const pots = buildPots(contributions).map((pot, index) => {
+            const contenders = live.filter(p => pot.eligible.includes(p.id));
+
+            let winners = contenders;
+            if (showdown && contenders.length > 1) {
+                const best = contenders.reduce((top, p) =>
+                    compareHands(hands.get(p.id), hands.get(top.id)) > 0 ? p : top
+                );
+                winners = contenders.filter(p => compareHands(hands.get(p.id), hands.get(best.id)) === 0);
             }
+
+            // Split evenly, odd chips go to the first winners left of the dealer
+            const ordered = [...winners].sort((a, b) =>
+                seatDistance(room, a) - seatDistance(room, b)
+            );
+            const share = Math.floor(pot.amount / ordered.length);
+            let remainder = pot.amount - share * ordered.length;
+
+            const payouts = ordered.map(p => {
+                const won = share + (remainder > 0 ? 1 : 0);
+                if (remainder > 0) remainder--;
+                p.chips += won;
+                return {
+                    id: p.id,
+                    username: p.username,
+                    amount: won,
+                    handName: showdown ? hands.get(p.id).name : 'Opponents Folded',
+                    cards: showdown ? hands.get(p.id).cards : []
+                };
+            });
+
+            return {
+                name: index === 0 ? 'Main Pot' : `Side Pot ${index}`,
+                amount: pot.amount,
+                eligible: pot.eligible,
+                winners: payouts
+            };
+        });
+
+        const handLog = finishHandLog(room, pots, contributions, hands);
+        if (handLog) {
+            recordHand(handLog).catch(e => console.error('Failed to save poker hand', e));
         }
 
-        bestPlayer.chips += room.pot;
+        // Main pot winner kept for older clients
+        const mainWinner = pots[0]?.winners[0];
 
         pokerNamespace.to(room.id).emit('handEnded', {
-            winnerId: bestPlayer.id,
+            winnerId: mainWinner ? mainWinner.id : null,
             amount: room.pot,
-            handName: bestHand ? bestHand.name : 'Opponents Folded',
+            handName: mainWinner ? mainWinner.handName : 'Opponents Folded',
+            pots,
             roomState: {
-                players: room.players
+                // Only hands that reached showdown are shown
+                players: room.players.map(p => ({
+                    ...p,
+                    hand: showdown && !p.folded ? p.hand : null,
+                    handName: showdown && !p.folded ? hands.get(p.id).name : null
+                })),
+                communityCards: room.communityCards
             }
         });
 
         room.pot = 0;
+        room.departedContributions = [];
 
         setTimeout(() => {
-            startGame(room);
+            nextHand(room);
         }, 5000);
     };
 
+    // Seats clockwise from the dealer, used for odd chip allocation
+    const seatDistance = (room, player) => {
+        const index = room.players.indexOf(player);
+        return (index - room.dealerIndex - 1 + room.players.length) % room.players.length;
+    };
+
     const broadcastState = (room) => {
         room.players.forEach(p => {
+            // Folded and mucked hands stay hidden at showdown too
             const others = room.players.map(op => ({
                 ...op,
-                hand: op.id === p.id || room.phase === 'showdown' ? op.hand : null
+                hand: op.id === p.id || (room.phase === 'showdown' && !op.folded) ? op.hand : null
             }));
 
+            if (!p.socketId) return;
+
             pokerNamespace.to(p.socketId).emit('gameState', {
                 players: others,
                 communityCards: room.communityCards,
                 pot: room.pot,
                 currentBet: room.currentBet,
                 phase: room.phase,
-                turnIndex: room.currentPlayerIndex
+                turnIndex: room.currentPlayerIndex,
+                turnDeadline: room.turnDeadline,
+                actionTime: ACTION_TIME_MS
             });
         });
     };
 };
+
+module.exports.getOccupancy = getOccupancy;
+module.exports.buildPots = buildPots;
+module.exports.evaluateHand = evaluateHand;
+module.exports.compareHands = compareHands;
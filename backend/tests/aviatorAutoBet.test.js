@@ -0,0 +1,82 @@
+/**
+ * Aviator auto-bet stake progression (services/aviatorAutoBet.js):
+ * how each strategy moves the stake after wins and losses.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// The module loads the Supabase clients; nothing here touches the database
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const { normalizeSettings, nextStake } = require('../services/aviatorAutoBet');
+
+const settingsFor = (input) => {
+    const { settings, error } = normalizeSettings({ rounds: 100, autoCashout: 2, ...input });
+    assert.strictEqual(error, undefined);
+    return settings;
+};
+
+// Stakes placed over a run of outcomes ('W' / 'L'), starting at the base bet
+const stakes = (settings, outcomes) => {
+    const placed = [settings.baseBet];
+    for (const o of outcomes) placed.push(nextStake(settings, placed[placed.length - 1], o === 'W'));
+    return placed;
+};
+
+test('fixed always bets the base stake', () => {
+    const settings = settingsFor({ strategy: 'fixed', baseBet: 10 });
+    assert.deepStrictEqual(stakes(settings, 'LWLLW'), [10, 10, 10, 10, 10, 10]);
+});
+
+test('martingale doubles after each loss and resets after a win', () => {
+    const settings = settingsFor({ strategy: 'martingale', baseBet: 10 });
+    assert.deepStrictEqual(stakes(settings, 'LLLWL'), [10, 20, 40, 80, 10, 20]);
+});
+
+test('reverse martingale doubles after each win and resets after a loss', () => {
+    const settings = settingsFor({ strategy: 'reverse_martingale', baseBet: 5 });
+    assert.deepStrictEqual(stakes(settings, 'WWLW'), [5, 10, 20, 5, 10]);
+});
+
+test('the max stake caps the progression', () => {
+    const settings = settingsFor({ strategy: 'martingale', baseBet: 10, maxStake: 50 });
+    assert.deepStrictEqual(stakes(settings, 'LLLLW'), [10, 20, 40, 50, 50, 10]);
+});
+
+test('custom increases compound and round to cents each round', () => {
+    const settings = settingsFor({
+        strategy: 'custom',
+        baseBet: 3,
+        onWin: 'reset',
+        onLoss: 'increase',
+        onLossPercent: 50
+    });
+    assert.deepStrictEqual(stakes(settings, 'LLLW'), [3, 4.5, 6.75, 10.13, 3]);
+});
+
+test('custom can grow on both wins and losses', () => {
+    const settings = settingsFor({
+        strategy: 'custom',
+        baseBet: 1,
+        onWin: 'increase',
+        onWinPercent: 10,
+        onLoss: 'increase',
+        onLossPercent: 100
+    });
+    assert.deepStrictEqual(stakes(settings, 'WLW'), [1, 1.1, 2.2, 2.42]);
+});
+
+test('settings that would break the progression are rejected', () => {
+    const base = { strategy: 'martingale', rounds: 10, baseBet: 10, autoCashout: 2 };
+
+    assert.strictEqual(normalizeSettings({ ...base, maxStake: 5 }).error, 'Max stake must be at least the base bet');
+    assert.strictEqual(normalizeSettings({ ...base, baseBet: 0 }).error, 'Base bet must be greater than 0');
+    assert.strictEqual(
+        normalizeSettings({ ...base, strategy: 'custom', onLoss: 'increase', onLossPercent: 5000 }).error,
+        'Increase must be between 0% and 1000%'
+    );
+    assert.strictEqual(normalizeSettings({ ...base, strategy: 'paroli' }).error, 'Unknown strategy');
+});
@@ -0,0 +1,130 @@
+/**
+ * Provably fair float derivation (services/fairness.js) against a known
+ * vector, and against fn_fair_floats in supabase/fairness.sql so the
+ * verifier and the game RPCs agree.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { hashServerSeed, generateInts, computeOutcome } = require('../services/fairness');
+
+const VECTOR = { serverSeed: 'server-seed-abc', clientSeed: 'client-seed-42', nonce: 7 };
+
+// HMAC_SHA256(server seed, "client-seed-42:7:<cursor>") for cursor 0, 1, 2,
+// from `openssl dgst -sha256 -hmac server-seed-abc`
+const DIGESTS = [
+    'd795abe3c7caeede8413d5225ad5820480116741e18bfd7ce9114c79cc3844ea',
+    'be21301587b35900b94c8c76d607f2976fc37fdf6faf7e06e066f9f5d348461d',
+    '7d35e93f6b8540d137783d49a2d26e8d2384d649d550f1a2a5598cfa568ae09b'
+];
+
+/**
+ * fn_fair_floats, step for step: four get_byte()s per float divided by
+ * 4294967296::NUMERIC.  Floats are kept as exact numerators over 2^32;
+ * NUMERIC rounding can't move floor(float * n) since the exact value is
+ * never within 2^-32 of the next integer without reaching it.
+ */
+const sqlFloats = (count) => {
+    const floats = [];
+    for (const hex of DIGESTS) {
+        const digest = Buffer.from(hex, 'hex');
+        for (let offset = 0; offset < 32 && floats.length < count; offset += 4) {
+            floats.push(
+                BigInt(digest[offset]) * 16777216n + BigInt(digest[offset + 1]) * 65536n
+                + BigInt(digest[offset + 2]) * 256n + BigInt(digest[offset + 3])
+            );
+        }
+    }
+    assert.strictEqual(floats.length, count, 'not enough reference digests');
+    return floats;
+};
+
+// floor(v_floats[i] * n)::INTEGER
+const sqlFloor = (float, n) => Number((float * BigInt(n)) >> 32n);
+
+const SLOT_SYMBOLS = ['🍒', '🍋', '🍊', '🍇', '🔔', '💎', '7️⃣'];
+const SLOT_WEIGHTS = [28, 22, 18, 15, 10, 5, 2];
+
+const sqlSlotSymbol = (float) => {
+    const random = sqlFloor(float, 100);
+    let cumulative = 0;
+    for (let i = 0; i < SLOT_WEIGHTS.length; i++) {
+        cumulative += SLOT_WEIGHTS[i];
+        if (random < cumulative) return SLOT_SYMBOLS[i];
+    }
+};
+
+test('server seed hash matches sha256sum', () => {
+    assert.strictEqual(
+        hashServerSeed(VECTOR.serverSeed),
+        '256997017cabf253184f1599c0c2dd65e66b6dce3453436b0fa122043a5b0487'
+    );
+});
+
+test('uint32s are read big-endian, eight per digest, across cursors', () => {
+    const ints = generateInts(VECTOR.serverSeed, VECTOR.clientSeed, VECTOR.nonce, 10);
+
+    assert.deepStrictEqual(ints.map(i => i.toString(16).padStart(8, '0')), [
+        'd795abe3', 'c7caeede', '8413d522', '5ad58204',
+        '80116741', 'e18bfd7c', 'e9114c79', 'cc3844ea',
+        'be213015', '87b35900'
+    ]);
+    assert.deepStrictEqual(ints.map(BigInt), sqlFloats(10));
+});
+
+test('dice, roulette and slots match the known vector and the SQL derivation', () => {
+    const floats = sqlFloats(3);
+
+    const dice = computeOutcome({ ...VECTOR, game: 'dice' });
+    assert.deepStrictEqual(dice, { roll: 84.21 });
+    assert.strictEqual(dice.roll, sqlFloor(floats[0], 10000) / 100);
+
+    const roulette = computeOutcome({ ...VECTOR, game: 'roulette' });
+    assert.deepStrictEqual(roulette, { result: 31 });
+    assert.strictEqual(roulette.result, sqlFloor(floats[0], 37));
+
+    const slots = computeOutcome({ ...VECTOR, game: 'slots' });
+    assert.deepStrictEqual(slots, { symbols: ['🔔', '🍇', '🍊'] });
+    assert.deepStrictEqual(slots.symbols, floats.map(sqlSlotSymbol));
+});
+
+test('mines shuffle matches the SQL Fisher-Yates', () => {
+    const floats = sqlFloats(24);
+    const positions = Array.from({ length: 25 }, (_, i) => i);
+    for (let i = 0; i <= 23; i++) {
+        const j = i + sqlFloor(floats[i], 25 - i);
+        [positions[i], positions[j]] = [positions[j], positions[i]];
+    }
+
+    const { minePositions } = computeOutcome({ ...VECTOR, game: 'mines', params: { minesCount: 3 } });
+    assert.deepStrictEqual(minePositions, [21, 19, 13]);
+    assert.deepStrictEqual(minePositions, positions.slice(0, 3));
+});
+
+test('tower rows match the SQL partial shuffle, one float per mine', () => {
+    const mineCount = 2;   // medium
+    const floats = sqlFloats(10 * mineCount);
+    let idx = 0;
+    const grid = [];
+    for (let row = 0; row < 10; row++) {
+        const columns = [0, 1, 2, 3, 4];
+        for (let k = 0; k < mineCount; k++) {
+            const pos = k + sqlFloor(floats[idx++], 5 - k);
+            [columns[k], columns[pos]] = [columns[pos], columns[k]];
+        }
+        const cells = [0, 0, 0, 0, 0];
+        columns.slice(0, mineCount).forEach(col => { cells[col] = 1; });
+        grid.push(cells);
+    }
+
+    const tower = computeOutcome({ ...VECTOR, game: 'tower', params: { difficulty: 'medium' } });
+    assert.deepStrictEqual(tower.grid, grid);
+    assert.deepStrictEqual(tower.grid[0], [1, 0, 0, 0, 1]);
+});
+
+test('the next nonce gives a fresh roll', () => {
+    // openssl: HMAC(..., "client-seed-42:8:0") starts fd63c022
+    const next = computeOutcome({ ...VECTOR, nonce: VECTOR.nonce + 1, game: 'dice' });
+    assert.deepStrictEqual(next, { roll: 98.98 });
+});
@@ -0,0 +1,240 @@
+/**
+ * Replays the GT vs DC fixture (fixtures/ipl/gt-vs-dc) through the real
+ * scraper, stepping the fixture's simulated clock from frame to frame,
+ * and settles bets placed along the way with the real settlement service
+ * against an in-memory ipl_bets table.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+// ── In-memory stand-in for the Supabase service client ────────
+const bets = [];
+const audit = [];
+
+function query(table) {
+    const filters = [];
+    const builder = {
+        select: () => builder,
+        eq: (col, v) => { filters.push(row => row[col] === v); return builder; },
+        neq: (col, v) => { filters.push(row => row[col] !== v); return builder; },
+        in: (col, vs) => { filters.push(row => vs.includes(row[col])); return builder; },
+        insert: async (row) => { audit.push({ table, ...row }); return { error: null }; },
+        then: (resolve, reject) => Promise.resolve({
+            data: bets.filter(row => filters.every(f => f(row))).map(row => ({ ...row })),
+            error: null
+        }).then(resolve, reject)
+    };
+    return builder;
+}
+
+// Mirrors settle_ipl_bet / void_ipl_bet: only pending bets change
+async function rpc(name, { p_bet_id, p_won, p_reason }) {
+    const bet = bets.find(b => b.id === p_bet_id && b.status === 'pending');
+    if (!bet) return { data: { success: false, error: 'Bet not found or already settled' }, error: null };
+
+    if (name === 'settle_ipl_bet') bet.status = p_won ? 'won' : 'lost';
+    else if (name === 'void_ipl_bet') Object.assign(bet, { status: 'refunded', reason: p_reason });
+    else return { data: null, error: { message: `Unknown RPC ${name}` } };
+
+    return { data: { success: true, new_balance: 0 }, error: null };
+}
+
+const fakeClient = { from: query, rpc };
+require.cache[require.resolve('../config/supabase')] = {
+    exports: { supabase: fakeClient, supabaseAdmin: fakeClient }
+};
+
+const { createFixtureSource } = require('../services/iplFixtureSource');
+const iplScraper = require('../services/iplScraper');
+const { settleMatch, settleMarkets } = require('../services/iplSettlement');
+
+let nowMs = 0;
+const source = createFixtureSource({ now: () => nowMs });
+iplScraper.setDataSource(source);
+
+const stepTo = (seconds) => { nowMs = seconds * 1000; };
+
+after(() => iplScraper.setDataSource(null));
+
+/** Place a bet from the current server quote, the way POST /api/bet/ipl does */
+function placeBet(matchId, marketId, selection) {
+    const quote = iplScraper.getOddsQuote(matchId);
+    const market = quote.markets.find(m => m.id === marketId);
+    assert.ok(quote.isBettingOpen && market && market.open, `${marketId} should be open`);
+
+    const option = market.selections.find(s => s.key === selection);
+    const bet = {
+        id: `bet_${bets.length + 1}`,
+        user_id: 'user_1',
+        match_id: matchId,
+        market: market.type,
+        market_label: market.label,
+        market_params: market.params,
+        selection,
+        selected_team: iplScraper.IPL_TEAMS[selection] ? selection : null,
+        odds_at_placement: option.odds,
+        bet_amount: 100,
+        potential_payout: Math.round(100 * option.odds * 100) / 100,
+        status: 'pending'
+    };
+    bets.push(bet);
+    return bet;
+}
+
+/** Scrape the current frame and settle whatever it decides, like the live loop */
+async function poll() {
+    const { live, completed } = await iplScraper.getActiveMatches();
+    await settleMarkets([...live, ...completed]);
+    return { live, completed, gtDc: [...live, ...completed].find(m => m.cricbuzzId === '149746') };
+}
+
+const statusOf = (bet) => bets.find(b => b.id === bet.id).status;
+
+test('toss: GT vs DC live with every market open, KKR vs LSG next up', async () => {
+    stepTo(0);
+
+    const schedule = await iplScraper.fetchIPLSchedule();
+    const status = Object.fromEntries(schedule.map(m => [m.cricbuzzId, m.status]));
+    assert.deepStrictEqual(status, { 149743: 'completed', 149746: 'live', 149757: 'upcoming' });
+
+    const gtDcSchedule = schedule.find(m => m.cricbuzzId === '149746');
+    assert.strictEqual(gtDcSchedule.matchNumber, 14);
+    assert.deepStrictEqual([gtDcSchedule.team1, gtDcSchedule.team2], ['GT', 'DC']);
+
+    // A live match takes the place of the pre-match fallback
+    const { live, completed, upcoming } = await iplScraper.getActiveMatches();
+    assert.deepStrictEqual(live.map(m => m.cricbuzzId), ['149746']);
+    assert.strictEqual(completed.length, 0);
+    assert.deepStrictEqual(upcoming.map(m => m.cricbuzzId), ['149757']);
+
+    const gtDc = live[0];
+    assert.strictEqual(gtDc.status, 'live');
+    assert.strictEqual(gtDc.statusText, 'Delhi Capitals opt to bowl');
+    assert.strictEqual(gtDc.venue, 'Arun Jaitley Stadium, Delhi');
+    assert.strictEqual(gtDc.is_betting_open, true);
+    assert.deepStrictEqual(
+        gtDc.markets.map(m => m.id),
+        ['match_winner', 'innings_runs_1', 'powerplay_top', 'first_wicket']
+    );
+});
+
+test('GT vs DC replays from toss to result and settles every market', async () => {
+    const frames = [];
+    const record = (at, m) => frames.push({
+        at,
+        odds: [m.team1Odds, m.team2Odds],
+        open: m.is_betting_open,
+        markets: (m.markets || []).map(k => k.id)
+    });
+
+    // Toss – DC opt to bowl
+    stepTo(0);
+    let { gtDc } = await poll();
+    record(0, gtDc);
+    const gtWin = placeBet('cb_149746', 'match_winner', 'GT');
+    const dcWin = placeBet('cb_149746', 'match_winner', 'DC');
+    const gtOver = placeBet('cb_149746', 'innings_runs_1', 'over');
+    const ppGt = placeBet('cb_149746', 'powerplay_top', 'GT');
+    const caught = placeBet('cb_149746', 'first_wicket', 'caught');
+    const bowled = placeBet('cb_149746', 'first_wicket', 'bowled');
+    assert.deepStrictEqual(gtOver.market_params, { innings: 1, line: 170.5 });
+
+    // GT 62/1 after the powerplay – Gill c Stubbs b Starc
+    stepTo(1500);
+    ({ gtDc } = await poll());
+    record(1500, gtDc);
+    assert.strictEqual(statusOf(caught), 'won');
+    assert.strictEqual(statusOf(bowled), 'lost');
+    assert.strictEqual(statusOf(ppGt), 'pending');   // DC haven't batted yet
+    const over8 = placeBet('cb_149746', 'next_over_1_8', 'over');
+    assert.deepStrictEqual(over8.market_params, { innings: 1, over: 8, line: 10.5 });
+
+    // GT 80/1 – 12 runs off the 8th over
+    stepTo(1800);
+    ({ gtDc } = await poll());
+    record(1800, gtDc);
+    assert.strictEqual(statusOf(over8), 'won');
+
+    // Innings break – GT 210/4
+    stepTo(4800);
+    ({ gtDc } = await poll());
+    record(4800, gtDc);
+    assert.strictEqual(statusOf(gtOver), 'pending');
+
+    // DC 48/2 after the powerplay, chasing 211
+    stepTo(6600);
+    ({ gtDc } = await poll());
+    record(6600, gtDc);
+    assert.strictEqual(gtDc.innings, 2);
+    assert.strictEqual(gtDc.target, 211);
+    assert.strictEqual(statusOf(gtOver), 'won');     // 210 > 170.5
+    assert.strictEqual(statusOf(ppGt), 'won');       // 62 vs 48
+    const dcUnder = placeBet('cb_149746', 'innings_runs_2', 'under');
+    assert.deepStrictEqual(dcUnder.market_params, { innings: 2, line: 144.5 });
+    const dcOver8 = placeBet('cb_149746', 'next_over_2_8', 'over');
+
+    // Strategic timeout – DC 142/4, over 8 has long left the recent strip
+    stepTo(9000);
+    ({ gtDc } = await poll());
+    record(9000, gtDc);
+    assert.strictEqual(statusOf(dcOver8), 'refunded');
+    assert.strictEqual(bets.find(b => b.id === dcOver8.id).reason, 'Over data unavailable');
+
+    // DC 196/5, 15 needed off the last over
+    stepTo(10800);
+    ({ gtDc } = await poll());
+    record(10800, gtDc);
+
+    // GT won by 1 run
+    stepTo(11400);
+    let completed;
+    ({ gtDc, completed } = await poll());
+    assert.deepStrictEqual(completed.map(m => m.cricbuzzId), ['149746']);
+    assert.strictEqual(gtDc.status, 'completed');
+    assert.strictEqual(gtDc.winner, 'GT');
+    assert.strictEqual(gtDc.is_betting_open, false);
+    assert.strictEqual(statusOf(dcUnder), 'lost');       // 209 > 144.5
+
+    const result = await settleMatch('cb_149746', gtDc.winner);
+    assert.deepStrictEqual(result, { success: true, settled: 2, winners: 1, losers: 1 });
+    assert.strictEqual(statusOf(gtWin), 'won');
+    assert.strictEqual(statusOf(dcWin), 'lost');
+    assert.deepStrictEqual(audit.map(a => [a.table, a.action, a.outcome, a.total_credited]), [
+        ['ipl_settlement_audit', 'auto_settle', 'GT', gtWin.potential_payout]
+    ]);
+
+    // Nothing left pending
+    assert.deepStrictEqual(bets.filter(b => b.status === 'pending'), []);
+
+    // Odds drift with the score; betting closes at the innings break and
+    // again after 18.5 overs of the chase
+    assert.deepStrictEqual(frames, [
+        { at: 0, odds: [1.95, 1.95], open: true, markets: ['match_winner', 'innings_runs_1', 'powerplay_top', 'first_wicket'] },
+        { at: 1500, odds: [1.88, 2.02], open: true, markets: ['match_winner', 'innings_runs_1', 'next_over_1_8'] },
+        { at: 1800, odds: [1.87, 2.03], open: true, markets: ['match_winner', 'innings_runs_1', 'next_over_1_10'] },
+        { at: 4800, odds: [1.69, 2.21], open: false, markets: ['match_winner'] },
+        { at: 6600, odds: [1.2, 3.28], open: true, markets: ['match_winner', 'innings_runs_2', 'next_over_2_8'] },
+        { at: 9000, odds: [1.2, 3.52], open: true, markets: ['match_winner', 'next_over_2_17'] },
+        { at: 10800, odds: [1.2, 3.64], open: false, markets: ['match_winner'] }
+    ]);
+});
+
+test('post-match: GT vs DC completed, KKR vs LSG open for pre-match betting', async () => {
+    stepTo(11400);
+
+    const schedule = await iplScraper.fetchIPLSchedule();
+    const status = Object.fromEntries(schedule.map(m => [m.cricbuzzId, m.status]));
+    assert.deepStrictEqual(status, { 149746: 'completed', 149757: 'upcoming' });
+
+    const { live } = await iplScraper.getActiveMatches();
+    assert.strictEqual(live.length, 1);
+
+    const kkrLsg = live[0];
+    assert.strictEqual(kkrLsg.cricbuzzId, '149757');
+    assert.deepStrictEqual([kkrLsg.team1, kkrLsg.team2], ['KKR', 'LSG']);
+    assert.strictEqual(kkrLsg.status, 'upcoming');
+    assert.strictEqual(kkrLsg.is_betting_open, true);
+    assert.strictEqual(kkrLsg.venue, 'Eden Gardens, Kolkata');
+    assert.ok(kkrLsg.team1Odds > 1 && kkrLsg.team2Odds > 1);
+});
@@ -0,0 +1,99 @@
+/**
+ * Best five of seven hand evaluation (evaluateHand / compareHands in
+ * socket/poker.js): kickers, ties and the ace-low wheel.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// poker.js loads the Supabase clients; nothing here touches the database
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const { evaluateHand, compareHands } = require('../socket/poker');
+
+const SUITS = { s: '♠', h: '♥', d: '♦', c: '♣' };
+
+// 'As Td 9c' → cards in the game's { suit, value } shape
+const cards = (text) => text.split(' ').map(c => ({
+    value: c[0] === 'T' ? '10' : c[0],
+    suit: SUITS[c[1]]
+}));
+
+const best = (board, hole) => evaluateHand(cards(board), cards(hole));
+const values = (hand) => hand.cards.map(c => c.value);
+
+test('the wheel is a five-high straight with the ace played low', () => {
+    const hand = best('2c 3d 4h 9s Kc', 'As 5d');
+
+    assert.strictEqual(hand.name, 'Straight');
+    assert.deepStrictEqual(hand.score, [4, 5]);
+    assert.deepStrictEqual(values(hand), ['5', '4', '3', '2', 'A']);
+});
+
+test('the wheel loses to a six-high straight on the same board', () => {
+    const wheel = best('2c 3d 4h 9s Kc', 'As 5d');
+    const sixHigh = best('2c 3d 4h 9s Kc', '6s 5h');
+
+    assert.deepStrictEqual(sixHigh.score, [4, 6]);
+    assert.ok(compareHands(sixHigh, wheel) > 0);
+});
+
+test('a suited wheel is a straight flush, not a royal flush', () => {
+    const steelWheel = best('2h 3h 4h 9s Kc', 'Ah 5h');
+    const royal = best('Th Jh Qh 2c 3d', 'Kh Ah');
+
+    assert.strictEqual(steelWheel.name, 'Straight Flush');
+    assert.deepStrictEqual(steelWheel.score, [8, 5]);
+    assert.strictEqual(royal.name, 'Royal Flush');
+    assert.ok(compareHands(royal, steelWheel) > 0);
+});
+
+test('the highest kicker outside the pair decides', () => {
+    const queenKicker = best('Ks Kd 7c 4h 2s', 'Ac Qd');
+    const jackKicker = best('Ks Kd 7c 4h 2s', 'Ad Jc');
+
+    assert.deepStrictEqual(queenKicker.score, [1, 13, 14, 12, 7]);
+    assert.deepStrictEqual(jackKicker.score, [1, 13, 14, 11, 7]);
+    assert.ok(compareHands(queenKicker, jackKicker) > 0);
+});
+
+test('kickers below the best five do not break a tie', () => {
+    const withTwo = best('Ks Kd Qc Jh 9s', 'Ac 2d');
+    const withThree = best('Ks Kd Qc Jh 9s', 'Ad 3c');
+
+    assert.deepStrictEqual(values(withTwo), ['K', 'K', 'A', 'Q', 'J']);
+    assert.strictEqual(compareHands(withTwo, withThree), 0);
+});
+
+test('a board straight is split when neither hand improves it', () => {
+    const a = best('As Kd Qc Jh Ts', '2c 3d');
+    const b = best('As Kd Qc Jh Ts', '4c 4d');
+
+    assert.deepStrictEqual(a.score, [4, 14]);
+    assert.strictEqual(compareHands(a, b), 0);
+});
+
+test('three pairs play the top two with the best remaining kicker', () => {
+    const hand = best('9s 9d 5c 5h Ks', 'Ac Ad');
+
+    assert.strictEqual(hand.name, 'Two Pair');
+    assert.deepStrictEqual(hand.score, [2, 14, 9, 13]);
+});
+
+test('two sets make the best full house', () => {
+    const hand = best('8s 8d 8c Kh Ks', 'Kd 2c');
+
+    assert.strictEqual(hand.name, 'Full House');
+    assert.deepStrictEqual(hand.score, [6, 13, 8]);
+});
+
+test('flushes compare all five cards', () => {
+    const a = best('Ah 9h 6h 4h 2c', 'Th 3s');
+    const b = best('Ah 9h 6h 4h 2c', '8h 7s');
+
+    assert.deepStrictEqual(a.score, [5, 14, 10, 9, 6, 4]);
+    assert.deepStrictEqual(b.score, [5, 14, 9, 8, 6, 4]);
+    assert.ok(compareHands(a, b) > 0);
+});
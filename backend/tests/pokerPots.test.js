@@ -0,0 +1,91 @@
+/**
+ * Main and side pots built from per-player contributions
+ * (buildPots in socket/poker.js).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// poker.js loads the Supabase clients; nothing here touches the database
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const { buildPots } = require('../socket/poker');
+
+const total = (items) => items.reduce((sum, x) => sum + x.amount, 0);
+
+test('several all-ins at different levels each close a side pot', () => {
+    const contributions = [
+        { id: 'a', amount: 50 },    // all-in short stack
+        { id: 'b', amount: 120 },   // all-in
+        { id: 'c', amount: 200 },
+        { id: 'd', amount: 200 }
+    ];
+
+    const pots = buildPots(contributions);
+
+    assert.deepStrictEqual(pots, [
+        { amount: 200, eligible: ['a', 'b', 'c', 'd'] },
+        { amount: 210, eligible: ['b', 'c', 'd'] },
+        { amount: 160, eligible: ['c', 'd'] }
+    ]);
+    assert.strictEqual(total(pots), total(contributions));
+});
+
+test('players all-in for the same amount share one level', () => {
+    const pots = buildPots([
+        { id: 'a', amount: 80 },
+        { id: 'b', amount: 80 },
+        { id: 'c', amount: 150 },
+        { id: 'd', amount: 150 }
+    ]);
+
+    assert.deepStrictEqual(pots, [
+        { amount: 320, eligible: ['a', 'b', 'c', 'd'] },
+        { amount: 140, eligible: ['c', 'd'] }
+    ]);
+});
+
+test('folded chips feed the pots they reach but win none of them', () => {
+    const contributions = [
+        { id: 'a', amount: 50 },
+        { id: 'b', amount: 120 },
+        { id: 'c', amount: 200 },
+        { id: 'e', amount: 80, folded: true }
+    ];
+
+    const pots = buildPots(contributions);
+
+    assert.deepStrictEqual(pots, [
+        { amount: 200, eligible: ['a', 'b', 'c'] },
+        { amount: 170, eligible: ['b', 'c'] },
+        { amount: 80, eligible: ['c'] }
+    ]);
+    assert.strictEqual(total(pots), total(contributions));
+});
+
+test('dead chips above the last live level go to the last pot', () => {
+    const contributions = [
+        { id: 'a', amount: 40 },
+        { id: 'b', amount: 100 },
+        { id: 'c', amount: 100 },
+        { id: 'left', amount: 150, folded: true }   // bet then left the table
+    ];
+
+    const pots = buildPots(contributions);
+
+    assert.deepStrictEqual(pots, [
+        { amount: 160, eligible: ['a', 'b', 'c'] },
+        { amount: 230, eligible: ['b', 'c'] }
+    ]);
+    assert.strictEqual(total(pots), total(contributions));
+});
+
+test('players who put nothing in are ignored', () => {
+    assert.deepStrictEqual(buildPots([
+        { id: 'a', amount: 0 },
+        { id: 'b', amount: 20 },
+        { id: 'c', amount: 20 }
+    ]), [{ amount: 40, eligible: ['b', 'c'] }]);
+});
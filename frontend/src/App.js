@@ -11,7 +11,10 @@ import AdminDashboard from './pages/AdminDashboard';
 import SlotsGame from './pages/SlotsGame';
 import CoinFlipLobby from './components/games/CoinFlipLobby';
 import CoinFlipGame from './components/games/CoinFlipGame';
+import PokerLobby from './components/games/PokerLobby';
 import PokerGame from './components/games/PokerGame';
+import PokerHandHistory from './components/games/PokerHandHistory';
+import PokerHandReplayer from './components/games/PokerHandReplayer';
 import Roulette from './components/games/Roulette';
 import Mines from './components/games/Mines';
 import TowerGame from './components/games/TowerGame';
@@ -24,6 +27,7 @@ import IPLBetting from './components/games/IPLBetting';
 import Profile from './pages/Profile';
 import Friends from './pages/Friends';
 import Leaderboard from './pages/Leaderboard';
+import Fairness from './pages/Fairness';
 import { AuthProvider } from './context/AuthContext';
 import PrivateRoute from './components/PrivateRoute';
 import AdminRoute from './components/AdminRoute';
@@ -93,6 +97,30 @@ function App() {
               />
               <Route
                 path="/games/poker"
+                element={
+                  <PrivateRoute>
+                    <PokerLobby />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/games/poker/hands"
+                element={
+                  <PrivateRoute>
+                    <PokerHandHistory />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/games/poker/hands/:handId"
+                element={
+                  <PrivateRoute>
+                    <PokerHandReplayer />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/games/poker/:tableId"
                 element={
                   <PrivateRoute>
                     <PokerGame />
@@ -187,6 +215,14 @@ function App() {
                   </PrivateRoute>
                 }
               />
+              <Route
+                path="/fairness"
+                element={
+                  <PrivateRoute>
+                    <Fairness />
+                  </PrivateRoute>
+                }
+              />
               <Route
                 path="/admin"
                 element={
@@ -3,6 +3,8 @@ import { AuthContext } from '../../context/AuthContext';
 import { supabase } from '../../services/supabase';
 import { io } from 'socket.io-client';
 import toast from 'react-hot-toast';
+import api from '../../services/api';
+import { aviatorCrashPoint, hashServerSeed, walkAviatorChain } from '../../lib/fairness';
 import './Aviator.css';
 
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
@@ -34,6 +36,602 @@ const ExplosionEffect = ({ x, y, active }) => {
     );
 };
 
+const AUTOBET_STRATEGIES = [
+    { key: 'fixed', label: 'Fixed', hint: 'Always bet the base amount' },
+    { key: 'martingale', label: 'Martingale', hint: 'Double after a loss, reset after a win' },
+    { key: 'reverse_martingale', label: 'Reverse Martingale', hint: 'Double after a win, reset after a loss' },
+    { key: 'custom', label: 'Custom', hint: 'Choose what happens after a win and a loss' }
+];
+
+// Server-run auto-bet setup and progress for one bet slot
+const AutoplayModal = ({ betNum, autoBet, defaultBaseBet, onStart, onStop, onClose }) => {
+    const running = autoBet?.status === 'running';
+    const previous = autoBet?.settings || {};
+
+    const [form, setForm] = useState({
+        strategy: previous.strategy || 'fixed',
+        rounds: previous.rounds || '10',
+        baseBet: previous.baseBet || defaultBaseBet || '',
+        maxStake: previous.maxStake || '',
+        autoCashout: previous.autoCashout || '2.00',
+        onWin: previous.onWin || 'reset',
+        onWinPercent: previous.onWinPercent || '100',
+        onLoss: previous.onLoss || 'reset',
+        onLossPercent: previous.onLossPercent || '100',
+        stopOnProfit: previous.stopOnProfit || '',
+        stopOnLoss: previous.stopOnLoss || ''
+    });
+
+    const set = (key, value) => setForm(f => ({ ...f, [key]: value }));
+
+    const handleStart = () => {
+        if (!parseFloat(form.autoCashout) || parseFloat(form.autoCashout) < 1.01) {
+            toast.error('Auto cashout must be at least 1.01x');
+            return;
+        }
+        if (!parseFloat(form.baseBet) || parseFloat(form.baseBet) <= 0) {
+            toast.error('Enter a base bet');
+            return;
+        }
+        onStart(betNum, form);
+    };
+
+    const input = (key, label, placeholder, step = '0.01') => (
+        <div className="modal-input-group">
+            <label>{label}</label>
+            <div className="modal-input-box">
+                <input
+                    type="number"
+                    placeholder={placeholder}
+                    step={step}
+                    value={form[key]}
+                    disabled={running}
+                    onChange={e => set(key, e.target.value)}
+                />
+                {!running && <button onClick={() => set(key, '')}>✕</button>}
+            </div>
+        </div>
+    );
+
+    const rule = (side, title) => (
+        <div className="strategy-section">
+            <h3>{title}</h3>
+            <label className="radio-option">
+                <input
+                    type="radio"
+                    name={`${side}-${betNum}`}
+                    checked={form[side] === 'reset'}
+                    disabled={running}
+                    onChange={() => set(side, 'reset')}
+                />
+                <span className="radio-checkmark"></span>
+                Back to base stake
+            </label>
+            <label className="radio-option">
+                <input
+                    type="radio"
+                    name={`${side}-${betNum}`}
+                    checked={form[side] === 'increase'}
+                    disabled={running}
+                    onChange={() => set(side, 'increase')}
+                />
+                <span className="radio-checkmark"></span>
+                Increase by
+                <input
+                    className="autobet-percent"
+                    type="number"
+                    value={form[`${side}Percent`]}
+                    disabled={running || form[side] !== 'increase'}
+                    onChange={e => set(`${side}Percent`, e.target.value)}
+                />
+                %
+            </label>
+        </div>
+    );
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="autoplay-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Auto-bet · Bet {betNum}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+
+                <div className="modal-body">
+                    {autoBet && (
+                        <div className={`autobet-progress ${running ? 'running' : ''}`}>
+                            <div><span>Status</span><strong>{running ? 'Running' : `Stopped – ${autoBet.stopReason || 'idle'}`}</strong></div>
+                            <div><span>Rounds</span><strong>{autoBet.roundsPlayed} / {autoBet.settings.rounds}</strong></div>
+                            <div><span>W / L</span><strong>{autoBet.wins} / {autoBet.losses}</strong></div>
+                            <div><span>Next stake</span><strong>${autoBet.currentStake.toFixed(2)}</strong></div>
+                            <div>
+                                <span>Profit</span>
+                                <strong className={autoBet.netProfit >= 0 ? 'positive' : 'negative'}>
+                                    {autoBet.netProfit >= 0 ? '+' : '-'}${Math.abs(autoBet.netProfit).toFixed(2)}
+                                </strong>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="autobet-strategies">
+                        {AUTOBET_STRATEGIES.map(st => (
+                            <button
+                                key={st.key}
+                                className={`autobet-strategy ${form.strategy === st.key ? 'active' : ''}`}
+                                disabled={running}
+                                title={st.hint}
+                                onClick={() => set('strategy', st.key)}
+                            >
+                                {st.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="modal-inputs">
+                        {input('rounds', 'Number of rounds', 'e.g. 50', '1')}
+                        {input('baseBet', 'Base bet', 'Enter amount')}
+                        {input('autoCashout', 'Auto cashout (≥ 1.01)', 'Enter odds')}
+                        {input('maxStake', 'Max. stake (optional)', 'No limit')}
+                        {input('stopOnProfit', 'Stop on profit (optional)', 'No limit')}
+                        {input('stopOnLoss', 'Stop on loss (optional)', 'No limit')}
+                    </div>
+
+                    {form.strategy === 'custom' && (
+                        <div className="modal-strategies">
+                            {rule('onWin', 'If you win')}
+                            {rule('onLoss', 'If you lose')}
+                        </div>
+                    )}
+
+                    <p className="autobet-note">
+                        Auto-bets run on the server and keep going while this tab is closed.
+                    </p>
+                </div>
+
+                <div className="modal-footer">
+                    {running ? (
+                        <button className="disable-autoplay-btn autobet-stop-btn" onClick={() => onStop(betNum)}>
+                            STOP AUTO-BET
+                        </button>
+                    ) : (
+                        <button className="place-autobet-btn" onClick={handleStart}>
+                            START AUTO-BET
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 12)}…${hash.slice(-12)}` : '-');
+
+// Provably fair verifier: recomputes a round locally from the revealed game hash
+const FairnessModal = ({ roundId, onClose }) => {
+    const [chains, setChains] = useState([]);
+    const [verification, setVerification] = useState(null);
+    const [local, setLocal] = useState(null);
+    const [walkProgress, setWalkProgress] = useState(null);
+    const [walkResult, setWalkResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        api.get('/fairness/aviator/chains')
+            .then(({ data }) => setChains(data.chains || []))
+            .catch(() => setChains([]));
+    }, []);
+
+    useEffect(() => {
+        if (!roundId) return;
+        let cancelled = false;
+
+        setVerification(null);
+        setLocal(null);
+        setWalkResult(null);
+        setWalkProgress(null);
+        setError(null);
+
+        (async () => {
+            try {
+                const { data } = await api.get(`/fairness/aviator/rounds/${roundId}`);
+                const { round } = data;
+                const crashPoint = await aviatorCrashPoint(round.gameHash, round.salt);
+                const hash = await hashServerSeed(round.gameHash);
+                if (cancelled) return;
+
+                setVerification(data);
+                setLocal({
+                    crashPoint,
+                    hashMatches: hash === round.hash,
+                    crashPointMatches: crashPoint === round.crashPoint
+                });
+            } catch (err) {
+                if (!cancelled) setError(err.response?.data?.message || 'Verification failed');
+            }
+        })();
+
+        return () => { cancelled = true; };
+    }, [roundId]);
+
+    const walkChain = async () => {
+        const { round, chain } = verification;
+        setWalkProgress(0);
+        const terminating = await walkAviatorChain(round.gameHash, round.chainIndex, setWalkProgress);
+        setWalkResult(terminating === chain.terminating_hash);
+        setWalkProgress(null);
+    };
+
+    const activeChain = chains.find((c) => c.active);
+    const round = verification?.round;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="autoplay-modal fairness-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>🔒 Provably Fair</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+
+                <div className="modal-body">
+                    <p className="fairness-intro">
+                        Every crash point comes from a hash chain generated in advance. Each round's game hash
+                        hashes to the previous round's, ending at the published terminating hash, and is combined
+                        with a salt that didn't exist when the chain was committed.
+                    </p>
+
+                    {activeChain ? (
+                        <div className="fairness-section">
+                            <div className="fairness-row"><span>Terminating hash</span><code>{shortHash(activeChain.terminatingHash)}</code></div>
+                            <div className="fairness-row"><span>Salt</span><code>{shortHash(activeChain.salt)}</code></div>
+                            <div className="fairness-row"><span>Salt source</span><span>{activeChain.saltSource}</span></div>
+                            <div className="fairness-row"><span>Rounds played</span><span>{activeChain.roundsPlayed.toLocaleString()} / {activeChain.length.toLocaleString()}</span></div>
+                        </div>
+                    ) : (
+                        <div className="fairness-section fairness-muted">No hash chain is active yet.</div>
+                    )}
+
+                    {!roundId && (
+                        <div className="fairness-muted">Click a multiplier in the round history to verify that round.</div>
+                    )}
+
+                    {error && <div className="fairness-result fail">{error}</div>}
+
+                    {roundId && !round && !error && <div className="fairness-muted">Verifying round…</div>}
+
+                    {round && local && (
+                        <div className="fairness-section">
+                            <div className="fairness-row"><span>Round</span><code>{shortHash(round.id)}</code></div>
+                            {round.chainIndex && (
+                                <div className="fairness-row"><span>Chain index</span><span>#{round.chainIndex.toLocaleString()}</span></div>
+                            )}
+                            <div className="fairness-row"><span>Game hash</span><code>{shortHash(round.gameHash)}</code></div>
+                            <div className="fairness-row"><span>Committed hash</span><code>{shortHash(round.hash)}</code></div>
+                            <div className="fairness-row"><span>Salt</span><code>{shortHash(round.salt)}</code></div>
+                            <div className="fairness-row"><span>Recorded crash</span><span>{round.crashPoint.toFixed(2)}x</span></div>
+                            <div className="fairness-row"><span>Recomputed crash</span><span>{local.crashPoint.toFixed(2)}x</span></div>
+
+                            <div className={`fairness-result ${local.hashMatches && local.crashPointMatches ? 'pass' : 'fail'}`}>
+                                {local.hashMatches && local.crashPointMatches
+                                    ? '✓ Crash point and committed hash verified in your browser'
+                                    : '✗ Round does not match its revealed game hash'}
+                            </div>
+
+                            {verification.chain && (
+                                <>
+                                    {verification.chainVerified !== null && (
+                                        <div className={`fairness-result ${verification.chainVerified ? 'pass' : 'fail'}`}>
+                                            {verification.chainVerified
+                                                ? '✓ Server confirmed the round is on the published chain'
+                                                : '✗ Round is not on the published chain'}
+                                        </div>
+                                    )}
+
+                                    {walkResult === null ? (
+                                        <button className="fairness-walk-btn" onClick={walkChain} disabled={walkProgress !== null}>
+                                            {walkProgress !== null
+                                                ? `Hashing… ${Math.floor(walkProgress * 100)}%`
+                                                : `Verify chain locally (${round.chainIndex.toLocaleString()} hashes)`}
+                                        </button>
+                                    ) : (
+                                        <div className={`fairness-result ${walkResult ? 'pass' : 'fail'}`}>
+                                            {walkResult
+                                                ? '✓ Game hash leads to the terminating hash'
+                                                : '✗ Game hash does not lead to the terminating hash'}
+                                        </div>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const STATS_TABS = [
+    { key: 'rounds', label: 'Rounds' },
+    { key: 'distribution', label: 'Distribution' },
+    { key: 'streaks', label: 'Streaks' },
+    { key: 'roi', label: 'ROI' },
+    { key: 'top', label: 'Top Cash-outs' }
+];
+
+const money = (n) => `${n < 0 ? '-' : ''}$${Math.abs(n).toFixed(2)}`;
+
+const signedMoney = (n) => `${n >= 0 ? '+' : '-'}$${Math.abs(n).toFixed(2)}`;
+
+const bucketLabel = (b) => (b.max === null ? `${b.min}x+` : `${b.min}–${b.max}x`);
+
+// Round explorer and crash statistics
+const StatsModal = ({ onVerify, onClose }) => {
+    const [tab, setTab] = useState('rounds');
+    const [error, setError] = useState(null);
+
+    const [page, setPage] = useState(1);
+    const [rounds, setRounds] = useState(null);
+    const [openRound, setOpenRound] = useState(null);
+    const [distribution, setDistribution] = useState(null);
+    const [thresholdInput, setThresholdInput] = useState('2');
+    const [threshold, setThreshold] = useState(2);
+    const [streaks, setStreaks] = useState(null);
+    const [myStats, setMyStats] = useState(null);
+    const [leaders, setLeaders] = useState(null);
+    const [roiPeriod, setRoiPeriod] = useState('week');
+    const [topPeriod, setTopPeriod] = useState('day');
+    const [topCashouts, setTopCashouts] = useState(null);
+
+    const load = useCallback(async (url, setter) => {
+        setError(null);
+        try {
+            const { data } = await api.get(url);
+            setter(data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load stats');
+        }
+    }, []);
+
+    useEffect(() => {
+        if (tab === 'rounds') load(`/games/aviator/rounds?page=${page}&limit=15`, setRounds);
+    }, [tab, page, load]);
+
+    useEffect(() => {
+        if (tab === 'distribution') load('/games/aviator/stats/distribution?rounds=1000', setDistribution);
+    }, [tab, load]);
+
+    useEffect(() => {
+        if (tab === 'streaks') load(`/games/aviator/stats/streaks?threshold=${threshold}&rounds=1000`, setStreaks);
+    }, [tab, threshold, load]);
+
+    useEffect(() => {
+        if (tab !== 'roi') return;
+        load('/games/aviator/stats/me', (data) => setMyStats(data.stats));
+        load(`/games/aviator/stats/roi?period=${roiPeriod}`, setLeaders);
+    }, [tab, roiPeriod, load]);
+
+    useEffect(() => {
+        if (tab === 'top') load(`/games/aviator/stats/top-cashouts?period=${topPeriod}`, setTopCashouts);
+    }, [tab, topPeriod, load]);
+
+    const applyThreshold = () => {
+        const value = parseFloat(thresholdInput);
+        if (!value || value <= 1) {
+            toast.error('Threshold must be above 1.00x');
+            return;
+        }
+        setThreshold(value);
+    };
+
+    const periodToggle = (options, value, onChange) => (
+        <div className="stats-toggle">
+            {options.map(p => (
+                <button key={p} className={value === p ? 'active' : ''} onClick={() => onChange(p)}>
+                    {p === 'all' ? 'All time' : `This ${p}`}
+                </button>
+            ))}
+        </div>
+    );
+
+    const maxBucket = distribution ? Math.max(1, ...distribution.buckets.map(b => b.count)) : 1;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="autoplay-modal stats-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>📊 Aviator Stats</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+
+                <div className="modal-body">
+                    <div className="stats-tabs">
+                        {STATS_TABS.map(t => (
+                            <button
+                                key={t.key}
+                                className={`autobet-strategy ${tab === t.key ? 'active' : ''}`}
+                                onClick={() => setTab(t.key)}
+                            >
+                                {t.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {error && <div className="fairness-result fail">{error}</div>}
+
+                    {tab === 'rounds' && rounds && (
+                        <>
+                            <div className="stats-list">
+                                {rounds.rounds.length === 0 && <div className="fairness-muted">No rounds yet.</div>}
+                                {rounds.rounds.map(r => (
+                                    <div key={r.id} className="stats-round">
+                                        <div
+                                            className="stats-round-row"
+                                            onClick={() => setOpenRound(openRound === r.id ? null : r.id)}
+                                        >
+                                            <span className={`history-item ${r.crashPoint >= 2 ? 'high' : 'low'}`}>
+                                                {r.crashPoint.toFixed(2)}x
+                                            </span>
+                                            <span className="stats-muted">{new Date(r.createdAt).toLocaleTimeString()}</span>
+                                            <span>{r.bets.length} bets</span>
+                                            <span>{money(r.totalWagered)} in</span>
+                                            <span>{money(r.totalPayout)} out</span>
+                                            <button
+                                                className="fairness-btn"
+                                                title="Verify this round"
+                                                onClick={(e) => { e.stopPropagation(); onVerify(r.id); }}
+                                            >
+                                                🔒
+                                            </button>
+                                        </div>
+
+                                        {openRound === r.id && (
+                                            <div className="stats-bets">
+                                                {r.bets.length === 0 && <div className="fairness-muted">No bets this round.</div>}
+                                                {r.bets.map(b => (
+                                                    <div key={b.id} className="stats-bet-row">
+                                                        <span>{b.username}</span>
+                                                        <span>{money(b.amount)}</span>
+                                                        <span className="stats-muted">
+                                                            {b.exits.length
+                                                                ? b.exits.map(e => `${e.multiplier.toFixed(2)}x`).join(' · ')
+                                                                : b.status === 'refunded' ? 'Refunded' : 'Lost'}
+                                                        </span>
+                                                        <span className={b.profit > 0 ? 'positive' : 'negative'}>
+                                                            {b.profit === null ? '-' : signedMoney(b.profit)}
+                                                        </span>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+
+                            <div className="stats-pager">
+                                <button disabled={page <= 1} onClick={() => setPage(p => p - 1)}>‹ Newer</button>
+                                <span>Page {rounds.page} of {Math.max(rounds.pages, 1)}</span>
+                                <button disabled={page >= rounds.pages} onClick={() => setPage(p => p + 1)}>Older ›</button>
+                            </div>
+                        </>
+                    )}
+
+                    {tab === 'distribution' && distribution && (
+                        <div className="fairness-section">
+                            <div className="fairness-row"><span>Rounds</span><span>{distribution.rounds.toLocaleString()}</span></div>
+                            <div className="fairness-row"><span>Average crash</span><span>{distribution.average ? `${distribution.average.toFixed(2)}x` : '-'}</span></div>
+                            <div className="fairness-row"><span>Median crash</span><span>{distribution.median ? `${distribution.median.toFixed(2)}x` : '-'}</span></div>
+
+                            <div className="stats-histogram">
+                                {distribution.buckets.map(b => (
+                                    <div key={b.min} className="stats-histogram-col" title={`${b.count} rounds`}>
+                                        <span className="stats-histogram-count">{b.count}</span>
+                                        <div
+                                            className={`stats-histogram-bar ${b.min >= 2 ? 'high' : 'low'}`}
+                                            style={{ height: `${(b.count / maxBucket) * 100}%` }}
+                                        />
+                                        <span className="stats-histogram-label">{bucketLabel(b)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {tab === 'streaks' && (
+                        <>
+                            <div className="stats-threshold">
+                                <label>Threshold</label>
+                                <input
+                                    type="number"
+                                    step="0.01"
+                                    value={thresholdInput}
+                                    onChange={e => setThresholdInput(e.target.value)}
+                                />
+                                <button onClick={applyThreshold}>Apply</button>
+                            </div>
+
+                            {streaks && (
+                                <div className="fairness-section">
+                                    <div className="fairness-row"><span>Rounds checked</span><span>{streaks.rounds.toLocaleString()}</span></div>
+                                    <div className="fairness-row">
+                                        <span>Longest below {streaks.threshold.toFixed(2)}x</span>
+                                        <span className="negative">{streaks.below ? `${streaks.below.length} rounds` : '-'}</span>
+                                    </div>
+                                    <div className="fairness-row">
+                                        <span>Longest at or above {streaks.threshold.toFixed(2)}x</span>
+                                        <span className="positive">{streaks.above ? `${streaks.above.length} rounds` : '-'}</span>
+                                    </div>
+                                    <div className="fairness-row">
+                                        <span>Current streak</span>
+                                        <span>{streaks.current ? `${streaks.current.length} ${streaks.current.side}` : '-'}</span>
+                                    </div>
+                                </div>
+                            )}
+                        </>
+                    )}
+
+                    {tab === 'roi' && (
+                        <>
+                            {myStats && (
+                                <div className="fairness-section">
+                                    <div className="fairness-row"><span>Your bets</span><span>{myStats.bets} ({myStats.wins} W / {myStats.losses} L)</span></div>
+                                    <div className="fairness-row"><span>Wagered</span><span>{money(myStats.wagered)}</span></div>
+                                    <div className="fairness-row"><span>Paid out</span><span>{money(myStats.payout)}</span></div>
+                                    <div className="fairness-row">
+                                        <span>Net profit</span>
+                                        <span className={myStats.profit >= 0 ? 'positive' : 'negative'}>{signedMoney(myStats.profit)}</span>
+                                    </div>
+                                    <div className="fairness-row">
+                                        <span>ROI</span>
+                                        <span className={myStats.roi >= 0 ? 'positive' : 'negative'}>
+                                            {myStats.roi === null ? '-' : `${myStats.roi.toFixed(2)}%`}
+                                        </span>
+                                    </div>
+                                    <div className="fairness-row"><span>Best cash-out</span><span>{myStats.bestMultiplier ? `${myStats.bestMultiplier.toFixed(2)}x` : '-'}</span></div>
+                                </div>
+                            )}
+
+                            {periodToggle(['week', 'all'], roiPeriod, setRoiPeriod)}
+
+                            {leaders && (
+                                <div className="stats-list">
+                                    {leaders.players.length === 0 && <div className="fairness-muted">Not enough bets yet.</div>}
+                                    {leaders.players.map((p, i) => (
+                                        <div key={p.username} className="stats-bet-row">
+                                            <span>#{i + 1} {p.username}</span>
+                                            <span className="stats-muted">{p.bets} bets</span>
+                                            <span>{money(p.wagered)}</span>
+                                            <span className={p.roi >= 0 ? 'positive' : 'negative'}>{p.roi.toFixed(2)}%</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </>
+                    )}
+
+                    {tab === 'top' && (
+                        <>
+                            {periodToggle(['day', 'week'], topPeriod, setTopPeriod)}
+
+                            {topCashouts && (
+                                <div className="stats-list">
+                                    {topCashouts.cashouts.length === 0 && <div className="fairness-muted">No cash-outs yet.</div>}
+                                    {topCashouts.cashouts.map((c, i) => (
+                                        <div key={`${c.roundId}-${i}`} className="stats-bet-row">
+                                            <span>#{i + 1} {c.username}</span>
+                                            <span className="positive">{c.multiplier.toFixed(2)}x</span>
+                                            <span>{money(c.amount)} → {money(c.payout)}</span>
+                                            <span className="stats-muted">crashed {c.crashPoint.toFixed(2)}x</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
 const Aviator = () => {
     const { user, updateUser } = useContext(AuthContext);
     const canvasRef = useRef(null);
@@ -66,23 +664,19 @@ const Aviator = () => {
 
     // Bet states
     const [bet1Amount, setBet1Amount] = useState('10.00');
-    const [bet1Auto, setBet1Auto] = useState('');
     const [bet1Active, setBet1Active] = useState(false);
     const [bet1CashedOut, setBet1CashedOut] = useState(false);
 
     const [bet2Amount, setBet2Amount] = useState('10.00');
-    const [bet2Auto, setBet2Auto] = useState('');
     const [bet2Active, setBet2Active] = useState(false);
     const [bet2CashedOut, setBet2CashedOut] = useState(false);
 
     // Autoplay modal states
     const [showAutoplayModal, setShowAutoplayModal] = useState(null); // null, 1, or 2 (which bet panel)
-    const [autoplaySettings, setAutoplaySettings] = useState({
-        1: { baseBet: '', maxStake: '', autoCashout: '', winStrategy: 'base', loseStrategy: 'base', enabled: false },
-        2: { baseBet: '', maxStake: '', autoCashout: '', winStrategy: 'base', loseStrategy: 'base', enabled: false }
-    });
-    // Track current stake for autoplay (changes based on win/lose strategy)
-    const [autoplayCurrentStake, setAutoplayCurrentStake] = useState({ 1: 0, 2: 0 });
+    const [fairnessRound, setFairnessRound] = useState(undefined); // undefined = closed, null = chain info only
+    const [showStats, setShowStats] = useState(false);
+    // Server-run auto-bets per bet slot (progress pushed over the socket)
+    const [autoBets, setAutoBets] = useState({ 1: null, 2: null });
 
     // Load plane image
     useEffect(() => {
@@ -390,6 +984,7 @@ const Aviator = () => {
 
         // Force WebSocket-only transport - eliminates XHR polling entirely
         socketRef.current = io(SOCKET_URL, {
+            auth: { token: localStorage.getItem('token') }, // Bets are bound to this user server-side
             transports: ['websocket'],  // CRITICAL: No polling fallback
             upgrade: false,              // Don't try to upgrade from polling
             reconnectionAttempts: 5,
@@ -400,6 +995,12 @@ const Aviator = () => {
         console.log('[Aviator] Socket initialized with WebSocket-only transport');
         socketRef.current.emit('join_aviator');
 
+        // Handshake rejected (expired/invalid token)
+        socketRef.current.on('connect_error', (err) => {
+            console.error('[Aviator] Socket connect error:', err.message);
+            toast.error(err.message || 'Connection failed');
+        });
+
         socketRef.current.on('game_state', (data) => {
             console.log('[Aviator] game_state received:', data.phase, data.roundId);
             gameStateRef.current.phase = data.phase;
@@ -478,16 +1079,46 @@ const Aviator = () => {
         });
 
         socketRef.current.on('player_cashout', (data) => {
-            setLiveBets(prev => prev.map(b =>
-                b.username === data.username ? { ...b, cashout: data.multiplier } : b
-            ));
+            setLiveBets(prev => prev.map(b => {
+                const sameBet = b.username === data.username || b.users?.username === data.username;
+                const betNumber = b.betNumber ?? b.bet_number;
+                if (!sameBet || (data.betNumber && betNumber && betNumber !== data.betNumber)) return b;
+
+                // Partial exits are listed, the final exit sets the cashout multiplier
+                const partials = data.partial ? [...(b.partials || []), data.multiplier] : b.partials;
+                return data.closed
+                    ? { ...b, cashout: data.multiplier, partials }
+                    : { ...b, partials };
+            }));
+        });
+
+        socketRef.current.on('autobet_state', (rows) => {
+            setAutoBets({
+                1: (rows || []).find(r => r.betNumber === 1) || null,
+                2: (rows || []).find(r => r.betNumber === 2) || null
+            });
+        });
+
+        socketRef.current.on('autobet_update', (row) => {
+            setAutoBets(prev => {
+                const wasRunning = prev[row.betNumber]?.status === 'running';
+                if (wasRunning && row.status === 'stopped') {
+                    const profit = `${row.netProfit >= 0 ? '+' : '-'}$${Math.abs(row.netProfit).toFixed(2)}`;
+                    toast(`Auto-bet ${row.betNumber} stopped: ${row.stopReason} (${profit})`, { icon: '🤖' });
+                }
+                return { ...prev, [row.betNumber]: row };
+            });
+        });
+
+        socketRef.current.on('autobet_error', (data) => {
+            toast.error(data.error || 'Auto-bet failed');
         });
 
         socketRef.current.on('bet_result', (data) => {
             console.log('[Aviator] bet_result received:', data);
             const betNum = Number(data.betNumber);
             if (data.success) {
-                toast.success('Bet placed!');
+                if (!data.auto) toast.success('Bet placed!');
                 if (data.new_balance !== undefined) {
                     updateUser({ cash: data.new_balance });
                 }
@@ -509,10 +1140,17 @@ const Aviator = () => {
         });
 
         socketRef.current.on('cashout_result', (data) => {
+            const setCashedOut = data.betNumber === 2 ? setBet2CashedOut : setBet1CashedOut;
             if (data.success) {
-                toast.success(`Cashed out at ${data.multiplier.toFixed(2)}x! +$${data.profit.toFixed(2)}`);
+                if (data.closed) {
+                    setCashedOut(true);
+                    toast.success(`Cashed out at ${data.multiplier.toFixed(2)}x! +$${data.profit.toFixed(2)}`);
+                } else {
+                    toast.success(`Cashed out $${data.amount.toFixed(2)} at ${data.multiplier.toFixed(2)}x, $${data.remaining.toFixed(2)} still riding`);
+                }
                 refreshBalance();
             } else {
+                setCashedOut(false);
                 toast.error(data.error || 'Cash out failed');
             }
         });
@@ -532,65 +1170,6 @@ const Aviator = () => {
         }
     }, [gamePhase, countdown]);
 
-    // Autoplay - automatically place bets when new round starts
-    useEffect(() => {
-        if (gamePhase !== 'waiting' || !roundId || !user?.id) return;
-
-        // Check for autoplay on bet panel 1
-        const settings1 = autoplaySettings[1];
-        if (settings1.enabled && !bet1Active) {
-            const baseBet = parseFloat(settings1.baseBet) || 0;
-            const maxStake = parseFloat(settings1.maxStake) || Infinity;
-            const currentStake = autoplayCurrentStake[1] || baseBet;
-
-            // Calculate bet amount
-            let betAmount = currentStake > 0 ? currentStake : baseBet;
-
-            // Check max stake limit
-            if (maxStake > 0 && betAmount > maxStake) {
-                betAmount = maxStake;
-            }
-
-            if (betAmount > 0 && socketRef.current) {
-                console.log('[Autoplay] Placing auto bet 1:', betAmount, 'auto cashout:', settings1.autoCashout);
-                setBet1Amount(betAmount.toString());
-                setBet1Active('pending');
-                socketRef.current.emit('place_bet', {
-                    userId: user.id,
-                    amount: betAmount,
-                    betNumber: 1,
-                    autoCashout: parseFloat(settings1.autoCashout) || null
-                });
-            }
-        }
-
-        // Check for autoplay on bet panel 2
-        const settings2 = autoplaySettings[2];
-        if (settings2.enabled && !bet2Active) {
-            const baseBet = parseFloat(settings2.baseBet) || 0;
-            const maxStake = parseFloat(settings2.maxStake) || Infinity;
-            const currentStake = autoplayCurrentStake[2] || baseBet;
-
-            let betAmount = currentStake > 0 ? currentStake : baseBet;
-
-            if (maxStake > 0 && betAmount > maxStake) {
-                betAmount = maxStake;
-            }
-
-            if (betAmount > 0 && socketRef.current) {
-                console.log('[Autoplay] Placing auto bet 2:', betAmount, 'auto cashout:', settings2.autoCashout);
-                setBet2Amount(betAmount.toString());
-                setBet2Active('pending');
-                socketRef.current.emit('place_bet', {
-                    userId: user.id,
-                    amount: betAmount,
-                    betNumber: 2,
-                    autoCashout: parseFloat(settings2.autoCashout) || null
-                });
-            }
-        }
-    }, [gamePhase, roundId, user?.id, autoplaySettings, autoplayCurrentStake, bet1Active, bet2Active]);
-
     const refreshBalance = async () => {
         if (!user?.id) return;
         const { data } = await supabase
@@ -609,7 +1188,6 @@ const Aviator = () => {
         }
 
         const amount = parseFloat(betNumber === 1 ? bet1Amount : bet2Amount);
-        const auto = parseFloat(betNumber === 1 ? bet1Auto : bet2Auto);
 
         if (isNaN(amount) || amount <= 0) {
             toast.error('Invalid bet amount');
@@ -623,11 +1201,12 @@ const Aviator = () => {
             userId: user.id,
             amount,
             betNumber,
-            autoCashout: isNaN(auto) ? null : auto
+            autoCashout: null
         });
     };
 
-    const cashOut = (betNumber) => {
+    // fraction < 1 cashes out part of the stake and lets the rest ride
+    const cashOut = (betNumber, fraction = 1) => {
         if (!user?.id) return;
 
         const currentMult = gameStateRef.current.displayMultiplier;
@@ -635,189 +1214,28 @@ const Aviator = () => {
         socketRef.current?.emit('cash_out', {
             userId: user.id,
             betNumber,
-            clientMultiplier: currentMult
+            clientMultiplier: currentMult,
+            fraction
         });
 
+        if (fraction < 1) return;
         if (betNumber === 1) setBet1CashedOut(true);
         else setBet2CashedOut(true);
     };
 
-    // Save autoplay settings and enable
-    const saveAutoplaySettings = (betNum, settings) => {
-        setAutoplaySettings(prev => ({
-            ...prev,
-            [betNum]: { ...settings, enabled: true }
-        }));
-        // Initialize current stake with base bet
-        const baseBet = parseFloat(settings.baseBet) || parseFloat(betNum === 1 ? bet1Amount : bet2Amount) || 10;
-        setAutoplayCurrentStake(prev => ({
-            ...prev,
-            [betNum]: baseBet
-        }));
-        // Also set the auto cashout value for the bet
-        if (betNum === 1) {
-            setBet1Auto(settings.autoCashout);
-            setBet1Amount(baseBet.toString());
-        } else {
-            setBet2Auto(settings.autoCashout);
-            setBet2Amount(baseBet.toString());
-        }
+    const startAutoBet = (betNum, settings) => {
+        socketRef.current?.emit('autobet_start', { betNumber: betNum, settings });
         setShowAutoplayModal(null);
-        toast.success(`Autoplay enabled! Base bet: $${baseBet.toFixed(2)}, Auto cashout: ${settings.autoCashout}x`);
+        toast.success(`Auto-bet ${betNum} starts next round`);
     };
 
-    // Disable autoplay
-    const disableAutoplay = (betNum) => {
-        setAutoplaySettings(prev => ({
-            ...prev,
-            [betNum]: { ...prev[betNum], enabled: false }
-        }));
-        if (betNum === 1) {
-            setBet1Auto('');
-        } else {
-            setBet2Auto('');
-        }
+    // Kill switch: one slot, or every auto-bet when betNum is omitted
+    const stopAutoBet = (betNum) => {
+        socketRef.current?.emit('autobet_stop', { betNumber: betNum });
         setShowAutoplayModal(null);
     };
 
-    // Autoplay Modal Component
-    const AutoplayModal = ({ betNum, onClose }) => {
-        const currentSettings = autoplaySettings[betNum] || {};
-        const [localSettings, setLocalSettings] = useState({
-            baseBet: currentSettings.baseBet || '',
-            maxStake: currentSettings.maxStake || '',
-            autoCashout: currentSettings.autoCashout || '',
-            winStrategy: currentSettings.winStrategy || 'base',
-            loseStrategy: currentSettings.loseStrategy || 'base'
-        });
-
-        const handleSave = () => {
-            if (!localSettings.autoCashout || parseFloat(localSettings.autoCashout) < 1.01) {
-                toast.error('Auto cashout must be at least 1.01x');
-                return;
-            }
-            saveAutoplaySettings(betNum, localSettings);
-        };
-
-        return (
-            <div className="modal-overlay" onClick={onClose}>
-                <div className="autoplay-modal" onClick={e => e.stopPropagation()}>
-                    <div className="modal-header">
-                        <h2>Autoplay</h2>
-                        <button className="modal-close" onClick={onClose}>✕</button>
-                    </div>
-
-                    <div className="modal-body">
-                        {/* Input fields row */}
-                        <div className="modal-inputs">
-                            <div className="modal-input-group">
-                                <label>Base bet</label>
-                                <div className="modal-input-box">
-                                    <input
-                                        type="number"
-                                        placeholder="Enter amount"
-                                        value={localSettings.baseBet}
-                                        onChange={e => setLocalSettings(s => ({ ...s, baseBet: e.target.value }))}
-                                    />
-                                    <button onClick={() => setLocalSettings(s => ({ ...s, baseBet: '' }))}>✕</button>
-                                </div>
-                            </div>
-
-                            <div className="modal-input-group">
-                                <label>Max. stake amount</label>
-                                <div className="modal-input-box">
-                                    <input
-                                        type="number"
-                                        placeholder="Enter amount"
-                                        value={localSettings.maxStake}
-                                        onChange={e => setLocalSettings(s => ({ ...s, maxStake: e.target.value }))}
-                                    />
-                                    <button onClick={() => setLocalSettings(s => ({ ...s, maxStake: '' }))}>✕</button>
-                                </div>
-                            </div>
-
-                            <div className="modal-input-group">
-                                <label>Auto cashout (≥ 1.01)</label>
-                                <div className="modal-input-box">
-                                    <input
-                                        type="number"
-                                        placeholder="Enter odds"
-                                        step="0.01"
-                                        min="1.01"
-                                        value={localSettings.autoCashout}
-                                        onChange={e => setLocalSettings(s => ({ ...s, autoCashout: e.target.value }))}
-                                    />
-                                    <button onClick={() => setLocalSettings(s => ({ ...s, autoCashout: '' }))}>✕</button>
-                                </div>
-                            </div>
-                        </div>
-
-                        {/* Strategy sections */}
-                        <div className="modal-strategies">
-                            <div className="strategy-section">
-                                <h3>IF YOU WIN</h3>
-                                <label className="radio-option">
-                                    <input
-                                        type="radio"
-                                        name={`win-${betNum}`}
-                                        checked={localSettings.winStrategy === 'base'}
-                                        onChange={() => setLocalSettings(s => ({ ...s, winStrategy: 'base' }))}
-                                    />
-                                    <span className="radio-checkmark"></span>
-                                    Back to base stake
-                                </label>
-                                <label className="radio-option">
-                                    <input
-                                        type="radio"
-                                        name={`win-${betNum}`}
-                                        checked={localSettings.winStrategy === 'double'}
-                                        onChange={() => setLocalSettings(s => ({ ...s, winStrategy: 'double' }))}
-                                    />
-                                    <span className="radio-checkmark"></span>
-                                    Double your stake
-                                </label>
-                            </div>
-
-                            <div className="strategy-section">
-                                <h3>IF YOU LOSE</h3>
-                                <label className="radio-option">
-                                    <input
-                                        type="radio"
-                                        name={`lose-${betNum}`}
-                                        checked={localSettings.loseStrategy === 'base'}
-                                        onChange={() => setLocalSettings(s => ({ ...s, loseStrategy: 'base' }))}
-                                    />
-                                    <span className="radio-checkmark"></span>
-                                    Back to base stake
-                                </label>
-                                <label className="radio-option">
-                                    <input
-                                        type="radio"
-                                        name={`lose-${betNum}`}
-                                        checked={localSettings.loseStrategy === 'double'}
-                                        onChange={() => setLocalSettings(s => ({ ...s, loseStrategy: 'double' }))}
-                                    />
-                                    <span className="radio-checkmark"></span>
-                                    Double your stake
-                                </label>
-                            </div>
-                        </div>
-                    </div>
-
-                    <div className="modal-footer">
-                        {currentSettings.enabled && (
-                            <button className="disable-autoplay-btn" onClick={() => disableAutoplay(betNum)}>
-                                DISABLE AUTOPLAY
-                            </button>
-                        )}
-                        <button className="place-autobet-btn" onClick={handleSave}>
-                            PLACE AUTOBET
-                        </button>
-                    </div>
-                </div>
-            </div>
-        );
-    };
+    const anyAutoBetRunning = [1, 2].some(n => autoBets[n]?.status === 'running');
 
     const renderBetPanel = (betNum) => {
         const amount = betNum === 1 ? bet1Amount : bet2Amount;
@@ -876,12 +1294,11 @@ const Aviator = () => {
                 <div className="action-buttons">
                     {/* Auto cashout toggle - opens modal */}
                     <button
-                        className={`auto-btn ${autoplaySettings[betNum]?.enabled ? 'active' : ''}`}
+                        className={`auto-btn ${autoBets[betNum]?.status === 'running' ? 'active' : ''}`}
                         onClick={() => setShowAutoplayModal(betNum)}
-                        disabled={active}
                     >
-                        {autoplaySettings[betNum]?.enabled
-                            ? `AUTO ${autoplaySettings[betNum].autoCashout}x`
+                        {autoBets[betNum]?.status === 'running'
+                            ? `AUTO ${autoBets[betNum].roundsPlayed}/${autoBets[betNum].settings.rounds}`
                             : 'AUTO OFF'}
                     </button>
 
@@ -900,9 +1317,18 @@ const Aviator = () => {
                     )}
 
                     {canCashout && (
-                        <button className="cashout-btn" onClick={() => cashOut(betNum)}>
-                            CASH OUT
-                        </button>
+                        <div className="cashout-group">
+                            <button className="cashout-btn" onClick={() => cashOut(betNum)}>
+                                CASH OUT
+                            </button>
+                            <button
+                                className="cashout-partial-btn"
+                                onClick={() => cashOut(betNum, 0.5)}
+                                title="Cash out half, let the rest ride"
+                            >
+                                50%
+                            </button>
+                        </div>
                     )}
 
                     {isActive && cashedOut && (
@@ -938,11 +1364,19 @@ const Aviator = () => {
                             <span
                                 key={h.id || i}
                                 className={`history-item ${parseFloat(h.crash_point) >= 2 ? 'high' : 'low'}`}
+                                onClick={() => setFairnessRound(h.id)}
+                                title="Verify this round"
                             >
                                 {parseFloat(h.crash_point).toFixed(2)}x
                             </span>
                         ))}
                     </div>
+                    <button className="fairness-btn" onClick={() => setShowStats(true)} title="Stats & round explorer">
+                        📊
+                    </button>
+                    <button className="fairness-btn" onClick={() => setFairnessRound(null)} title="Provably fair">
+                        🔒
+                    </button>
                 </div>
 
                 <div className="aviator-main">
@@ -1007,6 +1441,11 @@ const Aviator = () => {
                     <div className="betting-area">
                         {renderBetPanel(1)}
                         {renderBetPanel(2)}
+                        {anyAutoBetRunning && (
+                            <button className="autobet-kill-btn" onClick={() => stopAutoBet()}>
+                                ■ STOP ALL AUTO-BETS
+                            </button>
+                        )}
                     </div>
 
                     {/* Live Bets */}
@@ -1021,7 +1460,14 @@ const Aviator = () => {
                                     <span className="bet-user">{bet.username || bet.users?.username}</span>
                                     <span className="bet-amount">${parseFloat(bet.amount || 0).toFixed(2)}</span>
                                     {bet.cashout ? (
-                                        <span className="bet-cashout">{parseFloat(bet.cashout).toFixed(2)}x</span>
+                                        <span className="bet-cashout">
+                                            {bet.partials?.length > 0 && `${bet.partials.map(m => parseFloat(m).toFixed(2)).join(' · ')} · `}
+                                            {parseFloat(bet.cashout).toFixed(2)}x
+                                        </span>
+                                    ) : bet.partials?.length > 0 ? (
+                                        <span className="bet-cashout partial" title="Partial cash out, rest still riding">
+                                            ½ @ {bet.partials.map(m => parseFloat(m).toFixed(2)).join(' · ')}x
+                                        </span>
                                     ) : (
                                         <span className="bet-waiting">-</span>
                                     )}
@@ -1039,9 +1485,29 @@ const Aviator = () => {
             {showAutoplayModal && (
                 <AutoplayModal
                     betNum={showAutoplayModal}
+                    autoBet={autoBets[showAutoplayModal]}
+                    defaultBaseBet={showAutoplayModal === 1 ? bet1Amount : bet2Amount}
+                    onStart={startAutoBet}
+                    onStop={stopAutoBet}
                     onClose={() => setShowAutoplayModal(null)}
                 />
             )}
+
+            {/* Stats & Round Explorer Modal */}
+            {showStats && (
+                <StatsModal
+                    onVerify={(id) => { setShowStats(false); setFairnessRound(id); }}
+                    onClose={() => setShowStats(false)}
+                />
+            )}
+
+            {/* Provably Fair Modal */}
+            {fairnessRound !== undefined && (
+                <FairnessModal
+                    roundId={fairnessRound}
+                    onClose={() => setFairnessRound(undefined)}
+                />
+            )}
         </div>
     );
 };
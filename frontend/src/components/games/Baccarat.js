@@ -9,6 +9,7 @@ import './Baccarat.css';
  * 
  * High-fidelity Punto Banco implementation
  * Core bets: Player (1:1), Banker (0.95:1), Tie (8:1)
+ * Side bets: Player Pair (11:1), Banker Pair (11:1)
  */
 const Baccarat = () => {
     const { user } = useContext(AuthContext);
@@ -190,6 +191,28 @@ const Baccarat = () => {
                             )}
                         </div>
                     </div>
+
+                    {/* Pair Side Bets */}
+                    <div className="baccarat-side-bets">
+                        {[
+                            { zone: 'playerPair', label: 'P Pair', className: 'player-pair-zone' },
+                            { zone: 'bankerPair', label: 'B Pair', className: 'banker-pair-zone' }
+                        ].map(({ zone, label, className }) => (
+                            <div
+                                key={zone}
+                                className={`bet-zone pair-zone ${className} ${gameState !== 'betting' ? 'disabled' : ''} ${gameState === 'result' && roundResult?.results[zone]?.won ? 'winner' : ''}`}
+                                onClick={() => handleZoneClick(zone)}
+                                onContextMenu={(e) => handleZoneRightClick(e, zone)}
+                            >
+                                <div className="zone-label">{label}</div>
+                                <div className="zone-odds">11:1</div>
+
+                                {bets[zone] > 0 && (
+                                    <div className="zone-bet-amount">${bets[zone]}</div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
                 </div>
 
                 {/* Control Bar */}
@@ -1,77 +1,78 @@
-import React, { useState, useEffect, useContext } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useContext, useRef } from 'react';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../../context/AuthContext';
 import { supabase } from '../../services/supabase';
+import api from '../../services/api';
+import { coinflipChallengeOutcome, hashServerSeed } from '../../lib/fairness';
 import toast, { Toaster } from 'react-hot-toast';
 import './CoinFlip.css';
 
+const shortSeed = (seed) => (seed ? `${seed.slice(0, 10)}…${seed.slice(-10)}` : '-');
+
 const CoinFlipGame = () => {
     const { gameId } = useParams();
-    const { user, refreshUser } = useContext(AuthContext);
+    const { user, updateUser, refreshUser } = useContext(AuthContext);
     const navigate = useNavigate();
+    const location = useLocation();
 
-    const [room, setRoom] = useState(null);
+    const [challenge, setChallenge] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
     const [coinState, setCoinState] = useState('idle');
     const [battleResult, setBattleResult] = useState(null);
+    const [verification, setVerification] = useState(null);
+    const revealedRef = useRef(false);
 
-    // Fetch room data
-    useEffect(() => {
-        if (!gameId) {
-            navigate('/games/coinflip');
+    // Spin, land, then show the result
+    const reveal = (finished, animate) => {
+        if (revealedRef.current) return;
+        revealedRef.current = true;
+
+        const result = {
+            outcome: finished.outcome,
+            winnerId: finished.winner_id,
+            isWinner: finished.winner_id === user.id,
+            isPlayer: [finished.creator_id, finished.opponent_id].includes(user.id)
+        };
+
+        if (!animate) {
+            setCoinState(`result-${finished.outcome}`);
+            setBattleResult(result);
             return;
         }
 
-        const handleRoomUpdate = (updatedRoom) => {
-            setRoom(updatedRoom);
+        setCoinState('spinning');
+        setTimeout(() => {
+            setCoinState(`result-${finished.outcome}`);
 
-            if (updatedRoom.status === 'playing' && coinState === 'idle') {
-                setCoinState('spinning');
-            }
+            setTimeout(() => {
+                setBattleResult(result);
+                if (result.isPlayer) refreshUser();
+            }, 1000);
+        }, 1500);
+    };
 
-            if (updatedRoom.status === 'finished' && !battleResult) {
-                // Animate coin landing
-                setTimeout(() => {
-                    setCoinState(`result-${updatedRoom.flip_result}`);
-
-                    setTimeout(() => {
-                        setBattleResult({
-                            flipResult: updatedRoom.flip_result,
-                            winnerId: updatedRoom.winner_id,
-                            isWinner: updatedRoom.winner_id === user.id
-                        });
-                        refreshUser();
-                    }, 1000);
-                }, 500);
-            }
-        };
+    // Fetch challenge and follow it live
+    useEffect(() => {
+        if (!gameId) {
+            navigate('/games/coinflip');
+            return;
+        }
 
-        const fetchRoom = async () => {
+        const fetchChallenge = async () => {
             try {
                 const { data, error } = await supabase
-                    .from('coinflip_rooms')
+                    .from('coinflip_challenges')
                     .select('*')
                     .eq('id', gameId)
                     .single();
 
                 if (error) throw error;
 
-                setRoom(data);
-
-                // If game is already finished, show result
-                if (data.status === 'finished') {
-                    setCoinState(`result-${data.flip_result}`);
-                    setBattleResult({
-                        flipResult: data.flip_result,
-                        winnerId: data.winner_id,
-                        isWinner: data.winner_id === user.id
-                    });
-                } else if (data.status === 'playing') {
-                    // Game in progress - animate
-                    setCoinState('spinning');
-                }
+                setChallenge(data);
+                if (data.status === 'finished') reveal(data, Boolean(location.state?.animate));
             } catch (error) {
-                console.error('Error fetching room:', error);
+                console.error('Error fetching challenge:', error);
                 toast.error('Game not found');
                 navigate('/games/coinflip');
             } finally {
@@ -79,21 +80,21 @@ const CoinFlipGame = () => {
             }
         };
 
-        fetchRoom();
+        fetchChallenge();
 
-        // Subscribe to room updates
         const channel = supabase
-            .channel(`coinflip_room_${gameId}`)
+            .channel(`coinflip_challenge_${gameId}`)
             .on(
                 'postgres_changes',
                 {
                     event: 'UPDATE',
                     schema: 'public',
-                    table: 'coinflip_rooms',
+                    table: 'coinflip_challenges',
                     filter: `id=eq.${gameId}`
                 },
                 (payload) => {
-                    handleRoomUpdate(payload.new);
+                    setChallenge(payload.new);
+                    if (payload.new.status === 'finished') reveal(payload.new, true);
                 }
             )
             .subscribe();
@@ -104,6 +105,49 @@ const CoinFlipGame = () => {
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [gameId]);
 
+    // Recompute the flip in the browser once the server seed is revealed
+    useEffect(() => {
+        if (!challenge?.server_seed) return;
+
+        (async () => {
+            const [outcome, hash] = await Promise.all([
+                coinflipChallengeOutcome(challenge.server_seed, challenge.creator_seed, challenge.opponent_seed),
+                hashServerSeed(challenge.server_seed)
+            ]);
+            setVerification({
+                outcome,
+                verified: outcome === challenge.outcome && hash === challenge.server_seed_hash
+            });
+        })();
+    }, [challenge]);
+
+    const handleAccept = async () => {
+        setBusy(true);
+        try {
+            const { data } = await api.post(`/games/coinflip/challenges/${gameId}/accept`);
+            updateUser({ cash: data.newBalance });
+            setChallenge(data.challenge);
+            reveal(data.challenge, true);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to accept challenge');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCancel = async () => {
+        setBusy(true);
+        try {
+            const { data } = await api.post(`/games/coinflip/challenges/${gameId}/cancel`);
+            updateUser({ cash: data.newBalance });
+            toast.success(`Challenge cancelled, $${data.refund.toFixed(2)} refunded`);
+            navigate('/games/coinflip');
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to cancel challenge');
+            setBusy(false);
+        }
+    };
+
     if (loading) {
         return (
             <div className="coinflip-wrapper">
@@ -115,7 +159,7 @@ const CoinFlipGame = () => {
         );
     }
 
-    if (!room) {
+    if (!challenge) {
         return (
             <div className="coinflip-wrapper">
                 <div className="empty-state">
@@ -129,9 +173,11 @@ const CoinFlipGame = () => {
         );
     }
 
-    const creatorSide = room.creator_side;
-    const challengerSide = creatorSide === 'heads' ? 'tails' : 'heads';
-    const pot = room.bet_amount * 2;
+    const creatorSide = challenge.creator_side;
+    const opponentSide = creatorSide === 'heads' ? 'tails' : 'heads';
+    const pot = parseFloat(challenge.amount) * 2;
+    const isCreator = challenge.creator_id === user.id;
+    const payout = parseFloat(challenge.payout) || pot * (1 - parseFloat(challenge.rake));
 
     return (
         <div className="coinflip-wrapper">
@@ -145,70 +191,115 @@ const CoinFlipGame = () => {
 
                 <div className="players-container">
                     {/* Creator */}
-                    <div className={`player-card ${battleResult ? (battleResult.winnerId === room.creator_id ? 'winner' : 'loser') : ''}`}>
+                    <div className={`player-card ${battleResult ? (battleResult.winnerId === challenge.creator_id ? 'winner' : 'loser') : ''}`}>
                         <div className={`player-avatar ${creatorSide}`}>
-                            {room.creator_username?.charAt(0).toUpperCase()}
+                            {challenge.creator_username?.charAt(0).toUpperCase()}
                         </div>
-                        <div className="player-name">{room.creator_username}</div>
+                        <div className="player-name">{challenge.creator_username}</div>
                         <div className="player-side">{creatorSide}</div>
                     </div>
 
                     <div className="vs-text">VS</div>
 
-                    {/* Challenger */}
-                    <div className={`player-card ${battleResult ? (battleResult.winnerId === room.challenger_id ? 'winner' : 'loser') : ''}`}>
-                        <div className={`player-avatar ${challengerSide}`}>
-                            {room.challenger_username?.charAt(0).toUpperCase() || '?'}
+                    {/* Opponent */}
+                    <div className={`player-card ${battleResult ? (battleResult.winnerId === challenge.opponent_id ? 'winner' : 'loser') : ''}`}>
+                        <div className={`player-avatar ${opponentSide}`}>
+                            {challenge.opponent_username?.charAt(0).toUpperCase() || '?'}
                         </div>
                         <div className="player-name">
-                            {room.challenger_username || 'Waiting...'}
+                            {challenge.opponent_username || 'Waiting...'}
                         </div>
-                        <div className="player-side">{challengerSide}</div>
+                        <div className="player-side">{opponentSide}</div>
                     </div>
                 </div>
 
                 {/* 3D Coin */}
-                <div className="coin-stage">
-                    <div className={`coin-3d ${coinState}`}>
-                        <div className="coin-face coin-heads">H</div>
-                        <div className="coin-face coin-tails">T</div>
+                <div className="coin-stage-solo">
+                    <div className={`coin-3d-solo ${coinState}`}>
+                        <div className="coin-face-solo coin-heads-solo">
+                            <span>H</span>
+                        </div>
+                        <div className="coin-face-solo coin-tails-solo">
+                            <span>T</span>
+                        </div>
                     </div>
                 </div>
 
                 {/* Waiting State */}
-                {room.status === 'waiting' && (
-                    <div style={{ color: '#7a8599', textAlign: 'center', marginTop: '24px' }}>
-                        Waiting for opponent to join...
+                {challenge.status === 'open' && (
+                    <div className="battle-waiting">
+                        {isCreator ? (
+                            <>
+                                <p>Waiting for an opponent to take {opponentSide.toUpperCase()}...</p>
+                                <button className="create-btn secondary" onClick={handleCancel} disabled={busy}>
+                                    Cancel & Refund
+                                </button>
+                            </>
+                        ) : (
+                            <button className="create-btn" onClick={handleAccept} disabled={busy}>
+                                Accept for ${parseFloat(challenge.amount).toFixed(2)} on {opponentSide.toUpperCase()}
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {['cancelled', 'expired'].includes(challenge.status) && (
+                    <div className="battle-waiting">
+                        <p>This challenge was {challenge.status} and the stake refunded.</p>
+                        <button className="create-btn" onClick={() => navigate('/games/coinflip')}>
+                            Back to Lobby
+                        </button>
                     </div>
                 )}
 
                 {/* Spinning State */}
                 {coinState === 'spinning' && !battleResult && (
-                    <div style={{ color: '#7a8599', textAlign: 'center', marginTop: '24px' }}>
-                        Flipping the coin...
-                    </div>
+                    <div className="battle-waiting">Flipping the coin...</div>
                 )}
 
                 {/* Result */}
                 {battleResult && (
-                    <div className={`result-display ${battleResult.isWinner ? 'won' : 'lost'}`}>
-                        <div className="result-text">
-                            {battleResult.isWinner ? '🎉 YOU WON!' : '😔 YOU LOST'}
+                    <div className={`result-display-solo ${battleResult.isPlayer ? (battleResult.isWinner ? 'won' : 'lost') : ''}`}>
+                        <div className="result-text-solo">
+                            {battleResult.isPlayer
+                                ? (battleResult.isWinner ? '🎉 YOU WON!' : '😔 YOU LOST')
+                                : `${battleResult.winnerId === challenge.creator_id ? challenge.creator_username : challenge.opponent_username} WON`}
+                        </div>
+                        <div className="result-details">
+                            Coin landed on <strong>{battleResult.outcome.toUpperCase()}</strong>
                         </div>
                         {battleResult.isWinner && (
-                            <div className="result-amount">
-                                +${(pot * 0.99).toFixed(2)}
+                            <div className="result-payout">
+                                +${payout.toFixed(2)}
                             </div>
                         )}
                         <button
-                            className="create-btn"
-                            style={{ marginTop: '24px' }}
+                            className="play-again-btn"
                             onClick={() => navigate('/games/coinflip')}
                         >
                             Back to Lobby
                         </button>
                     </div>
                 )}
+
+                {/* Provably Fair */}
+                <div className="battle-fairness">
+                    <div className="fairness-line"><span>Server seed hash</span><code>{shortSeed(challenge.server_seed_hash)}</code></div>
+                    <div className="fairness-line"><span>Creator seed</span><code>{challenge.creator_seed}</code></div>
+                    {challenge.opponent_seed && (
+                        <div className="fairness-line"><span>Opponent seed</span><code>{challenge.opponent_seed}</code></div>
+                    )}
+                    {challenge.server_seed && (
+                        <div className="fairness-line"><span>Server seed</span><code>{shortSeed(challenge.server_seed)}</code></div>
+                    )}
+                    {verification && (
+                        <div className={`fairness-verdict ${verification.verified ? 'pass' : 'fail'}`}>
+                            {verification.verified
+                                ? `✓ Verified in your browser: ${verification.outcome.toUpperCase()}`
+                                : '✗ Flip does not match the revealed seeds'}
+                        </div>
+                    )}
+                </div>
             </div>
         </div>
     );
@@ -1,20 +1,67 @@
-import React, { useState, useContext } from 'react';
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { AuthContext } from '../../context/AuthContext';
 import { supabase } from '../../services/supabase';
+import api from '../../services/api';
 import toast, { Toaster } from 'react-hot-toast';
 import './CoinFlip.css';
 
+const RAKE = 0.01; // Matches coinflip_challenges.rake default
+
+const timeLeft = (expiresAt, now) => {
+    const seconds = Math.max(0, Math.floor((new Date(expiresAt) - now) / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
 const CoinFlipLobby = () => {
     const { user, updateUser } = useContext(AuthContext);
+    const navigate = useNavigate();
     const [betAmount, setBetAmount] = useState(100);
     const [selectedSide, setSelectedSide] = useState('heads');
-    const [flipping, setFlipping] = useState(false);
-    const [coinState, setCoinState] = useState('idle'); // idle, spinning, result-heads, result-tails
-    const [result, setResult] = useState(null);
-    const [lastWin, setLastWin] = useState(0);
+    const [creating, setCreating] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+    const [challenges, setChallenges] = useState([]);
+    const [now, setNow] = useState(Date.now());
+
+    const fetchChallenges = useCallback(async () => {
+        const { data, error } = await supabase
+            .from('coinflip_challenges')
+            .select('id, creator_id, creator_username, creator_side, amount, expires_at, created_at')
+            .eq('status', 'open')
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: false })
+            .limit(50);
+
+        if (error) {
+            console.error('Error fetching challenges:', error);
+            return;
+        }
+        setChallenges(data);
+    }, []);
+
+    // Open challenges, refreshed on any change
+    useEffect(() => {
+        fetchChallenges();
+
+        const channel = supabase
+            .channel('coinflip_challenges_lobby')
+            .on(
+                'postgres_changes',
+                { event: '*', schema: 'public', table: 'coinflip_challenges' },
+                () => fetchChallenges()
+            )
+            .subscribe();
+
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+
+        return () => {
+            supabase.removeChannel(channel);
+            clearInterval(timer);
+        };
+    }, [fetchChallenges]);
 
-    const handleFlip = async () => {
-        if (flipping) return;
+    const handleCreate = async () => {
+        if (creating) return;
 
         // Validate bet
         if (betAmount < 10) {
@@ -37,56 +84,54 @@ const CoinFlipLobby = () => {
             return;
         }
 
-        setFlipping(true);
-        setResult(null);
-        setLastWin(0);
-        setCoinState('spinning');
-
+        setCreating(true);
         try {
-            const { data, error } = await supabase.rpc('fn_flip_coin', {
-                p_user_id: user.id,
-                p_bet_amount: betAmount,
-                p_chosen_side: selectedSide
+            const { data } = await api.post('/games/coinflip/challenges', {
+                amount: betAmount,
+                side: selectedSide
             });
+            updateUser({ cash: data.newBalance });
+            navigate(`/games/coinflip/${data.challenge.id}`);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to create challenge');
+        } finally {
+            setCreating(false);
+        }
+    };
 
-            if (error) throw error;
-
-            if (!data.success) {
-                setCoinState('idle');
-                setFlipping(false);
-                toast.error(data.error || 'Flip failed');
-                return;
-            }
-
-            // Wait for spin animation (1.5s), then land
-            setTimeout(() => {
-                setCoinState(`result-${data.flipResult}`);
+    const handleAccept = async (challenge) => {
+        if (busyId) return;
+        if (challenge.amount > user.cash) {
+            toast.error('Insufficient balance!');
+            return;
+        }
 
-                // After coin lands (1s), show result
-                setTimeout(() => {
-                    setResult(data);
-                    setFlipping(false);
-                    updateUser({ cash: data.newBalance });
+        setBusyId(challenge.id);
+        try {
+            const { data } = await api.post(`/games/coinflip/challenges/${challenge.id}/accept`);
+            updateUser({ cash: data.newBalance });
+            navigate(`/games/coinflip/${challenge.id}`, { state: { animate: true } });
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to accept challenge');
+            fetchChallenges();
+        } finally {
+            setBusyId(null);
+        }
+    };
 
-                    if (data.won) {
-                        setLastWin(data.payout);
-                        toast.success(`🎉 You won $${data.payout.toFixed(2)}!`, {
-                            duration: 3000,
-                            style: {
-                                background: '#0f0f0f',
-                                color: '#d4af37',
-                                border: '1px solid #d4af37'
-                            }
-                        });
-                    }
-                }, 1000);
-            }, 1500);
+    const handleCancel = async (challenge) => {
+        if (busyId) return;
 
+        setBusyId(challenge.id);
+        try {
+            const { data } = await api.post(`/games/coinflip/challenges/${challenge.id}/cancel`);
+            updateUser({ cash: data.newBalance });
+            toast.success(`Challenge cancelled, $${data.refund.toFixed(2)} refunded`);
         } catch (error) {
-            console.error('Flip error:', error);
-            setCoinState('idle');
-            setFlipping(false);
-            toast.error(error.message || 'Flip failed');
+            toast.error(error.response?.data?.message || 'Failed to cancel challenge');
+        } finally {
+            setBusyId(null);
+            fetchChallenges();
         }
     };
 
@@ -95,10 +140,7 @@ const CoinFlipLobby = () => {
         setBetAmount(Math.min(newBet, user?.cash || 10000, 10000));
     };
 
-    const resetGame = () => {
-        setCoinState('idle');
-        setResult(null);
-    };
+    const openChallenges = challenges.filter(c => new Date(c.expires_at) > now);
 
     return (
         <div className="coinflip-wrapper">
@@ -112,7 +154,7 @@ const CoinFlipLobby = () => {
                     {/* Bet Amount */}
                     <div className="input-group">
                         <div className="input-label">
-                            <span>Bet Amount</span>
+                            <span>Stake</span>
                             <span className="balance-tag">
                                 Balance: ${(user?.cash || 0).toFixed(2)}
                             </span>
@@ -125,7 +167,7 @@ const CoinFlipLobby = () => {
                                         type="number"
                                         value={betAmount}
                                         onChange={e => setBetAmount(parseFloat(e.target.value) || 0)}
-                                        disabled={flipping}
+                                        disabled={creating}
                                         min="10"
                                         max="10000"
                                     />
@@ -135,14 +177,14 @@ const CoinFlipLobby = () => {
                                 <button
                                     className="quick-btn"
                                     onClick={() => adjustBet(0.5)}
-                                    disabled={flipping}
+                                    disabled={creating}
                                 >
                                     ½
                                 </button>
                                 <button
                                     className="quick-btn"
                                     onClick={() => adjustBet(2)}
-                                    disabled={flipping}
+                                    disabled={creating}
                                 >
                                     2×
                                 </button>
@@ -156,14 +198,14 @@ const CoinFlipLobby = () => {
                         <div className="side-selector">
                             <div
                                 className={`side-option ${selectedSide === 'heads' ? 'selected heads' : ''}`}
-                                onClick={() => !flipping && setSelectedSide('heads')}
+                                onClick={() => !creating && setSelectedSide('heads')}
                             >
                                 <div className="side-option-icon">🟢</div>
                                 <div className="side-option-label">HEADS</div>
                             </div>
                             <div
                                 className={`side-option ${selectedSide === 'tails' ? 'selected tails' : ''}`}
-                                onClick={() => !flipping && setSelectedSide('tails')}
+                                onClick={() => !creating && setSelectedSide('tails')}
                             >
                                 <div className="side-option-icon">⚪</div>
                                 <div className="side-option-label">TAILS</div>
@@ -171,18 +213,18 @@ const CoinFlipLobby = () => {
                         </div>
                     </div>
 
-                    {/* Flip Button */}
+                    {/* Create Button */}
                     <button
-                        className={`flip-button ${flipping ? 'flipping' : ''}`}
-                        onClick={handleFlip}
-                        disabled={flipping}
+                        className={`flip-button ${creating ? 'flipping' : ''}`}
+                        onClick={handleCreate}
+                        disabled={creating}
                     >
-                        {flipping ? (
+                        {creating ? (
                             <span className="spinner"></span>
                         ) : (
                             <>
                                 <span className="btn-glow"></span>
-                                FLIP
+                                CREATE CHALLENGE
                             </>
                         )}
                     </button>
@@ -190,73 +232,78 @@ const CoinFlipLobby = () => {
                     {/* Payout Info */}
                     <div className="payout-info">
                         <div className="payout-row">
-                            <span>Multiplier</span>
-                            <span className="payout-value">1.98×</span>
+                            <span>Total Pot</span>
+                            <span className="payout-value">${(betAmount * 2).toFixed(2)}</span>
                         </div>
                         <div className="payout-row">
-                            <span>Potential Win</span>
+                            <span>Winner Gets</span>
                             <span className="payout-value win">
-                                ${(betAmount * 1.98).toFixed(2)}
+                                ${(betAmount * 2 * (1 - RAKE)).toFixed(2)}
                             </span>
                         </div>
                     </div>
 
-                    {/* Last Win */}
-                    {lastWin > 0 && (
-                        <div className="last-win">
-                            <span className="win-label">LAST WIN</span>
-                            <span className="win-amount">${lastWin.toFixed(2)}</span>
-                        </div>
-                    )}
+                    <div className="game-instructions">
+                        <p>Your stake is held in escrow until someone accepts.</p>
+                        <p>Unaccepted challenges expire after 10 minutes and are refunded.</p>
+                    </div>
                 </div>
 
-                {/* Game Area (Right) */}
-                <div className="coinflip-game-area">
+                {/* Open Challenges (Right) */}
+                <div className="coinflip-game-area challenges-area">
                     <div className="game-header">
                         <h1 className="game-title">🪙 COIN FLIP</h1>
-                        <p className="game-subtitle">50/50 Chance • 1.98× Payout</p>
-                    </div>
-
-                    {/* 3D Coin */}
-                    <div className="coin-stage-solo">
-                        <div className={`coin-3d-solo ${coinState}`}>
-                            <div className="coin-face-solo coin-heads-solo">
-                                <span>H</span>
-                            </div>
-                            <div className="coin-face-solo coin-tails-solo">
-                                <span>T</span>
-                            </div>
-                        </div>
+                        <p className="game-subtitle">1v1 Challenges • Winner takes the pot (1% rake)</p>
                     </div>
 
-                    {/* Result Display */}
-                    {result && (
-                        <div className={`result-display-solo ${result.won ? 'won' : 'lost'}`}>
-                            <div className="result-icon">
-                                {result.won ? '🎉' : '😔'}
-                            </div>
-                            <div className="result-text-solo">
-                                {result.won ? 'YOU WON!' : 'YOU LOST'}
-                            </div>
-                            <div className="result-details">
-                                Coin landed on <strong>{result.flipResult.toUpperCase()}</strong>
-                            </div>
-                            {result.won && (
-                                <div className="result-payout">
-                                    +${result.payout.toFixed(2)}
-                                </div>
-                            )}
-                            <button className="play-again-btn" onClick={resetGame}>
-                                Play Again
-                            </button>
-                        </div>
-                    )}
-
-                    {/* Instructions when idle */}
-                    {coinState === 'idle' && !result && (
+                    {openChallenges.length === 0 ? (
                         <div className="game-instructions">
-                            <p>Choose your side and bet amount</p>
-                            <p>Click <strong>FLIP</strong> to test your luck!</p>
+                            <p>No open challenges right now</p>
+                            <p>Create one and wait for an opponent!</p>
+                        </div>
+                    ) : (
+                        <div className="challenge-list">
+                            {openChallenges.map(c => {
+                                const mine = c.creator_id === user?.id;
+                                return (
+                                    <div key={c.id} className={`challenge-card ${mine ? 'mine' : ''}`}>
+                                        <div className={`challenge-avatar ${c.creator_side}`}>
+                                            {c.creator_username?.charAt(0).toUpperCase()}
+                                        </div>
+                                        <div className="challenge-info">
+                                            <div className="challenge-name">{c.creator_username}</div>
+                                            <div className="challenge-meta">
+                                                on {c.creator_side.toUpperCase()} • expires in {timeLeft(c.expires_at, now)}
+                                            </div>
+                                        </div>
+                                        <div className="challenge-amount">${parseFloat(c.amount).toFixed(2)}</div>
+                                        {mine ? (
+                                            <button
+                                                className="challenge-btn cancel"
+                                                onClick={() => handleCancel(c)}
+                                                disabled={busyId === c.id}
+                                            >
+                                                Cancel
+                                            </button>
+                                        ) : (
+                                            <button
+                                                className="challenge-btn"
+                                                onClick={() => handleAccept(c)}
+                                                disabled={busyId === c.id}
+                                            >
+                                                Take {c.creator_side === 'heads' ? 'TAILS' : 'HEADS'}
+                                            </button>
+                                        )}
+                                        <button
+                                            className="challenge-link"
+                                            onClick={() => navigate(`/games/coinflip/${c.id}`)}
+                                            title="View"
+                                        >
+                                            ›
+                                        </button>
+                                    </div>
+                                );
+                            })}
                         </div>
                     )}
                 </div>
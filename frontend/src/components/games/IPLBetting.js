@@ -57,10 +57,12 @@ const IPLBetting = () => {
 
     const [oddsFlash, setOddsFlash] = useState({ team1: false, team2: false });
 
-    // Betting state
-    const [selectedTeam, setSelectedTeam] = useState(null);
+    // Betting state: { marketId, key, label, line } of the chosen outcome
+    const [selection, setSelection] = useState(null);
     const [betAmount, setBetAmount] = useState('');
     const [placing, setPlacing] = useState(false);
+    // Server re-priced the bet: { selectedTeam, quotedOdds, newOdds, quotedLine, newLine }
+    const [priceChange, setPriceChange] = useState(null);
 
     // User bets
     const [activeBets, setActiveBets] = useState([]);
@@ -72,6 +74,7 @@ const IPLBetting = () => {
         if (socketRef.current?.connected) return;
 
         socketRef.current = io(SOCKET_URL, {
+            auth: { token: localStorage.getItem('token') },
             transports: ['websocket'],
             upgrade: false,
             reconnectionAttempts: 5,
@@ -115,9 +118,18 @@ const IPLBetting = () => {
             fetchActiveBets();
         });
 
+        // Match abandoned / no result: stakes refunded
+        socketRef.current.on('ipl-match-voided', (data) => {
+            toast(`🌧️ Match ${data.reason} – pending bets refunded`, { duration: 5000 });
+            fetchActiveBets();
+        });
+
         // Personal bet settlement
         socketRef.current.on('ipl-bet-settled', (data) => {
-            if (data.won) {
+            if (data.refunded) {
+                toast(`↩️ ${data.marketLabel} voided (${data.reason}) – $${parseFloat(data.betAmount).toFixed(2)} refunded`, { duration: 5000 });
+                if (data.newBalance !== null) updateUser({ cash: data.newBalance });
+            } else if (data.won) {
                 toast.success(`🎉 You won $${parseFloat(data.payout).toFixed(2)}!`, { duration: 5000 });
                 if (data.newBalance !== null) updateUser({ cash: data.newBalance });
             } else {
@@ -160,11 +172,18 @@ const IPLBetting = () => {
         if (user?.id) fetchActiveBets();
     }, [user?.id, fetchActiveBets]);
 
+    // A pending price prompt only applies to the selection it was quoted for
+    useEffect(() => {
+        setPriceChange(null);
+    }, [selection]);
+
+    const selectTeam = (team) => setSelection({ marketId: 'match_winner', key: team, label: team });
+
     // ============================================
     // Place bet
     // ============================================
-    const handlePlaceBet = async () => {
-        if (!selectedTeam || !betAmount || !matchData) return;
+    const handlePlaceBet = async (accepted = null) => {
+        if (!selection || !betAmount || !matchData) return;
 
         const amount = parseFloat(betAmount);
         if (isNaN(amount) || amount < 10 || amount > 10000) {
@@ -177,33 +196,44 @@ const IPLBetting = () => {
             return;
         }
 
-        const odds = selectedTeam === matchData.team1
-            ? matchData.team1Odds
-            : matchData.team2Odds;
+        // Odds (and line) the user agreed to; the server prices the bet and rejects stale quotes
+        const odds = accepted?.odds ?? selectedOdds;
+        const line = accepted ? accepted.line : selection.line;
+        if (!odds) {
+            toast.error('This market is no longer available');
+            return;
+        }
 
+        setPriceChange(null);
         setPlacing(true);
         try {
             const res = await api.post('/bet/ipl', {
                 matchId: matchData.id,
-                matchTitle: `${matchData.team1Name} vs ${matchData.team2Name}`,
-                selectedTeam,
+                marketId: selection.marketId,
+                selection: selection.key,
                 betAmount: amount,
-                currentOdds: odds
+                currentOdds: odds,
+                line
             });
 
             if (res.data.success) {
                 toast.success(
-                    `Bet placed! $${amount} on ${selectedTeam} at ×${odds} → potential $${parseFloat(res.data.bet.potentialPayout).toFixed(2)}`
+                    `Bet placed! $${amount} on ${res.data.bet.selectionLabel || selection.label} at ×${res.data.bet.odds} → potential $${parseFloat(res.data.bet.potentialPayout).toFixed(2)}`
                 );
                 updateUser({ cash: res.data.newBalance });
-                setSelectedTeam(null);
+                setSelection(null);
                 setBetAmount('');
                 fetchActiveBets();
             } else {
                 toast.error(res.data.message || 'Bet failed');
             }
         } catch (err) {
-            toast.error(err.response?.data?.message || 'Failed to place bet');
+            if (err.response?.status === 409 && err.response.data?.oddsChanged) {
+                // Ask the user to accept the new price
+                setPriceChange(err.response.data);
+            } else {
+                toast.error(err.response?.data?.message || 'Failed to place bet');
+            }
         } finally {
             setPlacing(false);
         }
@@ -212,9 +242,14 @@ const IPLBetting = () => {
     // ============================================
     // Computed values
     // ============================================
-    const selectedOdds = matchData && selectedTeam
-        ? (selectedTeam === matchData.team1 ? matchData.team1Odds : matchData.team2Odds)
-        : 0;
+    const selectedTeam = selection?.marketId === 'match_winner' ? selection.key : null;
+    const extraMarkets = (matchData?.markets || []).filter(m => m.id !== 'match_winner');
+    const selectedOdds = (() => {
+        if (!matchData || !selection) return 0;
+        if (selectedTeam) return selectedTeam === matchData.team1 ? matchData.team1Odds : matchData.team2Odds;
+        const market = extraMarkets.find(m => m.id === selection.marketId);
+        return market?.selections.find(o => o.key === selection.key)?.odds || 0;
+    })();
     const potentialPayout = betAmount && selectedOdds
         ? (parseFloat(betAmount) * selectedOdds).toFixed(2)
         : '0.00';
@@ -331,7 +366,7 @@ const IPLBetting = () => {
                         {/* Team 1 */}
                         <div
                             className={`team-block ${selectedTeam === matchData.team1 ? 'selected' : ''} ${!bettingOpen ? 'disabled' : ''}`}
-                            onClick={() => bettingOpen && setSelectedTeam(matchData.team1)}
+                            onClick={() => bettingOpen && selectTeam(matchData.team1)}
                         >
                             <div
                                 className="team-logo-circle"
@@ -354,7 +389,7 @@ const IPLBetting = () => {
                         {/* Team 2 */}
                         <div
                             className={`team-block ${selectedTeam === matchData.team2 ? 'selected' : ''} ${!bettingOpen ? 'disabled' : ''}`}
-                            onClick={() => bettingOpen && setSelectedTeam(matchData.team2)}
+                            onClick={() => bettingOpen && selectTeam(matchData.team2)}
                         >
                             <div
                                 className="team-logo-circle"
@@ -381,6 +416,40 @@ const IPLBetting = () => {
                         )}
                     </div>
 
+                    {/* Additional markets */}
+                    {!isCompleted && extraMarkets.length > 0 && (
+                        <div className="ipl-markets">
+                            <h3>More Markets</h3>
+                            {extraMarkets.map(market => (
+                                <div key={market.id} className="ipl-market">
+                                    <div className="ipl-market-label">{market.label}</div>
+                                    <div className="ipl-market-options">
+                                        {market.selections.map(option => {
+                                            const isSelected = selection?.marketId === market.id && selection.key === option.key;
+                                            const enabled = bettingOpen && market.open;
+                                            return (
+                                                <button
+                                                    key={option.key}
+                                                    className={`ipl-market-option ${isSelected ? 'selected' : ''}`}
+                                                    disabled={!enabled}
+                                                    onClick={() => setSelection({
+                                                        marketId: market.id,
+                                                        key: option.key,
+                                                        label: `${market.label}: ${option.label}`,
+                                                        line: market.params?.line ?? null
+                                                    })}
+                                                >
+                                                    <span>{option.label}</span>
+                                                    <span className="ipl-market-odds">×{option.odds.toFixed(2)}</span>
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     {/* Bet form */}
                     {!isCompleted && (
                         <div className="bet-form">
@@ -401,33 +470,92 @@ const IPLBetting = () => {
                             </div>
 
                             {/* Potential payout */}
-                            {selectedTeam && betAmount && (
+                            {selection && betAmount && (
                                 <div className="potential-payout">
                                     <span className="label">
-                                        Potential Payout ({selectedTeam} at ×{selectedOdds})
+                                        Potential Payout ({selection.label} at ×{selectedOdds})
                                     </span>
                                     <span className="value">${potentialPayout}</span>
                                 </div>
                             )}
 
+                            {/* Odds changed prompt */}
+                            {priceChange && (
+                                <div className="odds-changed-prompt">
+                                    <div className="odds-changed-text">
+                                        {priceChange.newLine !== null && priceChange.newLine !== priceChange.quotedLine ? (
+                                            <>
+                                                Line moved:{' '}
+                                                <s>{priceChange.quotedLine}</s>{' '}
+                                                → <strong>{priceChange.selectedTeam}</strong> at ×{priceChange.newOdds.toFixed(2)}.
+                                            </>
+                                        ) : (
+                                            <>
+                                                Odds changed for {priceChange.selectedTeam}:{' '}
+                                                <s>×{priceChange.quotedOdds.toFixed(2)}</s>{' '}
+                                                → <strong>×{priceChange.newOdds.toFixed(2)}</strong>.
+                                            </>
+                                        )}
+                                        {' '}Accept new price?
+                                    </div>
+                                    <div className="odds-changed-actions">
+                                        <button
+                                            className="odds-accept-btn"
+                                            onClick={() => handlePlaceBet({ odds: priceChange.newOdds, line: priceChange.newLine })}
+                                            disabled={placing}
+                                        >
+                                            Accept ×{priceChange.newOdds.toFixed(2)}
+                                        </button>
+                                        <button
+                                            className="odds-cancel-btn"
+                                            onClick={() => setPriceChange(null)}
+                                            disabled={placing}
+                                        >
+                                            Cancel
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+
                             {/* Place bet button */}
                             <button
                                 className={`place-bet-btn ${!bettingOpen ? 'closed' : ''}`}
-                                onClick={handlePlaceBet}
-                                disabled={!bettingOpen || !selectedTeam || !betAmount || placing}
+                                onClick={() => handlePlaceBet()}
+                                disabled={!bettingOpen || !selection || !selectedOdds || !betAmount || placing}
                             >
                                 {placing
                                     ? 'Placing...'
                                     : !bettingOpen
                                         ? '🔒 Betting Closed'
-                                        : !selectedTeam
-                                            ? 'Select a Team'
-                                            : `Place Bet on ${selectedTeam}`
+                                        : !selection
+                                            ? 'Select a Team or Market'
+                                            : !selectedOdds
+                                                ? 'Market Closed'
+                                                : `Place Bet on ${selection.label}`
                                 }
                             </button>
                         </div>
                     )}
 
+                    {isCompleted && !matchData.winner && (matchData.result === 'abandoned' || matchData.result === 'no_result') && (
+                        <div style={{
+                            textAlign: 'center', marginTop: 20,
+                            padding: '16px', background: 'rgba(122,133,153,0.08)',
+                            borderRadius: 12, border: '1px solid rgba(122,133,153,0.25)'
+                        }}>
+                            <div style={{ fontSize: 40, marginBottom: 8 }}>🌧️</div>
+                            <div style={{
+                                fontFamily: 'Orbitron', fontSize: 18,
+                                fontWeight: 700, color: '#e0e0e0'
+                            }}>
+                                {matchData.result === 'abandoned' ? 'Match Abandoned' : 'No Result'}
+                            </div>
+                            <div style={{ fontSize: 13, color: '#7a8599', marginTop: 4 }}>
+                                Pending bets have been refunded
+                            </div>
+                        </div>
+                    )}
+
                     {isCompleted && matchData.winner && (
                         <div style={{
                             textAlign: 'center', marginTop: 20,
@@ -465,7 +593,11 @@ const IPLBetting = () => {
                                     }`}
                                 >
                                     <div>
-                                        <div className="active-bet-team">{bet.selected_team}</div>
+                                        <div className="active-bet-team">
+                                            {bet.market && bet.market !== 'match_winner'
+                                                ? `${bet.market_label}: ${bet.selection.replace('_', ' ')}`
+                                                : bet.selected_team}
+                                        </div>
                                         <div className="active-bet-details">
                                             ${parseFloat(bet.bet_amount).toFixed(2)} at ×{parseFloat(bet.odds_at_placement).toFixed(2)}
                                         </div>
@@ -2,12 +2,10 @@ import React, { useState, useContext, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { AuthContext } from '../../context/AuthContext';
-import useUnoGame from '../../hooks/useUnoGame';
+import useUnoGame, { TURN_DURATION } from '../../hooks/useUnoGame';
 import toast from 'react-hot-toast';
 import './LandscapeUno.css';
 
-const TURN_DURATION = 15;
-
 const LandscapeUnoGame = () => {
     const { roomId } = useParams();
     const navigate = useNavigate();
@@ -33,10 +31,17 @@ const LandscapeUnoGame = () => {
         drawCard,
         shoutUno,
         isCardPlayable,
+        rules,
+        pendingDraw,
+        canChallenge,
+        catchableOpponents,
+        catchUno,
+        challengeDrawFour,
     } = useUnoGame(roomId);
 
     const [showColorPicker, setShowColorPicker] = useState(false);
     const [selectedCardIndex, setSelectedCardIndex] = useState(null);
+    const [showSwapPicker, setShowSwapPicker] = useState(false);
     const [shakingCard, setShakingCard] = useState(null);
     const [hoveredCard, setHoveredCard] = useState(null);
 
@@ -48,13 +53,14 @@ const LandscapeUnoGame = () => {
     const handleCardClick = useCallback(async (cardIndex) => {
         if (isSending) return;
 
-        if (!isMyTurn) {
+        const card = myHand[cardIndex];
+
+        // Out of turn only a jump-in card goes through
+        if (!isMyTurn && !isCardPlayable(card)) {
             toast.error("Not your turn!");
             return;
         }
 
-        const card = myHand[cardIndex];
-
         if (!isCardPlayable(card)) {
             setShakingCard(cardIndex);
             setTimeout(() => setShakingCard(null), 500);
@@ -67,12 +73,23 @@ const LandscapeUnoGame = () => {
             return;
         }
 
-        const result = await playCard(cardIndex);
+        // 7-0: a 7 swaps hands, so pick who with (heads-up there is only one choice)
+        let target = null;
+        if (rules.seven_zero && card.value === '7' && myHand.length > 1) {
+            if (opponents.length > 1) {
+                setSelectedCardIndex(cardIndex);
+                setShowSwapPicker(true);
+                return;
+            }
+            target = opponents[0]?.user_id ?? null;
+        }
+
+        const result = await playCard(cardIndex, null, target);
         if (!result.success) {
             setShakingCard(cardIndex);
             setTimeout(() => setShakingCard(null), 500);
         }
-    }, [isMyTurn, isSending, myHand, isCardPlayable, playCard]);
+    }, [isMyTurn, isSending, myHand, isCardPlayable, playCard, rules.seven_zero, opponents]);
 
     const handleColorSelect = async (color) => {
         setShowColorPicker(false);
@@ -82,6 +99,14 @@ const LandscapeUnoGame = () => {
         }
     };
 
+    const handleSwapSelect = async (targetUserId) => {
+        setShowSwapPicker(false);
+        if (selectedCardIndex !== null) {
+            await playCard(selectedCardIndex, null, targetUserId);
+            setSelectedCardIndex(null);
+        }
+    };
+
     const handleDrawCard = async () => {
         if (!isMyTurn) {
             toast.error("Not your turn!");
@@ -220,7 +245,8 @@ const LandscapeUnoGame = () => {
                             className={`player-name-item ${isPlayerActive(opponent) ? 'active' : ''}`}
                         >
                             {opponent.username || 'Player'}
-                            <span className="player-card-count">{opponent.hand?.length || 7}</span>
+                            <span className="player-card-count">{opponent.hand_count ?? 0}</span>
+                            {opponent.uno_called && <span className="player-uno-badge">UNO</span>}
                         </div>
                     ))}
                 </div>
@@ -238,7 +264,7 @@ const LandscapeUnoGame = () => {
                         <div className="uno-card-back">
                             <div className="uno-logo">UNO</div>
                         </div>
-                        {isMyTurn && <div className="draw-hint">Draw</div>}
+                        {isMyTurn && <div className="draw-hint">{pendingDraw > 0 ? `Draw ${pendingDraw}` : 'Draw'}</div>}
                     </div>
 
                     {/* Discard Pile */}
@@ -288,6 +314,7 @@ const LandscapeUnoGame = () => {
                     <span className="timer-text">{turnTimeLeft}</span>
                 </div>
                 <span className="turn-player-name">{currentPlayerName}</span>
+                {pendingDraw > 0 && <span className="turn-pending-draw">+{pendingDraw}</span>}
             </div>
 
             {/* Player's Hand */}
@@ -305,7 +332,7 @@ const LandscapeUnoGame = () => {
                             return (
                                 <motion.div
                                     key={card.id}
-                                    className={`landscape-hand-card ${colorClass} ${playable && isMyTurn ? 'playable' : 'not-playable'} ${shakingCard === index ? 'shake' : ''} ${isHovered ? 'hovered' : ''}`}
+                                    className={`landscape-hand-card ${colorClass} ${playable ? 'playable' : 'not-playable'} ${shakingCard === index ? 'shake' : ''} ${isHovered ? 'hovered' : ''}`}
                                     style={{
                                         zIndex: isHovered ? 100 : index,
                                         marginLeft: index === 0 ? 0 : `${cardLayout.overlap}px`,
@@ -358,6 +385,69 @@ const LandscapeUnoGame = () => {
                 </motion.button>
             )}
 
+            {/* House rule actions: +4 challenge and catching missed UNO calls */}
+            {(canChallenge || catchableOpponents.length > 0) && (
+                <div className="landscape-rule-actions">
+                    {canChallenge && (
+                        <motion.button
+                            className="landscape-rule-btn challenge"
+                            onClick={challengeDrawFour}
+                            disabled={isSending}
+                            initial={{ scale: 0 }}
+                            animate={{ scale: 1 }}
+                        >
+                            Challenge +4
+                        </motion.button>
+                    )}
+                    {catchableOpponents.map(opponent => (
+                        <motion.button
+                            key={opponent.user_id}
+                            className="landscape-rule-btn catch"
+                            onClick={() => catchUno(opponent.user_id)}
+                            initial={{ scale: 0 }}
+                            animate={{ scale: 1 }}
+                        >
+                            Catch {opponent.username}!
+                        </motion.button>
+                    ))}
+                </div>
+            )}
+
+            {/* Swap Picker (7-0) */}
+            <AnimatePresence>
+                {showSwapPicker && (
+                    <motion.div
+                        className="landscape-color-picker-overlay"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        onClick={() => setShowSwapPicker(false)}
+                    >
+                        <motion.div
+                            className="landscape-color-picker"
+                            initial={{ scale: 0.8 }}
+                            animate={{ scale: 1 }}
+                            exit={{ scale: 0.8 }}
+                            onClick={e => e.stopPropagation()}
+                        >
+                            <h3 className="color-picker-title">Swap Hands With</h3>
+                            <div className="swap-options">
+                                {opponents.map(opponent => (
+                                    <button
+                                        key={opponent.user_id}
+                                        className="swap-option"
+                                        onClick={() => handleSwapSelect(opponent.user_id)}
+                                    >
+                                        {opponent.username || 'Player'}
+                                        <span className="player-card-count">{opponent.hand_count ?? 0}</span>
+                                    </button>
+                                ))}
+                            </div>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+
             {/* Color Picker */}
             <AnimatePresence>
                 {showColorPicker && (
@@ -1,18 +1,35 @@
 import React, { useState, useEffect, useContext } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
 import { io } from 'socket.io-client';
 import { AuthContext } from '../../context/AuthContext';
+import api from '../../services/api';
 import Chat from './Chat';
 
 let socket;
 
 const PokerGame = () => {
+    const { tableId } = useParams();
+    const navigate = useNavigate();
     const { user, refreshUser } = useContext(AuthContext);
     const [connected, setConnected] = useState(false);
     const [gameState, setGameState] = useState(null);
-    const [buyIn, setBuyIn] = useState(1000);
+    const [table, setTable] = useState(null);
+    const [buyIn, setBuyIn] = useState(0);
     const [joined, setJoined] = useState(false);
-    const [roomId, setRoomId] = useState('Poker1'); // Default room
     const [raiseAmount, setRaiseAmount] = useState(0);
+    const [handResult, setHandResult] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const [now, setNow] = useState(Date.now());
+
+    // Table settings for the buy-in form
+    useEffect(() => {
+        api.get(`/games/poker/tables/${tableId}`)
+            .then(({ data }) => {
+                setTable(data.table);
+                setBuyIn(data.table.minBuyIn);
+            })
+            .catch(() => navigate('/games/poker'));
+    }, [tableId, navigate]);
 
     useEffect(() => {
         const socketUrl = 'http://localhost:5000/poker';
@@ -33,12 +50,34 @@ const PokerGame = () => {
             // Update only partials if needed, or re-use gameState
             // Our backend emits 'gameState' on update mostly, but 'roomUpdate' on join.
             // Let's assume roomUpdate structure matches partial gameState or just fetch full?
-            // Backend sends: { players, pot, phase, communityCards }
+            // Backend sends: { table, players, pot, phase, communityCards }
             setGameState(prev => ({ ...prev, ...state }));
+            // Join broadcasts carry the table settings; we only get them once seated
+            if (state.table) {
+                setTable(state.table);
+                setJoined(true);
+            }
         });
 
         socket.on('handEnded', (data) => {
-            // Show winner, delay, etc.
+            // Show each pot and its winners until the next hand is dealt
+            setHandResult(data.pots || []);
+            if (data.roomState) {
+                setGameState(prev => ({ ...prev, ...data.roomState }));
+            }
+            setTimeout(() => setHandResult(null), 5000);
+            refreshUser();
+        });
+
+        socket.on('autoAction', ({ username, action }) => {
+            setNotice(`${username} ran out of time (auto-${action}) and is sitting out`);
+            setTimeout(() => setNotice(null), 4000);
+        });
+
+        socket.on('tournamentEnded', ({ username, prize }) => {
+            alert(username ? `${username} wins the sit & go ($${prize})` : 'Sit & go ended');
+            setJoined(false);
+            setGameState(null);
             refreshUser();
         });
 
@@ -51,10 +90,26 @@ const PokerGame = () => {
         };
     }, [refreshUser]);
 
+    // Tick the turn clock
+    useEffect(() => {
+        if (!joined) return;
+        const timer = setInterval(() => setNow(Date.now()), 500);
+        return () => clearInterval(timer);
+    }, [joined]);
+
     const handleJoin = () => {
         if (!socket) return;
-        socket.emit('joinRoom', { roomId, buyInAmount: parseInt(buyIn) });
-        setJoined(true);
+        socket.emit('joinRoom', { tableId, buyInAmount: parseInt(buyIn) });
+    };
+
+    const handleLeave = () => {
+        if (socket) socket.emit('leaveRoom');
+        refreshUser();
+        navigate('/games/poker');
+    };
+
+    const handleSitOut = (sittingOut) => {
+        if (socket) socket.emit(sittingOut ? 'sitOut' : 'sitIn');
     };
 
     const handleAction = (action) => {
@@ -68,7 +123,27 @@ const PokerGame = () => {
     // UI Helpers
     const getCardColor = (suit) => ['♥', '♦'].includes(suit) ? 'red' : 'black';
 
-    if (!connected) return <div className="text-white text-center mt-5">Connecting to Poker...</div>;
+    // Best five cards of the main pot winner(s)
+    const winningCards = new Set(
+        (handResult?.[0]?.winners || []).flatMap(w => (w.cards || []).map(c => c.display))
+    );
+    const highlight = (card) => winningCards.has(card.display)
+        ? { boxShadow: '0 0 0 3px #d4af37', transform: 'translateY(-4px)' }
+        : {};
+
+    // Seconds left on the action timer, then on the time bank
+    const turnClock = (player) => {
+        if (!gameState?.turnDeadline || handResult) return null;
+        const left = Math.max(0, gameState.turnDeadline - now);
+        const inBank = left <= player.timeBank;
+        const seconds = Math.ceil((inBank ? left : left - player.timeBank) / 1000);
+        return { seconds, inBank };
+    };
+
+    if (!connected || !table) return <div className="text-white text-center mt-5">Connecting to Poker...</div>;
+
+    const fixedBuyIn = table.minBuyIn === table.maxBuyIn;
+    const me = gameState?.players?.find(p => p.id === user.id);
 
     if (!joined) {
         return (
@@ -76,29 +151,29 @@ const PokerGame = () => {
                 <div className="row justify-content-center">
                     <div className="col-md-6">
                         <div className="card p-4">
-                            <h2 className="text-center mb-4">Join Poker Room</h2>
+                            <h2 className="text-center mb-1">{table.name}</h2>
+                            <div className="text-center text-white-50 mb-4">
+                                {table.tableType === 'sng' ? 'Sit & Go' : 'Cash'} • Blinds ${table.smallBlind}/${table.bigBlind} • {table.maxSeats} seats
+                            </div>
                             <div className="mb-3">
                                 <label>Wallet Balance: ${user.cash}</label>
                             </div>
                             <div className="mb-3">
-                                <label>Buy-In Amount</label>
+                                <label>
+                                    Buy-In Amount {fixedBuyIn ? '(fixed)' : `($${table.minBuyIn} - $${table.maxBuyIn})`}
+                                </label>
                                 <input
                                     type="number"
                                     className="form-control"
                                     value={buyIn}
+                                    min={table.minBuyIn}
+                                    max={table.maxBuyIn}
+                                    disabled={fixedBuyIn}
                                     onChange={(e) => setBuyIn(e.target.value)}
                                 />
                             </div>
-                            <div className="mb-3">
-                                <label>Room ID</label>
-                                <input
-                                    type="text"
-                                    className="form-control"
-                                    value={roomId}
-                                    onChange={(e) => setRoomId(e.target.value)}
-                                />
-                            </div>
-                            <button className="btn btn-success w-100" onClick={handleJoin}>Sit Down</button>
+                            <button className="btn btn-success w-100 mb-2" onClick={handleJoin}>Sit Down</button>
+                            <button className="btn btn-outline-secondary w-100" onClick={() => navigate('/games/poker')}>Back to Lobby</button>
                         </div>
                     </div>
                 </div>
@@ -119,7 +194,7 @@ const PokerGame = () => {
                             <div className="mb-2 text-warning fw-bold fs-4">Pot: ${gameState?.pot || 0}</div>
                             <div className="d-flex gap-2 justify-content-center">
                                 {gameState?.communityCards?.map((card, i) => (
-                                    <div key={i} className="card-display bg-white rounded p-2 text-center" style={{ width: 50, height: 70 }}>
+                                    <div key={i} className="card-display bg-white rounded p-2 text-center" style={{ width: 50, height: 70, ...highlight(card) }}>
                                         <div style={{ color: getCardColor(card.suit), fontSize: '1.2rem' }}>{card.value}</div>
                                         <div style={{ color: getCardColor(card.suit), fontSize: '1.5rem' }}>{card.suit}</div>
                                     </div>
@@ -145,6 +220,7 @@ const PokerGame = () => {
                             // For MVP, just absolute positions by index.
                             const pos = positions[i % 6];
                             const isTurn = i === gameState.turnIndex;
+                            const clock = isTurn && !player.folded ? turnClock(player) : null;
 
                             return (
                                 <div key={i} className="position-absolute text-center bg-dark p-2 rounded border border-secondary"
@@ -158,11 +234,20 @@ const PokerGame = () => {
                                     <div className="text-warning small">${player.chips}</div>
                                     {player.bet > 0 && <div className="badge bg-light text-dark mt-1">${player.bet}</div>}
                                     {player.folded && <div className="badge bg-danger mt-1">FOLD</div>}
+                                    {player.allIn && !player.folded && <div className="badge bg-warning text-dark mt-1">ALL IN</div>}
+                                    {player.disconnected && <div className="badge bg-secondary mt-1">OFFLINE</div>}
+                                    {player.sittingOut && !player.disconnected && <div className="badge bg-secondary mt-1">SITTING OUT</div>}
+                                    {handResult && player.handName && <div className="small text-info mt-1">{player.handName}</div>}
+                                    {clock && (
+                                        <div className={`badge mt-1 ${clock.inBank ? 'bg-danger' : 'bg-warning text-dark'}`}>
+                                            ⏱ {clock.seconds}s{clock.inBank ? ' bank' : ''}
+                                        </div>
+                                    )}
 
                                     {/* Hand */}
                                     <div className="d-flex justify-content-center gap-1 mt-1">
                                         {player.hand ? player.hand.map((c, ci) => (
-                                            <div key={ci} className="bg-white rounded p-1" style={{ width: 25, height: 35, fontSize: '0.8rem' }}>
+                                            <div key={ci} className="bg-white rounded p-1" style={{ width: 25, height: 35, fontSize: '0.8rem', ...highlight(c) }}>
                                                 <span style={{ color: getCardColor(c.suit) }}>{c.value}{c.suit}</span>
                                             </div>
                                         )) : (
@@ -178,6 +263,20 @@ const PokerGame = () => {
                         })}
                     </div>
 
+                    {/* Hand Result */}
+                    {handResult && handResult.length > 0 && (
+                        <div className="text-center mb-3">
+                            {handResult.map((pot, i) => (
+                                <div key={i} className="text-white">
+                                    <span className="text-warning fw-bold">{pot.name} (${pot.amount}):</span>{' '}
+                                    {pot.winners.map(w => `${w.username} wins $${w.amount} - ${w.handName}`).join(', ')}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {notice && <div className="text-center text-warning mb-3">{notice}</div>}
+
                     {/* Controls */}
                     <div className="d-flex justify-content-center gap-3">
                         <button className="btn btn-danger btn-lg" onClick={() => handleAction('fold')}>Fold</button>
@@ -187,6 +286,13 @@ const PokerGame = () => {
                             <input type="number" className="form-control" value={raiseAmount} onChange={(e) => setRaiseAmount(e.target.value)} placeholder="Amount" />
                             <button className="btn btn-warning" onClick={() => handleAction('raise')}>Raise</button>
                         </div>
+                        <button className="btn btn-outline-warning btn-lg" onClick={() => handleAction('allin')}>All In</button>
+                        <button className="btn btn-outline-info btn-lg" onClick={() => handleSitOut(!me?.sittingOut)}>
+                            {me?.sittingOut ? 'Sit In' : 'Sit Out'}
+                        </button>
+                        <button className="btn btn-outline-light btn-lg" onClick={handleLeave}>
+                            {table.tableType === 'sng' ? 'Forfeit' : 'Cash Out'}
+                        </button>
                     </div>
                 </div>
 
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+
+const PAGE_SIZE = 25;
+
+const getCardColor = (suit) => ['♥', '♦'].includes(suit) ? 'text-danger' : 'text-dark';
+
+export const CardList = ({ cards }) => (
+    <span className="d-inline-flex gap-1">
+        {(cards || []).map((card, i) => (
+            <span key={i} className={`bg-white rounded px-1 fw-bold ${getCardColor(card.suit)}`}>
+                {card.value}{card.suit}
+            </span>
+        ))}
+    </span>
+);
+
+/**
+ * Save a hand as PokerStars text
+ */
+export const downloadHand = async (handId) => {
+    try {
+        const { data } = await api.get(`/poker/hands/${handId}/export`, { responseType: 'text' });
+        const url = URL.createObjectURL(new Blob([data], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `hand-${handId}.txt`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        toast.error('Failed to export hand');
+    }
+};
+
+const PokerHandHistory = () => {
+    const navigate = useNavigate();
+    const [hands, setHands] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [hasMore, setHasMore] = useState(false);
+
+    const fetchHands = useCallback(async (before) => {
+        try {
+            const { data } = await api.get('/poker/hands', { params: { limit: PAGE_SIZE, before } });
+            setHands(prev => (before ? [...prev, ...data.hands] : data.hands));
+            setHasMore(data.hands.length === PAGE_SIZE);
+        } catch (error) {
+            console.error('Error fetching hand history:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchHands();
+    }, [fetchHands]);
+
+    return (
+        <div className="container py-5 text-white">
+            <div className="d-flex justify-content-between align-items-center mb-4">
+                <h2 className="mb-0">♠ Hand History</h2>
+                <button className="btn btn-sm btn-outline-warning" onClick={() => navigate('/games/poker')}>
+                    Back to Lobby
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="text-center text-white-50">Loading hands...</div>
+            ) : hands.length === 0 ? (
+                <div className="text-center text-white-50">No hands played yet</div>
+            ) : (
+                <div className="table-responsive">
+                    <table className="table table-dark table-hover align-middle">
+                        <thead>
+                            <tr>
+                                <th>Hand</th>
+                                <th>Table</th>
+                                <th>Cards</th>
+                                <th>Board</th>
+                                <th>Pot</th>
+                                <th>Result</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {hands.map(hand => (
+                                <tr key={hand.id}>
+                                    <td>
+                                        <div className="fw-bold">#{hand.id}</div>
+                                        <div className="small text-white-50">{new Date(hand.startedAt).toLocaleString()}</div>
+                                    </td>
+                                    <td>
+                                        {hand.tableName}
+                                        <div className="small text-white-50">${hand.smallBlind}/${hand.bigBlind}</div>
+                                    </td>
+                                    <td><CardList cards={hand.cards} /></td>
+                                    <td><CardList cards={hand.board} /></td>
+                                    <td>${hand.potTotal}</td>
+                                    <td className={hand.net > 0 ? 'text-success' : hand.net < 0 ? 'text-danger' : 'text-white-50'}>
+                                        {hand.net > 0 ? '+' : hand.net < 0 ? '-' : ''}${Math.abs(hand.net)}
+                                    </td>
+                                    <td className="text-end text-nowrap">
+                                        <button
+                                            className="btn btn-success btn-sm me-2"
+                                            onClick={() => navigate(`/games/poker/hands/${hand.id}`)}
+                                        >
+                                            Replay
+                                        </button>
+                                        <button className="btn btn-outline-light btn-sm" onClick={() => downloadHand(hand.id)}>
+                                            Export
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {hasMore && (
+                        <div className="text-center">
+                            <button
+                                className="btn btn-outline-warning btn-sm"
+                                onClick={() => fetchHands(hands[hands.length - 1].id)}
+                            >
+                                Load more
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PokerHandHistory;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useMemo, useContext } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import api from '../../services/api';
+import { AuthContext } from '../../context/AuthContext';
+import { CardList, downloadHand } from './PokerHandHistory';
+
+const STREETS = ['preflop', 'flop', 'turn', 'river'];
+const BOARD_SIZE = { flop: 3, turn: 4, river: 5 };
+const PLAY_STEP_MS = 1200;
+
+const describeAction = (a) => {
+    const allIn = a.allIn ? ' (all-in)' : '';
+    switch (a.action) {
+        case 'post_sb': return `${a.username} posts the small blind $${a.amount}`;
+        case 'post_bb': return `${a.username} posts the big blind $${a.amount}`;
+        case 'fold': return a.left ? `${a.username} leaves the table` : `${a.username} folds`;
+        case 'check': return `${a.username} checks`;
+        case 'call': return `${a.username} calls $${a.amount}${allIn}`;
+        case 'bet': return `${a.username} bets $${a.amount}${allIn}`;
+        case 'raise': return `${a.username} raises to $${a.to}${allIn}`;
+        default: return `${a.username} ${a.action}`;
+    }
+};
+
+/**
+ * Replay a saved hand as a list of table snapshots: the deal, every
+ * action, each street dealt and the payout at the end
+ */
+const buildReplay = (hand) => {
+    const steps = [];
+    const board = hand.board || [];
+    const state = {
+        street: 'preflop',
+        boardCount: 0,
+        pot: 0,
+        stacks: Object.fromEntries(hand.seats.map(s => [s.userId, s.stack])),
+        bets: {},
+        folded: [],
+        actor: null
+    };
+
+    const snapshot = (label, extra = {}) => steps.push({
+        ...state,
+        stacks: { ...state.stacks },
+        bets: { ...state.bets },
+        folded: [...state.folded],
+        label,
+        ...extra
+    });
+
+    // Bets go into the pot as each street is dealt
+    const dealTo = (street) => {
+        while (STREETS.indexOf(state.street) < STREETS.indexOf(street)) {
+            const next = STREETS[STREETS.indexOf(state.street) + 1];
+            if (board.length < BOARD_SIZE[next]) return;
+            state.street = next;
+            state.boardCount = BOARD_SIZE[next];
+            state.bets = {};
+            state.actor = null;
+            snapshot(`${next.charAt(0).toUpperCase()}${next.slice(1)} dealt`);
+        }
+    };
+
+    snapshot('Cards dealt');
+
+    hand.actions.forEach(a => {
+        dealTo(a.street);
+        state.stacks[a.userId] -= a.amount;
+        state.bets[a.userId] = (state.bets[a.userId] || 0) + a.amount;
+        state.pot += a.amount;
+        if (a.action === 'fold') state.folded.push(a.userId);
+        state.actor = a.userId;
+        snapshot(describeAction(a));
+    });
+
+    // Board run out with nobody left to act
+    dealTo('river');
+
+    hand.seats.forEach(s => { state.stacks[s.userId] += s.won; });
+    state.bets = {};
+    state.actor = null;
+    const winners = [...new Set(hand.pots.flatMap(pot => pot.winners.map(w => w.username)))];
+    snapshot(`${winners.join(' & ')} won`, { finished: true });
+
+    return steps;
+};
+
+const PokerHandReplayer = () => {
+    const { handId } = useParams();
+    const navigate = useNavigate();
+    const { user } = useContext(AuthContext);
+    const [hand, setHand] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [step, setStep] = useState(0);
+    const [playing, setPlaying] = useState(false);
+
+    useEffect(() => {
+        const fetchHand = async () => {
+            try {
+                const { data } = await api.get(`/poker/hands/${handId}`);
+                setHand(data.hand);
+            } catch (error) {
+                console.error('Error fetching hand:', error);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchHand();
+    }, [handId]);
+
+    const steps = useMemo(() => (hand ? buildReplay(hand) : []), [hand]);
+    const last = steps.length - 1;
+
+    useEffect(() => {
+        if (!playing) return;
+        if (step >= last) {
+            setPlaying(false);
+            return;
+        }
+        const timer = setTimeout(() => setStep(s => s + 1), PLAY_STEP_MS);
+        return () => clearTimeout(timer);
+    }, [playing, step, last]);
+
+    if (loading) return <div className="text-white text-center mt-5">Loading hand...</div>;
+
+    if (!hand) {
+        return (
+            <div className="container py-5 text-white text-center">
+                <div className="mb-3">Hand not found</div>
+                <button className="btn btn-outline-warning btn-sm" onClick={() => navigate('/games/poker/hands')}>
+                    Back to Hand History
+                </button>
+            </div>
+        );
+    }
+
+    const current = steps[step];
+    const goTo = (index) => {
+        setPlaying(false);
+        setStep(Math.max(0, Math.min(last, index)));
+    };
+    const togglePlay = () => {
+        if (step >= last) {
+            setStep(0);
+            setPlaying(true);
+        } else {
+            setPlaying(p => !p);
+        }
+    };
+
+    return (
+        <div className="container py-5 text-white">
+            <div className="d-flex justify-content-between align-items-center mb-4">
+                <div>
+                    <h2 className="mb-0">Hand #{hand.id}</h2>
+                    <div className="text-white-50 small">
+                        {hand.tableName} • ${hand.smallBlind}/${hand.bigBlind} • {new Date(hand.startedAt).toLocaleString()}
+                    </div>
+                </div>
+                <div>
+                    <button className="btn btn-sm btn-outline-light me-2" onClick={() => downloadHand(hand.id)}>
+                        Export
+                    </button>
+                    <button className="btn btn-sm btn-outline-warning" onClick={() => navigate('/games/poker/hands')}>
+                        Back to Hand History
+                    </button>
+                </div>
+            </div>
+
+            {/* Board */}
+            <div className="bg-success rounded-4 p-4 mb-4 text-center" style={{ border: '10px solid #5a3d2b' }}>
+                <div className="text-warning fw-bold fs-4 mb-2">Pot: ${current.pot}</div>
+                <div className="fs-4" style={{ minHeight: 40 }}>
+                    {current.boardCount > 0
+                        ? <CardList cards={hand.board.slice(0, current.boardCount)} />
+                        : <span className="text-white-50 fst-italic fs-6">Preflop</span>}
+                </div>
+            </div>
+
+            {/* Seats */}
+            <div className="d-flex flex-wrap justify-content-center gap-3 mb-4">
+                {hand.seats.map(seat => {
+                    const folded = current.folded.includes(seat.userId);
+                    const bet = current.bets[seat.userId] || 0;
+                    const won = current.finished && seat.won > 0;
+                    // Other players' cards only turn over at showdown
+                    const showCards = seat.cards && (seat.userId === user.id || current.finished);
+
+                    return (
+                        <div
+                            key={seat.userId}
+                            className={`bg-dark rounded p-2 text-center border ${current.actor === seat.userId || won ? 'border-warning' : 'border-secondary'}`}
+                            style={{ width: 150, opacity: folded ? 0.5 : 1 }}
+                        >
+                            <div className="small text-truncate">
+                                {seat.seat === hand.buttonSeat && <span className="badge bg-light text-dark me-1">D</span>}
+                                {seat.username}
+                            </div>
+                            <div className="text-warning small">${current.stacks[seat.userId]}</div>
+                            <div className="my-1">
+                                {showCards
+                                    ? <CardList cards={seat.cards} />
+                                    : <span className="text-white-50 small">🂠 🂠</span>}
+                            </div>
+                            {bet > 0 && <div className="badge bg-light text-dark">${bet}</div>}
+                            {folded && <div className="badge bg-danger">FOLD</div>}
+                            {won && <div className="badge bg-warning text-dark">+${seat.won}</div>}
+                            {current.finished && seat.shown && <div className="small text-info">{seat.handName}</div>}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {/* Controls */}
+            <div className="text-center">
+                <div className="mb-2 fw-bold">{current.label}</div>
+                <div className="btn-group mb-2">
+                    <button className="btn btn-outline-light btn-sm" onClick={() => goTo(0)} disabled={step === 0}>⏮</button>
+                    <button className="btn btn-outline-light btn-sm" onClick={() => goTo(step - 1)} disabled={step === 0}>◀</button>
+                    <button className="btn btn-warning btn-sm" onClick={togglePlay}>
+                        {playing ? 'Pause' : step >= last ? 'Replay' : 'Play'}
+                    </button>
+                    <button className="btn btn-outline-light btn-sm" onClick={() => goTo(step + 1)} disabled={step >= last}>▶</button>
+                    <button className="btn btn-outline-light btn-sm" onClick={() => goTo(last)} disabled={step >= last}>⏭</button>
+                </div>
+                <div className="small text-white-50">Step {step + 1} of {steps.length}</div>
+            </div>
+        </div>
+    );
+};
+
+export default PokerHandReplayer;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../../services/api';
+
+const REFRESH_MS = 10000;
+
+const PokerLobby = () => {
+    const navigate = useNavigate();
+    const [tables, setTables] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [filter, setFilter] = useState('all');
+
+    const fetchTables = useCallback(async () => {
+        try {
+            const { data } = await api.get('/games/poker/tables');
+            setTables(data.tables);
+        } catch (error) {
+            console.error('Error fetching poker tables:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    // Occupancy lives in the game server, so poll it
+    useEffect(() => {
+        fetchTables();
+        const timer = setInterval(fetchTables, REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [fetchTables]);
+
+    const shown = tables.filter(t => filter === 'all' || t.tableType === filter);
+
+    const seatStatus = (table) => {
+        if (table.openSeats === 0) return { label: 'Full', className: 'bg-danger' };
+        if (table.tableType === 'sng' && table.inPlay) return { label: 'Running', className: 'bg-secondary' };
+        if (table.inPlay) return { label: 'In play', className: 'bg-success' };
+        return { label: 'Waiting', className: 'bg-info text-dark' };
+    };
+
+    return (
+        <div className="container py-5 text-white">
+            <div className="d-flex justify-content-between align-items-center mb-4">
+                <h2 className="mb-0">♠ Poker Lobby</h2>
+                <div className="d-flex gap-2">
+                    <button className="btn btn-sm btn-outline-light" onClick={() => navigate('/games/poker/hands')}>
+                        Hand History
+                    </button>
+                    <div className="btn-group">
+                        {[['all', 'All'], ['cash', 'Cash'], ['sng', 'Sit & Go']].map(([value, label]) => (
+                            <button
+                                key={value}
+                                className={`btn btn-sm ${filter === value ? 'btn-warning' : 'btn-outline-warning'}`}
+                                onClick={() => setFilter(value)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="text-center text-white-50">Loading tables...</div>
+            ) : shown.length === 0 ? (
+                <div className="text-center text-white-50">No tables open right now</div>
+            ) : (
+                <div className="table-responsive">
+                    <table className="table table-dark table-hover align-middle">
+                        <thead>
+                            <tr>
+                                <th>Table</th>
+                                <th>Type</th>
+                                <th>Blinds</th>
+                                <th>Buy-In</th>
+                                <th>Seats</th>
+                                <th>Status</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {shown.map(table => {
+                                const status = seatStatus(table);
+                                const closed = table.openSeats === 0 || (table.tableType === 'sng' && table.inPlay);
+
+                                return (
+                                    <tr key={table.id}>
+                                        <td className="fw-bold">{table.name}</td>
+                                        <td>{table.tableType === 'sng' ? 'Sit & Go' : 'Cash'}</td>
+                                        <td>${table.smallBlind}/${table.bigBlind}</td>
+                                        <td>
+                                            {table.minBuyIn === table.maxBuyIn
+                                                ? `$${table.minBuyIn}`
+                                                : `$${table.minBuyIn} - $${table.maxBuyIn}`}
+                                        </td>
+                                        <td>{table.seated}/{table.maxSeats}</td>
+                                        <td><span className={`badge ${status.className}`}>{status.label}</span></td>
+                                        <td className="text-end">
+                                            <button
+                                                className="btn btn-success btn-sm"
+                                                disabled={closed}
+                                                onClick={() => navigate(`/games/poker/${table.id}`)}
+                                            >
+                                                Join
+                                            </button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PokerLobby;
@@ -1,15 +1,13 @@
-import React, { useState, useEffect, useContext, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useContext, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { AuthContext } from '../../context/AuthContext';
-import useUnoGame from '../../hooks/useUnoGame';
+import useUnoGame, { TURN_DURATION } from '../../hooks/useUnoGame';
 import toast from 'react-hot-toast';
 import LandscapeUnoGame from './LandscapeUnoGame';
 import UnoWaitingRoom from './UnoWaitingRoom';
 import './Uno.css';
 
-const TURN_DURATION = 15; // 15 seconds per turn
-
 const UnoGame = () => {
     const { roomId } = useParams();
     const navigate = useNavigate();
@@ -25,24 +23,31 @@ const UnoGame = () => {
         currentPlayer,
         canCallUno,
         isSending,
+        turnTimeLeft,
         joinRoom,
         leaveRoom,
         deleteRoom,
         toggleReady,
+        addBot,
+        removeBot,
         startGame,
         playCard,
         drawCard,
         shoutUno,
         isCardPlayable,
+        rules,
+        pendingDraw,
+        canChallenge,
+        catchableOpponents,
+        catchUno,
+        challengeDrawFour,
     } = useUnoGame(roomId);
 
     const [showColorPicker, setShowColorPicker] = useState(false);
     const [selectedCardIndex, setSelectedCardIndex] = useState(null);
+    const [showSwapPicker, setShowSwapPicker] = useState(false);
     const [shakingCard, setShakingCard] = useState(null);
-    const [turnTimeLeft, setTurnTimeLeft] = useState(TURN_DURATION);
     const [showWinOverlay, setShowWinOverlay] = useState(false);
-
-    const timerRef = useRef(null);
     const [screenWidth, setScreenWidth] = useState(window.innerWidth);
     const [screenHeight, setScreenHeight] = useState(window.innerHeight);
 
@@ -73,40 +78,6 @@ const UnoGame = () => {
 
     const { top: topOpponent, left: leftOpponent, right: rightOpponent } = getOpponentPositions();
 
-    // Turn timer
-    useEffect(() => {
-        if (room?.status !== 'playing') return;
-
-        // Reset timer when turn changes
-        setTurnTimeLeft(TURN_DURATION);
-        let hasAutoDrawn = false;
-
-        timerRef.current = setInterval(() => {
-            setTurnTimeLeft(prev => {
-                if (prev <= 1) {
-                    // Time's up - auto draw if it's my turn and haven't already drawn
-                    if (isMyTurn && !hasAutoDrawn) {
-                        hasAutoDrawn = true;
-                        // Clear interval first to prevent multiple calls
-                        if (timerRef.current) {
-                            clearInterval(timerRef.current);
-                        }
-                        // Auto draw card
-                        drawCard().catch(err => console.error('Auto-draw failed:', err));
-                    }
-                    return TURN_DURATION;
-                }
-                return prev - 1;
-            });
-        }, 1000);
-
-        return () => {
-            if (timerRef.current) {
-                clearInterval(timerRef.current);
-            }
-        };
-    }, [room?.current_turn_index, room?.status, isMyTurn, drawCard]);
-
     // Check for game end
     useEffect(() => {
         if (room?.status === 'finished' && room?.winner_id) {
@@ -125,13 +96,14 @@ const UnoGame = () => {
     const handleCardClick = useCallback(async (cardIndex) => {
         if (isSending) return; // Prevent double-clicks during optimistic update
 
-        if (!isMyTurn) {
+        const card = myHand[cardIndex];
+
+        // Out of turn only a jump-in card goes through
+        if (!isMyTurn && !isCardPlayable(card)) {
             toast.error("Not your turn!");
             return;
         }
 
-        const card = myHand[cardIndex];
-
         if (!isCardPlayable(card)) {
             setShakingCard(cardIndex);
             setTimeout(() => setShakingCard(null), 500);
@@ -144,12 +116,23 @@ const UnoGame = () => {
             return;
         }
 
-        const result = await playCard(cardIndex);
+        // 7-0: a 7 swaps hands, so pick who with (heads-up there is only one choice)
+        let target = null;
+        if (rules.seven_zero && card.value === '7' && myHand.length > 1) {
+            if (opponents.length > 1) {
+                setSelectedCardIndex(cardIndex);
+                setShowSwapPicker(true);
+                return;
+            }
+            target = opponents[0]?.user_id ?? null;
+        }
+
+        const result = await playCard(cardIndex, null, target);
         if (!result.success) {
             setShakingCard(cardIndex);
             setTimeout(() => setShakingCard(null), 500);
         }
-    }, [isMyTurn, isSending, myHand, isCardPlayable, playCard]);
+    }, [isMyTurn, isSending, myHand, isCardPlayable, playCard, rules.seven_zero, opponents]);
 
     const handleColorSelect = async (color) => {
         setShowColorPicker(false);
@@ -159,6 +142,14 @@ const UnoGame = () => {
         }
     };
 
+    const handleSwapSelect = async (targetUserId) => {
+        setShowSwapPicker(false);
+        if (selectedCardIndex !== null) {
+            await playCard(selectedCardIndex, null, targetUserId);
+            setSelectedCardIndex(null);
+        }
+    };
+
     const handleDrawCard = async () => {
         if (!isMyTurn) {
             toast.error("Not your turn!");
@@ -190,9 +181,8 @@ const UnoGame = () => {
 
     // Render opponent card backs
     const renderOpponentCards = (opponent, isVertical = false) => {
-        // In split state, opponent hands are in hidden_states, not uno_players
-        // We track card count via hand_count field or fallback to 7 (initial deal)
-        const cardCount = opponent?.hand_count || 7;
+        // Opponent cards live in uno_hands (private); the room only carries hand_count
+        const cardCount = opponent?.hand_count ?? 0;
         const isActive = room?.player_order?.[room.current_turn_index] === opponent?.user_id;
 
         return (
@@ -209,6 +199,7 @@ const UnoGame = () => {
                     </span>
                     <span className="player-name">{opponent?.username || 'Player'}</span>
                     {opponent?.has_paid && <span className="paid-badge">✓</span>}
+                    {opponent?.uno_called && <span className="player-uno-badge">UNO</span>}
                 </div>
             </div>
         );
@@ -255,6 +246,8 @@ const UnoGame = () => {
                 onLeave={handleLeave}
                 onDelete={deleteRoom}
                 onToggleReady={toggleReady}
+                onAddBot={addBot}
+                onRemoveBot={removeBot}
                 isHost={isHost}
                 myPlayer={myPlayer}
             />
@@ -383,7 +376,11 @@ const UnoGame = () => {
                             >
                                 <div className="uno-draw-pile-stack"></div>
                                 <div className="uno-card-back-large"></div>
-                                {isMyTurn && <div className="draw-hint">Click to draw</div>}
+                                {isMyTurn && (
+                                    <div className="draw-hint">
+                                        {pendingDraw > 0 ? `Click to draw ${pendingDraw}` : 'Click to draw'}
+                                    </div>
+                                )}
                             </div>
 
                             {/* Discard Pile */}
@@ -474,7 +471,7 @@ const UnoGame = () => {
                                     return (
                                         <motion.div
                                             key={card.id}
-                                            className={`uno-hand-card ${colorClass} ${playable && isMyTurn ? '' : 'not-playable'} ${shakingCard === index ? 'shake' : ''} ${isSpecial ? 'special-card' : ''}`}
+                                            className={`uno-hand-card ${colorClass} ${playable ? '' : 'not-playable'} ${shakingCard === index ? 'shake' : ''} ${isSpecial ? 'special-card' : ''}`}
                                             style={{
                                                 zIndex: index,
                                                 marginLeft: `${marginLeft}px`,
@@ -539,6 +536,61 @@ const UnoGame = () => {
                 </motion.button>
             )}
 
+            {/* House rule actions: +4 challenge and catching missed UNO calls */}
+            {(canChallenge || catchableOpponents.length > 0) && (
+                <div className="landscape-rule-actions">
+                    {canChallenge && (
+                        <button className="landscape-rule-btn challenge" onClick={challengeDrawFour} disabled={isSending}>
+                            Challenge +4
+                        </button>
+                    )}
+                    {catchableOpponents.map(opponent => (
+                        <button
+                            key={opponent.user_id}
+                            className="landscape-rule-btn catch"
+                            onClick={() => catchUno(opponent.user_id)}
+                        >
+                            Catch {opponent.username}!
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {/* Swap Picker Modal (7-0) */}
+            <AnimatePresence>
+                {showSwapPicker && (
+                    <motion.div
+                        className="uno-color-picker-overlay"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        onClick={() => setShowSwapPicker(false)}
+                    >
+                        <motion.div
+                            className="uno-color-picker"
+                            initial={{ scale: 0.8 }}
+                            animate={{ scale: 1 }}
+                            exit={{ scale: 0.8 }}
+                            onClick={e => e.stopPropagation()}
+                        >
+                            <h3 className="uno-color-picker-title">Swap Hands With</h3>
+                            <div className="swap-options">
+                                {opponents.map(opponent => (
+                                    <button
+                                        key={opponent.user_id}
+                                        className="swap-option"
+                                        onClick={() => handleSwapSelect(opponent.user_id)}
+                                    >
+                                        {opponent.username || 'Player'}
+                                        <span className="card-count">{opponent.hand_count ?? 0}</span>
+                                    </button>
+                                ))}
+                            </div>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+
             {/* Color Picker Modal */}
             <AnimatePresence>
                 {showColorPicker && (
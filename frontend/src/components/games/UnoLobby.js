@@ -4,6 +4,7 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { AuthContext } from '../../context/AuthContext';
 import { supabase } from '../../services/supabase';
 import toast from 'react-hot-toast';
+import { HOUSE_RULES } from '../../hooks/useUnoGame';
 import './Uno.css';
 
 const UnoLobby = () => {
@@ -15,6 +16,7 @@ const UnoLobby = () => {
     const [showCreateModal, setShowCreateModal] = useState(false);
     const [betAmount, setBetAmount] = useState(50);
     const [maxPlayers, setMaxPlayers] = useState(4);
+    const [rules, setRules] = useState({});
     const [creating, setCreating] = useState(false);
     const [joining, setJoining] = useState(null);
 
@@ -76,7 +78,8 @@ const UnoLobby = () => {
             const { data, error } = await supabase.rpc('fn_create_uno_room', {
                 p_user_id: user.id,
                 p_bet_amount: betAmount,
-                p_max_players: maxPlayers
+                p_max_players: maxPlayers,
+                p_rules: rules
             });
 
             if (error) throw error;
@@ -185,6 +188,14 @@ const UnoLobby = () => {
                                         <span className="entry-amount">${Number(room.bet_amount).toLocaleString()}</span>
                                     </div>
 
+                                    <div className="room-rules">
+                                        {HOUSE_RULES.filter(rule => room.rules?.[rule.key]).map(rule => (
+                                            <span key={rule.key} className="room-rule-tag" title={rule.description}>
+                                                {rule.label}
+                                            </span>
+                                        ))}
+                                    </div>
+
                                     <button
                                         className={`room-join-btn ${room.player_count >= room.max_players ? 'full' : ''}`}
                                         onClick={() => handleJoinRoom(room.id)}
@@ -263,6 +274,24 @@ const UnoLobby = () => {
                                     </div>
                                 </div>
 
+                                {/* House Rules */}
+                                <div className="house-rules-group">
+                                    <label>House Rules</label>
+                                    <div className="house-rules-options">
+                                        {HOUSE_RULES.map(rule => (
+                                            <button
+                                                key={rule.key}
+                                                className={`house-rule-btn ${rules[rule.key] ? 'active' : ''}`}
+                                                onClick={() => setRules(prev => ({ ...prev, [rule.key]: !prev[rule.key] }))}
+                                                title={rule.description}
+                                            >
+                                                <span className="house-rule-label">{rule.label}</span>
+                                                <span className="house-rule-desc">{rule.description}</span>
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+
                                 <div className="bet-input-group">
                                     <label>Entry Fee (Bet Amount)</label>
                                     <div className="bet-input-wrapper">
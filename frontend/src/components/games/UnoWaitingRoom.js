@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { HOUSE_RULES } from '../../hooks/useUnoGame';
 import './UnoWaitingRoom.css';
 
 const UnoWaitingRoom = ({
@@ -9,10 +10,13 @@ const UnoWaitingRoom = ({
     onLeave,
     onDelete,
     onToggleReady,
+    onAddBot,
+    onRemoveBot,
     isHost,
     myPlayer
 }) => {
     const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+    const [botLevel, setBotLevel] = useState('medium');
 
     const allPlayersReady = players.length >= 2 &&
         players.every(p => p.is_ready || p.user_id === room?.host_id);
@@ -32,6 +36,15 @@ const UnoWaitingRoom = ({
                     <div className="entry-fee-tag">
                         Entry: ${Number(room.bet_amount || 0).toLocaleString()}
                     </div>
+                    <div className="waiting-rules">
+                        {HOUSE_RULES.some(rule => room.rules?.[rule.key])
+                            ? HOUSE_RULES.filter(rule => room.rules?.[rule.key]).map(rule => (
+                                <span key={rule.key} className="waiting-rule-tag" title={rule.description}>
+                                    {rule.label}
+                                </span>
+                            ))
+                            : <span className="waiting-rule-tag">Standard rules</span>}
+                    </div>
                 </div>
 
                 {/* Players List */}
@@ -40,14 +53,14 @@ const UnoWaitingRoom = ({
                         <AnimatePresence>
                             {players.map((player) => (
                                 <motion.div
-                                    key={player.id}
-                                    className={`waiting-player-row ${player.user_id === room.host_id ? 'is-host' : ''} ${player.user_id === myPlayer?.user_id ? 'is-me' : ''}`}
+                                    key={player.user_id}
+                                    className={`waiting-player-row ${player.user_id === room.host_id ? 'is-host' : ''} ${player.user_id === myPlayer?.user_id ? 'is-me' : ''} ${player.is_bot ? 'is-bot' : ''}`}
                                     initial={{ opacity: 0, x: -20 }}
                                     animate={{ opacity: 1, x: 0 }}
                                     exit={{ opacity: 0, x: 20 }}
                                 >
                                     <div className="player-avatar-circle">
-                                        {player.username.charAt(0).toUpperCase()}
+                                        {player.is_bot ? '🤖' : player.username.charAt(0).toUpperCase()}
                                         {player.user_id === room.host_id && <div className="host-icon-badge">👑</div>}
                                     </div>
 
@@ -55,6 +68,7 @@ const UnoWaitingRoom = ({
                                         <div className="player-name-text">
                                             {player.username}
                                             {player.user_id === myPlayer?.user_id && <span className="me-badge">(You)</span>}
+                                            {player.is_bot && <span className="bot-level-badge">{player.bot_level}</span>}
                                         </div>
                                         <div className="player-status-text">
                                             {player.user_id === room.host_id ? (
@@ -69,6 +83,15 @@ const UnoWaitingRoom = ({
 
                                     <div className="player-status-icon">
                                         {player.has_paid && <div className="paid-chip" title="Entry Fee Paid">💰</div>}
+                                        {player.is_bot && isHost && (
+                                            <button
+                                                className="remove-bot-btn"
+                                                onClick={() => onRemoveBot(player.user_id)}
+                                                title="Remove bot"
+                                            >
+                                                ✕
+                                            </button>
+                                        )}
                                         {player.user_id === room.host_id ? (
                                             <div className="ready-indicator host">👑 Host</div>
                                         ) : (
@@ -108,6 +131,24 @@ const UnoWaitingRoom = ({
                                 {players.length < 2 ? 'NEED 2+ PLAYERS' : !allPlayersReady ? 'WAITING FOR READY...' : 'START GAME'}
                             </motion.button>
 
+                            {/* Bots play for free, so they never add to the prize pool */}
+                            {players.length < room.max_players && (
+                                <div className="add-bot-row">
+                                    <select
+                                        className="bot-level-select"
+                                        value={botLevel}
+                                        onChange={(e) => setBotLevel(e.target.value)}
+                                    >
+                                        <option value="easy">Easy</option>
+                                        <option value="medium">Medium</option>
+                                        <option value="hard">Hard</option>
+                                    </select>
+                                    <button className="action-btn-text" onClick={() => onAddBot(botLevel)}>
+                                        + Add Bot
+                                    </button>
+                                </div>
+                            )}
+
                             <div className="host-secondary-actions">
                                 <button className="action-btn-text text-danger" onClick={() => setShowDeleteConfirm(true)}>
                                     Delete Room
@@ -48,6 +48,15 @@ const LeftSidebar = ({ collapsed }) => {
                         </span>
                         {!collapsed && <span className="nav-text">Leaderboard</span>}
                     </NavLink>
+                    <NavLink to="/fairness" className="nav-item">
+                        <span className="nav-icon">
+                            <svg viewBox="0 0 24 24" fill="currentColor" width="20" height="20">
+                                <path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4zm-2 16l-4-4 1.41-1.41L10 14.17l6.59-6.59L18 9l-8 8z" />
+                                <path d="M0 0h24v24H0z" fill="none" />
+                            </svg>
+                        </span>
+                        {!collapsed && <span className="nav-text">Provably Fair</span>}
+                    </NavLink>
 
                     {/* Admin Only Link */}
                     {user?.is_admin && (
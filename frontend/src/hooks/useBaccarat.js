@@ -1,20 +1,16 @@
 import { useState, useCallback, useContext, useRef, useEffect } from 'react';
 import { supabase } from '../services/supabase';
+import api from '../services/api';
 import { AuthContext } from '../context/AuthContext';
 import toast from 'react-hot-toast';
-import {
-    createDeck,
-    shuffleDeck,
-    dealRound,
-    calculateRoundResult,
-    generateAnimationQueue
-} from '../lib/baccaratEngine';
+import { generateAnimationQueue } from '../lib/baccaratEngine';
 
 /**
  * useBaccarat Hook
  * 
  * Hybrid state management for Baccarat game
- * - Singleplayer: Pure local logic, single RPC at end for balance sync
+ * - Singleplayer: Bets are local until Deal; the backend deals from its shoe,
+ *   settles atomically and returns the round for rendering
  * - Multiplayer: WebSocket sync via Supabase Realtime
  * 
  * CRITICAL: NO network requests during betting/idle phase
@@ -23,13 +19,17 @@ import {
 const INITIAL_BETS = {
     player: 0,
     banker: 0,
-    tie: 0
+    tie: 0,
+    playerPair: 0,
+    bankerPair: 0
 };
 
+const sumBets = (b) => Object.values(b).reduce((sum, v) => sum + v, 0);
+
 const CHIP_VALUES = [1, 5, 10, 25, 50, 100, 500];
 
 export default function useBaccarat() {
-    const { user, refreshUser } = useContext(AuthContext);
+    const { user, updateUser, refreshUser } = useContext(AuthContext);
 
     // Game phase: 'betting' | 'dealing' | 'result'
     const [gameState, setGameState] = useState('betting');
@@ -55,9 +55,6 @@ export default function useBaccarat() {
     const [isAnimating, setIsAnimating] = useState(false);
     const animationTimeoutRef = useRef(null);
 
-    // Deck (local for singleplayer)
-    const deckRef = useRef(shuffleDeck(createDeck()));
-
     // Multiplayer state
     const [isMultiplayer, setIsMultiplayer] = useState(false);
     const [roomCode, setRoomCode] = useState(null);
@@ -67,10 +64,10 @@ export default function useBaccarat() {
     const [isProcessing, setIsProcessing] = useState(false);
 
     // Calculate total bet
-    const totalBet = bets.player + bets.banker + bets.tie;
+    const totalBet = sumBets(bets);
     const canDeal = totalBet > 0 && gameState === 'betting' && !isProcessing;
     const canClear = totalBet > 0 && gameState === 'betting';
-    const canRebet = previousBets.player + previousBets.banker + previousBets.tie > 0 &&
+    const canRebet = sumBets(previousBets) > 0 &&
         gameState === 'betting' &&
         totalBet === 0;
 
@@ -82,7 +79,7 @@ export default function useBaccarat() {
         if (gameState !== 'betting') return;
 
         const betAmount = amount || selectedChip;
-        const currentTotal = bets.player + bets.banker + bets.tie;
+        const currentTotal = sumBets(bets);
         const userBalance = user?.cash || 0;
 
         // Check if user has enough balance
@@ -123,7 +120,7 @@ export default function useBaccarat() {
     const rebet = useCallback(() => {
         if (gameState !== 'betting') return;
 
-        const prevTotal = previousBets.player + previousBets.banker + previousBets.tie;
+        const prevTotal = sumBets(previousBets);
         const userBalance = user?.cash || 0;
 
         if (prevTotal > userBalance) {
@@ -160,7 +157,7 @@ export default function useBaccarat() {
 
     /**
      * Deal cards - main game action
-     * SINGLEPLAYER: Run locally, then single RPC for balance
+     * SINGLEPLAYER: Backend deals and settles, client animates the result
      */
     const deal = useCallback(async () => {
         if (!canDeal || !user) return;
@@ -172,81 +169,46 @@ export default function useBaccarat() {
         setPreviousBets({ ...bets });
 
         try {
-            // Deal round locally using the engine
-            const result = dealRound(deckRef.current);
-
-            // Update deck reference
-            deckRef.current = result.remainingDeck;
+            const { data } = await api.post('/games/baccarat/deal', { bets });
+            const { round, result: roundRes } = data;
 
             // Store card data
-            setPlayerCards(result.playerCards);
-            setBankerCards(result.bankerCards);
-            setPlayerScore(result.playerScore);
-            setBankerScore(result.bankerScore);
-            setWinner(result.winner);
-
-            // Calculate payouts
-            const roundRes = calculateRoundResult(bets, result.winner);
+            setPlayerCards(round.playerCards);
+            setBankerCards(round.bankerCards);
+            setPlayerScore(round.playerScore);
+            setBankerScore(round.bankerScore);
+            setWinner(round.winner);
             setRoundResult(roundRes);
 
             // Generate and run animations
-            const animQueue = generateAnimationQueue(result.playerCards, result.bankerCards);
-            runAnimations(animQueue, result.playerCards, result.bankerCards);
+            const animQueue = generateAnimationQueue(round.playerCards, round.bankerCards);
+            runAnimations(animQueue, round.playerCards, round.bankerCards);
 
-            // SINGLE RPC CALL - only after round is complete
-            // Wait for animations to finish
+            // Reveal the new balance only once the cards are shown
             const totalAnimTime = animQueue[animQueue.length - 1].delay + 500;
 
-            setTimeout(async () => {
-                try {
-                    const { data, error } = await supabase.rpc('fn_baccarat_settle_sp', {
-                        p_user_id: user.id,
-                        p_total_bet: roundRes.totalBet,
-                        p_total_payout: roundRes.totalPayout,
-                        p_total_profit: roundRes.totalProfit,
-                        p_winner: result.winner,
-                        p_game_data: {
-                            bets,
-                            playerScore: result.playerScore,
-                            bankerScore: result.bankerScore,
-                            playerCards: result.playerCards,
-                            bankerCards: result.bankerCards
+            setTimeout(() => {
+                updateUser({ cash: data.newBalance });
+
+                // Show result toast
+                if (roundRes.totalProfit > 0) {
+                    toast.success(`You won $${roundRes.totalProfit.toFixed(2)}!`, {
+                        duration: 3000,
+                        style: {
+                            background: '#0f0f0f',
+                            color: '#00e701',
+                            border: '1px solid #00e701'
                         }
                     });
-
-                    if (error) throw error;
-
-                    if (!data.success) {
-                        console.error('Settle error:', data.error);
-                        toast.error(data.error || 'Failed to update balance');
-                    } else {
-                        // Refresh user balance
-                        refreshUser();
-
-                        // Show result toast
-                        if (roundRes.totalProfit > 0) {
-                            toast.success(`You won $${roundRes.totalProfit.toFixed(2)}!`, {
-                                duration: 3000,
-                                style: {
-                                    background: '#0f0f0f',
-                                    color: '#00e701',
-                                    border: '1px solid #00e701'
-                                }
-                            });
-                        } else if (roundRes.totalProfit < 0) {
-                            toast.error(`You lost $${Math.abs(roundRes.totalProfit).toFixed(2)}`, {
-                                duration: 3000
-                            });
-                        } else {
-                            toast('Push - bets returned', {
-                                duration: 3000,
-                                icon: '🔄'
-                            });
-                        }
-                    }
-                } catch (err) {
-                    console.error('RPC error:', err);
-                    toast.error('Failed to sync balance');
+                } else if (roundRes.totalProfit < 0) {
+                    toast.error(`You lost $${Math.abs(roundRes.totalProfit).toFixed(2)}`, {
+                        duration: 3000
+                    });
+                } else {
+                    toast('Push - bets returned', {
+                        duration: 3000,
+                        icon: '🔄'
+                    });
                 }
 
                 setIsProcessing(false);
@@ -254,11 +216,11 @@ export default function useBaccarat() {
 
         } catch (error) {
             console.error('Deal error:', error);
-            toast.error('Failed to deal cards');
+            toast.error(error.response?.data?.message || 'Failed to deal cards');
             setGameState('betting');
             setIsProcessing(false);
         }
-    }, [canDeal, user, bets, runAnimations, refreshUser]);
+    }, [canDeal, user, bets, runAnimations, updateUser]);
 
     /**
      * Start a new round
@@ -274,11 +236,6 @@ export default function useBaccarat() {
         setBankerScore(0);
         setWinner(null);
         setRoundResult(null);
-
-        // Reshuffle if deck is low
-        if (deckRef.current.length < 20) {
-            deckRef.current = shuffleDeck(createDeck());
-        }
     }, []);
 
     // Cleanup on unmount
@@ -1,6 +1,6 @@
 import { useState, useEffect, useCallback, useContext, useRef, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { supabase } from '../services/supabase';
+import { supabaseUser as supabase } from '../services/supabase';
 import { AuthContext } from '../context/AuthContext';
 import toast from 'react-hot-toast';
 
@@ -8,14 +8,31 @@ import toast from 'react-hot-toast';
  * UNO GAME HOOK - COMPLETE REBUILD
  * 
  * Architecture:
- * - Single subscription to uno_rooms table
+ * - uno_rooms holds the public state (players carry hand_count only)
+ * - uno_hands holds each player's cards; RLS lets us read just our own
  * - All state replaced on each realtime update (no merging)
- * - Timer resets on current_turn_index change
- * - Host acts as authority for auto-draw after 20s timeout
+ * - Countdown runs from turn_started_at; the backend turn sweep
+ *   (services/unoTurnTimer.js) draws for stalled players and removes
+ *   repeat offenders, so no client is trusted with timeouts
  */
 
-const TURN_DURATION = 15;
-const AUTO_DRAW_TIMEOUT = 20;
+// Matches TURN_TIMEOUT_SECONDS in backend/services/unoTurnTimer.js
+export const TURN_DURATION = 20;
+
+// Per-room toggles, enforced by the RPCs in supabase/uno_rebuild.sql
+export const HOUSE_RULES = [
+    { key: 'stacking', label: 'Stacking', description: 'Answer a +2 with a +2, or anything with a +4' },
+    { key: 'jump_in', label: 'Jump-In', description: 'Play an identical card out of turn' },
+    { key: 'seven_zero', label: '7-0', description: '7 swaps hands, 0 passes every hand on' },
+    { key: 'challenge_draw_four', label: '+4 Challenge', description: 'Challenge a +4 played with a matching colour' },
+    { key: 'uno_call', label: 'UNO Call', description: 'Caught on one card without calling: draw 2' },
+];
+
+const secondsLeft = (turnStartedAt) => {
+    if (!turnStartedAt) return TURN_DURATION;
+    const elapsed = (Date.now() - new Date(turnStartedAt).getTime()) / 1000;
+    return Math.min(TURN_DURATION, Math.max(0, Math.ceil(TURN_DURATION - elapsed)));
+};
 
 const useUnoGame = (roomId) => {
     const navigate = useNavigate();
@@ -25,6 +42,7 @@ const useUnoGame = (roomId) => {
     // STATE - Single source of truth from server
     // ========================================
     const [room, setRoom] = useState(null);
+    const [myHand, setMyHand] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [isSending, setIsSending] = useState(false);
@@ -32,9 +50,7 @@ const useUnoGame = (roomId) => {
     // Timer state
     const [turnTimeLeft, setTurnTimeLeft] = useState(TURN_DURATION);
     const timerRef = useRef(null);
-    const autoDrawTimeoutRef = useRef(null);
-    const autoDrawnRef = useRef(false);
-    const lastTurnIndexRef = useRef(null);
+    const wasSeatedRef = useRef(false);
 
     // ========================================
     // DERIVED VALUES
@@ -62,9 +78,6 @@ const useUnoGame = (roomId) => {
     // Am I the host?
     const isHost = room?.host_id === user?.id;
 
-    // My hand (from players array)
-    const myHand = myPlayer?.hand ?? [];
-
     // Current player's name
     const currentPlayerName = useMemo(() => {
         if (isMyTurn) return 'Your Turn';
@@ -87,8 +100,27 @@ const useUnoGame = (roomId) => {
         return room.discard_pile[room.discard_pile.length - 1];
     }, [room?.discard_pile]);
 
-    // Can call UNO
-    const canCallUno = myHand.length <= 2 && myHand.length > 0;
+    // House rules (see uno_normalize_rules in supabase/uno_rebuild.sql)
+    const rules = useMemo(() => room?.rules ?? {}, [room?.rules]);
+    const pendingDraw = room?.pending_draw ?? 0;
+
+    // Can call UNO (the server clears the call once the hand grows past 2)
+    const canCallUno = room?.status === 'playing' && myHand.length <= 2 && myHand.length > 0 && !myPlayer?.uno_called;
+
+    // Hit by a +4 that can still be challenged
+    const canChallenge = isMyTurn && !!room?.draw_four_by;
+
+    // Opponents down to one card who never called UNO
+    const catchableOpponents = useMemo(() => {
+        if (!rules.uno_call || room?.status !== 'playing') return [];
+        return opponents.filter(p => p.hand_count === 1 && !p.uno_called);
+    }, [rules.uno_call, room?.status, opponents]);
+
+    // Jump-in: an identical coloured card may be played out of turn
+    const canJumpIn = useCallback((card) => {
+        if (!rules.jump_in || pendingDraw > 0 || !topCard || !card) return false;
+        return card.type !== 'wild' && card.color === topCard.color && card.value === topCard.value;
+    }, [rules.jump_in, pendingDraw, topCard]);
 
     // ========================================
     // FETCH ROOM
@@ -105,12 +137,34 @@ const useUnoGame = (roomId) => {
 
             if (fetchError) throw fetchError;
             setRoom(data);
+            wasSeatedRef.current = (data.players ?? []).some(p => p.user_id === user?.id);
             setError(null);
         } catch (err) {
             console.error('[UNO] Fetch error:', err);
             setError(err.message);
         }
-    }, [roomId]);
+    }, [roomId, user?.id]);
+
+    // ========================================
+    // FETCH MY HAND
+    // ========================================
+    const fetchHand = useCallback(async () => {
+        if (!roomId || !user?.id) return;
+
+        try {
+            const { data, error: fetchError } = await supabase
+                .from('uno_hands')
+                .select('hand')
+                .eq('room_id', roomId)
+                .eq('user_id', user.id)
+                .maybeSingle();
+
+            if (fetchError) throw fetchError;
+            setMyHand(data?.hand ?? []);
+        } catch (err) {
+            console.error('[UNO] Hand fetch error:', err);
+        }
+    }, [roomId, user?.id]);
 
     // ========================================
     // INITIAL LOAD
@@ -120,16 +174,16 @@ const useUnoGame = (roomId) => {
 
         const loadRoom = async () => {
             setLoading(true);
-            await fetchRoom();
+            await Promise.all([fetchRoom(), fetchHand()]);
             setLoading(false);
         };
 
         loadRoom();
-    }, [roomId, fetchRoom]);
+    }, [roomId, fetchRoom, fetchHand]);
 
     // ========================================
     // REALTIME SUBSCRIPTION
-    // Single subscription to uno_rooms table
+    // uno_rooms for the table, uno_hands for our own cards
     // Replaces entire state on each update
     // ========================================
     useEffect(() => {
@@ -157,6 +211,14 @@ const useUnoGame = (roomId) => {
                 const newRoom = payload.new;
                 setRoom(newRoom);
 
+                // Dropped mid-game: the turn sweep removed us for missing turns
+                const seated = (newRoom.players ?? []).some(p => p.user_id === user?.id);
+                if (wasSeatedRef.current && !seated && newRoom.status !== 'waiting') {
+                    toast.error('You were removed for missing too many turns');
+                    navigate('/games/uno');
+                }
+                wasSeatedRef.current = seated;
+
                 // Handle game over
                 if (newRoom.status === 'finished' && newRoom.winner_id) {
                     if (newRoom.winner_id === user?.id) {
@@ -167,6 +229,22 @@ const useUnoGame = (roomId) => {
                     }
                 }
             })
+            // RLS filters this down to our own row
+            .on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table: 'uno_hands',
+                filter: `room_id=eq.${roomId}`
+            }, (payload) => {
+                // DELETE events skip RLS but still carry the primary key
+                if (payload.eventType === 'DELETE') {
+                    if (payload.old.user_id === user?.id) setMyHand([]);
+                    return;
+                }
+                if (payload.new.user_id === user?.id) {
+                    setMyHand(payload.new.hand ?? []);
+                }
+            })
             .subscribe();
 
         // Cleanup on unmount
@@ -177,160 +255,30 @@ const useUnoGame = (roomId) => {
     }, [roomId, navigate, user?.id, refreshUser]);
 
     // ========================================
-    // AUTO-DRAW FUNCTIONS (defined before timer useEffect)
+    // TIMER - Display only; the server enforces the limit
     // ========================================
-
-    // Internal draw card (for auto-draw, doesn't check isMyTurn again)
-    const drawCardInternal = useCallback(async () => {
-        if (!roomId || !user?.id) return { success: false };
-
-        try {
-            const { data, error: rpcError } = await supabase.rpc('fn_draw_card', {
-                p_user_id: user.id,
-                p_room_id: roomId
-            });
-
-            if (rpcError) throw rpcError;
-            if (!data.success) throw new Error(data.error);
-
-            return { success: true, data };
-        } catch (err) {
-            console.error('[UNO] Draw failed:', err);
-            return { success: false, error: err.message };
-        }
-    }, [roomId, user?.id]);
-
-    // Host force draw for stalled player (still uses the current player's ID from room)
-    const forceDrawForCurrentPlayer = useCallback(async () => {
-        if (!roomId || !room?.players) return { success: false };
-
-        const currentPlayer = room?.players?.[room?.current_turn_index];
-        if (!currentPlayer) return { success: false };
-
-        try {
-            // Host calls draw on behalf of stalled player
-            const { data, error: rpcError } = await supabase.rpc('fn_draw_card', {
-                p_user_id: currentPlayer.user_id,
-                p_room_id: roomId
-            });
-
-            if (rpcError) throw rpcError;
-            if (!data.success) throw new Error(data.error);
-
-            console.log('[UNO] Host forced draw for:', currentPlayer.username);
-            return { success: true, data };
-        } catch (err) {
-            console.error('[UNO] Host force draw failed:', err);
-            return { success: false, error: err.message };
-        }
-    }, [roomId, room?.players, room?.current_turn_index]);
-
-    // ========================================
-    // TIMER - Only resets on actual turn changes
-    // ========================================
-    const turnSessionRef = useRef(0);
-
     useEffect(() => {
-        // Only run during active game
-        if (room?.status !== 'playing') {
-            // Clear timers when not playing
-            if (timerRef.current) {
-                clearInterval(timerRef.current);
-                timerRef.current = null;
-            }
-            if (autoDrawTimeoutRef.current) {
-                clearTimeout(autoDrawTimeoutRef.current);
-                autoDrawTimeoutRef.current = null;
-            }
-            setTurnTimeLeft(TURN_DURATION);
-            return;
-        }
-
-        // Check if turn actually changed
-        const turnActuallyChanged = lastTurnIndexRef.current !== currentTurnIndex;
-
-        // If turn didn't change, don't reset anything - just return
-        if (!turnActuallyChanged) {
-            return;
-        }
-
-        // Turn changed - update tracking refs
-        lastTurnIndexRef.current = currentTurnIndex;
-        turnSessionRef.current += 1;
-        const currentSession = turnSessionRef.current;
-
-        // Clear previous timers
         if (timerRef.current) {
             clearInterval(timerRef.current);
             timerRef.current = null;
         }
-        if (autoDrawTimeoutRef.current) {
-            clearTimeout(autoDrawTimeoutRef.current);
-            autoDrawTimeoutRef.current = null;
-        }
-
-        // Reset state for new turn
-        setTurnTimeLeft(TURN_DURATION);
-        autoDrawnRef.current = false;
 
-        console.log('[UNO] Turn changed to:', currentTurnIndex, 'isMyTurn:', isMyTurn, 'isHost:', isHost, 'session:', currentSession);
-
-        // Start countdown timer
-        timerRef.current = setInterval(() => {
-            setTurnTimeLeft(prev => {
-                if (prev <= 1) {
-                    return 0;
-                }
-                return prev - 1;
-            });
-        }, 1000);
-
-        // Set up auto-draw timeout ONLY on turn change
-        // Capture values for the closure
-        const capturedMySeatIndex = mySeatIndex;
-        const capturedIsHost = room?.host_id === user?.id;
-        const isCurrentPlayerMe = capturedMySeatIndex === currentTurnIndex;
-
-        if (isCurrentPlayerMe && !autoDrawnRef.current) {
-            // My turn - I handle my own auto-draw
-            autoDrawTimeoutRef.current = setTimeout(() => {
-                // Session check to ensure this timeout is still valid
-                if (currentSession !== turnSessionRef.current) {
-                    console.log('[UNO] Ignoring stale auto-draw (session changed from', currentSession, 'to', turnSessionRef.current, ')');
-                    return;
-                }
-                if (!autoDrawnRef.current) {
-                    autoDrawnRef.current = true;
-                    console.log('[UNO] Auto-draw triggered for my turn, session:', currentSession);
-                    drawCardInternal().catch(console.error);
-                }
-            }, (AUTO_DRAW_TIMEOUT * 1000));
-        } else if (capturedIsHost && !isCurrentPlayerMe && !autoDrawnRef.current) {
-            // I'm host but not my turn - fallback auto-draw for stalled players
-            autoDrawTimeoutRef.current = setTimeout(() => {
-                if (currentSession !== turnSessionRef.current) {
-                    console.log('[UNO] Ignoring stale host auto-draw (session changed from', currentSession, 'to', turnSessionRef.current, ')');
-                    return;
-                }
-                if (!autoDrawnRef.current) {
-                    autoDrawnRef.current = true;
-                    console.log('[UNO] Host forcing auto-draw, session:', currentSession);
-                    forceDrawForCurrentPlayer().catch(console.error);
-                }
-            }, ((AUTO_DRAW_TIMEOUT + 5) * 1000));
+        if (room?.status !== 'playing') {
+            setTurnTimeLeft(TURN_DURATION);
+            return;
         }
 
+        const tick = () => setTurnTimeLeft(secondsLeft(room.turn_started_at));
+        tick();
+        timerRef.current = setInterval(tick, 1000);
+
         return () => {
             if (timerRef.current) {
                 clearInterval(timerRef.current);
                 timerRef.current = null;
             }
-            if (autoDrawTimeoutRef.current) {
-                clearTimeout(autoDrawTimeoutRef.current);
-                autoDrawTimeoutRef.current = null;
-            }
         };
-    }, [currentTurnIndex, room?.status, isMyTurn, isHost, drawCardInternal, forceDrawForCurrentPlayer, mySeatIndex, room?.host_id, user?.id]);
+    }, [room?.status, room?.turn_started_at]);
 
     // ========================================
     // GAME ACTIONS
@@ -445,6 +393,47 @@ const useUnoGame = (roomId) => {
         }
     }, [roomId, user?.id]);
 
+    // Bots seat for free and are played by the backend (services/unoBots.js)
+    const addBot = useCallback(async (level = 'medium') => {
+        if (!roomId || !user?.id) return { success: false };
+
+        try {
+            const { data, error: rpcError } = await supabase.rpc('fn_add_uno_bot', {
+                p_user_id: user.id,
+                p_room_id: roomId,
+                p_level: level
+            });
+
+            if (rpcError) throw rpcError;
+            if (!data.success) throw new Error(data.error);
+
+            return { success: true, bot: data.bot };
+        } catch (err) {
+            toast.error(err.message);
+            return { success: false, error: err.message };
+        }
+    }, [roomId, user?.id]);
+
+    const removeBot = useCallback(async (botId) => {
+        if (!roomId || !user?.id) return { success: false };
+
+        try {
+            const { data, error: rpcError } = await supabase.rpc('fn_remove_uno_bot', {
+                p_user_id: user.id,
+                p_room_id: roomId,
+                p_bot_id: botId
+            });
+
+            if (rpcError) throw rpcError;
+            if (!data.success) throw new Error(data.error);
+
+            return { success: true };
+        } catch (err) {
+            toast.error(err.message);
+            return { success: false, error: err.message };
+        }
+    }, [roomId, user?.id]);
+
     const startGame = useCallback(async () => {
         if (!roomId || !user?.id) return { success: false };
 
@@ -465,9 +454,9 @@ const useUnoGame = (roomId) => {
         }
     }, [roomId, user?.id]);
 
-    const playCard = useCallback(async (cardIndex, wildColor = null) => {
+    const playCard = useCallback(async (cardIndex, wildColor = null, targetUserId = null) => {
         // Safety check
-        if (!isMyTurn) {
+        if (!isMyTurn && !canJumpIn(myHand[cardIndex])) {
             console.warn('[UNO] playCard called but not my turn');
             toast.error("Not your turn!");
             return { success: false };
@@ -482,7 +471,8 @@ const useUnoGame = (roomId) => {
                 p_user_id: user.id,
                 p_room_id: roomId,
                 p_card_index: cardIndex,
-                p_wild_color: wildColor
+                p_wild_color: wildColor,
+                p_target_user_id: targetUserId
             });
 
             if (rpcError) throw rpcError;
@@ -490,6 +480,8 @@ const useUnoGame = (roomId) => {
 
             if (data.gameOver) {
                 refreshUser();
+            } else if (data.jumpedIn) {
+                toast.success('Jumped in!', { icon: '⚡' });
             }
 
             return { success: true, data };
@@ -499,7 +491,27 @@ const useUnoGame = (roomId) => {
         } finally {
             setIsSending(false);
         }
-    }, [roomId, user?.id, isMyTurn, isSending, refreshUser]);
+    }, [roomId, user?.id, isMyTurn, isSending, refreshUser, canJumpIn, myHand]);
+
+    // Raw draw RPC; drawCard below adds the turn and busy checks
+    const drawCardInternal = useCallback(async () => {
+        if (!roomId || !user?.id) return { success: false };
+
+        try {
+            const { data, error: rpcError } = await supabase.rpc('fn_draw_card', {
+                p_user_id: user.id,
+                p_room_id: roomId
+            });
+
+            if (rpcError) throw rpcError;
+            if (!data.success) throw new Error(data.error);
+
+            return { success: true, data };
+        } catch (err) {
+            console.error('[UNO] Draw failed:', err);
+            return { success: false, error: err.message };
+        }
+    }, [roomId, user?.id]);
 
     const drawCard = useCallback(async () => {
         // Safety check
@@ -518,20 +530,88 @@ const useUnoGame = (roomId) => {
     }, [isMyTurn, isSending, drawCardInternal]);
 
     const shoutUno = useCallback(async () => {
-        toast.success('UNO!', { icon: '🎴' });
-        return { success: true };
-    }, []);
+        if (!roomId || !user?.id) return { success: false };
+
+        try {
+            const { data, error: rpcError } = await supabase.rpc('fn_uno_call', {
+                p_user_id: user.id,
+                p_room_id: roomId
+            });
+
+            if (rpcError) throw rpcError;
+            if (!data.success) throw new Error(data.error);
+
+            toast.success('UNO!', { icon: '🎴' });
+            return { success: true };
+        } catch (err) {
+            toast.error(err.message);
+            return { success: false, error: err.message };
+        }
+    }, [roomId, user?.id]);
+
+    const catchUno = useCallback(async (targetUserId) => {
+        if (!roomId || !user?.id) return { success: false };
+
+        try {
+            const { data, error: rpcError } = await supabase.rpc('fn_uno_catch', {
+                p_user_id: user.id,
+                p_room_id: roomId,
+                p_target_user_id: targetUserId
+            });
+
+            if (rpcError) throw rpcError;
+            if (!data.success) throw new Error(data.error);
+
+            toast.success(`Caught ${data.caught}! +2 cards`, { icon: '🚨' });
+            return { success: true };
+        } catch (err) {
+            toast.error(err.message);
+            return { success: false, error: err.message };
+        }
+    }, [roomId, user?.id]);
+
+    const challengeDrawFour = useCallback(async () => {
+        if (!canChallenge || isSending) return { success: false };
+        setIsSending(true);
+
+        try {
+            const { data, error: rpcError } = await supabase.rpc('fn_uno_challenge', {
+                p_user_id: user.id,
+                p_room_id: roomId
+            });
+
+            if (rpcError) throw rpcError;
+            if (!data.success) throw new Error(data.error);
+
+            if (data.challengeWon) {
+                toast.success(`Challenge won! They draw ${data.penalty}`);
+            } else {
+                toast.error(`That +4 was legal - you draw ${data.penalty}`);
+            }
+            return { success: true, data };
+        } catch (err) {
+            toast.error(err.message);
+            return { success: false, error: err.message };
+        } finally {
+            setIsSending(false);
+        }
+    }, [roomId, user?.id, canChallenge, isSending]);
 
     // ========================================
     // UTILITY
     // ========================================
     const isCardPlayable = useCallback((card) => {
         if (!topCard || !card) return false;
+        if (!isMyTurn) return canJumpIn(card);
+        if (pendingDraw > 0) {
+            // Only a stack answers a pending penalty
+            return !!rules.stacking && (card.value === '+4' || (card.value === '+2' && topCard.value === '+2'));
+        }
         if (card.type === 'wild') return true;
         if (card.color === room?.current_color) return true;
         if (card.value === topCard.value) return true;
         return false;
-    }, [topCard, room?.current_color]);
+    }, [topCard, room?.current_color, isMyTurn, canJumpIn, pendingDraw, rules.stacking]);
 
     // ========================================
     // RETURN
@@ -561,6 +641,10 @@ const useUnoGame = (roomId) => {
         canCallUno,
         isSending,
         isHost,
+        rules,
+        pendingDraw,
+        canChallenge,
+        catchableOpponents,
 
         // Actions
         createRoom,
@@ -568,10 +652,14 @@ const useUnoGame = (roomId) => {
         leaveRoom,
         deleteRoom,
         toggleReady,
+        addBot,
+        removeBot,
         startGame,
         playCard,
         drawCard,
         shoutUno,
+        catchUno,
+        challengeDrawFour,
         isCardPlayable,
     };
 };
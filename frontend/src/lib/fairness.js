@@ -0,0 +1,219 @@
+/**
+ * Provably fair outcome derivation (browser side)
+ * Mirrors backend/services/fairness.js and supabase/fairness.sql so that
+ * any past bet can be recomputed locally from its revealed seeds.
+ */
+
+export const FAIR_GAMES = ['dice', 'slots', 'roulette', 'mines', 'tower'];
+
+export const TOWER_MINES = { easy: 1, medium: 2, hard: 3 };
+
+const SLOT_SYMBOLS = ['🍒', '🍋', '🍊', '🍇', '🔔', '💎', '7️⃣'];
+const SLOT_WEIGHTS = [28, 22, 18, 15, 10, 5, 2];
+const SLOT_TOTAL_WEIGHT = 100;
+
+const MINES_TILES = 25;
+const TOWER_ROWS = 10;
+const TOWER_COLUMNS = 5;
+const TWO_POW_32 = 4294967296;
+
+const encoder = new TextEncoder();
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+
+/**
+ * SHA256 of the server seed, compare with the hash shown before betting
+ */
+export async function hashServerSeed(serverSeed) {
+    return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(serverSeed)));
+}
+
+/**
+ * Generate `count` uint32 values from HMAC_SHA256(serverSeed, clientSeed:nonce:cursor)
+ */
+async function generateInts(serverSeed, clientSeed, nonce, count) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(serverSeed),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+
+    const ints = [];
+    let cursor = 0;
+    while (ints.length < count) {
+        const digest = await crypto.subtle.sign('HMAC', key, encoder.encode(`${clientSeed}:${nonce}:${cursor}`));
+        const view = new DataView(digest);
+        for (let offset = 0; offset < 32 && ints.length < count; offset += 4) {
+            ints.push(view.getUint32(offset));
+        }
+        cursor++;
+    }
+    return ints;
+}
+
+const scale = (int, n) => Math.floor((int * n) / TWO_POW_32);
+
+function floatsNeeded(game, params) {
+    switch (game) {
+        case 'dice':
+        case 'roulette':
+            return 1;
+        case 'slots':
+            return 3;
+        case 'mines': {
+            const minesCount = parseInt(params.minesCount, 10);
+            if (!minesCount || minesCount < 1 || minesCount > 24) {
+                throw new Error('Mines count must be between 1 and 24');
+            }
+            return MINES_TILES - 1;
+        }
+        case 'tower':
+            if (!TOWER_MINES[params.difficulty]) throw new Error('Invalid difficulty');
+            return TOWER_ROWS * TOWER_MINES[params.difficulty];
+        default:
+            throw new Error(`Unsupported game: ${game}`);
+    }
+}
+
+/**
+ * Recompute the outcome of a bet
+ */
+export async function computeOutcome({ serverSeed, clientSeed, nonce, game, params = {} }) {
+    if (!serverSeed) throw new Error('Server seed is required');
+    if (!clientSeed) throw new Error('Client seed is required');
+
+    const n = Number(nonce);
+    if (!Number.isInteger(n) || n < 0) throw new Error('Nonce must be a non-negative integer');
+
+    const ints = await generateInts(serverSeed, clientSeed, n, floatsNeeded(game, params));
+
+    switch (game) {
+        case 'dice':
+            return { roll: scale(ints[0], 10000) / 100 };
+
+        case 'roulette':
+            return { result: scale(ints[0], 37) };
+
+        case 'slots':
+            return {
+                symbols: ints.map((int) => {
+                    const r = scale(int, SLOT_TOTAL_WEIGHT);
+                    let cumulative = 0;
+                    for (let i = 0; i < SLOT_WEIGHTS.length; i++) {
+                        cumulative += SLOT_WEIGHTS[i];
+                        if (r < cumulative) return SLOT_SYMBOLS[i];
+                    }
+                    return SLOT_SYMBOLS[SLOT_SYMBOLS.length - 1];
+                })
+            };
+
+        case 'mines': {
+            const tiles = Array.from({ length: MINES_TILES }, (_, i) => i);
+            for (let i = 0; i < MINES_TILES - 1; i++) {
+                const j = i + scale(ints[i], MINES_TILES - i);
+                [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+            }
+            return { minePositions: tiles.slice(0, parseInt(params.minesCount, 10)) };
+        }
+
+        case 'tower': {
+            const mineCount = TOWER_MINES[params.difficulty];
+            const grid = [];
+            let idx = 0;
+            for (let row = 0; row < TOWER_ROWS; row++) {
+                const columns = [0, 1, 2, 3, 4];
+                for (let k = 0; k < mineCount; k++) {
+                    const j = k + scale(ints[idx++], TOWER_COLUMNS - k);
+                    [columns[k], columns[j]] = [columns[j], columns[k]];
+                }
+                const cells = new Array(TOWER_COLUMNS).fill(0);
+                columns.slice(0, mineCount).forEach((col) => { cells[col] = 1; });
+                grid.push(cells);
+            }
+            return { grid };
+        }
+
+        default:
+            throw new Error(`Unsupported game: ${game}`);
+    }
+}
+
+/**
+ * Short human readable summary of an outcome
+ */
+export function describeOutcome(game, outcome) {
+    if (!outcome) return 'Hidden until seed is revealed';
+
+    switch (game) {
+        case 'dice': return `Roll ${parseFloat(outcome.roll).toFixed(2)}`;
+        case 'roulette': return `Number ${outcome.result}`;
+        case 'slots': return outcome.symbols.join(' ');
+        case 'mines': return `Mines at ${outcome.minePositions.join(', ')}`;
+        case 'tower': return outcome.grid
+            .map((row) => row.map((cell) => (cell ? '💣' : '⬜')).join(''))
+            .join(' / ');
+        default: return JSON.stringify(outcome);
+    }
+}
+
+// ========================================
+// AVIATOR HASH CHAIN
+// Mirrors backend/services/aviatorChain.js
+// ========================================
+
+const AVIATOR_HOUSE_EDGE = 0.04;
+const AVIATOR_MAX_MULTIPLIER = 1000;
+
+/**
+ * Aviator crash point from a round's game hash and the chain salt
+ */
+export async function aviatorCrashPoint(gameHash, salt) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(gameHash),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const hash = toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(salt)));
+
+    const h = parseInt(hash.substring(0, 8), 16);
+    const e = Math.pow(2, 32);
+    const crashPoint = Math.max(1.00, (100 * e - h) / (e - h) * (1 - AVIATOR_HOUSE_EDGE) / 100);
+
+    return parseFloat(Math.min(crashPoint, AVIATOR_MAX_MULTIPLIER).toFixed(2));
+}
+
+/**
+ * Hash a game hash `steps` times; round n of a chain must land on the
+ * terminating hash after n steps.  Yields to the UI every few thousand hashes.
+ */
+export async function walkAviatorChain(gameHash, steps, onProgress) {
+    let hash = gameHash;
+    for (let i = 1; i <= steps; i++) {
+        hash = await hashServerSeed(hash);
+        if (onProgress && (i % 5000 === 0 || i === steps)) {
+            onProgress(i / steps);
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+    }
+    return hash;
+}
+
+// ========================================
+// COINFLIP CHALLENGES
+// Mirrors fn_coinflip_accept_challenge in supabase/coinflip.sql
+// ========================================
+
+/**
+ * Side a PvP challenge landed on: first float of
+ * HMAC_SHA256(serverSeed, `${creatorSeed}:${opponentSeed}:0:0`) below 0.5 is heads
+ */
+export async function coinflipChallengeOutcome(serverSeed, creatorSeed, opponentSeed) {
+    const [int] = await generateInts(serverSeed, `${creatorSeed}:${opponentSeed}`, 0, 1);
+    return int / TWO_POW_32 < 0.5 ? 'heads' : 'tails';
+}
@@ -0,0 +1,312 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import { FAIR_GAMES, TOWER_MINES, computeOutcome, hashServerSeed, describeOutcome } from '../lib/fairness';
+import './Fairness.css';
+
+const EMPTY_FORM = {
+    game: 'dice',
+    serverSeed: '',
+    clientSeed: '',
+    nonce: '',
+    minesCount: 3,
+    difficulty: 'easy'
+};
+
+const Fairness = () => {
+    const [seeds, setSeeds] = useState(null);
+    const [bets, setBets] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [clientSeedInput, setClientSeedInput] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    // Verifier state
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [selectedBet, setSelectedBet] = useState(null);
+    const [verification, setVerification] = useState(null);
+    const [verifying, setVerifying] = useState(false);
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    const fetchData = async () => {
+        try {
+            setLoading(true);
+            const [seedsRes, betsRes] = await Promise.all([
+                api.get('/fairness/seeds'),
+                api.get('/fairness/bets?limit=50')
+            ]);
+            setSeeds(seedsRes.data);
+            setClientSeedInput(seedsRes.data.active?.clientSeed || '');
+            setBets(betsRes.data.bets || []);
+        } catch (error) {
+            console.error('Error fetching fairness data:', error);
+            toast.error(error.response?.data?.message || 'Failed to load seeds');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRotate = async (clientSeed) => {
+        setSaving(true);
+        try {
+            const res = clientSeed
+                ? await api.post('/fairness/client-seed', { clientSeed })
+                : await api.post('/fairness/rotate');
+
+            if (res.data.previous) {
+                toast.success('Seed pair rotated - previous server seed revealed');
+            } else {
+                toast.success('New seed pair created');
+            }
+            await fetchData();
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to rotate seed');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleClientSeedSubmit = (e) => {
+        e.preventDefault();
+        const value = clientSeedInput.trim();
+        if (!value || value === seeds?.active?.clientSeed) return;
+        handleRotate(value);
+    };
+
+    const selectBet = (bet) => {
+        setSelectedBet(bet);
+        setVerification(null);
+        setForm({
+            ...EMPTY_FORM,
+            game: bet.game,
+            serverSeed: bet.serverSeed || '',
+            clientSeed: bet.clientSeed,
+            nonce: String(bet.nonce),
+            minesCount: bet.params?.minesCount ?? EMPTY_FORM.minesCount,
+            difficulty: bet.params?.difficulty ?? EMPTY_FORM.difficulty
+        });
+    };
+
+    const updateForm = (field, value) => {
+        setForm((prev) => ({ ...prev, [field]: value }));
+        setVerification(null);
+    };
+
+    const handleVerify = async (e) => {
+        e.preventDefault();
+        setVerifying(true);
+
+        try {
+            const params = form.game === 'mines'
+                ? { minesCount: parseInt(form.minesCount, 10) }
+                : form.game === 'tower' ? { difficulty: form.difficulty } : {};
+
+            const outcome = await computeOutcome({
+                serverSeed: form.serverSeed.trim(),
+                clientSeed: form.clientSeed.trim(),
+                nonce: form.nonce,
+                game: form.game,
+                params
+            });
+            const hash = await hashServerSeed(form.serverSeed.trim());
+
+            // Compare against the recorded bet when verifying one from history
+            let hashMatches = null;
+            let outcomeMatches = null;
+            if (selectedBet && selectedBet.game === form.game) {
+                hashMatches = hash === selectedBet.serverSeedHash;
+                outcomeMatches = selectedBet.outcome
+                    ? describeOutcome(form.game, outcome) === describeOutcome(form.game, selectedBet.outcome)
+                    : null;
+            }
+
+            setVerification({ outcome, hash, hashMatches, outcomeMatches });
+        } catch (error) {
+            toast.error(error.message || 'Verification failed');
+        } finally {
+            setVerifying(false);
+        }
+    };
+
+    const formatDate = (value) => new Date(value).toLocaleString();
+
+    if (loading) {
+        return (
+            <div className="fairness-wrapper">
+                <div className="fairness-loading">Loading seeds...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="fairness-wrapper">
+            <div className="fairness-container">
+                <div className="fairness-header">
+                    <h1>⚖️ Provably Fair</h1>
+                    <p className="fairness-subtitle">
+                        Every Dice, Slots, Roulette, Mines and Tower result is derived from
+                        HMAC_SHA256(server seed, client seed:nonce). The server seed hash is
+                        shown before you bet and the seed itself is revealed when you rotate.
+                    </p>
+                </div>
+
+                {/* Active seed pair */}
+                <div className="fairness-card">
+                    <h2>Active Seed Pair</h2>
+                    <div className="seed-row">
+                        <span className="seed-label">Server Seed (SHA256)</span>
+                        <code className="seed-value">{seeds?.active?.serverSeedHash}</code>
+                    </div>
+                    <form className="seed-row" onSubmit={handleClientSeedSubmit}>
+                        <span className="seed-label">Client Seed</span>
+                        <div className="seed-input-group">
+                            <input
+                                type="text"
+                                value={clientSeedInput}
+                                maxLength={64}
+                                onChange={(e) => setClientSeedInput(e.target.value)}
+                            />
+                            <button
+                                type="submit"
+                                className="fairness-btn"
+                                disabled={saving || !clientSeedInput.trim() || clientSeedInput.trim() === seeds?.active?.clientSeed}
+                            >
+                                Change
+                            </button>
+                        </div>
+                    </form>
+                    <div className="seed-row">
+                        <span className="seed-label">Next Nonce</span>
+                        <code className="seed-value">{seeds?.active?.nonce}</code>
+                    </div>
+                    <button className="fairness-btn fairness-btn-primary" onClick={() => handleRotate(null)} disabled={saving}>
+                        {saving ? 'Rotating...' : 'Rotate Seed Pair'}
+                    </button>
+                    <p className="fairness-hint">
+                        Changing the client seed also rotates the server seed. Finish any active Mines or Tower game first.
+                    </p>
+                </div>
+
+                {/* Verifier */}
+                <div className="fairness-card">
+                    <h2>Verify a Bet</h2>
+                    <form className="verify-form" onSubmit={handleVerify}>
+                        <label>
+                            Game
+                            <select value={form.game} onChange={(e) => updateForm('game', e.target.value)}>
+                                {FAIR_GAMES.map((game) => (
+                                    <option key={game} value={game}>{game}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label>
+                            Server Seed
+                            <input type="text" value={form.serverSeed} onChange={(e) => updateForm('serverSeed', e.target.value)} />
+                        </label>
+                        <label>
+                            Client Seed
+                            <input type="text" value={form.clientSeed} onChange={(e) => updateForm('clientSeed', e.target.value)} />
+                        </label>
+                        <label>
+                            Nonce
+                            <input type="number" min="0" value={form.nonce} onChange={(e) => updateForm('nonce', e.target.value)} />
+                        </label>
+                        {form.game === 'mines' && (
+                            <label>
+                                Mines
+                                <input type="number" min="1" max="24" value={form.minesCount} onChange={(e) => updateForm('minesCount', e.target.value)} />
+                            </label>
+                        )}
+                        {form.game === 'tower' && (
+                            <label>
+                                Difficulty
+                                <select value={form.difficulty} onChange={(e) => updateForm('difficulty', e.target.value)}>
+                                    {Object.keys(TOWER_MINES).map((d) => (
+                                        <option key={d} value={d}>{d}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        )}
+                        <button type="submit" className="fairness-btn fairness-btn-primary" disabled={verifying || !form.serverSeed || !form.clientSeed || form.nonce === ''}>
+                            {verifying ? 'Verifying...' : 'Verify Locally'}
+                        </button>
+                    </form>
+
+                    {verification && (
+                        <div className="verify-result">
+                            <div className="seed-row">
+                                <span className="seed-label">Computed Hash</span>
+                                <code className="seed-value">{verification.hash}</code>
+                            </div>
+                            <div className="seed-row">
+                                <span className="seed-label">Outcome</span>
+                                <span className="verify-outcome">{describeOutcome(form.game, verification.outcome)}</span>
+                            </div>
+                            {verification.hashMatches !== null && (
+                                <div className={`verify-status ${verification.hashMatches && verification.outcomeMatches !== false ? 'ok' : 'fail'}`}>
+                                    {verification.hashMatches ? '✓ Server seed matches committed hash' : '✗ Server seed does not match committed hash'}
+                                    {verification.outcomeMatches !== null && (
+                                        <div>{verification.outcomeMatches ? '✓ Outcome matches recorded result' : '✗ Outcome differs from recorded result'}</div>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                {/* Bet history */}
+                <div className="fairness-card">
+                    <h2>Recent Bets</h2>
+                    {bets.length === 0 ? (
+                        <p className="fairness-hint">No provably fair bets yet.</p>
+                    ) : (
+                        <div className="fair-bets-list">
+                            {bets.map((bet) => (
+                                <div
+                                    key={bet.id}
+                                    className={`fair-bet-row ${selectedBet?.id === bet.id ? 'selected' : ''}`}
+                                    onClick={() => selectBet(bet)}
+                                >
+                                    <span className="fair-bet-game">{bet.game}</span>
+                                    <span className="fair-bet-nonce">#{bet.nonce}</span>
+                                    <span className="fair-bet-outcome">{describeOutcome(bet.game, bet.outcome)}</span>
+                                    <span className={`fair-bet-seed ${bet.serverSeed ? 'revealed' : ''}`}>
+                                        {bet.serverSeed ? 'Revealed' : 'Unrevealed'}
+                                    </span>
+                                    <span className="fair-bet-date">{formatDate(bet.createdAt)}</span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                {/* Revealed seeds */}
+                {seeds?.revealed?.length > 0 && (
+                    <div className="fairness-card">
+                        <h2>Revealed Seeds</h2>
+                        {seeds.revealed.map((seed) => (
+                            <div key={seed.serverSeedHash} className="revealed-seed">
+                                <div className="seed-row">
+                                    <span className="seed-label">Server Seed</span>
+                                    <code className="seed-value">{seed.serverSeed}</code>
+                                </div>
+                                <div className="seed-row">
+                                    <span className="seed-label">Hash</span>
+                                    <code className="seed-value">{seed.serverSeedHash}</code>
+                                </div>
+                                <div className="seed-row">
+                                    <span className="seed-label">Client Seed / Bets</span>
+                                    <code className="seed-value">{seed.clientSeed} · {seed.finalNonce} bets</code>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Fairness;
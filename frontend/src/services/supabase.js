@@ -12,4 +12,12 @@ export const supabase = createClient(
     supabaseAnonKey || ''
 );
 
+// Sends the signed-in user's access token, so row level security and
+// auth.uid() inside RPCs know who is asking (e.g. private UNO hands)
+export const supabaseUser = createClient(
+    supabaseUrl || '',
+    supabaseAnonKey || '',
+    { accessToken: async () => localStorage.getItem('token') }
+);
+
 export default supabase;
@@ -9,12 +9,12 @@
 
 CREATE TABLE IF NOT EXISTS public.crash_rounds (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-    crash_point NUMERIC(10, 2) NOT NULL CHECK (crash_point >= 1.00),
+    crash_point NUMERIC(10, 2) CHECK (crash_point >= 1.00),   -- Revealed when the round ends
     status TEXT NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'flying', 'crashed')),
     start_time TIMESTAMPTZ,
     end_time TIMESTAMPTZ,
     hash TEXT NOT NULL,
-    server_seed TEXT,
+    server_seed TEXT,                                         -- Revealed when the round ends
     client_seed TEXT DEFAULT 'stakex_public_seed',
     created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
 );
@@ -23,6 +23,32 @@ CREATE TABLE IF NOT EXISTS public.crash_rounds (
 CREATE INDEX IF NOT EXISTS idx_crash_rounds_status ON public.crash_rounds(status);
 CREATE INDEX IF NOT EXISTS idx_crash_rounds_created ON public.crash_rounds(created_at DESC);
 
+-- ========================================
+-- SEALED ROUND SEEDS
+-- A round's game hash and crash point live here, out of client reach,
+-- while it is waiting or flying.  The engine copies them onto
+-- crash_rounds when the round crashes or is cancelled.
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS public.crash_round_seeds (
+    round_id UUID PRIMARY KEY REFERENCES public.crash_rounds(id) ON DELETE CASCADE,
+    server_seed TEXT NOT NULL,
+    crash_point NUMERIC(10, 2) NOT NULL CHECK (crash_point >= 1.00)
+);
+
+-- Existing installs: seal rounds still in play
+ALTER TABLE public.crash_rounds ALTER COLUMN crash_point DROP NOT NULL;
+
+INSERT INTO public.crash_round_seeds (round_id, server_seed, crash_point)
+SELECT id, server_seed, crash_point
+FROM public.crash_rounds
+WHERE status IN ('waiting', 'flying') AND server_seed IS NOT NULL AND crash_point IS NOT NULL
+ON CONFLICT (round_id) DO NOTHING;
+
+UPDATE public.crash_rounds
+SET server_seed = NULL, crash_point = NULL
+WHERE status IN ('waiting', 'flying');
+
 -- ========================================
 -- CRASH BETS TABLE
 -- ========================================
@@ -35,6 +61,8 @@ CREATE TABLE IF NOT EXISTS public.crash_bets (
     amount NUMERIC NOT NULL CHECK (amount > 0),
     auto_cashout NUMERIC(10, 2) DEFAULT NULL,
     cashout_multiplier NUMERIC(10, 2) DEFAULT NULL,
+    cashed_amount NUMERIC NOT NULL DEFAULT 0,    -- Stake already cashed out (partial exits)
+    payout NUMERIC NOT NULL DEFAULT 0,           -- Total paid out so far
     profit NUMERIC DEFAULT NULL,
     status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cashed_out', 'lost')),
     created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
@@ -48,32 +76,59 @@ CREATE INDEX IF NOT EXISTS idx_crash_bets_round ON public.crash_bets(round_id);
 CREATE INDEX IF NOT EXISTS idx_crash_bets_user ON public.crash_bets(user_id);
 CREATE INDEX IF NOT EXISTS idx_crash_bets_status ON public.crash_bets(status);
 
+-- Existing installs: partial cash-out columns
+ALTER TABLE public.crash_bets ADD COLUMN IF NOT EXISTS cashed_amount NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE public.crash_bets ADD COLUMN IF NOT EXISTS payout NUMERIC NOT NULL DEFAULT 0;
+
+-- ========================================
+-- CRASH CASHOUTS TABLE
+-- One row per exit; a bet can be cashed out in several parts
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS public.crash_cashouts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    bet_id UUID NOT NULL REFERENCES public.crash_bets(id) ON DELETE CASCADE,
+    round_id UUID NOT NULL REFERENCES public.crash_rounds(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    amount NUMERIC NOT NULL CHECK (amount > 0),          -- Stake cashed out in this exit
+    multiplier NUMERIC(10, 2) NOT NULL CHECK (multiplier >= 1.00),
+    payout NUMERIC NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_crash_cashouts_bet ON public.crash_cashouts(bet_id);
+CREATE INDEX IF NOT EXISTS idx_crash_cashouts_round ON public.crash_cashouts(round_id);
+
 -- ========================================
 -- ROW LEVEL SECURITY
 -- ========================================
 
 ALTER TABLE public.crash_rounds ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.crash_bets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.crash_cashouts ENABLE ROW LEVEL SECURITY;
 
--- Everyone can view rounds
+-- No policies: sealed seeds are only read by the engine (service role)
+ALTER TABLE public.crash_round_seeds ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can view rounds (crash point and seed stay NULL until revealed)
 CREATE POLICY "Anyone can view crash rounds" ON public.crash_rounds
     FOR SELECT USING (true);
 
--- Only server can insert/update rounds (via service role)
-CREATE POLICY "Service can manage rounds" ON public.crash_rounds
-    FOR ALL USING (true) WITH CHECK (true);
+-- Rounds are written by the engine with the service role, which bypasses RLS
+DROP POLICY IF EXISTS "Service can manage rounds" ON public.crash_rounds;
 
 -- Users can view all bets (for live feed)
 CREATE POLICY "Anyone can view crash bets" ON public.crash_bets
     FOR SELECT USING (true);
 
--- Users can insert their own bets
-CREATE POLICY "Users can place bets" ON public.crash_bets
-    FOR INSERT WITH CHECK (auth.uid() = user_id);
+-- Bets are only written by the engine through the functions below
+-- (service role); existing installs drop the old client write policies
+DROP POLICY IF EXISTS "Users can place bets" ON public.crash_bets;
+DROP POLICY IF EXISTS "Service can update bets" ON public.crash_bets;
 
--- Service can update bets
-CREATE POLICY "Service can update bets" ON public.crash_bets
-    FOR UPDATE USING (true) WITH CHECK (true);
+-- Cashouts are public like bets (for the live feed)
+CREATE POLICY "Anyone can view crash cashouts" ON public.crash_cashouts
+    FOR SELECT USING (true);
 
 -- ========================================
 -- PLACE CRASH BET FUNCTION
@@ -94,6 +149,10 @@ DECLARE
     v_round_status TEXT;
     v_bet_id UUID;
 BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Bet amount must be positive');
+    END IF;
+
     -- Check round status
     SELECT status INTO v_round_status
     FROM public.crash_rounds
@@ -149,24 +208,59 @@ BEGIN
 END;
 $$;
 
+REVOKE EXECUTE ON FUNCTION fn_place_crash_bet(uuid, uuid, numeric, integer, numeric) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_place_crash_bet(uuid, uuid, numeric, integer, numeric) TO service_role;
+
 -- ========================================
 -- CASH OUT FUNCTION
+-- Cashes out p_fraction (0 < f <= 1) of the stake still riding.
+-- The bet stays active until nothing is left.  Only while the round is
+-- flying and below its crash point.
 -- ========================================
 
+DROP FUNCTION IF EXISTS fn_cash_out_crash(uuid, uuid, numeric, integer);
+
 CREATE OR REPLACE FUNCTION fn_cash_out_crash(
     p_user_id UUID,
     p_round_id UUID,
     p_multiplier NUMERIC,
-    p_bet_number INTEGER DEFAULT 1
+    p_bet_number INTEGER DEFAULT 1,
+    p_fraction NUMERIC DEFAULT 1
 )
 RETURNS JSONB
 LANGUAGE plpgsql SECURITY DEFINER
 AS $$
 DECLARE
+    v_round RECORD;
     v_bet RECORD;
-    v_profit NUMERIC;
+    v_remaining NUMERIC;
+    v_amount NUMERIC;
     v_payout NUMERIC;
+    v_total_payout NUMERIC;
+    v_closed BOOLEAN;
 BEGIN
+    IF p_fraction IS NULL OR p_fraction <= 0 OR p_fraction > 1 THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Fraction must be between 0 and 1');
+    END IF;
+
+    SELECT r.status, COALESCE(s.crash_point, r.crash_point) AS crash_point INTO v_round
+    FROM public.crash_rounds r
+    LEFT JOIN public.crash_round_seeds s ON s.round_id = r.id
+    WHERE r.id = p_round_id;
+
+    IF v_round IS NULL OR v_round.status <> 'flying' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Round is not in flight');
+    END IF;
+
+    IF p_multiplier IS NULL OR p_multiplier < 1 THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Invalid multiplier');
+    END IF;
+
+    -- The plane is gone at its crash point
+    IF p_multiplier >= v_round.crash_point THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Too late! Already crashed');
+    END IF;
+
     -- Get active bet
     SELECT * INTO v_bet
     FROM public.crash_bets
@@ -179,16 +273,33 @@ BEGIN
     IF v_bet IS NULL THEN
         RETURN jsonb_build_object('success', false, 'error', 'No active bet found');
     END IF;
-    
-    -- Calculate profit
-    v_payout := v_bet.amount * p_multiplier;
-    v_profit := v_payout - v_bet.amount;
-    
-    -- Update bet
+
+    v_remaining := v_bet.amount - v_bet.cashed_amount;
+    v_amount := ROUND(v_remaining * p_fraction, 2);
+
+    -- Close the bet when the rest would be dust
+    IF v_remaining - v_amount < 0.01 THEN
+        v_amount := v_remaining;
+    END IF;
+
+    IF v_amount < 0.01 THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Cash out amount too small');
+    END IF;
+
+    v_closed := v_amount = v_remaining;
+    v_payout := ROUND(v_amount * p_multiplier, 2);
+    v_total_payout := v_bet.payout + v_payout;
+
+    INSERT INTO public.crash_cashouts (bet_id, round_id, user_id, amount, multiplier, payout)
+    VALUES (v_bet.id, p_round_id, p_user_id, v_amount, p_multiplier, v_payout);
+
+    -- cashout_multiplier is the stake-weighted average over all exits
     UPDATE public.crash_bets
-    SET status = 'cashed_out',
-        cashout_multiplier = p_multiplier,
-        profit = v_profit
+    SET cashed_amount = cashed_amount + v_amount,
+        payout = v_total_payout,
+        cashout_multiplier = ROUND(v_total_payout / (cashed_amount + v_amount), 2),
+        status = CASE WHEN v_closed THEN 'cashed_out' ELSE 'active' END,
+        profit = CASE WHEN v_closed THEN v_total_payout - amount ELSE NULL END
     WHERE id = v_bet.id;
     
     -- Credit user
@@ -196,18 +307,28 @@ BEGIN
     SET cash = cash + v_payout, updated_at = NOW()
     WHERE id = p_user_id;
     
-    -- Update stats
-    PERFORM update_game_stats(p_user_id, true);
+    -- Update stats once the bet is fully closed
+    IF v_closed THEN
+        PERFORM update_game_stats(p_user_id, v_total_payout > v_bet.amount);
+    END IF;
     
     RETURN jsonb_build_object(
         'success', true,
         'multiplier', p_multiplier,
-        'profit', v_profit,
-        'payout', v_payout
+        'amount', v_amount,
+        'payout', v_payout,
+        'profit', v_payout - v_amount,
+        'remaining', v_remaining - v_amount,
+        'closed', v_closed,
+        'partial', NOT v_closed OR v_bet.cashed_amount > 0,
+        'total_payout', v_total_payout
     );
 END;
 $$;
 
+REVOKE EXECUTE ON FUNCTION fn_cash_out_crash(uuid, uuid, numeric, integer, numeric) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_cash_out_crash(uuid, uuid, numeric, integer, numeric) TO service_role;
+
 -- ========================================
 -- SETTLE ROUND (MARK LOSERS)
 -- ========================================
@@ -217,30 +338,28 @@ RETURNS INTEGER
 LANGUAGE plpgsql SECURITY DEFINER
 AS $$
 DECLARE
-    v_lost_count INTEGER;
+    v_bet RECORD;
+    v_lost_count INTEGER := 0;
 BEGIN
-    -- Mark all remaining active bets as lost
-    UPDATE public.crash_bets
-    SET status = 'lost', profit = -amount
-    WHERE round_id = p_round_id AND status = 'active';
-    
-    GET DIAGNOSTICS v_lost_count = ROW_COUNT;
-    
-    -- Update stats for losers
-    UPDATE public.users u
-    SET stats = jsonb_set(
-        jsonb_set(stats, '{gamesPlayed}', to_jsonb((stats->>'gamesPlayed')::INTEGER + 1)),
-        '{losses}', to_jsonb((stats->>'losses')::INTEGER + 1)
-    )
-    WHERE u.id IN (
-        SELECT user_id FROM public.crash_bets 
-        WHERE round_id = p_round_id AND status = 'lost'
-    );
+    -- Stake still riding is lost; partially cashed bets keep their exits
+    FOR v_bet IN
+        UPDATE public.crash_bets
+        SET status = CASE WHEN cashed_amount > 0 THEN 'cashed_out' ELSE 'lost' END,
+            profit = payout - amount
+        WHERE round_id = p_round_id AND status = 'active'
+        RETURNING user_id, profit
+    LOOP
+        v_lost_count := v_lost_count + 1;
+        PERFORM update_game_stats(v_bet.user_id, v_bet.profit > 0);
+    END LOOP;
     
     RETURN v_lost_count;
 END;
 $$;
 
+REVOKE EXECUTE ON FUNCTION fn_settle_crash_round(uuid) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_settle_crash_round(uuid) TO service_role;
+
 -- ========================================
 -- GET CURRENT ROUND
 -- ========================================
@@ -286,3 +405,546 @@ BEGIN
     LIMIT p_limit;
 END;
 $$;
+
+-- ========================================
+-- ROUND RECOVERY (BACKEND RESTART)
+-- Rounds that never left 'waiting' are cancelled and their stakes
+-- refunded; the engine resumes or settles 'flying' rounds itself.
+-- ========================================
+
+ALTER TABLE public.crash_rounds DROP CONSTRAINT IF EXISTS crash_rounds_status_check;
+ALTER TABLE public.crash_rounds ADD CONSTRAINT crash_rounds_status_check
+    CHECK (status IN ('waiting', 'flying', 'crashed', 'cancelled'));
+
+ALTER TABLE public.crash_bets DROP CONSTRAINT IF EXISTS crash_bets_status_check;
+ALTER TABLE public.crash_bets ADD CONSTRAINT crash_bets_status_check
+    CHECK (status IN ('active', 'cashed_out', 'lost', 'refunded'));
+
+-- Refunds are a server-side recovery step: a round still waiting for bets
+-- can be cancelled, a round that took off only when p_recovery is set by
+-- the restart logic (its crash point was never reached or recorded)
+DROP FUNCTION IF EXISTS fn_refund_crash_round(uuid);
+CREATE OR REPLACE FUNCTION fn_refund_crash_round(p_round_id UUID, p_recovery BOOLEAN DEFAULT FALSE)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_round RECORD;
+    v_seed RECORD;
+    v_bet RECORD;
+    v_count INTEGER := 0;
+    v_total NUMERIC := 0;
+BEGIN
+    SELECT * INTO v_round
+    FROM public.crash_rounds
+    WHERE id = p_round_id
+    FOR UPDATE;
+
+    IF v_round IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Round not found');
+    END IF;
+
+    IF v_round.status IN ('crashed', 'cancelled') THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Round already settled');
+    END IF;
+
+    IF v_round.status <> 'waiting' AND NOT p_recovery THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Round has already started');
+    END IF;
+
+    FOR v_bet IN
+        SELECT * FROM public.crash_bets
+        WHERE round_id = p_round_id AND status = 'active'
+        FOR UPDATE
+    LOOP
+        UPDATE public.users
+        SET cash = cash + v_bet.amount, updated_at = NOW()
+        WHERE id = v_bet.user_id;
+
+        UPDATE public.crash_bets
+        SET status = 'refunded', profit = 0
+        WHERE id = v_bet.id;
+
+        v_count := v_count + 1;
+        v_total := v_total + v_bet.amount;
+    END LOOP;
+
+    -- A cancelled round reveals its seed like a crashed one
+    SELECT * INTO v_seed
+    FROM public.crash_round_seeds
+    WHERE round_id = p_round_id;
+
+    UPDATE public.crash_rounds
+    SET status = 'cancelled',
+        end_time = NOW(),
+        server_seed = COALESCE(v_seed.server_seed, server_seed),
+        crash_point = COALESCE(v_seed.crash_point, crash_point)
+    WHERE id = p_round_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'refunded', v_count,
+        'total', v_total
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION fn_refund_crash_round(uuid, boolean) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_refund_crash_round(uuid, boolean) TO service_role;
+
+-- ========================================
+-- PRE-COMMITTED HASH CHAIN
+-- Crash points come from a reverse SHA256 chain generated in advance
+-- (see backend/services/aviatorChain.js).  The terminating hash is
+-- published first; the salt is set once the announced public event
+-- (e.g. a future Bitcoin block) has happened, which activates the chain.
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS public.crash_hash_chains (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    seed TEXT NOT NULL,
+    terminating_hash TEXT NOT NULL UNIQUE,
+    length INTEGER NOT NULL CHECK (length > 0),
+    next_index INTEGER NOT NULL DEFAULT 0 CHECK (next_index >= 0),
+    salt TEXT,
+    salt_source TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    activated_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_crash_hash_chains_active ON public.crash_hash_chains(active) WHERE active;
+
+-- No policies: the chain seed determines every future crash point
+ALTER TABLE public.crash_hash_chains ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.crash_rounds ADD COLUMN IF NOT EXISTS chain_id UUID REFERENCES public.crash_hash_chains(id);
+ALTER TABLE public.crash_rounds ADD COLUMN IF NOT EXISTS chain_index INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_crash_rounds_chain ON public.crash_rounds(chain_id, chain_index) WHERE chain_id IS NOT NULL;
+
+-- Salt a committed chain and make it the active one
+CREATE OR REPLACE FUNCTION fn_activate_crash_chain(p_chain_id UUID, p_salt TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_chain RECORD;
+BEGIN
+    SELECT * INTO v_chain
+    FROM public.crash_hash_chains
+    WHERE id = p_chain_id
+    FOR UPDATE;
+
+    IF v_chain IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Chain not found');
+    END IF;
+
+    IF v_chain.salt IS NOT NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Chain salt is already set');
+    END IF;
+
+    IF p_salt IS NULL OR length(trim(p_salt)) = 0 THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Salt is required');
+    END IF;
+
+    UPDATE public.crash_hash_chains
+    SET active = FALSE
+    WHERE active;
+
+    UPDATE public.crash_hash_chains
+    SET salt = trim(p_salt), active = TRUE, activated_at = NOW()
+    WHERE id = p_chain_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'chain_id', p_chain_id,
+        'terminating_hash', v_chain.terminating_hash,
+        'salt', trim(p_salt)
+    );
+END;
+$$;
+
+-- Consume the next game hash index of the active chain
+CREATE OR REPLACE FUNCTION fn_claim_crash_chain_index()
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_chain RECORD;
+BEGIN
+    SELECT * INTO v_chain
+    FROM public.crash_hash_chains
+    WHERE active AND salt IS NOT NULL
+    FOR UPDATE;
+
+    IF v_chain IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'No active hash chain');
+    END IF;
+
+    IF v_chain.next_index >= v_chain.length THEN
+        UPDATE public.crash_hash_chains SET active = FALSE WHERE id = v_chain.id;
+        RETURN jsonb_build_object('success', false, 'error', 'Hash chain exhausted');
+    END IF;
+
+    UPDATE public.crash_hash_chains
+    SET next_index = next_index + 1
+    WHERE id = v_chain.id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'index', v_chain.next_index + 1,
+        'chain', jsonb_build_object(
+            'id', v_chain.id,
+            'terminating_hash', v_chain.terminating_hash,
+            'length', v_chain.length,
+            'salt', v_chain.salt
+        )
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION fn_activate_crash_chain(uuid, text) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION fn_claim_crash_chain_index() FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_activate_crash_chain(uuid, text) TO service_role;
+GRANT EXECUTE ON FUNCTION fn_claim_crash_chain_index() TO service_role;
+
+-- ========================================
+-- SERVER-SIDE AUTO-BET
+-- One row per user and bet slot.  The engine places a bet for every
+-- running row at the start of each round, so auto-bets keep going with
+-- the tab closed and survive restarts.
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS public.crash_autobets (
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    bet_number INTEGER NOT NULL CHECK (bet_number IN (1, 2)),
+    settings JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'stopped')),
+    current_stake NUMERIC NOT NULL CHECK (current_stake > 0),
+    rounds_played INTEGER NOT NULL DEFAULT 0,
+    wins INTEGER NOT NULL DEFAULT 0,
+    losses INTEGER NOT NULL DEFAULT 0,
+    wagered NUMERIC NOT NULL DEFAULT 0,
+    net_profit NUMERIC NOT NULL DEFAULT 0,
+    stop_reason TEXT,
+    last_round_id UUID REFERENCES public.crash_rounds(id) ON DELETE SET NULL,
+    started_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    PRIMARY KEY (user_id, bet_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_crash_autobets_running ON public.crash_autobets(status) WHERE status = 'running';
+
+-- No policies: auto-bets are managed through the backend
+ALTER TABLE public.crash_autobets ENABLE ROW LEVEL SECURITY;
+
+-- ========================================
+-- ROUND EXPLORER & STATISTICS
+-- Read-only views over settled rounds for the stats panel.
+-- ========================================
+
+CREATE INDEX IF NOT EXISTS idx_crash_cashouts_created ON public.crash_cashouts(created_at DESC);
+
+-- Paginated list of crashed rounds with every bet and its exits
+CREATE OR REPLACE FUNCTION fn_crash_round_explorer(
+    p_page INTEGER DEFAULT 1,
+    p_page_size INTEGER DEFAULT 20
+)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_total INTEGER;
+    v_rounds JSONB;
+BEGIN
+    p_page := GREATEST(COALESCE(p_page, 1), 1);
+    p_page_size := LEAST(GREATEST(COALESCE(p_page_size, 20), 1), 100);
+
+    SELECT COUNT(*) INTO v_total FROM public.crash_rounds WHERE status = 'crashed';
+
+    SELECT COALESCE(jsonb_agg(page.round ORDER BY page.created_at DESC), '[]'::jsonb)
+    INTO v_rounds
+    FROM (
+        SELECT r.created_at, jsonb_build_object(
+            'id', r.id,
+            'crash_point', r.crash_point,
+            'hash', r.hash,
+            'server_seed', r.server_seed,
+            'client_seed', r.client_seed,
+            'chain_index', r.chain_index,
+            'start_time', r.start_time,
+            'end_time', r.end_time,
+            'created_at', r.created_at,
+            'bets', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'id', b.id,
+                    'username', u.username,
+                    'bet_number', b.bet_number,
+                    'amount', b.amount,
+                    'cashout_multiplier', b.cashout_multiplier,
+                    'payout', b.payout,
+                    'profit', b.profit,
+                    'status', b.status,
+                    'exits', COALESCE((
+                        SELECT jsonb_agg(jsonb_build_object(
+                            'amount', c.amount,
+                            'multiplier', c.multiplier,
+                            'payout', c.payout
+                        ) ORDER BY c.created_at)
+                        FROM public.crash_cashouts c
+                        WHERE c.bet_id = b.id
+                    ), '[]'::jsonb)
+                ) ORDER BY b.payout DESC, b.amount DESC)
+                FROM public.crash_bets b
+                JOIN public.users u ON u.id = b.user_id
+                WHERE b.round_id = r.id
+            ), '[]'::jsonb)
+        ) AS round
+        FROM public.crash_rounds r
+        WHERE r.status = 'crashed'
+        ORDER BY r.created_at DESC
+        OFFSET (p_page - 1) * p_page_size
+        LIMIT p_page_size
+    ) page;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'page', p_page,
+        'page_size', p_page_size,
+        'total', v_total,
+        'rounds', v_rounds
+    );
+END;
+$$;
+
+-- Crash point histogram over the last p_rounds rounds.
+-- The last bucket (100x+) is open-ended.
+CREATE OR REPLACE FUNCTION fn_crash_distribution(p_rounds INTEGER DEFAULT 1000)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_edges NUMERIC[] := ARRAY[1, 1.2, 1.5, 2, 3, 5, 10, 20, 50, 100];
+    v_count INTEGER;
+    v_average NUMERIC;
+    v_median NUMERIC;
+    v_buckets JSONB;
+BEGIN
+    p_rounds := LEAST(GREATEST(COALESCE(p_rounds, 1000), 1), 10000);
+
+    WITH recent AS (
+        SELECT r.crash_point
+        FROM public.crash_rounds r
+        WHERE r.status = 'crashed'
+        ORDER BY r.created_at DESC
+        LIMIT p_rounds
+    ),
+    counts AS (
+        SELECT width_bucket(crash_point, v_edges) AS bucket, COUNT(*) AS n
+        FROM recent
+        GROUP BY 1
+    )
+    SELECT
+        (SELECT COUNT(*) FROM recent),
+        (SELECT ROUND(AVG(crash_point), 2) FROM recent),
+        (SELECT ROUND(percentile_cont(0.5) WITHIN GROUP (ORDER BY crash_point)::NUMERIC, 2) FROM recent),
+        (SELECT jsonb_agg(jsonb_build_object(
+                    'min', v_edges[i],
+                    'max', v_edges[i + 1],
+                    'count', COALESCE(c.n, 0)
+                ) ORDER BY i)
+           FROM generate_series(1, array_length(v_edges, 1)) AS i
+           LEFT JOIN counts c ON c.bucket = i)
+    INTO v_count, v_average, v_median, v_buckets;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'rounds', v_count,
+        'average', v_average,
+        'median', v_median,
+        'buckets', v_buckets
+    );
+END;
+$$;
+
+-- Longest runs of consecutive rounds below / at-or-above p_threshold
+-- within the last p_rounds rounds, plus the run currently in progress
+CREATE OR REPLACE FUNCTION fn_crash_streaks(
+    p_threshold NUMERIC DEFAULT 2,
+    p_rounds INTEGER DEFAULT 1000
+)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_count INTEGER;
+    v_below JSONB;
+    v_above JSONB;
+    v_current JSONB;
+BEGIN
+    IF p_threshold IS NULL OR p_threshold <= 1 THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Threshold must be above 1.00x');
+    END IF;
+
+    p_rounds := LEAST(GREATEST(COALESCE(p_rounds, 1000), 1), 10000);
+
+    WITH recent AS (
+        SELECT r.created_at, r.crash_point >= p_threshold AS above
+        FROM public.crash_rounds r
+        WHERE r.status = 'crashed'
+        ORDER BY r.created_at DESC
+        LIMIT p_rounds
+    ),
+    grouped AS (
+        -- Gaps and islands: the difference is constant within a run
+        SELECT above,
+               created_at,
+               ROW_NUMBER() OVER (ORDER BY created_at)
+                 - ROW_NUMBER() OVER (PARTITION BY above ORDER BY created_at) AS grp
+        FROM recent
+    ),
+    runs AS (
+        SELECT above, COUNT(*) AS length, MIN(created_at) AS started_at, MAX(created_at) AS ended_at
+        FROM grouped
+        GROUP BY above, grp
+    )
+    SELECT
+        (SELECT COUNT(*) FROM recent),
+        (SELECT jsonb_build_object('length', length, 'from', started_at, 'to', ended_at)
+           FROM runs WHERE NOT above ORDER BY length DESC, ended_at DESC LIMIT 1),
+        (SELECT jsonb_build_object('length', length, 'from', started_at, 'to', ended_at)
+           FROM runs WHERE above ORDER BY length DESC, ended_at DESC LIMIT 1),
+        (SELECT jsonb_build_object('side', CASE WHEN above THEN 'above' ELSE 'below' END, 'length', length)
+           FROM runs ORDER BY ended_at DESC LIMIT 1)
+    INTO v_count, v_below, v_above, v_current;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'threshold', p_threshold,
+        'rounds', v_count,
+        'below', v_below,
+        'above', v_above,
+        'current', v_current
+    );
+END;
+$$;
+
+-- Lifetime Aviator results for one user (settled bets only)
+CREATE OR REPLACE FUNCTION fn_crash_user_stats(p_user_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_stats RECORD;
+BEGIN
+    SELECT COUNT(*) AS bets,
+           COUNT(DISTINCT round_id) AS rounds,
+           COUNT(*) FILTER (WHERE profit > 0) AS wins,
+           COUNT(*) FILTER (WHERE profit <= 0) AS losses,
+           COALESCE(SUM(amount), 0) AS wagered,
+           COALESCE(SUM(payout), 0) AS payout,
+           COALESCE(SUM(profit), 0) AS profit,
+           MAX(cashout_multiplier) AS best_multiplier,
+           GREATEST(COALESCE(MAX(profit), 0), 0) AS biggest_win
+    INTO v_stats
+    FROM public.crash_bets
+    WHERE user_id = p_user_id
+      AND status IN ('cashed_out', 'lost');
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'bets', v_stats.bets,
+        'rounds', v_stats.rounds,
+        'wins', v_stats.wins,
+        'losses', v_stats.losses,
+        'wagered', v_stats.wagered,
+        'payout', v_stats.payout,
+        'profit', v_stats.profit,
+        'roi', CASE WHEN v_stats.wagered > 0
+                    THEN ROUND(v_stats.profit / v_stats.wagered * 100, 2) END,
+        'best_multiplier', v_stats.best_multiplier,
+        'biggest_win', v_stats.biggest_win
+    );
+END;
+$$;
+
+-- Players ranked by ROI since p_since (needs p_min_bets settled bets)
+CREATE OR REPLACE FUNCTION fn_crash_roi_leaderboard(
+    p_since TIMESTAMPTZ DEFAULT NULL,
+    p_min_bets INTEGER DEFAULT 20,
+    p_limit INTEGER DEFAULT 10
+)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_players JSONB;
+BEGIN
+    p_limit := LEAST(GREATEST(COALESCE(p_limit, 10), 1), 50);
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'username', t.username,
+        'bets', t.bets,
+        'wagered', t.wagered,
+        'profit', t.profit,
+        'roi', t.roi
+    ) ORDER BY t.roi DESC, t.wagered DESC), '[]'::jsonb)
+    INTO v_players
+    FROM (
+        SELECT u.username,
+               COUNT(*) AS bets,
+               SUM(b.amount) AS wagered,
+               SUM(b.profit) AS profit,
+               ROUND(SUM(b.profit) / SUM(b.amount) * 100, 2) AS roi
+        FROM public.crash_bets b
+        JOIN public.users u ON u.id = b.user_id
+        WHERE b.status IN ('cashed_out', 'lost')
+          AND (p_since IS NULL OR b.created_at >= p_since)
+        GROUP BY u.id, u.username
+        HAVING COUNT(*) >= COALESCE(p_min_bets, 1)
+        ORDER BY roi DESC, wagered DESC
+        LIMIT p_limit
+    ) t;
+
+    RETURN jsonb_build_object('success', true, 'players', v_players);
+END;
+$$;
+
+-- Highest-multiplier cash-outs since p_since (each partial exit counts)
+CREATE OR REPLACE FUNCTION fn_crash_top_cashouts(
+    p_since TIMESTAMPTZ,
+    p_limit INTEGER DEFAULT 10
+)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_cashouts JSONB;
+BEGIN
+    p_limit := LEAST(GREATEST(COALESCE(p_limit, 10), 1), 50);
+
+    SELECT COALESCE(jsonb_agg(t.cashout ORDER BY t.multiplier DESC, t.payout DESC), '[]'::jsonb)
+    INTO v_cashouts
+    FROM (
+        SELECT c.multiplier, c.payout, jsonb_build_object(
+            'round_id', c.round_id,
+            'username', u.username,
+            'amount', c.amount,
+            'multiplier', c.multiplier,
+            'payout', c.payout,
+            'crash_point', r.crash_point,
+            'created_at', c.created_at
+        ) AS cashout
+        FROM public.crash_cashouts c
+        JOIN public.users u ON u.id = c.user_id
+        JOIN public.crash_rounds r ON r.id = c.round_id
+        WHERE c.created_at >= p_since
+        ORDER BY c.multiplier DESC, c.payout DESC
+        LIMIT p_limit
+    ) t;
+
+    RETURN jsonb_build_object('success', true, 'cashouts', v_cashouts);
+END;
+$$;
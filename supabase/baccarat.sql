@@ -4,35 +4,71 @@
 -- ========================================
 
 -- Drop existing functions if they exist
+-- fn_baccarat_settle_sp trusted a client-computed profit; dealing and payouts
+-- now happen in the backend (routes/baccarat.js) and settle via fn_baccarat_settle
 DROP FUNCTION IF EXISTS fn_baccarat_settle_sp(uuid, numeric, numeric, numeric, text, jsonb);
+DROP FUNCTION IF EXISTS fn_baccarat_settle(uuid, text, jsonb, jsonb, numeric, numeric);
 
 -- ========================================
--- SINGLEPLAYER LAZY-SYNC RPC
--- Called ONCE after round completes locally
+-- BACCARAT ROUNDS TABLE
+-- One row per dealt hand (audit trail of the server shoe)
 -- ========================================
 
-CREATE OR REPLACE FUNCTION fn_baccarat_settle_sp(
+CREATE TABLE IF NOT EXISTS public.baccarat_rounds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    table_id TEXT NOT NULL,
+    shoe_id TEXT NOT NULL,
+    hand_number INTEGER NOT NULL,
+    player_cards JSONB NOT NULL,
+    banker_cards JSONB NOT NULL,
+    player_score INTEGER NOT NULL,
+    banker_score INTEGER NOT NULL,
+    winner TEXT NOT NULL CHECK (winner IN ('player', 'banker', 'tie')),
+    bets JSONB NOT NULL,
+    total_bet NUMERIC NOT NULL CHECK (total_bet > 0),
+    total_payout NUMERIC NOT NULL CHECK (total_payout >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_baccarat_rounds_user ON public.baccarat_rounds(user_id, created_at DESC);
+
+ALTER TABLE public.baccarat_rounds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own baccarat rounds" ON public.baccarat_rounds
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ========================================
+-- SINGLEPLAYER SETTLEMENT RPC (ATOMIC)
+-- Called by the backend after it deals from its shoe.
+-- Debits the stake, credits the payout and records the round
+-- in one transaction. Service role only.
+-- ========================================
+
+CREATE OR REPLACE FUNCTION fn_baccarat_settle(
     p_user_id UUID,
+    p_table_id TEXT,
+    p_bets JSONB,
+    p_round JSONB,
     p_total_bet NUMERIC,
-    p_total_payout NUMERIC,
-    p_total_profit NUMERIC,
-    p_winner TEXT,
-    p_game_data JSONB DEFAULT '{}'::jsonb
+    p_total_payout NUMERIC
 ) RETURNS JSONB
 LANGUAGE plpgsql SECURITY DEFINER
 AS $$
 DECLARE
     v_current_cash NUMERIC;
     v_new_cash NUMERIC;
-    v_transaction_type TEXT;
-    v_description TEXT;
+    v_profit NUMERIC;
+    v_winner TEXT;
+    v_round_id UUID;
 BEGIN
     -- Validate inputs
-    IF p_total_bet < 0 THEN
+    IF p_total_bet <= 0 OR p_total_payout < 0 THEN
         RETURN jsonb_build_object('success', false, 'error', 'Invalid bet amount');
     END IF;
 
-    IF p_winner NOT IN ('player', 'banker', 'tie') THEN
+    v_winner := p_round->>'winner';
+    IF v_winner NOT IN ('player', 'banker', 'tie') THEN
         RETURN jsonb_build_object('success', false, 'error', 'Invalid winner');
     END IF;
 
@@ -46,68 +82,64 @@ BEGIN
         RETURN jsonb_build_object('success', false, 'error', 'User not found');
     END IF;
 
-    -- The client already calculated the result
-    -- We just need to apply the net change to balance
-    -- profit can be negative (loss), zero (push), or positive (win)
-    
-    v_new_cash := v_current_cash + p_total_profit;
-    
-    -- Ensure balance doesn't go negative (shouldn't happen if client validated)
-    IF v_new_cash < 0 THEN
+    -- Stake must be covered before the hand counts
+    IF v_current_cash < p_total_bet THEN
         RETURN jsonb_build_object('success', false, 'error', 'Insufficient balance');
     END IF;
 
-    -- Update user balance
-    UPDATE public.users 
+    v_profit := p_total_payout - p_total_bet;
+    v_new_cash := v_current_cash + v_profit;
+
+    UPDATE public.users
     SET cash = v_new_cash, updated_at = NOW()
     WHERE id = p_user_id;
 
-    -- Determine transaction type and description
-    IF p_total_profit > 0 THEN
-        v_transaction_type := 'win';
-        v_description := format('Baccarat win - %s won, profit $%s', 
-                               UPPER(p_winner), p_total_profit);
-    ELSIF p_total_profit < 0 THEN
-        v_transaction_type := 'loss';
-        v_description := format('Baccarat loss - %s won, lost $%s', 
-                               UPPER(p_winner), ABS(p_total_profit));
-    ELSE
-        -- Push (tie with player/banker bet)
-        v_transaction_type := 'bet';
-        v_description := format('Baccarat push - TIE, bets returned');
-    END IF;
+    -- Record the round
+    INSERT INTO public.baccarat_rounds (
+        user_id, table_id, shoe_id, hand_number,
+        player_cards, banker_cards, player_score, banker_score,
+        winner, bets, total_bet, total_payout
+    ) VALUES (
+        p_user_id, p_table_id, p_round->>'shoeId', (p_round->>'handNumber')::INTEGER,
+        p_round->'playerCards', p_round->'bankerCards',
+        (p_round->>'playerScore')::INTEGER, (p_round->>'bankerScore')::INTEGER,
+        v_winner, p_bets, p_total_bet, p_total_payout
+    )
+    RETURNING id INTO v_round_id;
 
     -- Record transaction (only if there was actual money movement)
-    IF p_total_profit != 0 THEN
+    IF v_profit != 0 THEN
         INSERT INTO public.transactions (user_id, type, amount, balance_after, description, metadata)
         VALUES (
-            p_user_id, 
-            v_transaction_type, 
-            ABS(p_total_profit), 
+            p_user_id,
+            CASE WHEN v_profit > 0 THEN 'win' ELSE 'loss' END,
+            ABS(v_profit),
             v_new_cash,
-            v_description,
+            CASE WHEN v_profit > 0
+                THEN format('Baccarat win - %s won, profit $%s', UPPER(v_winner), v_profit)
+                ELSE format('Baccarat loss - %s won, lost $%s', UPPER(v_winner), ABS(v_profit))
+            END,
             jsonb_build_object(
-                'game', 'baccarat_sp',
-                'winner', p_winner,
+                'game', 'baccarat',
+                'round_id', v_round_id,
+                'winner', v_winner,
                 'total_bet', p_total_bet,
                 'total_payout', p_total_payout,
-                'profit', p_total_profit,
-                'bets', p_game_data->'bets',
-                'player_score', p_game_data->'playerScore',
-                'banker_score', p_game_data->'bankerScore'
+                'profit', v_profit,
+                'bets', p_bets,
+                'player_score', p_round->'playerScore',
+                'banker_score', p_round->'bankerScore'
             )
         );
 
-        -- Update game stats
-        PERFORM update_game_stats(p_user_id, p_total_profit > 0);
+        PERFORM update_game_stats(p_user_id, v_profit > 0);
     END IF;
 
-    -- Return result
     RETURN jsonb_build_object(
         'success', true,
+        'roundId', v_round_id,
         'newBalance', v_new_cash,
-        'profit', p_total_profit,
-        'transactionType', v_transaction_type
+        'profit', v_profit
     );
 
 EXCEPTION
@@ -116,9 +148,9 @@ EXCEPTION
 END;
 $$;
 
--- Grant execute permission
-GRANT EXECUTE ON FUNCTION fn_baccarat_settle_sp(uuid, numeric, numeric, numeric, text, jsonb) TO authenticated;
-GRANT EXECUTE ON FUNCTION fn_baccarat_settle_sp(uuid, numeric, numeric, numeric, text, jsonb) TO service_role;
+-- Backend only - clients must not be able to settle their own rounds
+REVOKE EXECUTE ON FUNCTION fn_baccarat_settle(uuid, text, jsonb, jsonb, numeric, numeric) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_baccarat_settle(uuid, text, jsonb, jsonb, numeric, numeric) TO service_role;
 
 -- ========================================
 -- MULTIPLAYER ROOM MANAGEMENT (Optional)
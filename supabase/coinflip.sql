@@ -1,10 +1,11 @@
 -- ========================================
 -- COINFLIP GAME SCHEMA FOR SUPABASE
--- Single-Player (Player vs House)
--- Run this in Supabase SQL Editor
+-- Pool rooms and PvP challenges
+-- Run this in Supabase SQL Editor (after fairness.sql)
 -- ========================================
 
--- Drop existing PvP functions and table (cleanup)
+-- Drop the old room functions and table, and the retired solo
+-- player vs house flip, which bypassed the seeded pool rounds
 DROP FUNCTION IF EXISTS create_coinflip_room(uuid, numeric, text);
 DROP FUNCTION IF EXISTS join_coinflip_battle(uuid, uuid);
 DROP FUNCTION IF EXISTS cancel_coinflip_room(uuid, uuid);
@@ -12,41 +13,450 @@ DROP FUNCTION IF EXISTS fn_flip_coin(uuid, numeric, text);
 DROP TABLE IF EXISTS public.coinflip_rooms;
 
 -- ========================================
--- SINGLE-PLAYER COIN FLIP RPC
--- Player vs House with 1.98x payout (1% house edge)
+-- POOL ROUNDS (/coinflip socket namespace)
+-- Players bet heads or tails into a shared pot; the winning side splits
+-- the pot minus the house edge pro rata.  Bets and settlement each run in
+-- one transaction that locks the round row, so a bet can't land after
+-- betting closes and a settlement is never half paid.
 -- ========================================
 
-CREATE OR REPLACE FUNCTION fn_flip_coin(
+-- Rooms run independent round loops.  Private rooms are only reachable
+-- through their join code.
+CREATE TABLE IF NOT EXISTS public.coinflip_pool_rooms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    min_bet NUMERIC NOT NULL DEFAULT 1 CHECK (min_bet > 0),
+    max_bet NUMERIC NOT NULL DEFAULT 10000,
+    betting_time INTEGER NOT NULL DEFAULT 15 CHECK (betting_time BETWEEN 5 AND 120),
+    house_edge NUMERIC NOT NULL DEFAULT 0.05 CHECK (house_edge >= 0 AND house_edge < 0.5),
+    is_private BOOLEAN NOT NULL DEFAULT false,
+    join_code TEXT UNIQUE,
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    closed_at TIMESTAMPTZ,
+    CONSTRAINT coinflip_pool_rooms_bet_range CHECK (max_bet >= min_bet),
+    CONSTRAINT coinflip_pool_rooms_private_code CHECK (NOT is_private OR join_code IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_coinflip_pool_rooms_status ON public.coinflip_pool_rooms(status);
+
+-- The house room that is always open
+INSERT INTO public.coinflip_pool_rooms (name)
+SELECT 'Main Room'
+WHERE NOT EXISTS (SELECT 1 FROM public.coinflip_pool_rooms WHERE created_by IS NULL AND NOT is_private);
+
+CREATE TABLE IF NOT EXISTS public.coinflip_pool_rounds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    room_id UUID REFERENCES public.coinflip_pool_rooms(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'betting' CHECK (status IN ('betting', 'settled', 'refunded')),
+    outcome TEXT CHECK (outcome IN ('heads', 'tails')),
+    house_edge NUMERIC NOT NULL DEFAULT 0.05 CHECK (house_edge >= 0 AND house_edge < 1),
+    heads_total NUMERIC NOT NULL DEFAULT 0,
+    tails_total NUMERIC NOT NULL DEFAULT 0,
+    total_pot NUMERIC NOT NULL DEFAULT 0,
+    house_take NUMERIC NOT NULL DEFAULT 0,
+    refund_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    settled_at TIMESTAMPTZ
+);
+
+-- Existing installs: rounds from before rooms have no room
+ALTER TABLE public.coinflip_pool_rounds ADD COLUMN IF NOT EXISTS room_id UUID REFERENCES public.coinflip_pool_rooms(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_coinflip_pool_rounds_status ON public.coinflip_pool_rounds(status);
+CREATE INDEX IF NOT EXISTS idx_coinflip_pool_rounds_room ON public.coinflip_pool_rounds(room_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.coinflip_pool_bets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    round_id UUID NOT NULL REFERENCES public.coinflip_pool_rounds(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    side TEXT NOT NULL CHECK (side IN ('heads', 'tails')),
+    amount NUMERIC NOT NULL CHECK (amount > 0),
+    payout NUMERIC NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'won', 'lost', 'refunded')),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_coinflip_pool_bets_round ON public.coinflip_pool_bets(round_id);
+CREATE INDEX IF NOT EXISTS idx_coinflip_pool_bets_user ON public.coinflip_pool_bets(user_id);
+
+ALTER TABLE public.coinflip_pool_rooms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.coinflip_pool_rounds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.coinflip_pool_bets ENABLE ROW LEVEL SECURITY;
+
+-- Public rooms are listed to everyone; private rooms (and their join
+-- codes) only through the backend
+CREATE POLICY "Anyone can view public coinflip rooms" ON public.coinflip_pool_rooms
+    FOR SELECT USING (NOT is_private);
+
+-- Rounds and bets are public (live pot); writes go through the RPCs below
+CREATE POLICY "Anyone can view coinflip pool rounds" ON public.coinflip_pool_rounds
+    FOR SELECT USING (true);
+
+CREATE POLICY "Anyone can view coinflip pool bets" ON public.coinflip_pool_bets
+    FOR SELECT USING (true);
+
+-- Place a bet while the round is still open
+CREATE OR REPLACE FUNCTION fn_coinflip_pool_bet(
+    p_round_id UUID,
     p_user_id UUID,
-    p_bet_amount NUMERIC,
-    p_chosen_side TEXT
+    p_side TEXT,
+    p_amount NUMERIC
 ) RETURNS JSONB
 LANGUAGE plpgsql SECURITY DEFINER
 AS $$
 DECLARE
-    v_current_cash NUMERIC;
-    v_new_cash NUMERIC;
+    v_round RECORD;
+    v_min_bet NUMERIC;
+    v_max_bet NUMERIC;
+    v_cash NUMERIC;
     v_username TEXT;
-    v_flip_result TEXT;
-    v_won BOOLEAN;
-    v_payout_multiplier NUMERIC := 1.98; -- 1% house edge
-    v_payout NUMERIC := 0;
+    v_bet_id UUID;
 BEGIN
-    -- Validate inputs
-    IF p_bet_amount < 10 THEN
+    IF p_side NOT IN ('heads', 'tails') THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Side must be heads or tails');
+    END IF;
+
+    p_amount := ROUND(p_amount, 2);
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Invalid amount');
+    END IF;
+
+    -- Settlement takes the same lock, so the status check below holds
+    -- until this bet commits
+    SELECT * INTO v_round
+    FROM public.coinflip_pool_rounds
+    WHERE id = p_round_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Round not found');
+    END IF;
+
+    IF v_round.status <> 'betting' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Betting is closed for this round');
+    END IF;
+
+    SELECT min_bet, max_bet INTO v_min_bet, v_max_bet
+    FROM public.coinflip_pool_rooms
+    WHERE id = v_round.room_id;
+
+    IF p_amount < v_min_bet THEN
+        RETURN jsonb_build_object('success', false, 'error', format('Minimum bet is $%s', v_min_bet));
+    END IF;
+
+    IF p_amount > v_max_bet THEN
+        RETURN jsonb_build_object('success', false, 'error', format('Maximum bet is $%s', v_max_bet));
+    END IF;
+
+    SELECT cash, username INTO v_cash, v_username
+    FROM public.users
+    WHERE id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'error', 'User not found');
+    END IF;
+
+    IF v_cash < p_amount THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Insufficient balance');
+    END IF;
+
+    v_cash := v_cash - p_amount;
+
+    UPDATE public.users
+    SET cash = v_cash, updated_at = NOW()
+    WHERE id = p_user_id;
+
+    INSERT INTO public.transactions (user_id, type, amount, balance_after, description, metadata)
+    VALUES (p_user_id, 'bet', p_amount, v_cash,
+            format('CoinFlip pool bet on %s', p_side),
+            jsonb_build_object('game', 'coinflip', 'round_id', p_round_id, 'side', p_side));
+
+    INSERT INTO public.coinflip_pool_bets (round_id, user_id, side, amount)
+    VALUES (p_round_id, p_user_id, p_side, p_amount)
+    RETURNING id INTO v_bet_id;
+
+    UPDATE public.coinflip_pool_rounds
+    SET heads_total = heads_total + CASE WHEN p_side = 'heads' THEN p_amount ELSE 0 END,
+        tails_total = tails_total + CASE WHEN p_side = 'tails' THEN p_amount ELSE 0 END,
+        total_pot = total_pot + p_amount
+    WHERE id = p_round_id
+    RETURNING * INTO v_round;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'bet_id', v_bet_id,
+        'username', v_username,
+        'side', p_side,
+        'amount', p_amount,
+        'new_balance', v_cash,
+        'heads_total', v_round.heads_total,
+        'tails_total', v_round.tails_total,
+        'total_pot', v_round.total_pot
+    );
+END;
+$$;
+
+-- Return every stake of an open round (one-sided pot, or a round left
+-- open by a backend restart)
+CREATE OR REPLACE FUNCTION fn_coinflip_pool_refund(
+    p_round_id UUID,
+    p_reason TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_round RECORD;
+    v_bet RECORD;
+    v_cash NUMERIC;
+    v_refunds JSONB := '[]'::jsonb;
+BEGIN
+    SELECT * INTO v_round
+    FROM public.coinflip_pool_rounds
+    WHERE id = p_round_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Round not found');
+    END IF;
+
+    IF v_round.status <> 'betting' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Round is already settled');
+    END IF;
+
+    FOR v_bet IN
+        UPDATE public.coinflip_pool_bets
+        SET status = 'refunded', payout = amount
+        WHERE round_id = p_round_id AND status = 'active'
+        RETURNING *
+    LOOP
+        UPDATE public.users
+        SET cash = cash + v_bet.amount, updated_at = NOW()
+        WHERE id = v_bet.user_id
+        RETURNING cash INTO v_cash;
+
+        INSERT INTO public.transactions (user_id, type, amount, balance_after, description, metadata)
+        VALUES (v_bet.user_id, 'credit', v_bet.amount, v_cash,
+                'CoinFlip pool refund',
+                jsonb_build_object('game', 'coinflip', 'round_id', p_round_id, 'refund', true, 'reason', p_reason));
+
+        v_refunds := v_refunds || jsonb_build_object('user_id', v_bet.user_id, 'amount', v_bet.amount);
+    END LOOP;
+
+    UPDATE public.coinflip_pool_rounds
+    SET status = 'refunded', refund_reason = p_reason, settled_at = NOW()
+    WHERE id = p_round_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'refunded', true,
+        'reason', p_reason,
+        'refunds', v_refunds
+    );
+END;
+$$;
+
+-- Close betting, flip and pay the round in one transaction.  A pot with
+-- bets on only one side has no losers and is refunded instead.
+CREATE OR REPLACE FUNCTION fn_coinflip_pool_settle(p_round_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_round RECORD;
+    v_bet RECORD;
+    v_outcome TEXT;
+    v_winning_total NUMERIC;
+    v_distributable NUMERIC;
+    v_payout NUMERIC;
+    v_paid NUMERIC := 0;
+    v_cash NUMERIC;
+    v_winners JSONB := '[]'::jsonb;
+BEGIN
+    SELECT * INTO v_round
+    FROM public.coinflip_pool_rounds
+    WHERE id = p_round_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Round not found');
+    END IF;
+
+    IF v_round.status <> 'betting' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Round is already settled');
+    END IF;
+
+    IF v_round.heads_total = 0 OR v_round.tails_total = 0 THEN
+        RETURN fn_coinflip_pool_refund(p_round_id,
+            CASE WHEN v_round.total_pot = 0 THEN 'No bets' ELSE 'Only one side was bet' END);
+    END IF;
+
+    -- FLIP THE COIN (server-side RNG)
+    v_outcome := CASE WHEN random() < 0.5 THEN 'heads' ELSE 'tails' END;
+    v_winning_total := CASE WHEN v_outcome = 'heads' THEN v_round.heads_total ELSE v_round.tails_total END;
+    v_distributable := v_round.total_pot * (1 - v_round.house_edge);
+
+    FOR v_bet IN
+        SELECT * FROM public.coinflip_pool_bets
+        WHERE round_id = p_round_id AND status = 'active'
+        ORDER BY created_at
+    LOOP
+        IF v_bet.side = v_outcome THEN
+            v_payout := FLOOR(v_bet.amount / v_winning_total * v_distributable * 100) / 100;
+            v_paid := v_paid + v_payout;
+
+            UPDATE public.coinflip_pool_bets
+            SET status = 'won', payout = v_payout
+            WHERE id = v_bet.id;
+
+            UPDATE public.users
+            SET cash = cash + v_payout, updated_at = NOW()
+            WHERE id = v_bet.user_id
+            RETURNING cash INTO v_cash;
+
+            INSERT INTO public.transactions (user_id, type, amount, balance_after, description, metadata)
+            VALUES (v_bet.user_id, 'win', v_payout, v_cash,
+                    format('CoinFlip pool win (%s)', v_outcome),
+                    jsonb_build_object('game', 'coinflip', 'round_id', p_round_id, 'result', v_outcome));
+
+            v_winners := v_winners || jsonb_build_object('user_id', v_bet.user_id, 'amount', v_payout);
+        ELSE
+            UPDATE public.coinflip_pool_bets
+            SET status = 'lost'
+            WHERE id = v_bet.id;
+        END IF;
+
+        PERFORM update_game_stats(v_bet.user_id, v_bet.side = v_outcome);
+    END LOOP;
+
+    UPDATE public.coinflip_pool_rounds
+    SET status = 'settled',
+        outcome = v_outcome,
+        house_take = total_pot - v_paid,
+        settled_at = NOW()
+    WHERE id = p_round_id;
+
+    INSERT INTO public.game_sessions (game_type, room_id, players, status, result, bets, ended_at)
+    SELECT 'coinflip',
+           p_round_id::TEXT,
+           COALESCE(jsonb_agg(DISTINCT jsonb_build_object('userId', u.id, 'username', u.username)), '[]'::jsonb),
+           'completed',
+           jsonb_build_object('outcome', v_outcome, 'totalPot', v_round.total_pot, 'houseTake', v_round.total_pot - v_paid),
+           COALESCE(jsonb_agg(jsonb_build_object('userId', b.user_id, 'side', b.side, 'amount', b.amount, 'payout', b.payout)), '[]'::jsonb),
+           NOW()
+    FROM public.coinflip_pool_bets b
+    JOIN public.users u ON u.id = b.user_id
+    WHERE b.round_id = p_round_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'refunded', false,
+        'outcome', v_outcome,
+        'total_pot', v_round.total_pot,
+        'house_take', v_round.total_pot - v_paid,
+        'winners', v_winners
+    );
+END;
+$$;
+
+-- Server-only: these take the user id from the caller
+REVOKE EXECUTE ON FUNCTION fn_coinflip_pool_bet(UUID, UUID, TEXT, NUMERIC) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION fn_coinflip_pool_refund(UUID, TEXT) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION fn_coinflip_pool_settle(UUID) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_coinflip_pool_bet(UUID, UUID, TEXT, NUMERIC) TO service_role;
+GRANT EXECUTE ON FUNCTION fn_coinflip_pool_refund(UUID, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION fn_coinflip_pool_settle(UUID) TO service_role;
+
+-- ========================================
+-- PVP CHALLENGES
+-- A player posts a stake on a side, an opponent matches it and takes the
+-- other side.  Both stakes sit in escrow on the challenge until the flip;
+-- the winner gets the pot minus the rake.  Challenges nobody accepts
+-- expire and are refunded.
+--
+-- Provably fair: the server seed is drawn when the challenge is created
+-- and only its SHA256 is shown.  The flip is
+--   fn_fair_floats(server_seed, creator_seed:opponent_seed, 0, 1)[1] < 0.5 → heads
+-- and the opponent's seed is only known at accept time, so nobody can
+-- steer the result.  Needs fairness.sql (pgcrypto, fn_fair_floats).
+-- Mirrored in frontend/src/lib/fairness.js
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS public.coinflip_challenges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    creator_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    creator_username TEXT NOT NULL,
+    creator_side TEXT NOT NULL CHECK (creator_side IN ('heads', 'tails')),
+    amount NUMERIC NOT NULL CHECK (amount > 0),          -- Stake per player
+    opponent_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    opponent_username TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'finished', 'cancelled', 'expired')),
+    escrow NUMERIC NOT NULL DEFAULT 0,                   -- Stakes held until the flip or refund
+    rake NUMERIC NOT NULL DEFAULT 0.01 CHECK (rake >= 0 AND rake < 1),
+    server_seed_hash TEXT NOT NULL,
+    server_seed TEXT,                                    -- Revealed once finished
+    creator_seed TEXT NOT NULL,
+    opponent_seed TEXT,
+    outcome TEXT CHECK (outcome IN ('heads', 'tails')),
+    winner_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    payout NUMERIC NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_coinflip_challenges_open ON public.coinflip_challenges(expires_at) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_coinflip_challenges_creator ON public.coinflip_challenges(creator_id, created_at DESC);
+
+-- Unrevealed server seeds live apart so the challenges table can be public
+CREATE TABLE IF NOT EXISTS public.coinflip_challenge_seeds (
+    challenge_id UUID PRIMARY KEY REFERENCES public.coinflip_challenges(id) ON DELETE CASCADE,
+    server_seed TEXT NOT NULL
+);
+
+ALTER TABLE public.coinflip_challenges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.coinflip_challenge_seeds ENABLE ROW LEVEL SECURITY;
+
+-- Challenges are public (lobby + realtime); seeds have no policies
+CREATE POLICY "Anyone can view coinflip challenges" ON public.coinflip_challenges
+    FOR SELECT USING (true);
+
+-- Enable realtime for the lobby and battle page
+ALTER PUBLICATION supabase_realtime ADD TABLE public.coinflip_challenges;
+
+-- Post a challenge and move the stake into escrow
+CREATE OR REPLACE FUNCTION fn_coinflip_create_challenge(
+    p_user_id UUID,
+    p_amount NUMERIC,
+    p_side TEXT,
+    p_client_seed TEXT DEFAULT NULL,
+    p_expires_in INTEGER DEFAULT 600     -- seconds
+) RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_cash NUMERIC;
+    v_username TEXT;
+    v_server_seed TEXT;
+    v_challenge public.coinflip_challenges;
+BEGIN
+    p_amount := ROUND(p_amount, 2);
+
+    IF p_amount IS NULL OR p_amount < 10 THEN
         RETURN jsonb_build_object('success', false, 'error', 'Minimum bet is $10');
     END IF;
 
-    IF p_bet_amount > 10000 THEN
+    IF p_amount > 10000 THEN
         RETURN jsonb_build_object('success', false, 'error', 'Maximum bet is $10,000');
     END IF;
 
-    IF p_chosen_side NOT IN ('heads', 'tails') THEN
+    IF p_side NOT IN ('heads', 'tails') THEN
         RETURN jsonb_build_object('success', false, 'error', 'Side must be heads or tails');
     END IF;
 
-    -- Lock user row and get current balance
-    SELECT cash, username INTO v_current_cash, v_username
+    SELECT cash, username INTO v_cash, v_username
     FROM public.users
     WHERE id = p_user_id
     FOR UPDATE;
@@ -55,70 +465,236 @@ BEGIN
         RETURN jsonb_build_object('success', false, 'error', 'User not found');
     END IF;
 
-    IF v_current_cash < p_bet_amount THEN
+    IF v_cash < p_amount THEN
         RETURN jsonb_build_object('success', false, 'error', 'Insufficient balance');
     END IF;
 
-    -- Deduct bet from user
-    v_new_cash := v_current_cash - p_bet_amount;
-    
-    UPDATE public.users 
-    SET cash = v_new_cash, updated_at = NOW()
+    v_cash := v_cash - p_amount;
+
+    UPDATE public.users
+    SET cash = v_cash, updated_at = NOW()
     WHERE id = p_user_id;
 
-    -- Record bet transaction
+    v_server_seed := encode(gen_random_bytes(32), 'hex');
+
+    INSERT INTO public.coinflip_challenges (
+        creator_id, creator_username, creator_side, amount, escrow,
+        server_seed_hash, creator_seed, expires_at
+    ) VALUES (
+        p_user_id, v_username, p_side, p_amount, p_amount,
+        encode(digest(v_server_seed, 'sha256'), 'hex'),
+        COALESCE(NULLIF(TRIM(p_client_seed), ''), encode(gen_random_bytes(8), 'hex')),
+        NOW() + make_interval(secs => GREATEST(COALESCE(p_expires_in, 600), 60))
+    )
+    RETURNING * INTO v_challenge;
+
+    INSERT INTO public.coinflip_challenge_seeds (challenge_id, server_seed)
+    VALUES (v_challenge.id, v_server_seed);
+
     INSERT INTO public.transactions (user_id, type, amount, balance_after, description, metadata)
-    VALUES (p_user_id, 'bet', p_bet_amount, v_new_cash,
-            format('Coin flip bet on %s', p_chosen_side),
-            jsonb_build_object('game', 'coinflip', 'side', p_chosen_side));
+    VALUES (p_user_id, 'bet', p_amount, v_cash,
+            format('CoinFlip challenge on %s', p_side),
+            jsonb_build_object('game', 'coinflip', 'challenge_id', v_challenge.id, 'side', p_side, 'escrow', true));
 
-    -- FLIP THE COIN (server-side RNG)
-    v_flip_result := CASE WHEN random() < 0.5 THEN 'heads' ELSE 'tails' END;
-    
-    -- Check if user won
-    v_won := (v_flip_result = p_chosen_side);
+    RETURN jsonb_build_object(
+        'success', true,
+        'challenge', to_jsonb(v_challenge),
+        'new_balance', v_cash
+    );
+END;
+$$;
+
+-- Return the escrowed stake of an open challenge to its creator.
+-- Called for cancellations (p_user_id = creator) and expiry (p_user_id NULL).
+CREATE OR REPLACE FUNCTION fn_coinflip_refund_challenge(
+    p_challenge_id UUID,
+    p_user_id UUID DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_challenge public.coinflip_challenges;
+    v_status TEXT;
+    v_cash NUMERIC;
+BEGIN
+    SELECT * INTO v_challenge
+    FROM public.coinflip_challenges
+    WHERE id = p_challenge_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Challenge not found');
+    END IF;
 
-    -- If won, calculate and credit payout
-    IF v_won THEN
-        v_payout := ROUND(p_bet_amount * v_payout_multiplier, 2);
-        v_new_cash := v_new_cash + v_payout;
+    IF v_challenge.status <> 'open' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Challenge is no longer open');
+    END IF;
 
-        UPDATE public.users
-        SET cash = v_new_cash, updated_at = NOW()
-        WHERE id = p_user_id;
+    IF p_user_id IS NOT NULL THEN
+        IF v_challenge.creator_id <> p_user_id THEN
+            RETURN jsonb_build_object('success', false, 'error', 'Only the creator can cancel a challenge');
+        END IF;
+        v_status := 'cancelled';
+    ELSE
+        IF v_challenge.expires_at > NOW() THEN
+            RETURN jsonb_build_object('success', false, 'error', 'Challenge has not expired');
+        END IF;
+        v_status := 'expired';
+    END IF;
 
-        -- Record win transaction
-        INSERT INTO public.transactions (user_id, type, amount, balance_after, description, metadata)
-        VALUES (p_user_id, 'win', v_payout, v_new_cash,
-                'Coin flip win! ' || v_flip_result || ' (1.98x)',
-                jsonb_build_object('game', 'coinflip', 'result', v_flip_result, 'multiplier', v_payout_multiplier));
+    UPDATE public.users
+    SET cash = cash + v_challenge.escrow, updated_at = NOW()
+    WHERE id = v_challenge.creator_id
+    RETURNING cash INTO v_cash;
+
+    INSERT INTO public.transactions (user_id, type, amount, balance_after, description, metadata)
+    VALUES (v_challenge.creator_id, 'credit', v_challenge.escrow, v_cash,
+            CASE WHEN v_status = 'cancelled' THEN 'CoinFlip challenge cancelled' ELSE 'CoinFlip challenge expired' END,
+            jsonb_build_object('game', 'coinflip', 'challenge_id', p_challenge_id, 'refund', true, 'reason', v_status));
+
+    UPDATE public.coinflip_challenges
+    SET status = v_status, escrow = 0, finished_at = NOW()
+    WHERE id = p_challenge_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'status', v_status,
+        'refund', v_challenge.escrow,
+        'user_id', v_challenge.creator_id,
+        'new_balance', v_cash
+    );
+END;
+$$;
+
+-- Accept a challenge: escrow the opponent's stake, flip and pay the winner
+CREATE OR REPLACE FUNCTION fn_coinflip_accept_challenge(
+    p_challenge_id UUID,
+    p_user_id UUID,
+    p_client_seed TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_challenge public.coinflip_challenges;
+    v_server_seed TEXT;
+    v_opponent_seed TEXT;
+    v_cash NUMERIC;
+    v_username TEXT;
+    v_outcome TEXT;
+    v_winner_id UUID;
+    v_pot NUMERIC;
+    v_payout NUMERIC;
+    v_winner_cash NUMERIC;
+BEGIN
+    SELECT * INTO v_challenge
+    FROM public.coinflip_challenges
+    WHERE id = p_challenge_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Challenge not found');
+    END IF;
+
+    IF v_challenge.status <> 'open' OR v_challenge.expires_at <= NOW() THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Challenge is no longer open');
     END IF;
 
-    -- Update user game stats
-    PERFORM update_game_stats(p_user_id, v_won);
+    IF v_challenge.creator_id = p_user_id THEN
+        RETURN jsonb_build_object('success', false, 'error', 'You cannot accept your own challenge');
+    END IF;
 
-    -- Record game session
-    INSERT INTO public.game_sessions (game_type, players, status, result, bets, ended_at)
-    VALUES ('coinflip',
-            jsonb_build_array(jsonb_build_object('userId', p_user_id, 'username', v_username)),
+    SELECT cash, username INTO v_cash, v_username
+    FROM public.users
+    WHERE id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'error', 'User not found');
+    END IF;
+
+    IF v_cash < v_challenge.amount THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Insufficient balance');
+    END IF;
+
+    v_cash := v_cash - v_challenge.amount;
+
+    UPDATE public.users
+    SET cash = v_cash, updated_at = NOW()
+    WHERE id = p_user_id;
+
+    INSERT INTO public.transactions (user_id, type, amount, balance_after, description, metadata)
+    VALUES (p_user_id, 'bet', v_challenge.amount, v_cash,
+            format('CoinFlip challenge vs %s', v_challenge.creator_username),
+            jsonb_build_object('game', 'coinflip', 'challenge_id', p_challenge_id, 'escrow', true));
+
+    -- FLIP THE COIN (provably fair)
+    SELECT server_seed INTO v_server_seed
+    FROM public.coinflip_challenge_seeds
+    WHERE challenge_id = p_challenge_id;
+
+    v_opponent_seed := COALESCE(NULLIF(TRIM(p_client_seed), ''), encode(gen_random_bytes(8), 'hex'));
+    v_outcome := CASE
+        WHEN (fn_fair_floats(v_server_seed, v_challenge.creator_seed || ':' || v_opponent_seed, 0, 1))[1] < 0.5
+        THEN 'heads' ELSE 'tails'
+    END;
+
+    v_winner_id := CASE WHEN v_outcome = v_challenge.creator_side THEN v_challenge.creator_id ELSE p_user_id END;
+    v_pot := v_challenge.escrow + v_challenge.amount;
+    v_payout := ROUND(v_pot * (1 - v_challenge.rake), 2);
+
+    UPDATE public.users
+    SET cash = cash + v_payout, updated_at = NOW()
+    WHERE id = v_winner_id
+    RETURNING cash INTO v_winner_cash;
+
+    INSERT INTO public.transactions (user_id, type, amount, balance_after, description, metadata)
+    VALUES (v_winner_id, 'win', v_payout, v_winner_cash,
+            format('CoinFlip challenge win (%s)', v_outcome),
+            jsonb_build_object('game', 'coinflip', 'challenge_id', p_challenge_id, 'result', v_outcome, 'pot', v_pot));
+
+    PERFORM update_game_stats(v_challenge.creator_id, v_winner_id = v_challenge.creator_id);
+    PERFORM update_game_stats(p_user_id, v_winner_id = p_user_id);
+
+    UPDATE public.coinflip_challenges
+    SET status = 'finished',
+        opponent_id = p_user_id,
+        opponent_username = v_username,
+        opponent_seed = v_opponent_seed,
+        server_seed = v_server_seed,
+        outcome = v_outcome,
+        winner_id = v_winner_id,
+        payout = v_payout,
+        escrow = 0,
+        finished_at = NOW()
+    WHERE id = p_challenge_id
+    RETURNING * INTO v_challenge;
+
+    INSERT INTO public.game_sessions (game_type, room_id, players, status, result, bets, ended_at)
+    VALUES ('coinflip', p_challenge_id::TEXT,
+            jsonb_build_array(
+                jsonb_build_object('userId', v_challenge.creator_id, 'username', v_challenge.creator_username, 'side', v_challenge.creator_side),
+                jsonb_build_object('userId', p_user_id, 'username', v_username,
+                                   'side', CASE WHEN v_challenge.creator_side = 'heads' THEN 'tails' ELSE 'heads' END)),
             'completed',
-            jsonb_build_object('flip_result', v_flip_result, 'chosen_side', p_chosen_side, 'won', v_won, 'multiplier', v_payout_multiplier),
-            jsonb_build_array(jsonb_build_object('userId', p_user_id, 'amount', p_bet_amount, 'payout', v_payout)),
+            jsonb_build_object('outcome', v_outcome, 'winnerId', v_winner_id, 'pot', v_pot, 'payout', v_payout),
+            jsonb_build_array(
+                jsonb_build_object('userId', v_challenge.creator_id, 'amount', v_challenge.amount),
+                jsonb_build_object('userId', p_user_id, 'amount', v_challenge.amount)),
             NOW());
 
-    -- Return result
     RETURN jsonb_build_object(
         'success', true,
-        'flipResult', v_flip_result,
-        'chosenSide', p_chosen_side,
-        'won', v_won,
-        'betAmount', p_bet_amount,
-        'payout', v_payout,
-        'newBalance', v_new_cash
+        'challenge', to_jsonb(v_challenge),
+        'won', v_winner_id = p_user_id,
+        'new_balance', CASE WHEN v_winner_id = p_user_id THEN v_winner_cash ELSE v_cash END
     );
-
-EXCEPTION
-    WHEN OTHERS THEN
-        RETURN jsonb_build_object('success', false, 'error', SQLERRM);
 END;
 $$;
+
+-- Server-only: these take the user id from the caller
+REVOKE EXECUTE ON FUNCTION fn_coinflip_create_challenge(UUID, NUMERIC, TEXT, TEXT, INTEGER) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION fn_coinflip_refund_challenge(UUID, UUID) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION fn_coinflip_accept_challenge(UUID, UUID, TEXT) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_coinflip_create_challenge(UUID, NUMERIC, TEXT, TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION fn_coinflip_refund_challenge(UUID, UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION fn_coinflip_accept_challenge(UUID, UUID, TEXT) TO service_role;
@@ -1,6 +1,6 @@
 -- ========================================
 -- DICE GAME SCHEMA FOR SUPABASE
--- Run this in Supabase SQL Editor
+-- Run this in Supabase SQL Editor (after fairness.sql)
 -- ========================================
 
 -- Drop existing function if exists
@@ -29,6 +29,8 @@ DECLARE
     v_won BOOLEAN;
     v_payout NUMERIC;
     v_house_edge NUMERIC := 0.01; -- 1% house edge
+    v_seed JSONB;
+    v_fairness JSONB;
 BEGIN
     -- Validate bet amount
     IF p_bet_amount < 1 THEN
@@ -84,8 +86,9 @@ BEGIN
     SET cash = v_new_cash, updated_at = NOW()
     WHERE id = p_user_id;
 
-    -- Generate random roll result (0.00 to 99.99)
-    v_roll_result := ROUND((random() * 99.99)::NUMERIC, 2);
+    -- Provably fair roll result (0.00 to 99.99)
+    v_seed := fn_fair_consume(p_user_id, 'dice');
+    v_roll_result := floor((fn_fair_floats(v_seed->>'serverSeed', v_seed->>'clientSeed', (v_seed->>'nonce')::BIGINT, 1))[1] * 10000) / 100;
 
     -- Determine win/loss
     IF p_is_over THEN
@@ -143,6 +146,10 @@ BEGIN
         PERFORM update_game_stats(p_user_id, false);
     END IF;
 
+    v_fairness := fn_fair_record(p_user_id, 'dice', NULL, v_seed,
+        jsonb_build_object('target', p_target_value, 'isOver', p_is_over),
+        jsonb_build_object('roll', v_roll_result));
+
     -- Return result
     RETURN jsonb_build_object(
         'success', true,
@@ -154,7 +161,8 @@ BEGIN
         'winChance', ROUND(v_win_chance, 2),
         'betAmount', p_bet_amount,
         'payout', v_payout,
-        'newBalance', v_new_cash
+        'newBalance', v_new_cash,
+        'fairness', v_fairness
     );
 
 EXCEPTION
@@ -0,0 +1,335 @@
+-- ========================================
+-- PROVABLY FAIR SUBSYSTEM
+-- Run this in Supabase SQL Editor BEFORE dice.sql, slots.sql,
+-- roulette.sql, mines.sql and tower.sql
+--
+-- Every single-player outcome is derived from:
+--   HMAC_SHA256(key = server_seed, msg = client_seed:nonce:cursor)
+-- Each 32-byte digest yields 8 floats in [0, 1) built from 4 bytes each.
+-- The server seed is committed up front by its SHA256 hash and only
+-- revealed once the player rotates to a new seed pair.
+-- Mirrored in backend/services/fairness.js and frontend/src/lib/fairness.js
+-- ========================================
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+DROP FUNCTION IF EXISTS fn_fair_floats(text, text, bigint, integer);
+DROP FUNCTION IF EXISTS fn_fair_consume(uuid, text);
+DROP FUNCTION IF EXISTS fn_fair_record(uuid, text, text, jsonb, jsonb, jsonb);
+DROP FUNCTION IF EXISTS fn_fair_get_seeds(uuid);
+DROP FUNCTION IF EXISTS fn_fair_rotate_seed(uuid, text);
+
+-- ========================================
+-- SEED PAIRS TABLE
+-- One active seed pair per user, older pairs keep their revealed seed
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS public.user_seeds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    server_seed TEXT NOT NULL,
+    server_seed_hash TEXT NOT NULL UNIQUE,
+    client_seed TEXT NOT NULL,
+    nonce BIGINT NOT NULL DEFAULT 0 CHECK (nonce >= 0),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    revealed_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_seeds_active ON public.user_seeds(user_id) WHERE active;
+CREATE INDEX IF NOT EXISTS idx_user_seeds_user ON public.user_seeds(user_id, created_at DESC);
+
+-- No policies: the unrevealed server seed must never be readable by clients
+ALTER TABLE public.user_seeds ENABLE ROW LEVEL SECURITY;
+
+-- ========================================
+-- FAIR BETS TABLE
+-- Seed pair + nonce used for every bet, so any past bet can be recomputed
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS public.fair_bets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    game TEXT NOT NULL CHECK (game IN ('dice', 'slots', 'roulette', 'mines', 'tower')),
+    game_ref TEXT,
+    server_seed_hash TEXT NOT NULL,
+    client_seed TEXT NOT NULL,
+    nonce BIGINT NOT NULL,
+    params JSONB DEFAULT '{}'::jsonb NOT NULL,
+    outcome JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_fair_bets_user ON public.fair_bets(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_fair_bets_seed ON public.fair_bets(server_seed_hash);
+
+-- No policies: Mines/Tower outcomes are stored before the game ends,
+-- bets are served through the backend instead
+ALTER TABLE public.fair_bets ENABLE ROW LEVEL SECURITY;
+
+-- ========================================
+-- FLOAT GENERATOR
+-- Returns p_count floats in [0, 1)
+-- ========================================
+
+CREATE OR REPLACE FUNCTION fn_fair_floats(
+    p_server_seed TEXT,
+    p_client_seed TEXT,
+    p_nonce BIGINT,
+    p_count INTEGER
+) RETURNS NUMERIC[]
+LANGUAGE plpgsql IMMUTABLE
+AS $$
+DECLARE
+    v_floats NUMERIC[] := ARRAY[]::NUMERIC[];
+    v_digest BYTEA;
+    v_cursor INTEGER := 0;
+    v_offset INTEGER;
+BEGIN
+    WHILE COALESCE(array_length(v_floats, 1), 0) < p_count LOOP
+        v_digest := hmac(
+            convert_to(format('%s:%s:%s', p_client_seed, p_nonce, v_cursor), 'UTF8'),
+            convert_to(p_server_seed, 'UTF8'),
+            'sha256'
+        );
+
+        v_offset := 0;
+        WHILE v_offset < 32 AND COALESCE(array_length(v_floats, 1), 0) < p_count LOOP
+            v_floats := array_append(v_floats,
+                (get_byte(v_digest, v_offset) * 16777216::NUMERIC
+                 + get_byte(v_digest, v_offset + 1) * 65536
+                 + get_byte(v_digest, v_offset + 2) * 256
+                 + get_byte(v_digest, v_offset + 3)) / 4294967296::NUMERIC);
+            v_offset := v_offset + 4;
+        END LOOP;
+
+        v_cursor := v_cursor + 1;
+    END LOOP;
+
+    RETURN v_floats;
+END;
+$$;
+
+-- ========================================
+-- CONSUME NEXT NONCE
+-- Locks the user's active seed pair (creating one if needed), returns the
+-- seeds to use for this bet and increments the nonce.
+-- Only called from the game RPCs - never exposed to clients.
+-- ========================================
+
+CREATE OR REPLACE FUNCTION fn_fair_consume(
+    p_user_id UUID,
+    p_game TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_seed RECORD;
+    v_server_seed TEXT;
+BEGIN
+    SELECT * INTO v_seed
+    FROM public.user_seeds
+    WHERE user_id = p_user_id AND active
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        v_server_seed := encode(gen_random_bytes(32), 'hex');
+
+        INSERT INTO public.user_seeds (user_id, server_seed, server_seed_hash, client_seed)
+        VALUES (
+            p_user_id,
+            v_server_seed,
+            encode(digest(v_server_seed, 'sha256'), 'hex'),
+            encode(gen_random_bytes(8), 'hex')
+        )
+        RETURNING * INTO v_seed;
+    END IF;
+
+    UPDATE public.user_seeds
+    SET nonce = nonce + 1
+    WHERE id = v_seed.id;
+
+    RETURN jsonb_build_object(
+        'game', p_game,
+        'serverSeed', v_seed.server_seed,
+        'serverSeedHash', v_seed.server_seed_hash,
+        'clientSeed', v_seed.client_seed,
+        'nonce', v_seed.nonce
+    );
+END;
+$$;
+
+-- ========================================
+-- RECORD FAIR BET
+-- Stores the public part of the seed pair with the derived outcome.
+-- Returns the fairness info that game RPCs hand back to the player.
+-- ========================================
+
+CREATE OR REPLACE FUNCTION fn_fair_record(
+    p_user_id UUID,
+    p_game TEXT,
+    p_game_ref TEXT,
+    p_seed JSONB,
+    p_params JSONB,
+    p_outcome JSONB
+) RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_bet_id UUID;
+BEGIN
+    INSERT INTO public.fair_bets (user_id, game, game_ref, server_seed_hash, client_seed, nonce, params, outcome)
+    VALUES (
+        p_user_id, p_game, p_game_ref,
+        p_seed->>'serverSeedHash', p_seed->>'clientSeed', (p_seed->>'nonce')::BIGINT,
+        COALESCE(p_params, '{}'::jsonb), p_outcome
+    )
+    RETURNING id INTO v_bet_id;
+
+    RETURN jsonb_build_object(
+        'betId', v_bet_id,
+        'serverSeedHash', p_seed->>'serverSeedHash',
+        'clientSeed', p_seed->>'clientSeed',
+        'nonce', (p_seed->>'nonce')::BIGINT
+    );
+END;
+$$;
+
+-- ========================================
+-- GET SEEDS
+-- Active pair (hash only) plus previously revealed pairs
+-- ========================================
+
+CREATE OR REPLACE FUNCTION fn_fair_get_seeds(p_user_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_active RECORD;
+    v_server_seed TEXT;
+    v_revealed JSONB;
+BEGIN
+    SELECT * INTO v_active
+    FROM public.user_seeds
+    WHERE user_id = p_user_id AND active;
+
+    IF NOT FOUND THEN
+        v_server_seed := encode(gen_random_bytes(32), 'hex');
+
+        INSERT INTO public.user_seeds (user_id, server_seed, server_seed_hash, client_seed)
+        VALUES (
+            p_user_id,
+            v_server_seed,
+            encode(digest(v_server_seed, 'sha256'), 'hex'),
+            encode(gen_random_bytes(8), 'hex')
+        )
+        RETURNING * INTO v_active;
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'serverSeed', s.server_seed,
+        'serverSeedHash', s.server_seed_hash,
+        'clientSeed', s.client_seed,
+        'finalNonce', s.nonce,
+        'createdAt', s.created_at,
+        'revealedAt', s.revealed_at
+    ) ORDER BY s.revealed_at DESC), '[]'::jsonb)
+    INTO v_revealed
+    FROM (
+        SELECT * FROM public.user_seeds
+        WHERE user_id = p_user_id AND NOT active
+        ORDER BY revealed_at DESC
+        LIMIT 20
+    ) s;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'active', jsonb_build_object(
+            'serverSeedHash', v_active.server_seed_hash,
+            'clientSeed', v_active.client_seed,
+            'nonce', v_active.nonce,
+            'createdAt', v_active.created_at
+        ),
+        'revealed', v_revealed
+    );
+END;
+$$;
+
+-- ========================================
+-- ROTATE SEED PAIR
+-- Reveals the current server seed and commits to a new one.
+-- p_client_seed sets the new client seed (NULL keeps the current one).
+-- ========================================
+
+CREATE OR REPLACE FUNCTION fn_fair_rotate_seed(
+    p_user_id UUID,
+    p_client_seed TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+    v_old RECORD;
+    v_client_seed TEXT;
+    v_server_seed TEXT;
+    v_new RECORD;
+BEGIN
+    IF p_client_seed IS NOT NULL AND (length(p_client_seed) < 1 OR length(p_client_seed) > 64) THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Client seed must be 1-64 characters');
+    END IF;
+
+    SELECT * INTO v_old
+    FROM public.user_seeds
+    WHERE user_id = p_user_id AND active
+    FOR UPDATE;
+
+    -- Active Mines/Tower games were generated from the current seed
+    IF EXISTS (SELECT 1 FROM public.mines_games WHERE user_id = p_user_id AND status = 'active')
+       OR EXISTS (SELECT 1 FROM public.tower_sessions WHERE user_id = p_user_id AND status = 'active') THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Finish your active game before rotating seeds');
+    END IF;
+
+    IF v_old.id IS NOT NULL THEN
+        UPDATE public.user_seeds
+        SET active = FALSE, revealed_at = NOW()
+        WHERE id = v_old.id;
+    END IF;
+
+    v_client_seed := COALESCE(p_client_seed, v_old.client_seed, encode(gen_random_bytes(8), 'hex'));
+    v_server_seed := encode(gen_random_bytes(32), 'hex');
+
+    INSERT INTO public.user_seeds (user_id, server_seed, server_seed_hash, client_seed)
+    VALUES (p_user_id, v_server_seed, encode(digest(v_server_seed, 'sha256'), 'hex'), v_client_seed)
+    RETURNING * INTO v_new;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'previous', CASE WHEN v_old.id IS NULL THEN NULL ELSE jsonb_build_object(
+            'serverSeed', v_old.server_seed,
+            'serverSeedHash', v_old.server_seed_hash,
+            'clientSeed', v_old.client_seed,
+            'finalNonce', v_old.nonce
+        ) END,
+        'active', jsonb_build_object(
+            'serverSeedHash', v_new.server_seed_hash,
+            'clientSeed', v_new.client_seed,
+            'nonce', v_new.nonce,
+            'createdAt', v_new.created_at
+        )
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN jsonb_build_object('success', false, 'error', SQLERRM);
+END;
+$$;
+
+-- Backend only
+REVOKE EXECUTE ON FUNCTION fn_fair_consume(uuid, text) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION fn_fair_record(uuid, text, text, jsonb, jsonb, jsonb) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION fn_fair_get_seeds(uuid) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION fn_fair_rotate_seed(uuid, text) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_fair_consume(uuid, text) TO service_role;
+GRANT EXECUTE ON FUNCTION fn_fair_record(uuid, text, text, jsonb, jsonb, jsonb) TO service_role;
+GRANT EXECUTE ON FUNCTION fn_fair_get_seeds(uuid) TO service_role;
+GRANT EXECUTE ON FUNCTION fn_fair_rotate_seed(uuid, text) TO service_role;
+GRANT EXECUTE ON FUNCTION fn_fair_floats(text, text, bigint, integer) TO authenticated, service_role;
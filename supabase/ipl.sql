@@ -9,32 +9,64 @@ CREATE TABLE IF NOT EXISTS ipl_bets (
     user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     match_id text NOT NULL,
     match_title text NOT NULL,
-    selected_team text NOT NULL,
+    selected_team text,                                  -- Team for team-based markets, NULL otherwise
+    market text NOT NULL DEFAULT 'match_winner',         -- match_winner | innings_runs | powerplay_top | next_over_runs | first_wicket
+    market_label text,
+    market_params jsonb NOT NULL DEFAULT '{}'::jsonb,    -- e.g. { "innings": 1, "line": 170.5 }
+    selection text,                                      -- Team code, 'over'/'under' or dismissal type
     bet_amount numeric(12,2) NOT NULL CHECK (bet_amount >= 10 AND bet_amount <= 10000),
-    odds_at_placement numeric(5,2) NOT NULL CHECK (odds_at_placement >= 1.10 AND odds_at_placement <= 6.50),
+    odds_at_placement numeric(5,2) NOT NULL CHECK (odds_at_placement >= 1.10 AND odds_at_placement <= 25.00),
     potential_payout numeric(12,2) NOT NULL,
     status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'won', 'lost', 'refunded')),
+    odds_quoted_at timestamptz,
     settled_at timestamptz,
     created_at timestamptz DEFAULT now()
 );
 
+-- Existing installs: server quote time the bet was priced at
+ALTER TABLE ipl_bets ADD COLUMN IF NOT EXISTS odds_quoted_at timestamptz;
+
+-- Existing installs: additional markets beyond match winner
+ALTER TABLE ipl_bets ADD COLUMN IF NOT EXISTS market text NOT NULL DEFAULT 'match_winner';
+ALTER TABLE ipl_bets ADD COLUMN IF NOT EXISTS market_label text;
+ALTER TABLE ipl_bets ADD COLUMN IF NOT EXISTS market_params jsonb NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE ipl_bets ADD COLUMN IF NOT EXISTS selection text;
+ALTER TABLE ipl_bets ALTER COLUMN selected_team DROP NOT NULL;
+UPDATE ipl_bets SET selection = selected_team WHERE selection IS NULL;
+
+-- Long-shot markets (e.g. first wicket stumped) pay more than the match winner cap
+ALTER TABLE ipl_bets DROP CONSTRAINT IF EXISTS ipl_bets_odds_at_placement_check;
+ALTER TABLE ipl_bets ADD CONSTRAINT ipl_bets_odds_at_placement_check
+    CHECK (odds_at_placement >= 1.10 AND odds_at_placement <= 25.00);
+
 -- Indexes for fast queries
 CREATE INDEX IF NOT EXISTS idx_ipl_bets_user_id ON ipl_bets(user_id);
 CREATE INDEX IF NOT EXISTS idx_ipl_bets_match_id ON ipl_bets(match_id);
 CREATE INDEX IF NOT EXISTS idx_ipl_bets_status ON ipl_bets(status);
 CREATE INDEX IF NOT EXISTS idx_ipl_bets_match_status ON ipl_bets(match_id, status);
+CREATE INDEX IF NOT EXISTS idx_ipl_bets_match_market_status ON ipl_bets(match_id, market, status);
 
 -- ============================================
 -- RPC: Place IPL Bet (atomic transaction)
 -- Deducts balance + inserts bet + records transaction
+-- p_odds comes from the backend odds snapshot, quoted at p_quoted_at
+-- p_selected_team is NULL for markets that aren't about a team
 -- ============================================
+DROP FUNCTION IF EXISTS place_ipl_bet(uuid, text, text, text, numeric, numeric);
+DROP FUNCTION IF EXISTS place_ipl_bet(uuid, text, text, text, numeric, numeric, timestamptz);
+
 CREATE OR REPLACE FUNCTION place_ipl_bet(
     p_user_id uuid,
     p_match_id text,
     p_match_title text,
     p_selected_team text,
     p_bet_amount numeric,
-    p_odds numeric
+    p_odds numeric,
+    p_quoted_at timestamptz,
+    p_market text DEFAULT 'match_winner',
+    p_market_label text DEFAULT NULL,
+    p_selection text DEFAULT NULL,
+    p_market_params jsonb DEFAULT '{}'::jsonb
 ) RETURNS jsonb
 LANGUAGE plpgsql
 SECURITY DEFINER
@@ -44,6 +76,7 @@ DECLARE
     v_potential_payout numeric;
     v_bet_id uuid;
     v_new_balance numeric;
+    v_selection text := COALESCE(p_selection, p_selected_team);
 BEGIN
     -- Lock user row to prevent race conditions
     SELECT cash INTO v_user_cash FROM users WHERE id = p_user_id FOR UPDATE;
@@ -67,8 +100,10 @@ BEGIN
     RETURNING cash INTO v_new_balance;
 
     -- Insert bet record
-    INSERT INTO ipl_bets (user_id, match_id, match_title, selected_team, bet_amount, odds_at_placement, potential_payout)
-    VALUES (p_user_id, p_match_id, p_match_title, p_selected_team, p_bet_amount, p_odds, v_potential_payout)
+    INSERT INTO ipl_bets (user_id, match_id, match_title, selected_team, market, market_label, market_params, selection,
+                          bet_amount, odds_at_placement, potential_payout, odds_quoted_at)
+    VALUES (p_user_id, p_match_id, p_match_title, p_selected_team, p_market, p_market_label, COALESCE(p_market_params, '{}'::jsonb), v_selection,
+            p_bet_amount, p_odds, v_potential_payout, p_quoted_at)
     RETURNING id INTO v_bet_id;
 
     -- Record transaction
@@ -78,12 +113,15 @@ BEGIN
         'bet',
         p_bet_amount,
         v_new_balance,
-        'IPL Bet: ' || p_selected_team || ' - ' || p_match_title,
+        'IPL Bet: ' || COALESCE(p_market_label || ': ' || v_selection, v_selection) || ' - ' || p_match_title,
         jsonb_build_object(
             'game', 'ipl',
             'match_id', p_match_id,
             'team', p_selected_team,
+            'market', p_market,
+            'selection', v_selection,
             'odds', p_odds,
+            'odds_quoted_at', p_quoted_at,
             'potential_payout', v_potential_payout
         )
     );
@@ -100,6 +138,11 @@ BEGIN
 END;
 $$;
 
+-- Bets are priced from the server's odds snapshot in backend/routes/ipl.js;
+-- a direct call could name its own odds
+REVOKE EXECUTE ON FUNCTION place_ipl_bet(uuid, text, text, text, numeric, numeric, timestamptz, text, text, text, jsonb) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION place_ipl_bet(uuid, text, text, text, numeric, numeric, timestamptz, text, text, text, jsonb) TO service_role;
+
 -- ============================================
 -- RPC: Settle IPL Bet (atomic settlement)
 -- Credits winner or marks loser
@@ -137,11 +180,13 @@ BEGIN
             'win',
             v_bet.potential_payout,
             v_new_balance,
-            'IPL Win: ' || v_bet.selected_team || ' - ' || v_bet.match_title,
+            'IPL Win: ' || COALESCE(v_bet.market_label || ': ' || v_bet.selection, v_bet.selected_team) || ' - ' || v_bet.match_title,
             jsonb_build_object(
                 'game', 'ipl',
                 'match_id', v_bet.match_id,
                 'team', v_bet.selected_team,
+                'market', v_bet.market,
+                'selection', v_bet.selection,
                 'odds', v_bet.odds_at_placement,
                 'bet_amount', v_bet.bet_amount,
                 'payout', v_bet.potential_payout
@@ -164,3 +209,436 @@ BEGIN
     );
 END;
 $$;
+
+-- ============================================
+-- RPC: Void IPL Bet (atomic refund)
+-- Returns the stake when a market can't be settled
+-- (tie, shortened innings, missing scorecard data)
+-- ============================================
+CREATE OR REPLACE FUNCTION void_ipl_bet(
+    p_bet_id uuid,
+    p_reason text DEFAULT NULL
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_bet RECORD;
+    v_new_balance numeric;
+BEGIN
+    SELECT * INTO v_bet FROM ipl_bets WHERE id = p_bet_id AND status = 'pending' FOR UPDATE;
+
+    IF v_bet IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Bet not found or already settled');
+    END IF;
+
+    UPDATE users SET cash = cash + v_bet.bet_amount WHERE id = v_bet.user_id
+    RETURNING cash INTO v_new_balance;
+
+    UPDATE ipl_bets SET status = 'refunded', settled_at = now() WHERE id = p_bet_id;
+
+    INSERT INTO transactions (user_id, type, amount, balance_after, description, metadata)
+    VALUES (
+        v_bet.user_id,
+        'credit',
+        v_bet.bet_amount,
+        v_new_balance,
+        'IPL Refund: ' || COALESCE(v_bet.market_label || ': ' || v_bet.selection, v_bet.selected_team) || ' - ' || v_bet.match_title,
+        jsonb_build_object(
+            'game', 'ipl',
+            'match_id', v_bet.match_id,
+            'market', v_bet.market,
+            'selection', v_bet.selection,
+            'refund', true,
+            'reason', p_reason
+        )
+    );
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'refund', v_bet.bet_amount,
+        'new_balance', v_new_balance,
+        'user_id', v_bet.user_id
+    );
+END;
+$$;
+
+-- ============================================
+-- IPL Settlement Audit Trail
+-- One row per automatic or manual settlement/void of a match
+-- ============================================
+CREATE TABLE IF NOT EXISTS ipl_settlement_audit (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    match_id text NOT NULL,
+    action text NOT NULL CHECK (action IN ('auto_settle', 'auto_void', 'admin_void', 'admin_resettle')),
+    outcome text,                                   -- Winning team code, or NULL for voids
+    reason text,
+    actor_id uuid REFERENCES users(id) ON DELETE SET NULL,  -- NULL for automatic settlement
+    bets_affected integer NOT NULL DEFAULT 0,
+    total_credited numeric(12,2) NOT NULL DEFAULT 0,
+    total_debited numeric(12,2) NOT NULL DEFAULT 0,
+    details jsonb NOT NULL DEFAULT '[]'::jsonb,
+    created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ipl_audit_match_id ON ipl_settlement_audit(match_id, created_at DESC);
+
+-- Audit rows are only read/written through the backend service role
+ALTER TABLE ipl_settlement_audit ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- RPC: Admin Void / Re-settle IPL Match (atomic)
+-- p_outcome = 'void'  → match winner bets (settled or not) become refunded,
+--                       every other still-pending bet is refunded
+-- p_outcome = <team>  → match winner bets are re-graded against that team
+-- Already-settled bets are corrected by crediting/debiting the difference
+-- between what they were paid and what they should have been paid.
+-- ============================================
+CREATE OR REPLACE FUNCTION admin_settle_ipl_match(
+    p_match_id text,
+    p_outcome text,
+    p_admin_id uuid,
+    p_reason text
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_is_void boolean := p_outcome = 'void';
+    v_bet RECORD;
+    v_new_status text;
+    v_old_credit numeric;
+    v_new_credit numeric;
+    v_delta numeric;
+    v_cash numeric;
+    v_new_balance numeric;
+    v_applied numeric;
+    v_affected integer := 0;
+    v_credited numeric := 0;
+    v_debited numeric := 0;
+    v_details jsonb := '[]'::jsonb;
+BEGIN
+    IF p_reason IS NULL OR length(trim(p_reason)) = 0 THEN
+        RETURN jsonb_build_object('success', false, 'error', 'A reason is required');
+    END IF;
+
+    FOR v_bet IN
+        SELECT * FROM ipl_bets
+        WHERE match_id = p_match_id
+          AND (market = 'match_winner' OR (v_is_void AND status = 'pending'))
+        ORDER BY created_at
+        FOR UPDATE
+    LOOP
+        IF v_is_void THEN
+            v_new_status := 'refunded';
+        ELSIF v_bet.selected_team = p_outcome THEN
+            v_new_status := 'won';
+        ELSE
+            v_new_status := 'lost';
+        END IF;
+
+        CONTINUE WHEN v_new_status = v_bet.status;
+
+        v_old_credit := CASE v_bet.status
+            WHEN 'won' THEN v_bet.potential_payout
+            WHEN 'refunded' THEN v_bet.bet_amount
+            ELSE 0 END;
+        v_new_credit := CASE v_new_status
+            WHEN 'won' THEN v_bet.potential_payout
+            WHEN 'refunded' THEN v_bet.bet_amount
+            ELSE 0 END;
+        v_delta := v_new_credit - v_old_credit;
+        v_applied := 0;
+
+        IF v_delta <> 0 THEN
+            SELECT cash INTO v_cash FROM users WHERE id = v_bet.user_id FOR UPDATE;
+
+            -- Never take a balance below zero when clawing back a payout
+            v_applied := GREATEST(v_delta, -v_cash);
+
+            IF v_applied <> 0 THEN
+                UPDATE users SET cash = cash + v_applied WHERE id = v_bet.user_id
+                RETURNING cash INTO v_new_balance;
+
+                INSERT INTO transactions (user_id, type, amount, balance_after, description, metadata)
+                VALUES (
+                    v_bet.user_id,
+                    CASE WHEN v_applied > 0 THEN 'admin_grant' ELSE 'admin_deduct' END,
+                    ABS(v_applied),
+                    v_new_balance,
+                    'IPL ' || CASE WHEN v_is_void THEN 'Void' ELSE 'Re-settlement' END || ': ' || v_bet.match_title,
+                    jsonb_build_object(
+                        'game', 'ipl',
+                        'match_id', v_bet.match_id,
+                        'bet_id', v_bet.id,
+                        'from_status', v_bet.status,
+                        'to_status', v_new_status,
+                        'admin_id', p_admin_id,
+                        'reason', p_reason
+                    )
+                );
+
+                IF v_applied > 0 THEN
+                    v_credited := v_credited + v_applied;
+                ELSE
+                    v_debited := v_debited - v_applied;
+                END IF;
+            END IF;
+        END IF;
+
+        UPDATE ipl_bets SET status = v_new_status, settled_at = now() WHERE id = v_bet.id;
+
+        v_affected := v_affected + 1;
+        v_details := v_details || jsonb_build_object(
+            'bet_id', v_bet.id,
+            'user_id', v_bet.user_id,
+            'market', v_bet.market,
+            'from', v_bet.status,
+            'to', v_new_status,
+            'amount', v_applied,
+            'shortfall', v_delta - v_applied
+        );
+    END LOOP;
+
+    INSERT INTO ipl_settlement_audit (match_id, action, outcome, reason, actor_id, bets_affected, total_credited, total_debited, details)
+    VALUES (
+        p_match_id,
+        CASE WHEN v_is_void THEN 'admin_void' ELSE 'admin_resettle' END,
+        CASE WHEN v_is_void THEN NULL ELSE p_outcome END,
+        p_reason,
+        p_admin_id,
+        v_affected,
+        v_credited,
+        v_debited,
+        v_details
+    );
+
+    -- A manual outcome is final: stop the settlement ledger from re-running it
+    UPDATE ipl_matches SET
+        status = 'settled',
+        result = CASE WHEN v_is_void THEN 'void' ELSE 'win' END,
+        winner = CASE WHEN v_is_void THEN NULL ELSE p_outcome END,
+        claimed_by = NULL,
+        claim_expires_at = NULL,
+        settled_at = now(),
+        updated_at = now()
+    WHERE match_id = p_match_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'bets_affected', v_affected,
+        'total_credited', v_credited,
+        'total_debited', v_debited,
+        'details', v_details
+    );
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', false, 'error', SQLERRM);
+END;
+$$;
+
+-- Settlement only runs from the backend (service role); players must not
+-- void or re-grade bets through PostgREST
+REVOKE EXECUTE ON FUNCTION settle_ipl_bet(uuid, boolean) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION void_ipl_bet(uuid, text) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION admin_settle_ipl_match(text, text, uuid, text) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION settle_ipl_bet(uuid, boolean) TO service_role;
+GRANT EXECUTE ON FUNCTION void_ipl_bet(uuid, text) TO service_role;
+GRANT EXECUTE ON FUNCTION admin_settle_ipl_match(text, text, uuid, text) TO service_role;
+
+-- ============================================
+-- IPL Matches Ledger
+-- Persistent match lifecycle so settlement survives restarts and
+-- runs exactly once across backend instances:
+--   scheduled → live → betting_closed → completed → settled
+-- ============================================
+CREATE TABLE IF NOT EXISTS ipl_matches (
+    match_id text PRIMARY KEY,
+    cricbuzz_id text,
+    title text,
+    team1 text,
+    team2 text,
+    status text NOT NULL DEFAULT 'scheduled'
+        CHECK (status IN ('scheduled', 'live', 'betting_closed', 'completed', 'settled')),
+    result text,                      -- win | super_over | tie | no_result | abandoned | void (admin)
+    winner text,
+    claimed_by text,                  -- Backend instance currently settling the match
+    claim_expires_at timestamptz,
+    settlement_attempts integer NOT NULL DEFAULT 0,
+    last_attempt_at timestamptz,
+    last_error text,
+    completed_at timestamptz,
+    settled_at timestamptz,
+    created_at timestamptz DEFAULT now(),
+    updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ipl_matches_status ON ipl_matches(status);
+
+-- Only the backend (service role) reads or writes the ledger
+ALTER TABLE ipl_matches ENABLE ROW LEVEL SECURITY;
+
+-- Lifecycle order; a match never moves backwards
+CREATE OR REPLACE FUNCTION ipl_match_status_rank(p_status text)
+RETURNS integer
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE p_status
+        WHEN 'scheduled' THEN 1
+        WHEN 'live' THEN 2
+        WHEN 'betting_closed' THEN 3
+        WHEN 'completed' THEN 4
+        WHEN 'settled' THEN 5
+        ELSE 0
+    END;
+$$;
+
+-- ============================================
+-- RPC: Sync IPL Matches
+-- Upserts the scraper's view of every match in one call.
+-- p_matches: [{ match_id, cricbuzz_id, title, team1, team2, status, result, winner }]
+-- ============================================
+CREATE OR REPLACE FUNCTION sync_ipl_matches(p_matches jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_count integer;
+BEGIN
+    INSERT INTO ipl_matches AS m (match_id, cricbuzz_id, title, team1, team2, status, result, winner, completed_at)
+    SELECT x.match_id, x.cricbuzz_id, x.title, x.team1, x.team2, x.status, x.result, x.winner,
+           CASE WHEN x.status = 'completed' THEN now() END
+    FROM jsonb_to_recordset(p_matches) AS x(
+        match_id text, cricbuzz_id text, title text, team1 text, team2 text,
+        status text, result text, winner text
+    )
+    WHERE ipl_match_status_rank(x.status) BETWEEN 1 AND 4
+    ON CONFLICT (match_id) DO UPDATE SET
+        title = COALESCE(EXCLUDED.title, m.title),
+        status = CASE
+            WHEN ipl_match_status_rank(EXCLUDED.status) > ipl_match_status_rank(m.status) THEN EXCLUDED.status
+            ELSE m.status END,
+        -- Results are frozen once the match has been settled
+        result = CASE WHEN m.status = 'settled' THEN m.result ELSE COALESCE(EXCLUDED.result, m.result) END,
+        winner = CASE WHEN m.status = 'settled' THEN m.winner ELSE COALESCE(EXCLUDED.winner, m.winner) END,
+        completed_at = COALESCE(m.completed_at, EXCLUDED.completed_at),
+        updated_at = now();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN jsonb_build_object('success', true, 'synced', v_count);
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', false, 'error', SQLERRM);
+END;
+$$;
+
+-- ============================================
+-- RPC: Claim IPL Settlement
+-- Hands one completed, decided, unclaimed match to a backend instance
+-- for p_lease_seconds. SKIP LOCKED keeps concurrent instances from
+-- claiming the same match; an expired lease (crashed instance) can be
+-- re-claimed and settlement resumes from the bets still pending.
+-- Failed attempts back off one minute per attempt (max 30).
+-- ============================================
+CREATE OR REPLACE FUNCTION claim_ipl_settlement(
+    p_worker text,
+    p_lease_seconds integer DEFAULT 300
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_match ipl_matches%ROWTYPE;
+BEGIN
+    SELECT * INTO v_match FROM ipl_matches
+    WHERE status = 'completed'
+      AND (winner IS NOT NULL OR result IN ('no_result', 'abandoned'))
+      AND (claimed_by IS NULL OR claim_expires_at < now())
+      AND (last_attempt_at IS NULL
+           OR last_attempt_at < now() - make_interval(mins => LEAST(settlement_attempts, 30)))
+    ORDER BY completed_at NULLS LAST
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED;
+
+    IF v_match.match_id IS NULL THEN
+        RETURN jsonb_build_object('success', true, 'match', NULL);
+    END IF;
+
+    UPDATE ipl_matches SET
+        claimed_by = p_worker,
+        claim_expires_at = now() + make_interval(secs => p_lease_seconds),
+        settlement_attempts = settlement_attempts + 1,
+        last_attempt_at = now(),
+        updated_at = now()
+    WHERE match_id = v_match.match_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'match', jsonb_build_object(
+            'match_id', v_match.match_id,
+            'title', v_match.title,
+            'result', v_match.result,
+            'winner', v_match.winner,
+            'attempt', v_match.settlement_attempts + 1
+        )
+    );
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', false, 'error', SQLERRM);
+END;
+$$;
+
+-- ============================================
+-- RPC: Finish IPL Settlement
+-- p_error NULL → match is settled; otherwise the claim is released
+-- and the error kept for the next attempt
+-- ============================================
+CREATE OR REPLACE FUNCTION finish_ipl_settlement(
+    p_match_id text,
+    p_worker text,
+    p_error text DEFAULT NULL
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_match ipl_matches%ROWTYPE;
+BEGIN
+    SELECT * INTO v_match FROM ipl_matches WHERE match_id = p_match_id FOR UPDATE;
+
+    IF v_match.match_id IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Match not found');
+    END IF;
+
+    IF v_match.claimed_by IS DISTINCT FROM p_worker THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Settlement claim is held by another worker');
+    END IF;
+
+    IF p_error IS NULL THEN
+        UPDATE ipl_matches SET
+            status = 'settled',
+            settled_at = now(),
+            claimed_by = NULL,
+            claim_expires_at = NULL,
+            last_error = NULL,
+            updated_at = now()
+        WHERE match_id = p_match_id;
+    ELSE
+        UPDATE ipl_matches SET
+            claimed_by = NULL,
+            claim_expires_at = NULL,
+            last_error = p_error,
+            updated_at = now()
+        WHERE match_id = p_match_id;
+    END IF;
+
+    RETURN jsonb_build_object('success', true, 'settled', p_error IS NULL);
+END;
+$$;
+
+-- Match sync and settlement jobs are driven by the backend only
+REVOKE EXECUTE ON FUNCTION sync_ipl_matches(jsonb) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION claim_ipl_settlement(text, integer) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION finish_ipl_settlement(text, text, text) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION sync_ipl_matches(jsonb) TO service_role;
+GRANT EXECUTE ON FUNCTION claim_ipl_settlement(text, integer) TO service_role;
+GRANT EXECUTE ON FUNCTION finish_ipl_settlement(text, text, text) TO service_role;
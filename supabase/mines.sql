@@ -1,6 +1,6 @@
 -- ========================================
 -- MINES GAME SCHEMA FOR SUPABASE
--- Run this in Supabase SQL Editor
+-- Run this in Supabase SQL Editor (after fairness.sql)
 -- ========================================
 
 -- Drop existing functions if they exist (to avoid parameter name conflicts)
@@ -107,6 +107,9 @@ DECLARE
     v_temp INTEGER;
     i INTEGER;
     j INTEGER;
+    v_seed JSONB;
+    v_floats NUMERIC[];
+    v_fairness JSONB;
 BEGIN
     -- Validate inputs
     IF p_bet_amount < 10 THEN
@@ -137,13 +140,16 @@ BEGIN
         RETURN jsonb_build_object('success', false, 'error', 'Insufficient balance');
     END IF;
 
-    -- Generate random mine positions using Fisher-Yates shuffle
+    -- Generate provably fair mine positions using Fisher-Yates shuffle
+    v_seed := fn_fair_consume(p_user_id, 'mines');
+    v_floats := fn_fair_floats(v_seed->>'serverSeed', v_seed->>'clientSeed', (v_seed->>'nonce')::BIGINT, 24);
+
     -- Create array of all positions (0-24)
     v_all_positions := ARRAY(SELECT generate_series(0, 24));
     
     -- Shuffle and take first p_mines_count positions
     FOR i IN 0..23 LOOP
-        v_random_idx := i + floor(random() * (25 - i))::INTEGER;
+        v_random_idx := i + floor(v_floats[i + 1] * (25 - i))::INTEGER;
         v_temp := v_all_positions[v_random_idx + 1];
         v_all_positions[v_random_idx + 1] := v_all_positions[i + 1];
         v_all_positions[i + 1] := v_temp;
@@ -169,6 +175,10 @@ BEGIN
     VALUES (p_user_id, p_bet_amount, p_mines_count, to_jsonb(v_mine_positions), 1.0)
     RETURNING id INTO v_game_id;
 
+    v_fairness := fn_fair_record(p_user_id, 'mines', v_game_id::TEXT, v_seed,
+        jsonb_build_object('minesCount', p_mines_count),
+        jsonb_build_object('minePositions', to_jsonb(v_mine_positions)));
+
     -- Return success with game info (NO mine positions sent to client)
     RETURN jsonb_build_object(
         'success', true,
@@ -177,7 +187,8 @@ BEGIN
         'minesCount', p_mines_count,
         'newBalance', v_new_cash,
         'currentMultiplier', 1.0,
-        'nextMultiplier', get_mines_multiplier(p_mines_count, 1)
+        'nextMultiplier', get_mines_multiplier(p_mines_count, 1),
+        'fairness', v_fairness
     );
 
 EXCEPTION
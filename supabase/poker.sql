@@ -0,0 +1,79 @@
+-- ========================================
+-- POKER TABLES SCHEMA FOR SUPABASE
+-- Persistent table registry behind the poker lobby, and hand history
+-- Run this in Supabase SQL Editor
+-- ========================================
+
+-- Hands are played in memory by backend/socket/poker.js; this table only
+-- stores each table's configuration so tables survive restarts and can be
+-- listed before anyone sits down.
+CREATE TABLE IF NOT EXISTS public.poker_tables (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    table_type TEXT NOT NULL DEFAULT 'cash' CHECK (table_type IN ('cash', 'sng')),
+    small_blind INTEGER NOT NULL CHECK (small_blind > 0),
+    big_blind INTEGER NOT NULL,
+    min_buy_in INTEGER NOT NULL,
+    max_buy_in INTEGER NOT NULL,
+    max_seats INTEGER NOT NULL DEFAULT 6 CHECK (max_seats BETWEEN 2 AND 6),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    CONSTRAINT poker_tables_blinds CHECK (big_blind >= small_blind),
+    CONSTRAINT poker_tables_buy_in CHECK (min_buy_in >= big_blind * 2 AND max_buy_in >= min_buy_in),
+    -- Sit & go players all start with the same stack
+    CONSTRAINT poker_tables_sng_buy_in CHECK (table_type = 'cash' OR max_buy_in = min_buy_in)
+);
+
+CREATE INDEX IF NOT EXISTS idx_poker_tables_active ON public.poker_tables(is_active, big_blind);
+
+-- Default tables
+INSERT INTO public.poker_tables (name, table_type, small_blind, big_blind, min_buy_in, max_buy_in, max_seats)
+SELECT t.name, t.table_type, t.small_blind, t.big_blind, t.min_buy_in, t.max_buy_in, t.max_seats
+FROM (VALUES
+    ('Micro Stakes', 'cash', 5, 10, 200, 1000, 6),
+    ('Low Stakes', 'cash', 25, 50, 1000, 5000, 6),
+    ('High Rollers', 'cash', 100, 200, 4000, 20000, 6),
+    ('Heads-Up', 'cash', 10, 20, 400, 2000, 2),
+    ('Sit & Go 6-Max', 'sng', 25, 50, 1500, 1500, 6)
+) AS t(name, table_type, small_blind, big_blind, min_buy_in, max_buy_in, max_seats)
+WHERE NOT EXISTS (SELECT 1 FROM public.poker_tables p WHERE p.name = t.name);
+
+ALTER TABLE public.poker_tables ENABLE ROW LEVEL SECURITY;
+
+-- Open tables are public; creating and closing tables goes through the admin API
+CREATE POLICY "Anyone can view active poker tables" ON public.poker_tables
+    FOR SELECT USING (is_active);
+
+-- ========================================
+-- HAND HISTORY
+-- ========================================
+
+-- One row per hand dealt, written by backend/socket/poker.js when the hand
+-- ends.  seats holds every player dealt in with their starting stack, hole
+-- cards, chips put in and won; actions is the betting in order, tagged by
+-- street; pots is the payout as sent in the handEnded event.
+CREATE TABLE IF NOT EXISTS public.poker_hands (
+    id BIGSERIAL PRIMARY KEY,
+    table_id UUID REFERENCES public.poker_tables(id) ON DELETE SET NULL,
+    table_name TEXT NOT NULL,
+    table_type TEXT NOT NULL,
+    small_blind INTEGER NOT NULL,
+    big_blind INTEGER NOT NULL,
+    max_seats INTEGER NOT NULL,
+    button_seat INTEGER NOT NULL,
+    seats JSONB NOT NULL,
+    actions JSONB NOT NULL DEFAULT '[]'::jsonb,
+    board JSONB NOT NULL DEFAULT '[]'::jsonb,
+    pots JSONB NOT NULL DEFAULT '[]'::jsonb,
+    player_ids UUID[] NOT NULL,
+    started_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_poker_hands_players ON public.poker_hands USING GIN (player_ids);
+CREATE INDEX IF NOT EXISTS idx_poker_hands_table ON public.poker_hands(table_id, id DESC);
+
+-- No policies: rows carry every player's hole cards, so hands are only read
+-- through /api/poker/hands, which hides cards that weren't shown down
+ALTER TABLE public.poker_hands ENABLE ROW LEVEL SECURITY;
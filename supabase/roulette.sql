@@ -1,6 +1,6 @@
 -- ========================================
 -- EUROPEAN ROULETTE SCHEMA FOR SUPABASE
--- Run this in Supabase SQL Editor
+-- Run this in Supabase SQL Editor (after fairness.sql)
 -- ========================================
 
 -- Roulette History Table (stores all spins)
@@ -54,6 +54,8 @@ DECLARE
     v_history_id UUID;
     -- Roulette number colors (0=green, then alternating pattern)
     v_red_numbers INTEGER[] := ARRAY[1,3,5,7,9,12,14,16,18,19,21,23,25,27,30,32,34,36];
+    v_seed JSONB;
+    v_fairness JSONB;
 BEGIN
     -- Lock user row and get current cash
     SELECT cash INTO v_current_cash
@@ -80,8 +82,9 @@ BEGIN
         RAISE EXCEPTION 'Insufficient balance';
     END IF;
 
-    -- Generate random result (0-36)
-    v_result := floor(random() * 37)::INTEGER;
+    -- Provably fair result (0-36)
+    v_seed := fn_fair_consume(p_user_id, 'roulette');
+    v_result := floor((fn_fair_floats(v_seed->>'serverSeed', v_seed->>'clientSeed', (v_seed->>'nonce')::BIGINT, 1))[1] * 37)::INTEGER;
 
     -- Determine color
     IF v_result = 0 THEN
@@ -230,6 +233,9 @@ BEGIN
     VALUES (p_user_id, v_result, v_color, v_total_bet, v_total_win, p_bets)
     RETURNING id INTO v_history_id;
 
+    v_fairness := fn_fair_record(p_user_id, 'roulette', v_history_id::TEXT, v_seed, '{}'::jsonb,
+        jsonb_build_object('result', v_result));
+
     -- Update user stats
     PERFORM update_game_stats(p_user_id, v_total_win > 0);
 
@@ -242,7 +248,8 @@ BEGIN
         'totalWin', v_total_win,
         'netResult', v_total_win - v_total_bet,
         'newBalance', v_new_cash,
-        'historyId', v_history_id
+        'historyId', v_history_id,
+        'fairness', v_fairness
     );
 
 EXCEPTION
@@ -1,6 +1,6 @@
 -- ========================================
 -- SLOTS GAME RPC FOR SUPABASE
--- Run this in Supabase SQL Editor
+-- Run this in Supabase SQL Editor (after fairness.sql)
 -- ========================================
 
 -- Drop existing function if exists
@@ -40,6 +40,9 @@ DECLARE
     v_random INTEGER;
     v_cumulative INTEGER;
     i INTEGER;
+    v_seed JSONB;
+    v_floats NUMERIC[];
+    v_fairness JSONB;
 BEGIN
     -- Validate bet amount
     IF p_bet_amount < 10 THEN
@@ -72,9 +75,12 @@ BEGIN
     SET cash = v_new_cash, updated_at = NOW()
     WHERE id = p_user_id;
 
-    -- Generate 3 random symbols using weighted selection
+    -- Generate 3 provably fair symbols using weighted selection
+    v_seed := fn_fair_consume(p_user_id, 'slots');
+    v_floats := fn_fair_floats(v_seed->>'serverSeed', v_seed->>'clientSeed', (v_seed->>'nonce')::BIGINT, 3);
+
     -- Reel 1
-    v_random := floor(random() * v_total_weight)::INTEGER;
+    v_random := floor(v_floats[1] * v_total_weight)::INTEGER;
     v_cumulative := 0;
     FOR i IN 1..array_length(v_weights, 1) LOOP
         v_cumulative := v_cumulative + v_weights[i];
@@ -85,7 +91,7 @@ BEGIN
     END LOOP;
 
     -- Reel 2
-    v_random := floor(random() * v_total_weight)::INTEGER;
+    v_random := floor(v_floats[2] * v_total_weight)::INTEGER;
     v_cumulative := 0;
     FOR i IN 1..array_length(v_weights, 1) LOOP
         v_cumulative := v_cumulative + v_weights[i];
@@ -96,7 +102,7 @@ BEGIN
     END LOOP;
 
     -- Reel 3
-    v_random := floor(random() * v_total_weight)::INTEGER;
+    v_random := floor(v_floats[3] * v_total_weight)::INTEGER;
     v_cumulative := 0;
     FOR i IN 1..array_length(v_weights, 1) LOOP
         v_cumulative := v_cumulative + v_weights[i];
@@ -168,6 +174,9 @@ BEGIN
             )),
             NOW());
 
+    v_fairness := fn_fair_record(p_user_id, 'slots', NULL, v_seed, '{}'::jsonb,
+        jsonb_build_object('symbols', ARRAY[v_reel1, v_reel2, v_reel3]));
+
     -- Return result
     RETURN jsonb_build_object(
         'success', true,
@@ -176,7 +185,8 @@ BEGIN
         'won', v_multiplier > 0,
         'betAmount', p_bet_amount,
         'winnings', v_winnings,
-        'newBalance', v_new_cash
+        'newBalance', v_new_cash,
+        'fairness', v_fairness
     );
 
 EXCEPTION
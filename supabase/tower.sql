@@ -1,7 +1,7 @@
 -- ========================================
 -- TOWER GAME SCHEMA FOR SUPABASE
 -- FIXED VERSION - SIMPLIFIED FOR RELIABILITY
--- Run this in Supabase SQL Editor
+-- Run this in Supabase SQL Editor (after fairness.sql)
 -- ========================================
 
 -- Drop existing objects to ensure clean install
@@ -78,6 +78,13 @@ DECLARE
     v_row_array JSONB;
     v_mine_positions INTEGER[];
     v_pos INTEGER;
+    v_columns INTEGER[];
+    v_swap INTEGER;
+    v_k INTEGER;
+    v_seed JSONB;
+    v_floats NUMERIC[];
+    v_float_idx INTEGER := 1;
+    v_fairness JSONB;
 BEGIN
     -- Validate bet amount
     IF p_bet_amount < 10 THEN
@@ -127,6 +134,10 @@ BEGIN
         WHEN 'hard' THEN v_mine_count := 3;    -- 2 safe, 3 mines
     END CASE;
 
+    -- One float per mine, consumed row by row
+    v_seed := fn_fair_consume(p_user_id, 'tower');
+    v_floats := fn_fair_floats(v_seed->>'serverSeed', v_seed->>'clientSeed', (v_seed->>'nonce')::BIGINT, 10 * v_mine_count);
+
     -- Generate grid state: 10 rows x 5 columns
     -- Each row is an array of 5 integers: 0 = safe, 1 = mine
     v_grid_state := '[]'::jsonb;
@@ -135,14 +146,16 @@ BEGIN
         -- Start with all safe [0,0,0,0,0]
         v_row_array := '[0,0,0,0,0]'::jsonb;
         
-        -- Generate unique random mine positions
-        v_mine_positions := ARRAY[]::INTEGER[];
-        WHILE array_length(v_mine_positions, 1) IS NULL OR array_length(v_mine_positions, 1) < v_mine_count LOOP
-            v_pos := floor(random() * 5)::INTEGER;
-            IF NOT (v_pos = ANY(v_mine_positions)) THEN
-                v_mine_positions := array_append(v_mine_positions, v_pos);
-            END IF;
+        -- Partial Fisher-Yates over the 5 columns, first v_mine_count are mines
+        v_columns := ARRAY[0, 1, 2, 3, 4];
+        FOR v_k IN 0..(v_mine_count - 1) LOOP
+            v_pos := v_k + floor(v_floats[v_float_idx] * (5 - v_k))::INTEGER;
+            v_float_idx := v_float_idx + 1;
+            v_swap := v_columns[v_pos + 1];
+            v_columns[v_pos + 1] := v_columns[v_k + 1];
+            v_columns[v_k + 1] := v_swap;
         END LOOP;
+        v_mine_positions := v_columns[1:v_mine_count];
         
         -- Set mine positions to 1
         FOREACH v_pos IN ARRAY v_mine_positions LOOP
@@ -158,6 +171,10 @@ BEGIN
     VALUES (p_user_id, p_bet_amount, p_difficulty, 0, v_grid_state, 'active')
     RETURNING id INTO v_game_id;
 
+    v_fairness := fn_fair_record(p_user_id, 'tower', v_game_id::TEXT, v_seed,
+        jsonb_build_object('difficulty', p_difficulty),
+        jsonb_build_object('grid', v_grid_state));
+
     -- Return game data
     RETURN jsonb_build_object(
         'success', true,
@@ -165,7 +182,8 @@ BEGIN
         'currentRow', 0,
         'currentMultiplier', 1.0,
         'nextMultiplier', get_tower_multiplier(0, p_difficulty),
-        'newBalance', v_new_cash
+        'newBalance', v_new_cash,
+        'fairness', v_fairness
     );
 
 EXCEPTION
@@ -1,9 +1,11 @@
 -- ========================================
 -- UNO GAME - COMPLETE REBUILD
--- Single Table, High-Speed Sync
+-- Split state: public room row, private hands and deck
 -- ========================================
 
 -- Drop old tables if they exist
+DROP TABLE IF EXISTS uno_hands CASCADE;
+DROP TABLE IF EXISTS uno_decks CASCADE;
 DROP TABLE IF EXISTS uno_players CASCADE;
 DROP TABLE IF EXISTS uno_hidden_states CASCADE;
 DROP TABLE IF EXISTS uno_public_states CASCADE;
@@ -11,11 +13,20 @@ DROP TABLE IF EXISTS uno_rooms CASCADE;
 
 -- Drop all existing functions to prevent signature conflicts
 DROP FUNCTION IF EXISTS fn_create_uno_room(uuid, numeric, integer);
+DROP FUNCTION IF EXISTS fn_create_uno_room(uuid, numeric, integer, jsonb);
 DROP FUNCTION IF EXISTS fn_join_uno_room(uuid, uuid);
 DROP FUNCTION IF EXISTS fn_uno_toggle_ready(uuid, uuid);
 DROP FUNCTION IF EXISTS fn_start_uno(uuid, uuid);
 DROP FUNCTION IF EXISTS fn_start_uno_game(uuid, uuid);
 DROP FUNCTION IF EXISTS fn_play_card(uuid, uuid, integer, text);
+DROP FUNCTION IF EXISTS fn_play_card(uuid, uuid, integer, text, uuid);
+DROP FUNCTION IF EXISTS fn_uno_challenge(uuid, uuid);
+DROP FUNCTION IF EXISTS fn_uno_call(uuid, uuid);
+DROP FUNCTION IF EXISTS fn_uno_catch(uuid, uuid, uuid);
+DROP FUNCTION IF EXISTS uno_normalize_rules(jsonb);
+DROP FUNCTION IF EXISTS uno_pay_out(jsonb, jsonb, numeric);
+DROP FUNCTION IF EXISTS fn_add_uno_bot(uuid, uuid, text);
+DROP FUNCTION IF EXISTS fn_remove_uno_bot(uuid, uuid, uuid);
 DROP FUNCTION IF EXISTS fn_uno_play_card(uuid, uuid, integer, text);
 DROP FUNCTION IF EXISTS fn_draw_card(uuid, uuid);
 DROP FUNCTION IF EXISTS fn_uno_draw_card(uuid, uuid);
@@ -25,10 +36,13 @@ DROP FUNCTION IF EXISTS fn_get_uno_rooms();
 DROP FUNCTION IF EXISTS fn_uno_call_uno(uuid, uuid);
 DROP FUNCTION IF EXISTS generate_uno_deck();
 DROP FUNCTION IF EXISTS shuffle_deck(jsonb);
+DROP FUNCTION IF EXISTS uno_take_cards(uuid, integer);
+DROP FUNCTION IF EXISTS uno_public_players(uuid, jsonb);
+DROP FUNCTION IF EXISTS fn_uno_timeout_turn(uuid, timestamptz, integer);
 
 -- ========================================
--- UNIFIED TABLE: uno_rooms
--- All game state in one place
+-- PUBLIC TABLE: uno_rooms
+-- Everything every player may see; broadcast via Realtime
 -- ========================================
 CREATE TABLE uno_rooms (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -38,12 +52,23 @@ CREATE TABLE uno_rooms (
     pot_amount NUMERIC DEFAULT 0,
     max_players INTEGER DEFAULT 4,
     
+    -- House rules chosen at creation: {stacking, jump_in, seven_zero,
+    -- challenge_draw_four, uno_call}; see uno_normalize_rules
+    rules JSONB DEFAULT '{}'::jsonb,
+    
     -- Game state (JSONB for flexibility)
-    deck JSONB DEFAULT '[]'::jsonb,
     discard_pile JSONB DEFAULT '[]'::jsonb,
     current_color TEXT DEFAULT NULL,
+    deck_count INTEGER DEFAULT 0,
+    
+    -- Draw penalty waiting on the current player (stacked +2/+4s, or a
+    -- +4 that may still be challenged) and who played that +4
+    pending_draw INTEGER DEFAULT 0,
+    draw_four_by UUID DEFAULT NULL,
     
-    -- Players array: [{user_id, username, seat_index, hand: [], is_ready, has_paid}]
+    -- Players array: [{user_id, username, seat_index, hand_count, uno_called, missed_turns, is_ready, has_paid}]
+    -- Bots also carry is_bot and bot_level; they never pay in (has_paid false)
+    -- The cards themselves live in uno_hands
     players JSONB DEFAULT '[]'::jsonb,
     
     -- Turn management
@@ -59,8 +84,47 @@ CREATE TABLE uno_rooms (
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
--- Enable Realtime for the entire table
+-- ========================================
+-- PRIVATE TABLE: uno_hands
+-- One row per seated player; readable only by its owner
+-- ========================================
+CREATE TABLE uno_hands (
+    room_id UUID NOT NULL REFERENCES uno_rooms(id) ON DELETE CASCADE,
+    -- No users FK: bots hold hands under made-up ids
+    user_id UUID NOT NULL,
+    hand JSONB NOT NULL DEFAULT '[]'::jsonb,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (room_id, user_id)
+);
+
+-- ========================================
+-- PRIVATE TABLE: uno_decks
+-- Draw pile and other per-room secrets; only the RPCs below read it
+-- ========================================
+CREATE TABLE uno_decks (
+    room_id UUID PRIMARY KEY REFERENCES uno_rooms(id) ON DELETE CASCADE,
+    deck JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- Whether the last +4 was played without a card of the current colour
+    draw_four_legal BOOLEAN DEFAULT NULL
+);
+
+ALTER TABLE uno_rooms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE uno_hands ENABLE ROW LEVEL SECURITY;
+ALTER TABLE uno_decks ENABLE ROW LEVEL SECURITY;
+
+-- Rooms are public; all writes go through the SECURITY DEFINER RPCs
+CREATE POLICY "Anyone can view uno rooms" ON uno_rooms
+    FOR SELECT USING (true);
+
+-- Realtime applies this too, so hand updates only reach their owner
+CREATE POLICY "Players can view their own uno hand" ON uno_hands
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- uno_decks has no policies: not readable through the API at all
+
+-- Enable Realtime (uno_decks is deliberately not published)
 ALTER PUBLICATION supabase_realtime ADD TABLE uno_rooms;
+ALTER PUBLICATION supabase_realtime ADD TABLE uno_hands;
 
 -- ========================================
 -- HELPER: Generate UNO Deck (108 cards)
@@ -121,10 +185,118 @@ BEGIN
 END;
 $$;
 
+-- ========================================
+-- HELPER: Take cards off the top of a room's deck
+-- A fresh shuffled deck replaces an empty one
+-- ========================================
+CREATE OR REPLACE FUNCTION uno_take_cards(p_room_id UUID, p_count INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_deck JSONB;
+    v_cards JSONB := '[]'::jsonb;
+BEGIN
+    SELECT deck INTO v_deck FROM uno_decks WHERE room_id = p_room_id FOR UPDATE;
+    v_deck := COALESCE(v_deck, '[]'::jsonb);
+    
+    FOR i IN 1..p_count LOOP
+        IF jsonb_array_length(v_deck) = 0 THEN
+            v_deck := shuffle_deck(generate_uno_deck());
+        END IF;
+        v_cards := v_cards || jsonb_build_array(v_deck->0);
+        v_deck := v_deck - 0;
+    END LOOP;
+    
+    INSERT INTO uno_decks (room_id, deck) VALUES (p_room_id, v_deck)
+    ON CONFLICT (room_id) DO UPDATE SET deck = EXCLUDED.deck;
+    
+    RETURN v_cards;
+END;
+$$;
+
+-- ========================================
+-- HELPER: Public view of the players array
+-- Drops any cards and adds each player's hand size
+-- ========================================
+CREATE OR REPLACE FUNCTION uno_public_players(p_room_id UUID, p_players JSONB)
+RETURNS JSONB
+LANGUAGE sql STABLE AS $$
+    -- An UNO call only covers the hand it was made with
+    SELECT COALESCE(jsonb_agg(
+        (e.player - 'hand') || jsonb_build_object(
+            'hand_count', COALESCE(jsonb_array_length(h.hand), 0),
+            'uno_called', COALESCE((e.player->>'uno_called')::BOOLEAN, false)
+                AND COALESCE(jsonb_array_length(h.hand), 0) <= 2
+        )
+        ORDER BY e.ord
+    ), '[]'::jsonb)
+    FROM jsonb_array_elements(p_players) WITH ORDINALITY AS e(player, ord)
+    LEFT JOIN uno_hands h ON h.room_id = p_room_id AND h.user_id = (e.player->>'user_id')::UUID;
+$$;
+
+-- ========================================
+-- HELPER: House rules
+-- Keeps only the known toggles, all off unless asked for
+--   stacking            +2 on +2, +4 on either; the stack lands on
+--                       whoever can't continue it
+--   jump_in             play a card identical to the top card out of turn
+--   seven_zero          7 swaps hands with a chosen player, 0 passes
+--                       every hand along in the direction of play
+--   challenge_draw_four the victim of a +4 may challenge it
+--   uno_call            one card left without calling UNO: anyone who
+--                       catches it makes that player draw 2
+-- ========================================
+CREATE OR REPLACE FUNCTION uno_normalize_rules(p_rules JSONB)
+RETURNS JSONB
+LANGUAGE sql IMMUTABLE AS $$
+    SELECT jsonb_build_object(
+        'stacking', COALESCE((p_rules->>'stacking')::BOOLEAN, false),
+        'jump_in', COALESCE((p_rules->>'jump_in')::BOOLEAN, false),
+        'seven_zero', COALESCE((p_rules->>'seven_zero')::BOOLEAN, false),
+        'challenge_draw_four', COALESCE((p_rules->>'challenge_draw_four')::BOOLEAN, false),
+        'uno_call', COALESCE((p_rules->>'uno_call')::BOOLEAN, false)
+    );
+$$;
+
+-- ========================================
+-- HELPER: Pay out the pot
+-- Bots never take money: when one wins, the pot is shared back out
+-- among the people still at the table
+-- ========================================
+CREATE OR REPLACE FUNCTION uno_pay_out(p_winner JSONB, p_players JSONB, p_pot NUMERIC)
+RETURNS VOID
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_elem JSONB;
+    v_humans INTEGER;
+    v_share NUMERIC;
+BEGIN
+    IF NOT COALESCE((p_winner->>'is_bot')::BOOLEAN, false) THEN
+        UPDATE public.users SET cash = cash + p_pot WHERE id = (p_winner->>'user_id')::UUID;
+        INSERT INTO public.transactions (user_id, type, amount, balance_after, description)
+        SELECT id, 'win', p_pot, cash, 'UNO Win' FROM public.users WHERE id = (p_winner->>'user_id')::UUID;
+        RETURN;
+    END IF;
+    
+    SELECT COUNT(*) INTO v_humans FROM jsonb_array_elements(p_players) AS p
+    WHERE NOT COALESCE((p->>'is_bot')::BOOLEAN, false);
+    IF v_humans = 0 OR p_pot <= 0 THEN RETURN; END IF;
+    
+    v_share := ROUND(p_pot / v_humans, 2);
+    FOR v_elem IN SELECT * FROM jsonb_array_elements(p_players) LOOP
+        CONTINUE WHEN COALESCE((v_elem->>'is_bot')::BOOLEAN, false);
+        
+        UPDATE public.users SET cash = cash + v_share WHERE id = (v_elem->>'user_id')::UUID;
+        INSERT INTO public.transactions (user_id, type, amount, balance_after, description)
+        SELECT id, 'win', v_share, cash, 'UNO Refund (bot won)' FROM public.users WHERE id = (v_elem->>'user_id')::UUID;
+    END LOOP;
+END;
+$$;
+
 -- ========================================
 -- RPC: Create Room
 -- ========================================
-CREATE OR REPLACE FUNCTION fn_create_uno_room(p_user_id UUID, p_bet_amount NUMERIC, p_max_players INTEGER DEFAULT 4)
+CREATE OR REPLACE FUNCTION fn_create_uno_room(p_user_id UUID, p_bet_amount NUMERIC, p_max_players INTEGER DEFAULT 4, p_rules JSONB DEFAULT '{}'::jsonb)
 RETURNS JSONB
 LANGUAGE plpgsql SECURITY DEFINER AS $$
 DECLARE
@@ -132,6 +304,10 @@ DECLARE
     v_room_id UUID;
     v_player JSONB;
 BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id AND COALESCE(auth.role(), '') != 'service_role' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
     -- Get user
     SELECT id, username, cash INTO v_user FROM public.users WHERE id = p_user_id FOR UPDATE;
     IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'User not found'); END IF;
@@ -147,14 +323,15 @@ BEGIN
         'user_id', p_user_id,
         'username', v_user.username,
         'seat_index', 0,
-        'hand', '[]'::jsonb,
+        'hand_count', 0,
         'is_ready', true,
         'has_paid', true
     );
     
     -- Create room
-    INSERT INTO uno_rooms (host_id, bet_amount, pot_amount, max_players, players)
-    VALUES (p_user_id, p_bet_amount, p_bet_amount, LEAST(4, GREATEST(2, p_max_players)), jsonb_build_array(v_player))
+    INSERT INTO uno_rooms (host_id, bet_amount, pot_amount, max_players, rules, players)
+    VALUES (p_user_id, p_bet_amount, p_bet_amount, LEAST(4, GREATEST(2, p_max_players)),
+            uno_normalize_rules(COALESCE(p_rules, '{}'::jsonb)), jsonb_build_array(v_player))
     RETURNING id INTO v_room_id;
     
     RETURN jsonb_build_object('success', true, 'roomId', v_room_id);
@@ -176,6 +353,10 @@ DECLARE
     v_new_player JSONB;
     v_existing JSONB;
 BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id AND COALESCE(auth.role(), '') != 'service_role' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
     -- Lock room
     SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
     IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
@@ -202,7 +383,7 @@ BEGIN
         'user_id', p_user_id,
         'username', v_user.username,
         'seat_index', v_player_count,
-        'hand', '[]'::jsonb,
+        'hand_count', 0,
         'is_ready', false,
         'has_paid', true
     );
@@ -233,6 +414,10 @@ DECLARE
     v_elem JSONB;
     v_is_ready BOOLEAN;
 BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id AND COALESCE(auth.role(), '') != 'service_role' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
     SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
     IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
     
@@ -253,9 +438,99 @@ EXCEPTION WHEN OTHERS THEN
 END;
 $$;
 
+-- ========================================
+-- RPC: Add Bot (Host Only)
+-- Bots take a seat without paying in; backend/services/unoBots.js
+-- plays their turns.  p_level: easy | medium | hard
+-- ========================================
+CREATE OR REPLACE FUNCTION fn_add_uno_bot(p_user_id UUID, p_room_id UUID, p_level TEXT DEFAULT 'medium')
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_room RECORD;
+    v_player_count INTEGER;
+    v_names TEXT[] := ARRAY['Ace', 'Blaze', 'Cleo', 'Dash', 'Echo', 'Fizz', 'Gus', 'Hex'];
+    v_name TEXT;
+    v_bot JSONB;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    IF p_level NOT IN ('easy', 'medium', 'hard') THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Bot level must be easy, medium or hard');
+    END IF;
+    
+    SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
+    IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
+    IF v_room.host_id != p_user_id THEN RETURN jsonb_build_object('success', false, 'error', 'Only host can add bots'); END IF;
+    IF v_room.status != 'waiting' THEN RETURN jsonb_build_object('success', false, 'error', 'Game already started'); END IF;
+    
+    v_player_count := jsonb_array_length(v_room.players);
+    IF v_player_count >= v_room.max_players THEN RETURN jsonb_build_object('success', false, 'error', 'Room is full'); END IF;
+    
+    -- First name not already at the table
+    SELECT n INTO v_name FROM unnest(v_names) AS n
+    WHERE NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(v_room.players) AS p WHERE p->>'username' = 'Bot ' || n
+    )
+    LIMIT 1;
+    
+    v_bot := jsonb_build_object(
+        'user_id', gen_random_uuid(),
+        'username', 'Bot ' || v_name,
+        'seat_index', v_player_count,
+        'hand_count', 0,
+        'is_ready', true,
+        'has_paid', false,
+        'is_bot', true,
+        'bot_level', p_level
+    );
+    
+    UPDATE uno_rooms SET
+        players = players || jsonb_build_array(v_bot),
+        updated_at = NOW()
+    WHERE id = p_room_id;
+    
+    RETURN jsonb_build_object('success', true, 'bot', v_bot);
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', false, 'error', SQLERRM);
+END;
+$$;
+
+-- ========================================
+-- RPC: Remove Bot (Host Only, before the game starts)
+-- ========================================
+CREATE OR REPLACE FUNCTION fn_remove_uno_bot(p_user_id UUID, p_room_id UUID, p_bot_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_room RECORD;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
+    SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
+    IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
+    IF v_room.host_id != p_user_id THEN RETURN jsonb_build_object('success', false, 'error', 'Only host can remove bots'); END IF;
+    IF v_room.status != 'waiting' THEN RETURN jsonb_build_object('success', false, 'error', 'Game already started'); END IF;
+    
+    IF NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(v_room.players) AS p
+        WHERE (p->>'user_id')::UUID = p_bot_id AND COALESCE((p->>'is_bot')::BOOLEAN, false)
+    ) THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Bot not found');
+    END IF;
+    
+    RETURN fn_leave_uno_room(p_bot_id, p_room_id);
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', false, 'error', SQLERRM);
+END;
+$$;
+
 -- ========================================
 -- RPC: Start Game
--- Shuffles deck, deals 7 cards each, sets first discard
+-- Shuffles deck, deals 7 cards each into uno_hands, sets first discard
 -- ========================================
 CREATE OR REPLACE FUNCTION fn_start_uno(p_user_id UUID, p_room_id UUID)
 RETURNS JSONB
@@ -263,15 +538,16 @@ LANGUAGE plpgsql SECURITY DEFINER AS $$
 DECLARE
     v_room RECORD;
     v_deck JSONB;
-    v_players JSONB;
-    v_player JSONB;
     v_hand JSONB;
-    v_card JSONB;
     v_first_card JSONB;
     v_player_count INTEGER;
     i INTEGER;
     j INTEGER;
 BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id AND COALESCE(auth.role(), '') != 'service_role' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
     SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
     IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
     IF v_room.host_id != p_user_id THEN RETURN jsonb_build_object('success', false, 'error', 'Only host can start'); END IF;
@@ -290,20 +566,18 @@ BEGIN
     -- Generate and shuffle deck
     v_deck := shuffle_deck(generate_uno_deck());
     
-    -- Deal 7 cards to each player
-    v_players := '[]'::jsonb;
+    -- Deal 7 cards to each player's private hand
+    DELETE FROM uno_hands WHERE room_id = p_room_id;
     FOR i IN 0..v_player_count-1 LOOP
-        v_player := v_room.players->i;
         v_hand := '[]'::jsonb;
         
         FOR j IN 1..7 LOOP
-            v_card := v_deck->0;
+            v_hand := v_hand || jsonb_build_array(v_deck->0);
             v_deck := v_deck - 0;
-            v_hand := v_hand || jsonb_build_array(v_card);
         END LOOP;
         
-        v_player := jsonb_set(v_player, '{hand}', v_hand);
-        v_players := v_players || jsonb_build_array(v_player);
+        INSERT INTO uno_hands (room_id, user_id, hand)
+        VALUES (p_room_id, (v_room.players->i->>'user_id')::UUID, v_hand);
     END LOOP;
     
     -- Find first number card for discard pile (skip action/wild cards)
@@ -314,15 +588,20 @@ BEGIN
         v_deck := v_deck || jsonb_build_array(v_first_card);
     END LOOP;
     
-    -- Update room with all game state
+    INSERT INTO uno_decks (room_id, deck) VALUES (p_room_id, v_deck)
+    ON CONFLICT (room_id) DO UPDATE SET deck = EXCLUDED.deck;
+    
+    -- Update room with the public game state
     UPDATE uno_rooms SET
         status = 'playing',
-        deck = v_deck,
         discard_pile = jsonb_build_array(v_first_card),
         current_color = v_first_card->>'color',
-        players = v_players,
+        deck_count = jsonb_array_length(v_deck),
+        players = uno_public_players(p_room_id, v_room.players),
         current_turn_index = 0,
         direction = 1,
+        pending_draw = 0,
+        draw_four_by = NULL,
         turn_started_at = NOW(),
         updated_at = NOW()
     WHERE id = p_room_id;
@@ -335,39 +614,46 @@ $$;
 
 -- ========================================
 -- RPC: Play Card
--- Validates turn, card match, handles specials
+-- Validates turn, card match, handles specials and house rules
+-- p_target_user_id: who a 7 swaps hands with (seven_zero rule)
 -- ========================================
-CREATE OR REPLACE FUNCTION fn_play_card(p_user_id UUID, p_room_id UUID, p_card_index INTEGER, p_wild_color TEXT DEFAULT NULL)
+CREATE OR REPLACE FUNCTION fn_play_card(p_user_id UUID, p_room_id UUID, p_card_index INTEGER, p_wild_color TEXT DEFAULT NULL, p_target_user_id UUID DEFAULT NULL)
 RETURNS JSONB
 LANGUAGE plpgsql SECURITY DEFINER AS $$
 DECLARE
     v_room RECORD;
+    v_rules JSONB;
     v_player JSONB;
     v_player_idx INTEGER;
+    v_hand JSONB;
     v_card JSONB;
     v_top_card JSONB;
     v_new_hand JSONB;
-    v_players JSONB;
     v_player_count INTEGER;
     v_next_turn INTEGER;
     v_new_direction INTEGER;
     v_skip BOOLEAN := false;
     v_draw_count INTEGER := 0;
+    v_deferred BOOLEAN := false;
     v_victim_idx INTEGER;
-    v_victim JSONB;
-    v_victim_hand JSONB;
-    v_deck_card JSONB;
-    v_new_deck JSONB;
+    v_target_idx INTEGER := -1;
+    v_target_hand JSONB;
+    v_hands JSONB := '[]'::jsonb;
     i INTEGER;
 BEGIN
+    -- Players act only for themselves; timeouts come from the backend
+    IF auth.uid() IS DISTINCT FROM p_user_id AND COALESCE(auth.role(), '') != 'service_role' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
     SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
     IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
     IF v_room.status != 'playing' THEN RETURN jsonb_build_object('success', false, 'error', 'Game not in progress'); END IF;
     
+    v_rules := uno_normalize_rules(v_room.rules);
     v_player_count := jsonb_array_length(v_room.players);
-    v_new_deck := v_room.deck;
     
-    -- Find player and verify turn
+    -- Find player
     v_player_idx := -1;
     FOR i IN 0..v_player_count-1 LOOP
         IF (v_room.players->i->>'user_id')::UUID = p_user_id THEN
@@ -378,14 +664,34 @@ BEGIN
     END LOOP;
     
     IF v_player_idx = -1 THEN RETURN jsonb_build_object('success', false, 'error', 'Not in game'); END IF;
-    IF v_room.current_turn_index != v_player_idx THEN RETURN jsonb_build_object('success', false, 'error', 'Not your turn'); END IF;
     
     -- Get card
-    v_card := v_player->'hand'->p_card_index;
+    SELECT hand INTO v_hand FROM uno_hands WHERE room_id = p_room_id AND user_id = p_user_id FOR UPDATE;
+    v_card := v_hand->p_card_index;
     IF v_card IS NULL THEN RETURN jsonb_build_object('success', false, 'error', 'Invalid card'); END IF;
     
-    -- Validate card is playable
     v_top_card := v_room.discard_pile->-1;
+    
+    -- Out of turn only as a jump-in: the exact same coloured card
+    IF v_room.current_turn_index != v_player_idx THEN
+        IF NOT ((v_rules->>'jump_in')::BOOLEAN
+                AND v_room.pending_draw = 0
+                AND (v_card->>'type') != 'wild'
+                AND (v_card->>'color') = (v_top_card->>'color')
+                AND (v_card->>'value') = (v_top_card->>'value')) THEN
+            RETURN jsonb_build_object('success', false, 'error', 'Not your turn');
+        END IF;
+    END IF;
+    
+    -- Facing a draw penalty: stack onto it or take it
+    IF v_room.pending_draw > 0 THEN
+        IF NOT ((v_rules->>'stacking')::BOOLEAN
+                AND ((v_card->>'value') = '+4' OR ((v_card->>'value') = '+2' AND (v_top_card->>'value') = '+2'))) THEN
+            RETURN jsonb_build_object('success', false, 'error', 'You must draw the penalty cards');
+        END IF;
+    END IF;
+    
+    -- Validate card is playable
     IF (v_card->>'type') != 'wild' THEN
         IF (v_card->>'color') != v_room.current_color AND (v_card->>'value') != (v_top_card->>'value') THEN
             RETURN jsonb_build_object('success', false, 'error', 'Card cannot be played');
@@ -396,13 +702,32 @@ BEGIN
         END IF;
     END IF;
     
-    -- Remove card from hand
-    v_new_hand := '[]'::jsonb;
-    FOR i IN 0..jsonb_array_length(v_player->'hand')-1 LOOP
-        IF i != p_card_index THEN
-            v_new_hand := v_new_hand || jsonb_build_array(v_player->'hand'->i);
+    -- A 7 needs someone to swap with
+    IF (v_rules->>'seven_zero')::BOOLEAN AND (v_card->>'value') = '7' AND jsonb_array_length(v_hand) > 1 THEN
+        FOR i IN 0..v_player_count-1 LOOP
+            IF (v_room.players->i->>'user_id')::UUID = p_target_user_id AND i != v_player_idx THEN
+                v_target_idx := i;
+                EXIT;
+            END IF;
+        END LOOP;
+        IF v_target_idx = -1 THEN
+            RETURN jsonb_build_object('success', false, 'error', 'Choose a player to swap hands with');
         END IF;
-    END LOOP;
+    END IF;
+    
+    -- Remove card from hand
+    v_new_hand := v_hand - p_card_index;
+    UPDATE uno_hands SET hand = v_new_hand, updated_at = NOW()
+    WHERE room_id = p_room_id AND user_id = p_user_id;
+    
+    -- A +4 is only legal without a card of the current colour; kept
+    -- private so a challenge can't be used to peek at the hand
+    IF (v_card->>'value') = '+4' THEN
+        UPDATE uno_decks SET draw_four_legal = NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(v_new_hand) AS c WHERE c->>'color' = v_room.current_color
+        )
+        WHERE room_id = p_room_id;
+    END IF;
     
     -- Handle special cards
     v_new_direction := v_room.direction;
@@ -422,6 +747,14 @@ BEGIN
         ELSE NULL;
     END CASE;
     
+    -- Stacking and challenges leave the penalty with the next player,
+    -- who gets a turn to answer it instead of being skipped
+    IF v_draw_count > 0 AND ((v_rules->>'stacking')::BOOLEAN
+        OR ((v_card->>'value') = '+4' AND (v_rules->>'challenge_draw_four')::BOOLEAN)) THEN
+        v_deferred := true;
+        v_skip := false;
+    END IF;
+    
     -- Calculate next turn
     v_next_turn := v_player_idx + v_new_direction;
     IF v_skip THEN v_next_turn := v_next_turn + v_new_direction; END IF;
@@ -429,50 +762,28 @@ BEGIN
     IF v_next_turn < 0 THEN v_next_turn := v_next_turn + v_player_count; END IF;
     
     -- Handle +2/+4 victim
-    IF v_draw_count > 0 THEN
+    IF v_draw_count > 0 AND NOT v_deferred THEN
         v_victim_idx := (v_player_idx + v_new_direction) % v_player_count;
         IF v_victim_idx < 0 THEN v_victim_idx := v_victim_idx + v_player_count; END IF;
         
-        v_victim := v_room.players->v_victim_idx;
-        v_victim_hand := v_victim->'hand';
-        
-        FOR i IN 1..v_draw_count LOOP
-            -- Reshuffle if deck empty
-            IF jsonb_array_length(v_new_deck) = 0 THEN
-                v_new_deck := shuffle_deck(generate_uno_deck());
-            END IF;
-            
-            v_deck_card := v_new_deck->0;
-            v_new_deck := v_new_deck - 0;
-            v_victim_hand := v_victim_hand || jsonb_build_array(v_deck_card);
-        END LOOP;
-        
-        v_victim := jsonb_set(v_victim, '{hand}', v_victim_hand);
+        UPDATE uno_hands SET
+            hand = hand || uno_take_cards(p_room_id, v_draw_count),
+            updated_at = NOW()
+        WHERE room_id = p_room_id AND user_id = (v_room.players->v_victim_idx->>'user_id')::UUID;
     END IF;
     
-    -- Build new players array
-    v_players := '[]'::jsonb;
-    FOR i IN 0..v_player_count-1 LOOP
-        IF i = v_player_idx THEN
-            v_players := v_players || jsonb_build_array(jsonb_set(v_player, '{hand}', v_new_hand));
-        ELSIF v_draw_count > 0 AND i = v_victim_idx THEN
-            v_players := v_players || jsonb_build_array(v_victim);
-        ELSE
-            v_players := v_players || jsonb_build_array(v_room.players->i);
-        END IF;
-    END LOOP;
-    
     -- Check win condition
     IF jsonb_array_length(v_new_hand) = 0 THEN
-        UPDATE public.users SET cash = cash + v_room.pot_amount WHERE id = p_user_id;
-        INSERT INTO public.transactions (user_id, type, amount, balance_after, description)
-        SELECT p_user_id, 'win', v_room.pot_amount, cash, 'UNO Win' FROM public.users WHERE id = p_user_id;
+        PERFORM uno_pay_out(v_player, v_room.players, v_room.pot_amount);
         
         UPDATE uno_rooms SET
             status = 'finished',
-            players = v_players,
+            players = uno_public_players(p_room_id, v_room.players),
+            deck_count = (SELECT jsonb_array_length(deck) FROM uno_decks WHERE room_id = p_room_id),
             discard_pile = v_room.discard_pile || jsonb_build_array(v_card),
             current_color = COALESCE(p_wild_color, v_card->>'color'),
+            pending_draw = 0,
+            draw_four_by = NULL,
             winner_id = p_user_id,
             winner_username = v_player->>'username',
             updated_at = NOW()
@@ -481,19 +792,51 @@ BEGIN
         RETURN jsonb_build_object('success', true, 'gameOver', true, 'winner', v_player->>'username');
     END IF;
     
+    -- 7: swap hands with the chosen player
+    IF v_target_idx != -1 THEN
+        SELECT hand INTO v_target_hand FROM uno_hands
+        WHERE room_id = p_room_id AND user_id = p_target_user_id FOR UPDATE;
+        
+        UPDATE uno_hands SET hand = v_target_hand, updated_at = NOW()
+        WHERE room_id = p_room_id AND user_id = p_user_id;
+        UPDATE uno_hands SET hand = v_new_hand, updated_at = NOW()
+        WHERE room_id = p_room_id AND user_id = p_target_user_id;
+    END IF;
+    
+    -- 0: every hand moves on one seat in the direction of play
+    IF (v_rules->>'seven_zero')::BOOLEAN AND (v_card->>'value') = '0' THEN
+        FOR i IN 0..v_player_count-1 LOOP
+            v_hands := v_hands || jsonb_build_array((
+                SELECT hand FROM uno_hands
+                WHERE room_id = p_room_id AND user_id = (v_room.players->i->>'user_id')::UUID
+            ));
+        END LOOP;
+        
+        FOR i IN 0..v_player_count-1 LOOP
+            UPDATE uno_hands SET
+                hand = v_hands->(((i - v_new_direction) % v_player_count + v_player_count) % v_player_count),
+                updated_at = NOW()
+            WHERE room_id = p_room_id AND user_id = (v_room.players->i->>'user_id')::UUID;
+        END LOOP;
+    END IF;
+    
     -- Update room state
     UPDATE uno_rooms SET
-        deck = v_new_deck,
         discard_pile = v_room.discard_pile || jsonb_build_array(v_card),
         current_color = COALESCE(p_wild_color, v_card->>'color'),
-        players = v_players,
+        deck_count = (SELECT jsonb_array_length(deck) FROM uno_decks WHERE room_id = p_room_id),
+        players = uno_public_players(p_room_id, jsonb_set(v_room.players, ARRAY[v_player_idx::TEXT, 'missed_turns'], '0')),
+        pending_draw = CASE WHEN v_deferred THEN v_room.pending_draw + v_draw_count ELSE 0 END,
+        draw_four_by = CASE
+            WHEN v_deferred AND (v_card->>'value') = '+4' AND (v_rules->>'challenge_draw_four')::BOOLEAN THEN p_user_id
+        END,
         current_turn_index = v_next_turn,
         direction = v_new_direction,
         turn_started_at = NOW(),
         updated_at = NOW()
     WHERE id = p_room_id;
     
-    RETURN jsonb_build_object('success', true, 'nextTurn', v_next_turn);
+    RETURN jsonb_build_object('success', true, 'nextTurn', v_next_turn, 'jumpedIn', v_room.current_turn_index != v_player_idx);
 EXCEPTION WHEN OTHERS THEN
     RETURN jsonb_build_object('success', false, 'error', SQLERRM);
 END;
@@ -501,36 +844,35 @@ $$;
 
 -- ========================================
 -- RPC: Draw Card
--- Draws from deck, advances turn
+-- Draws one card, or the whole pending penalty, and advances turn
 -- ========================================
 CREATE OR REPLACE FUNCTION fn_draw_card(p_user_id UUID, p_room_id UUID)
 RETURNS JSONB
 LANGUAGE plpgsql SECURITY DEFINER AS $$
 DECLARE
     v_room RECORD;
-    v_player JSONB;
     v_player_idx INTEGER;
-    v_card JSONB;
-    v_new_hand JSONB;
-    v_players JSONB;
+    v_cards JSONB;
     v_player_count INTEGER;
     v_next_turn INTEGER;
-    v_new_deck JSONB;
     i INTEGER;
 BEGIN
+    -- Players act only for themselves; timeouts come from the backend
+    IF auth.uid() IS DISTINCT FROM p_user_id AND COALESCE(auth.role(), '') != 'service_role' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
     SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
     IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
     IF v_room.status != 'playing' THEN RETURN jsonb_build_object('success', false, 'error', 'Game not in progress'); END IF;
     
     v_player_count := jsonb_array_length(v_room.players);
-    v_new_deck := v_room.deck;
     
     -- Find player and verify turn
     v_player_idx := -1;
     FOR i IN 0..v_player_count-1 LOOP
         IF (v_room.players->i->>'user_id')::UUID = p_user_id THEN
             v_player_idx := i;
-            v_player := v_room.players->i;
             EXIT;
         END IF;
     END LOOP;
@@ -538,25 +880,10 @@ BEGIN
     IF v_player_idx = -1 THEN RETURN jsonb_build_object('success', false, 'error', 'Not in game'); END IF;
     IF v_room.current_turn_index != v_player_idx THEN RETURN jsonb_build_object('success', false, 'error', 'Not your turn'); END IF;
     
-    -- Reshuffle if deck empty
-    IF jsonb_array_length(v_new_deck) = 0 THEN
-        v_new_deck := shuffle_deck(generate_uno_deck());
-    END IF;
-    
-    -- Draw card
-    v_card := v_new_deck->0;
-    v_new_deck := v_new_deck - 0;
-    v_new_hand := v_player->'hand' || jsonb_build_array(v_card);
-    
-    -- Build new players array
-    v_players := '[]'::jsonb;
-    FOR i IN 0..v_player_count-1 LOOP
-        IF i = v_player_idx THEN
-            v_players := v_players || jsonb_build_array(jsonb_set(v_player, '{hand}', v_new_hand));
-        ELSE
-            v_players := v_players || jsonb_build_array(v_room.players->i);
-        END IF;
-    END LOOP;
+    -- Draw card(s); taking a penalty also ends the turn
+    v_cards := uno_take_cards(p_room_id, GREATEST(v_room.pending_draw, 1));
+    UPDATE uno_hands SET hand = hand || v_cards, updated_at = NOW()
+    WHERE room_id = p_room_id AND user_id = p_user_id;
     
     -- Advance turn
     v_next_turn := (v_player_idx + v_room.direction) % v_player_count;
@@ -564,14 +891,198 @@ BEGIN
     
     -- Update room
     UPDATE uno_rooms SET
-        deck = v_new_deck,
-        players = v_players,
+        deck_count = (SELECT jsonb_array_length(deck) FROM uno_decks WHERE room_id = p_room_id),
+        players = uno_public_players(p_room_id, jsonb_set(v_room.players, ARRAY[v_player_idx::TEXT, 'missed_turns'], '0')),
+        pending_draw = 0,
+        draw_four_by = NULL,
+        current_turn_index = v_next_turn,
+        turn_started_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_room_id;
+    
+    -- Timeouts draw through here too; only the owner gets to see the cards
+    RETURN jsonb_build_object(
+        'success', true,
+        'drawnCard', CASE WHEN auth.uid() = p_user_id THEN v_cards->-1 END,
+        'drawCount', jsonb_array_length(v_cards),
+        'nextTurn', v_next_turn
+    );
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', false, 'error', SQLERRM);
+END;
+$$;
+
+-- ========================================
+-- RPC: Challenge Draw Four (challenge_draw_four rule)
+-- Illegal +4: whoever played it takes the penalty and the challenger
+-- plays on.  Legal +4: the challenger takes the penalty plus 2 and
+-- loses the turn.
+-- ========================================
+CREATE OR REPLACE FUNCTION fn_uno_challenge(p_user_id UUID, p_room_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_room RECORD;
+    v_legal BOOLEAN;
+    v_player_count INTEGER;
+    v_next_turn INTEGER;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
+    SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
+    IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
+    IF v_room.status != 'playing' THEN RETURN jsonb_build_object('success', false, 'error', 'Game not in progress'); END IF;
+    IF v_room.draw_four_by IS NULL THEN RETURN jsonb_build_object('success', false, 'error', 'Nothing to challenge'); END IF;
+    IF (v_room.players->v_room.current_turn_index->>'user_id')::UUID != p_user_id THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Only the player hit by the +4 can challenge');
+    END IF;
+    
+    SELECT draw_four_legal INTO v_legal FROM uno_decks WHERE room_id = p_room_id;
+    v_player_count := jsonb_array_length(v_room.players);
+    
+    IF NOT COALESCE(v_legal, true) THEN
+        UPDATE uno_hands SET
+            hand = hand || uno_take_cards(p_room_id, v_room.pending_draw),
+            updated_at = NOW()
+        WHERE room_id = p_room_id AND user_id = v_room.draw_four_by;
+        
+        UPDATE uno_rooms SET
+            deck_count = (SELECT jsonb_array_length(deck) FROM uno_decks WHERE room_id = p_room_id),
+            players = uno_public_players(p_room_id, v_room.players),
+            pending_draw = 0,
+            draw_four_by = NULL,
+            turn_started_at = NOW(),
+            updated_at = NOW()
+        WHERE id = p_room_id;
+        
+        RETURN jsonb_build_object('success', true, 'challengeWon', true, 'penalty', v_room.pending_draw);
+    END IF;
+    
+    UPDATE uno_hands SET
+        hand = hand || uno_take_cards(p_room_id, v_room.pending_draw + 2),
+        updated_at = NOW()
+    WHERE room_id = p_room_id AND user_id = p_user_id;
+    
+    v_next_turn := (v_room.current_turn_index + v_room.direction) % v_player_count;
+    IF v_next_turn < 0 THEN v_next_turn := v_next_turn + v_player_count; END IF;
+    
+    UPDATE uno_rooms SET
+        deck_count = (SELECT jsonb_array_length(deck) FROM uno_decks WHERE room_id = p_room_id),
+        players = uno_public_players(p_room_id, jsonb_set(v_room.players, ARRAY[v_room.current_turn_index::TEXT, 'missed_turns'], '0')),
+        pending_draw = 0,
+        draw_four_by = NULL,
         current_turn_index = v_next_turn,
         turn_started_at = NOW(),
         updated_at = NOW()
     WHERE id = p_room_id;
     
-    RETURN jsonb_build_object('success', true, 'drawnCard', v_card, 'nextTurn', v_next_turn);
+    RETURN jsonb_build_object('success', true, 'challengeWon', false, 'penalty', v_room.pending_draw + 2);
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', false, 'error', SQLERRM);
+END;
+$$;
+
+-- ========================================
+-- RPC: Call UNO
+-- Allowed from two cards down, so it can be said before the
+-- second-to-last card goes out
+-- ========================================
+CREATE OR REPLACE FUNCTION fn_uno_call(p_user_id UUID, p_room_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_room RECORD;
+    v_player_idx INTEGER := -1;
+    v_hand_count INTEGER;
+    i INTEGER;
+BEGIN
+    -- Bots call and catch through the backend's service role
+    IF auth.uid() IS DISTINCT FROM p_user_id AND COALESCE(auth.role(), '') != 'service_role' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
+    SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
+    IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
+    IF v_room.status != 'playing' THEN RETURN jsonb_build_object('success', false, 'error', 'Game not in progress'); END IF;
+    
+    FOR i IN 0..jsonb_array_length(v_room.players)-1 LOOP
+        IF (v_room.players->i->>'user_id')::UUID = p_user_id THEN
+            v_player_idx := i;
+            EXIT;
+        END IF;
+    END LOOP;
+    IF v_player_idx = -1 THEN RETURN jsonb_build_object('success', false, 'error', 'Not in game'); END IF;
+    
+    SELECT jsonb_array_length(hand) INTO v_hand_count FROM uno_hands WHERE room_id = p_room_id AND user_id = p_user_id;
+    IF v_hand_count > 2 THEN
+        RETURN jsonb_build_object('success', false, 'error', 'You can only call UNO with two cards or fewer');
+    END IF;
+    
+    UPDATE uno_rooms SET
+        players = uno_public_players(p_room_id, jsonb_set(v_room.players, ARRAY[v_player_idx::TEXT, 'uno_called'], 'true')),
+        updated_at = NOW()
+    WHERE id = p_room_id;
+    
+    RETURN jsonb_build_object('success', true);
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', false, 'error', SQLERRM);
+END;
+$$;
+
+-- ========================================
+-- RPC: Catch a missed UNO call (uno_call rule)
+-- Target is down to one card without having called: they draw 2
+-- ========================================
+CREATE OR REPLACE FUNCTION fn_uno_catch(p_user_id UUID, p_room_id UUID, p_target_user_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_room RECORD;
+    v_target_idx INTEGER := -1;
+    v_catcher_found BOOLEAN := false;
+    v_hand_count INTEGER;
+    i INTEGER;
+BEGIN
+    -- Bots call and catch through the backend's service role
+    IF auth.uid() IS DISTINCT FROM p_user_id AND COALESCE(auth.role(), '') != 'service_role' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
+    SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
+    IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
+    IF v_room.status != 'playing' THEN RETURN jsonb_build_object('success', false, 'error', 'Game not in progress'); END IF;
+    IF NOT (uno_normalize_rules(v_room.rules)->>'uno_call')::BOOLEAN THEN
+        RETURN jsonb_build_object('success', false, 'error', 'UNO calls are not enforced in this room');
+    END IF;
+    IF p_target_user_id = p_user_id THEN RETURN jsonb_build_object('success', false, 'error', 'Call UNO instead'); END IF;
+    
+    FOR i IN 0..jsonb_array_length(v_room.players)-1 LOOP
+        IF (v_room.players->i->>'user_id')::UUID = p_user_id THEN v_catcher_found := true; END IF;
+        IF (v_room.players->i->>'user_id')::UUID = p_target_user_id THEN v_target_idx := i; END IF;
+    END LOOP;
+    IF NOT v_catcher_found OR v_target_idx = -1 THEN RETURN jsonb_build_object('success', false, 'error', 'Not in game'); END IF;
+    
+    SELECT jsonb_array_length(hand) INTO v_hand_count FROM uno_hands
+    WHERE room_id = p_room_id AND user_id = p_target_user_id FOR UPDATE;
+    
+    IF v_hand_count != 1 OR COALESCE((v_room.players->v_target_idx->>'uno_called')::BOOLEAN, false) THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Nothing to catch');
+    END IF;
+    
+    UPDATE uno_hands SET
+        hand = hand || uno_take_cards(p_room_id, 2),
+        updated_at = NOW()
+    WHERE room_id = p_room_id AND user_id = p_target_user_id;
+    
+    UPDATE uno_rooms SET
+        deck_count = (SELECT jsonb_array_length(deck) FROM uno_decks WHERE room_id = p_room_id),
+        players = uno_public_players(p_room_id, v_room.players),
+        updated_at = NOW()
+    WHERE id = p_room_id;
+    
+    RETURN jsonb_build_object('success', true, 'caught', v_room.players->v_target_idx->>'username');
 EXCEPTION WHEN OTHERS THEN
     RETURN jsonb_build_object('success', false, 'error', SQLERRM);
 END;
@@ -590,31 +1101,50 @@ DECLARE
     v_remaining INTEGER;
     v_winner_id UUID;
     v_winner_name TEXT;
+    v_leaver_idx INTEGER := -1;
+    v_leaver_paid BOOLEAN := false;
+    v_humans_left INTEGER;
     i INTEGER := 0;
 BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id AND COALESCE(auth.role(), '') != 'service_role' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
     SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
     IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
     
-    -- Refund if waiting
-    IF v_room.status = 'waiting' THEN
+    SELECT COALESCE((elem->>'has_paid')::BOOLEAN, false) INTO v_leaver_paid
+    FROM jsonb_array_elements(v_room.players) AS elem WHERE (elem->>'user_id')::UUID = p_user_id;
+    
+    -- Refund if waiting (bots never paid in)
+    IF v_room.status = 'waiting' AND v_leaver_paid THEN
         UPDATE public.users SET cash = cash + v_room.bet_amount WHERE id = p_user_id;
         INSERT INTO public.transactions (user_id, type, amount, balance_after, description)
         SELECT p_user_id, 'win', v_room.bet_amount, cash, 'UNO Refund' FROM public.users WHERE id = p_user_id;
     END IF;
     
+    -- Their cards leave the game with them
+    DELETE FROM uno_hands WHERE room_id = p_room_id AND user_id = p_user_id;
+    
     -- Remove player and reindex
     FOR v_elem IN SELECT * FROM jsonb_array_elements(v_room.players) LOOP
         IF (v_elem->>'user_id')::UUID != p_user_id THEN
             v_elem := jsonb_set(v_elem, '{seat_index}', to_jsonb(i));
             v_players := v_players || jsonb_build_array(v_elem);
             i := i + 1;
+        ELSE
+            v_leaver_idx := i;
         END IF;
     END LOOP;
     
+    IF v_leaver_idx = -1 THEN RETURN jsonb_build_object('success', false, 'error', 'Not in room'); END IF;
+    
     v_remaining := jsonb_array_length(v_players);
+    SELECT COUNT(*) INTO v_humans_left FROM jsonb_array_elements(v_players) AS p
+    WHERE NOT COALESCE((p->>'is_bot')::BOOLEAN, false);
     
-    -- Delete room if empty
-    IF v_remaining = 0 THEN
+    -- Delete room once no people are left (bots don't play on alone)
+    IF v_remaining = 0 OR v_humans_left = 0 THEN
         DELETE FROM uno_rooms WHERE id = p_room_id;
         RETURN jsonb_build_object('success', true, 'roomDeleted', true);
     END IF;
@@ -624,37 +1154,44 @@ BEGIN
         v_winner_id := (v_players->0->>'user_id')::UUID;
         v_winner_name := v_players->0->>'username';
         
-        UPDATE public.users SET cash = cash + v_room.pot_amount WHERE id = v_winner_id;
-        INSERT INTO public.transactions (user_id, type, amount, balance_after, description)
-        SELECT v_winner_id, 'win', v_room.pot_amount, cash, 'UNO Win' FROM public.users WHERE id = v_winner_id;
+        PERFORM uno_pay_out(v_players->0, v_players, v_room.pot_amount);
         
         UPDATE uno_rooms SET
             status = 'finished',
-            players = v_players,
+            players = uno_public_players(p_room_id, v_players),
             winner_id = v_winner_id,
             winner_username = v_winner_name,
-            pot_amount = v_room.pot_amount - v_room.bet_amount,
             updated_at = NOW()
         WHERE id = p_room_id;
         
         RETURN jsonb_build_object('success', true);
     END IF;
     
-    -- Handle turn index adjustment if current player left
+    -- Keep the turn on the same player when an earlier seat leaves;
+    -- if the current player left, pass it on in the direction of play
     DECLARE
         v_new_turn_index INTEGER := v_room.current_turn_index;
     BEGIN
-        IF v_new_turn_index >= v_remaining THEN
-            v_new_turn_index := 0;
+        IF v_leaver_idx < v_room.current_turn_index THEN
+            v_new_turn_index := v_room.current_turn_index - 1;
+        ELSIF v_leaver_idx = v_room.current_turn_index AND v_room.direction = -1 THEN
+            v_new_turn_index := v_room.current_turn_index - 1;
         END IF;
+        v_new_turn_index := v_new_turn_index % v_remaining;
+        IF v_new_turn_index < 0 THEN v_new_turn_index := v_new_turn_index + v_remaining; END IF;
         
         -- Update room
         UPDATE uno_rooms SET
-            players = v_players,
-            pot_amount = CASE WHEN v_room.status = 'waiting' THEN v_room.pot_amount - v_room.bet_amount ELSE v_room.pot_amount END,
-            host_id = CASE WHEN v_room.host_id = p_user_id THEN (v_players->0->>'user_id')::UUID ELSE v_room.host_id END,
+            players = uno_public_players(p_room_id, v_players),
+            pot_amount = CASE WHEN v_room.status = 'waiting' AND v_leaver_paid THEN v_room.pot_amount - v_room.bet_amount ELSE v_room.pot_amount END,
+            -- Hosting passes to the next person, never to a bot
+            host_id = CASE WHEN v_room.host_id = p_user_id THEN (
+                SELECT (p.elem->>'user_id')::UUID FROM jsonb_array_elements(v_players) WITH ORDINALITY AS p(elem, ord)
+                WHERE NOT COALESCE((p.elem->>'is_bot')::BOOLEAN, false)
+                ORDER BY p.ord LIMIT 1
+            ) ELSE v_room.host_id END,
             current_turn_index = v_new_turn_index,
-            turn_started_at = NOW(),
+            turn_started_at = CASE WHEN v_leaver_idx = v_room.current_turn_index THEN NOW() ELSE v_room.turn_started_at END,
             updated_at = NOW()
         WHERE id = p_room_id;
     END;
@@ -675,13 +1212,18 @@ DECLARE
     v_room RECORD;
     v_elem JSONB;
 BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id AND COALESCE(auth.role(), '') != 'service_role' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+    
     SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
     IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
     IF v_room.host_id != p_user_id THEN RETURN jsonb_build_object('success', false, 'error', 'Only host can delete'); END IF;
     IF v_room.status = 'playing' THEN RETURN jsonb_build_object('success', false, 'error', 'Cannot delete during game'); END IF;
     
-    -- Refund all players
+    -- Refund all players (bots never paid in)
     FOR v_elem IN SELECT * FROM jsonb_array_elements(v_room.players) LOOP
+        CONTINUE WHEN NOT COALESCE((v_elem->>'has_paid')::BOOLEAN, false);
         UPDATE public.users SET cash = cash + v_room.bet_amount WHERE id = (v_elem->>'user_id')::UUID;
         INSERT INTO public.transactions (user_id, type, amount, balance_after, description)
         SELECT (v_elem->>'user_id')::UUID, 'win', v_room.bet_amount, cash, 'UNO Refund' FROM public.users WHERE id = (v_elem->>'user_id')::UUID;
@@ -710,6 +1252,7 @@ BEGIN
             'bet_amount', bet_amount,
             'pot_amount', pot_amount,
             'max_players', max_players,
+            'rules', rules,
             'player_count', jsonb_array_length(players),
             'status', status
         ) ORDER BY created_at DESC) FROM uno_rooms WHERE status = 'waiting' LIMIT 20),
@@ -718,18 +1261,97 @@ BEGIN
 END;
 $$;
 
+-- ========================================
+-- RPC: Turn Timeout (server only)
+-- Called by the backend turn sweep (services/unoTurnTimer.js) once a
+-- turn has run past its limit.  Draws for the stalled player through
+-- fn_draw_card; after p_max_missed timeouts in a row they are removed
+-- through fn_leave_uno_room, which also pays out a last player standing.
+-- p_turn_started_at pins the turn the sweep saw, so a move made in the
+-- meantime wins the race.
+-- ========================================
+CREATE OR REPLACE FUNCTION fn_uno_timeout_turn(p_room_id UUID, p_turn_started_at TIMESTAMPTZ, p_max_missed INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_room RECORD;
+    v_player JSONB;
+    v_idx INTEGER;
+    v_missed INTEGER;
+    v_result JSONB;
+BEGIN
+    SELECT * INTO v_room FROM uno_rooms WHERE id = p_room_id FOR UPDATE;
+    IF NOT FOUND THEN RETURN jsonb_build_object('success', false, 'error', 'Room not found'); END IF;
+    IF v_room.status != 'playing' THEN RETURN jsonb_build_object('success', false, 'error', 'Game not in progress'); END IF;
+    IF v_room.turn_started_at IS DISTINCT FROM p_turn_started_at THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Turn already moved on');
+    END IF;
+    
+    v_idx := v_room.current_turn_index;
+    v_player := v_room.players->v_idx;
+    IF v_player IS NULL THEN RETURN jsonb_build_object('success', false, 'error', 'No player on turn'); END IF;
+    
+    v_missed := COALESCE((v_player->>'missed_turns')::INTEGER, 0) + 1;
+    
+    IF v_missed >= p_max_missed THEN
+        v_result := fn_leave_uno_room((v_player->>'user_id')::UUID, p_room_id);
+        IF NOT (v_result->>'success')::BOOLEAN THEN RETURN v_result; END IF;
+        
+        RETURN jsonb_build_object(
+            'success', true,
+            'action', 'kicked',
+            'userId', v_player->>'user_id',
+            'username', v_player->>'username'
+        );
+    END IF;
+    
+    v_result := fn_draw_card((v_player->>'user_id')::UUID, p_room_id);
+    IF NOT (v_result->>'success')::BOOLEAN THEN RETURN v_result; END IF;
+    
+    -- fn_draw_card clears the counter as for any draw; put the strike back
+    UPDATE uno_rooms SET
+        players = jsonb_set(players, ARRAY[v_idx::TEXT, 'missed_turns'], to_jsonb(v_missed))
+    WHERE id = p_room_id;
+    
+    RETURN jsonb_build_object(
+        'success', true,
+        'action', 'drew',
+        'userId', v_player->>'user_id',
+        'username', v_player->>'username',
+        'missedTurns', v_missed
+    );
+EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', false, 'error', SQLERRM);
+END;
+$$;
+
 -- ========================================
 -- GRANTS
 -- ========================================
-GRANT ALL ON uno_rooms TO authenticated, anon;
+GRANT SELECT ON uno_rooms TO authenticated, anon;
+GRANT SELECT ON uno_hands TO authenticated;
+REVOKE ALL ON uno_decks FROM authenticated, anon;
+REVOKE EXECUTE ON FUNCTION uno_take_cards(UUID, INTEGER) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION uno_public_players(UUID, JSONB) FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION uno_pay_out(JSONB, JSONB, NUMERIC) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION uno_normalize_rules(JSONB) TO authenticated, anon;
 GRANT EXECUTE ON FUNCTION generate_uno_deck() TO authenticated, anon;
 GRANT EXECUTE ON FUNCTION shuffle_deck(JSONB) TO authenticated, anon;
-GRANT EXECUTE ON FUNCTION fn_create_uno_room(UUID, NUMERIC, INTEGER) TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_create_uno_room(UUID, NUMERIC, INTEGER, JSONB) TO authenticated, anon;
 GRANT EXECUTE ON FUNCTION fn_join_uno_room(UUID, UUID) TO authenticated, anon;
 GRANT EXECUTE ON FUNCTION fn_uno_toggle_ready(UUID, UUID) TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_add_uno_bot(UUID, UUID, TEXT) TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_remove_uno_bot(UUID, UUID, UUID) TO authenticated, anon;
 GRANT EXECUTE ON FUNCTION fn_start_uno(UUID, UUID) TO authenticated, anon;
-GRANT EXECUTE ON FUNCTION fn_play_card(UUID, UUID, INTEGER, TEXT) TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_play_card(UUID, UUID, INTEGER, TEXT, UUID) TO authenticated, anon;
 GRANT EXECUTE ON FUNCTION fn_draw_card(UUID, UUID) TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_uno_challenge(UUID, UUID) TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_uno_call(UUID, UUID) TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_uno_catch(UUID, UUID, UUID) TO authenticated, anon;
 GRANT EXECUTE ON FUNCTION fn_leave_uno_room(UUID, UUID) TO authenticated, anon;
 GRANT EXECUTE ON FUNCTION fn_delete_uno_room(UUID, UUID) TO authenticated, anon;
 GRANT EXECUTE ON FUNCTION fn_get_uno_rooms() TO authenticated, anon;
+
+-- Only the backend (service role) may time out turns
+REVOKE EXECUTE ON FUNCTION fn_uno_timeout_turn(UUID, TIMESTAMPTZ, INTEGER) FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION fn_uno_timeout_turn(UUID, TIMESTAMPTZ, INTEGER) TO service_role;